@@ -2,7 +2,7 @@
  * Configuration du routeur principal de l'application SportSee
  *
  * Gère la navigation entre les différentes pages de l'application avec React Router.
- * Configure les routes pour les utilisateurs spécifiques et les redirections.
+ * Configure les routes : accueil, pages utilisateur et page 404.
  *
  * @component
  * @returns {JSX.Element} Application avec routeur configuré
@@ -17,29 +17,74 @@
  *
  * @example
  * // Routes disponibles :
+ * // - / : Sélection du profil
  * // - /user/18 : Dashboard de l'utilisateur 18 (Cecilia)
  * // - /user/12 : Dashboard de l'utilisateur 12 (Karl)
- * // - /* : Redirection automatique vers /user/18
+ * // - /user/18/profile, /settings, /community : Sous-pages de l'utilisateur
+ * // - /user/18/report : Rapport hebdomadaire imprimable
+ * // - /user/18/nutrition/proteinCount : Détail d'une donnée nutritionnelle
+ * // - /compare?users=12,18 : Comparaison de Karl et Cecilia
+ * // - /user/999, /user/abc : Page 404 "utilisateur introuvable"
+ * // - /* : Page 404
  *
  * @description
  * Routes configurées :
- * - `/user/:userId` - Dashboard d'un utilisateur spécifique
- * - `/*` - Route catch-all qui redirige vers l'utilisateur par défaut (18)
+ * - `/` - Page d'accueil listant les profils disponibles
+ * - `/user/:userId` - Dashboard d'un utilisateur spécifique, protégé par
+ *   UserRoute (404 si l'utilisateur est inconnu, page d'erreur si le backend
+ *   est indisponible)
+ * - `/user/:userId/profile` - Profil (informations personnelles et données clés)
+ * - `/user/:userId/settings` - Réglages de l'application
+ * - `/user/:userId/community` - Autres membres de la communauté
+ * - `/user/:userId/report` - Rapport hebdomadaire imprimable (A4 / PDF)
+ * - `/user/:userId/nutrition/:nutrient?` - Répartition nutritionnelle et détail
+ *   d'une donnée clé (404 si la donnée est inconnue)
+ * - `/user/:userId/*` - Sous-route inconnue : page 404
+ * - `/compare?users=12,18` - Comparaison côte à côte de plusieurs profils
+ *   (tableau des données clés, courbes de sessions et radars superposés)
+ * - `/*` - Route catch-all : page 404 avec les profils disponibles
  *
  * @requires react
  * @requires react-router-dom
  * @requires ./page/Dashboard.jsx
+ * @requires ./components/UserRoute.jsx
+ * @requires ./page/UserSelect.jsx
+ * @requires ./page/Profile.jsx
+ * @requires ./page/Settings.jsx
+ * @requires ./page/Community.jsx
+ * @requires ./page/Report.jsx
+ * @requires ./page/Nutrition.jsx
+ * @requires ./page/Compare.jsx
  */
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Dashboard from './page/Dashboard.jsx';
+import UserSelect from './page/UserSelect.jsx';
+import Profile from './page/Profile.jsx';
+import Settings from './page/Settings.jsx';
+import Community from './page/Community.jsx';
+import Report from './page/Report.jsx';
+import Nutrition from './page/Nutrition.jsx';
+import Compare from './page/Compare.jsx';
+import NotFound from './page/NotFound.jsx';
+import UserRoute from './components/UserRoute.jsx';
 
 function App() {
   return (
     <Router>
       <Routes>
-        <Route path="/user/:userId" element={<Dashboard />} />
-        <Route path="*" element={<Navigate to="/user/18" replace />} />
+        <Route path="/" element={<UserSelect />} />
+        <Route path="/user/:userId" element={<UserRoute />}>
+          <Route index element={<Dashboard />} />
+          <Route path="profile" element={<Profile />} />
+          <Route path="settings" element={<Settings />} />
+          <Route path="community" element={<Community />} />
+          <Route path="report" element={<Report />} />
+          <Route path="nutrition/:nutrient?" element={<Nutrition />} />
+          <Route path="*" element={<NotFound />} />
+        </Route>
+        <Route path="/compare" element={<Compare />} />
+        <Route path="*" element={<NotFound />} />
       </Routes>
     </Router>
   );
@@ -0,0 +1,75 @@
+/**
+ * Actions d'export d'un graphique en image (SVG, PNG)
+ *
+ * Affiche l'échelle du PNG et un bouton par format
+ * (ChartImageExporter.FORMATS) ; un clic télécharge la carte du graphique
+ * référencée par `targetRef`. Partage les styles de ExportMenu.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {{current: HTMLElement|null}} props.targetRef - Carte du graphique à exporter
+ * @param {number} props.userId - ID de l'utilisateur (nom du fichier)
+ * @param {string} props.chart - Graphique exporté (nom du fichier, ex: "score")
+ * @param {boolean} [props.dark=false] - Variante pour graphique à fond sombre
+ * @returns {JSX.Element} Groupe d'actions d'export d'image
+ *
+ * @example
+ * const cardRef = useRef(null);
+ * <div ref={cardRef} className='score-chart'>
+ *   <ChartImageMenu targetRef={cardRef} userId={18} chart='score' />
+ * </div>
+ *
+ * @requires ../services/hooks/useChartImageExport.js
+ */
+import { useState } from 'react';
+import { ChartImageExporter } from '../services/export/ChartImageExporter.js';
+import { useChartImageExport } from '../services/hooks/useChartImageExport.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './exportMenu.css';
+
+const ChartImageMenu = ({ targetRef, userId, chart, dark = false }) => {
+  const { t } = useTranslation();
+  const [scale, setScale] = useState(ChartImageExporter.DEFAULT_SCALE);
+  const { exporting, error, exportImage } = useChartImageExport(targetRef, { userId, chart });
+
+  return (
+    <div
+      className={dark ? 'export-menu export-menu--compact export-menu--dark' : 'export-menu export-menu--compact'}
+      role='group'
+      aria-label={t('export.imageLabel')}
+    >
+      <select
+        className='export-menu__scale'
+        value={scale}
+        onChange={(event) => setScale(Number(event.target.value))}
+        title={t('export.scale')}
+        aria-label={t('export.scale')}
+      >
+        {ChartImageExporter.SCALES.map((option) => (
+          <option key={option} value={option}>
+            {t('export.scaleOption', { scale: option })}
+          </option>
+        ))}
+      </select>
+      {Object.values(ChartImageExporter.FORMATS).map((format) => (
+        <button
+          key={format}
+          type='button'
+          className='export-menu__button'
+          disabled={exporting}
+          title={t('export.imageTitle', { format: format.toUpperCase() })}
+          onClick={() => exportImage(format, scale)}
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+      {error && (
+        <span className='export-menu__error' role='alert' title={error.message}>
+          {t('export.error')}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ChartImageMenu;
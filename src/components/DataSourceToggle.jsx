@@ -0,0 +1,47 @@
+/**
+ * Composant de sélection de la source de données SportSee
+ *
+ * Affiche la source réellement active (MOCK ou API) et permet de basculer
+ * de l'une à l'autre. Le choix est persisté dans le localStorage et
+ * les graphiques se rechargent automatiquement.
+ *
+ * @component
+ * @returns {JSX.Element} Libellé du mode actif et bouton de bascule
+ *
+ * @example
+ * // Dans l'en-tête du dashboard
+ * <DataSourceToggle />
+ *
+ * @requires ../services/hooks/useDataSource.js
+ */
+import { useDataSource } from '../services/hooks/useDataSource.js';
+import { DataService } from '../services/api/DataService.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './dataSourceToggle.css';
+
+const DataSourceToggle = () => {
+  const { dataSource, isMock, setDataSource } = useDataSource();
+  const { t } = useTranslation();
+
+  const handleToggle = () => {
+    setDataSource(isMock ? DataService.DATA_SOURCES.API : DataService.DATA_SOURCES.MOCK);
+  };
+
+  return (
+    <div className='data-source-toggle'>
+      <span className='data-source-toggle__label'>
+        {t('dataSource.mode')} <strong>{dataSource.toUpperCase()}</strong>
+      </span>
+      <button
+        type='button'
+        className='data-source-toggle__button'
+        onClick={handleToggle}
+        aria-pressed={!isMock}
+      >
+        {t(isMock ? 'dataSource.toApi' : 'dataSource.toMock')}
+      </button>
+    </div>
+  );
+};
+
+export default DataSourceToggle;
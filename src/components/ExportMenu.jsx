@@ -0,0 +1,71 @@
+/**
+ * Actions d'export des données normalisées (CSV, JSON)
+ *
+ * Affiche un bouton par format (DataExporter.FORMATS) ; un clic télécharge les
+ * jeux de données demandés, avec les mêmes filtres que le graphique associé.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.userId - ID de l'utilisateur
+ * @param {string[]} [props.datasets] - Jeux de données exportés (tous si absent)
+ * @param {string|null} [props.activityType=null] - Sport filtré
+ * @param {DateRange|null} [props.range=null] - Période de l'activité
+ * @param {boolean} [props.compact=false] - Masque le libellé (en-tête de graphique)
+ * @param {boolean} [props.dark=false] - Variante pour graphique à fond sombre
+ * @returns {JSX.Element} Groupe de boutons d'export
+ *
+ * @example
+ * // Export complet depuis le Dashboard
+ * <ExportMenu userId={18} activityType={activityType} />
+ *
+ * @example
+ * // Export d'un graphique
+ * <ExportMenu userId={18} datasets={['performance']} compact dark />
+ *
+ * @requires ../services/hooks/useDataExport.js
+ */
+import { DataExporter } from '../services/export/DataExporter.js';
+import { useDataExport } from '../services/hooks/useDataExport.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './exportMenu.css';
+
+const ExportMenu = ({
+  userId,
+  datasets = DataExporter.DATASETS,
+  activityType = null,
+  range = null,
+  compact = false,
+  dark = false
+}) => {
+  const { t } = useTranslation();
+  const { exporting, error, exportData } = useDataExport(userId, { datasets, activityType, range });
+
+  const className = ['export-menu', compact && 'export-menu--compact', dark && 'export-menu--dark']
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <div className={className} role='group' aria-label={t('export.label')}>
+      {!compact && <span className='export-menu__label'>{t('export.label')}</span>}
+      {Object.values(DataExporter.FORMATS).map((format) => (
+        <button
+          key={format}
+          type='button'
+          className='export-menu__button'
+          disabled={exporting}
+          title={t('export.title', { format: format.toUpperCase() })}
+          onClick={() => exportData(format)}
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+      {error && (
+        <span className='export-menu__error' role='alert' title={error.message}>
+          {t('export.error')}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
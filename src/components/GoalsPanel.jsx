@@ -0,0 +1,200 @@
+/**
+ * Panneau des objectifs personnels d'un utilisateur
+ *
+ * Affiche la progression de chaque objectif (Goals.DEFINITIONS) et permet
+ * de les modifier. Les valeurs sont saisies et affichées dans les unités
+ * préférées (kg ou lbs, kCal ou kJ), puis converties dans les unités des
+ * données normalisées avant d'être persistées.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.userId - ID de l'utilisateur
+ * @returns {JSX.Element} Liste de progression ou formulaire d'édition
+ *
+ * @example
+ * <GoalsPanel userId={18} />
+ *
+ * @requires ../services/hooks/useGoals.js
+ * @requires ../services/hooks/useUnits.js
+ */
+import { useState } from 'react';
+import { Goals } from '../services/goals/Goals.js';
+import { Units } from '../services/units/Units.js';
+import { useGoalProgress } from '../services/hooks/useGoals.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import './goalsPanel.css';
+
+/**
+ * Objectifs affichés, dans l'ordre de Goals.DEFINITIONS
+ * @type {string[]}
+ * @private
+ */
+const GOAL_IDS = Object.keys(Goals.DEFINITIONS);
+
+const GoalsPanel = ({ userId }) => {
+  const { goals, setGoals, resetGoals, progress } = useGoalProgress(userId);
+  const { t, formatUnit } = useTranslation();
+  const {
+    weightUnit,
+    energyUnit,
+    weightSymbol,
+    energySymbol,
+    convertWeight,
+    convertEnergy,
+    formatWeight,
+    formatEnergy,
+  } = useUnits();
+  // Valeurs saisies (chaînes, unités d'affichage) ; null hors édition
+  const [draft, setDraft] = useState(null);
+
+  // Conversions entre unités des données (kg, kCal) et unités d'affichage
+  const toDisplay = (unit, value) => {
+    if (unit === 'kcal') return convertEnergy(value);
+    if (unit === 'kg') return convertWeight(value);
+    return value;
+  };
+  const fromDisplay = (unit, value) => {
+    if (unit === 'kcal') return Units.toBase(value, energyUnit);
+    if (unit === 'kg') return Units.toBase(value, weightUnit);
+    return value;
+  };
+  const format = (unit, value) => {
+    if (unit === 'kcal') return formatEnergy(value);
+    if (unit === 'kg') return formatWeight(value);
+    return formatUnit(unit, value);
+  };
+  const symbol = (unit) => {
+    if (unit === 'kcal') return energySymbol;
+    if (unit === 'kg') return weightSymbol;
+    return t(`units.symbols.${unit}`);
+  };
+
+  const startEditing = () => {
+    setDraft(
+      Object.fromEntries(
+        GOAL_IDS.map((id) => [
+          id,
+          goals[id] === null ? '' : String(toDisplay(Goals.DEFINITIONS[id].unit, goals[id])),
+        ])
+      )
+    );
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const changes = Object.fromEntries(
+      GOAL_IDS.map((id) => {
+        const value = draft[id].trim();
+        return [id, value === '' ? null : fromDisplay(Goals.DEFINITIONS[id].unit, Number(value))];
+      })
+    );
+    setGoals(changes);
+    setDraft(null);
+  };
+
+  const handleReset = () => {
+    resetGoals();
+    setDraft(null);
+  };
+
+  const renderValue = (id) => {
+    const { unit } = Goals.DEFINITIONS[id];
+    const item = progress.find((entry) => entry.id === id);
+
+    if (goals[id] === null) {
+      return t('goals.notSet');
+    }
+    if (!item) {
+      return t('goals.progress', { value: t('common.empty'), target: format(unit, goals[id]) });
+    }
+    if (id === 'targetWeight') {
+      return t('goals.weightProgress', {
+        value: format(unit, item.value),
+        start: format(unit, item.start),
+        target: format(unit, item.target),
+      });
+    }
+    return t('goals.progress', { value: format(unit, item.value), target: format(unit, item.target) });
+  };
+
+  if (draft) {
+    return (
+      <form className='goals-panel goals-panel--editing' onSubmit={handleSubmit}>
+        <div className='goals-panel__fields'>
+          {GOAL_IDS.map((id) => (
+            <label key={id} className='goals-panel__field'>
+              <span className='goals-panel__label'>
+                {t('goals.field', {
+                  label: t(`goals.labels.${id}`),
+                  unit: symbol(Goals.DEFINITIONS[id].unit),
+                })}
+              </span>
+              <input
+                type='number'
+                className='goals-panel__input'
+                min='0'
+                step='any'
+                value={draft[id]}
+                onChange={(event) => setDraft({ ...draft, [id]: event.target.value })}
+              />
+            </label>
+          ))}
+        </div>
+        <p className='goals-panel__hint'>{t('goals.emptyHint')}</p>
+        <div className='goals-panel__actions'>
+          <button type='submit' className='goals-panel__button goals-panel__button--primary'>
+            {t('goals.save')}
+          </button>
+          <button type='button' className='goals-panel__button' onClick={() => setDraft(null)}>
+            {t('goals.cancel')}
+          </button>
+          <button type='button' className='goals-panel__button' onClick={handleReset}>
+            {t('goals.reset')}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className='goals-panel'>
+      <ul className='goals-panel__list'>
+        {GOAL_IDS.map((id) => {
+          const item = progress.find((entry) => entry.id === id);
+          return (
+            <li
+              key={id}
+              className={item?.achieved ? 'goals-panel__item goals-panel__item--achieved' : 'goals-panel__item'}
+            >
+              <div className='goals-panel__row'>
+                <span className='goals-panel__label'>{t(`goals.labels.${id}`)}</span>
+                <span className='goals-panel__value'>
+                  {renderValue(id)}
+                  {item?.achieved && <span className='goals-panel__badge'>{t('goals.achieved')}</span>}
+                </span>
+              </div>
+              {item && (
+                <div
+                  className='goals-panel__bar'
+                  role='progressbar'
+                  aria-label={t(`goals.labels.${id}`)}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round(item.ratio * 100)}
+                >
+                  <span className='goals-panel__fill' style={{ width: `${item.ratio * 100}%` }} />
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button type='button' className='goals-panel__button' onClick={startEditing}>
+        {t('goals.edit')}
+      </button>
+    </div>
+  );
+};
+
+export default GoalsPanel;
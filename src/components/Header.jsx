@@ -2,8 +2,11 @@
 /**
  * Composant Header de l'application SportSee
  *
- * Affiche la barre de navigation principale avec le logo et les liens de navigation.
- * Positionné en haut de toutes les pages de l'application.
+ * Affiche la barre de navigation principale avec le logo, les liens de navigation,
+ * le sélecteur d'utilisateur et le sélecteur de langue. Positionné en haut de toutes les pages de l'application.
+ * Les liens Profil, Réglage et Communauté pointent vers les sous-pages de
+ * l'utilisateur courant (`/user/:userId/...`) et la route active est mise en
+ * évidence ; ils sont désactivés tant qu'aucun profil n'est sélectionné.
  *
  * @component
  * @returns {JSX.Element} Élément header avec logo et navigation
@@ -26,21 +29,76 @@
  * }
  */
 
+import { Link, NavLink, useParams } from 'react-router-dom';
 import Logo from '../assets/logo/logo.png';
+import UserSwitcher from './UserSwitcher.jsx';
+import LocaleSwitcher from './LocaleSwitcher.jsx';
+import { useTranslation } from '../services/hooks/useTranslation.js';
 import './header.css'
 
+/**
+ * Entrées de navigation, relatives à `/user/:userId`
+ * @type {Array<{key: string, path: string}>}
+ * @private
+ * @description `key` désigne le libellé dans le catalogue i18n `header`
+ */
+const NAV_ITEMS = [
+  { key: 'home', path: '' },
+  { key: 'profile', path: '/profile' },
+  { key: 'settings', path: '/settings' },
+  { key: 'community', path: '/community' },
+];
+
+/**
+ * Classe CSS d'un lien selon qu'il correspond à la route active
+ * @private
+ * @param {{isActive: boolean}} state - État fourni par NavLink
+ * @returns {string} Classes CSS du lien
+ */
+const getLinkClassName = ({ isActive }) =>
+  isActive ? 'header__link header__link--active' : 'header__link';
+
 const Header = () => {
+  const { userId } = useParams();
+  const { t } = useTranslation();
+
+  const renderItem = ({ key, path }) => {
+    const label = t(`header.${key}`);
+
+    if (userId) {
+      return (
+        <NavLink to={`/user/${userId}${path}`} end className={getLinkClassName}>
+          {label}
+        </NavLink>
+      );
+    }
+
+    // Sans profil sélectionné, seul l'accueil (sélection du profil) est accessible
+    return path === '' ? (
+      <NavLink to='/' end className={getLinkClassName}>{label}</NavLink>
+    ) : (
+      <span className='header__link header__link--disabled' aria-disabled='true'>{label}</span>
+    );
+  };
+
   return (
     <header className="header">
-      <img src={Logo} alt="SportSee Logo" className='header__logo'/>
+      <Link to="/" className='header__home'>
+        <img src={Logo} alt={t('header.logoAlt')} className='header__logo'/>
+      </Link>
       <nav className='header__nav'>
         <ul className='header__list'>
-          <li className='header__item'>Accueil</li>
-          <li className='header__item'>Profil</li>
-          <li className='header__item'>Réglage</li>
-          <li className='header__item'>Communauté</li>
+          {NAV_ITEMS.map((item) => (
+            <li key={item.key} className='header__item'>
+              {renderItem(item)}
+            </li>
+          ))}
         </ul>
       </nav>
+      <div className='header__switcher'>
+        <UserSwitcher />
+        <LocaleSwitcher />
+      </div>
     </header>
   );
 };
@@ -0,0 +1,49 @@
+/**
+ * Sélecteur de langue de l'application SportSee
+ *
+ * Liste les langues disponibles (I18n.LOCALES) et change la langue active ;
+ * le choix est persisté dans le localStorage et toute l'interface se
+ * retraduit sans rechargement.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {boolean} [props.light=false] - Variante claire (pages de contenu)
+ * au lieu de la variante de l'en-tête
+ * @returns {JSX.Element} Liste déroulante des langues
+ *
+ * @example
+ * // Dans le Header
+ * <LocaleSwitcher />
+ *
+ * @example
+ * // Dans la page Réglages
+ * <LocaleSwitcher light />
+ *
+ * @requires ../services/hooks/useTranslation.js
+ */
+import { I18n } from '../services/i18n/I18n.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './localeSwitcher.css';
+
+const LocaleSwitcher = ({ light = false }) => {
+  const { locale, setLocale, t } = useTranslation();
+
+  return (
+    <label className={light ? 'locale-switcher locale-switcher--light' : 'locale-switcher'}>
+      <span className='locale-switcher__label'>{t('locale.label')}</span>
+      <select
+        className='locale-switcher__select'
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+      >
+        {Object.values(I18n.LOCALES).map((code) => (
+          <option key={code} value={code} lang={code}>
+            {t(`locale.names.${code}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
@@ -3,6 +3,9 @@
  *
  * Affiche la barre latérale avec les icônes d'activités sportives et le copyright.
  * Positionné sur le côté gauche de l'interface utilisateur.
+ * Chaque icône filtre le dashboard de l'utilisateur courant sur un sport
+ * (paramètre d'URL `?sport=`) ; un second clic retire le filtre. Les icônes
+ * sont désactivées tant qu'aucun profil n'est sélectionné.
  *
  * @component
  * @returns {JSX.Element} Élément aside avec icônes d'activités et copyright
@@ -25,24 +28,66 @@
  *   );
  * }
  */
+import { useNavigate, useParams } from 'react-router-dom';
 import './sidebar.css'
 import meditatingIcon from '../assets/icons/meditating.png';
 import swimmingIcon from '../assets/icons/swimming.png';
 import dumbbellIcon from '../assets/icons/dumbbell.png';
 import bikingIcon from '../assets/icons/biking.png';
+import { DataNormalizer } from '../services/data/DataNormalizer.js';
+import { useActivityFilter } from '../services/hooks/useActivityFilter.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+
+/**
+ * Icône associée à chaque sport de DataNormalizer.ACTIVITY_TYPES
+ * @type {Object<string, string>}
+ * @private
+ */
+const ACTIVITY_ICONS = {
+  meditation: meditatingIcon,
+  swimming: swimmingIcon,
+  strength: dumbbellIcon,
+  cycling: bikingIcon,
+};
 
 const Sidebar = () => {
+  const { userId } = useParams();
+  const navigate = useNavigate();
+  const { activityType, getActivitySearch } = useActivityFilter();
+  const { t } = useTranslation();
+
+  // Le filtre s'applique au dashboard : depuis une autre page, on y retourne
+  const handleSelect = (type) => {
+    navigate({
+      pathname: `/user/${userId}`,
+      search: getActivitySearch(type === activityType ? null : type),
+    });
+  };
+
   return (
     <aside className="sidebar">
       <div className='sidebar-container-icons'>
-        <img className='sidebar-icon' src={meditatingIcon} alt="Meditation" />
-        <img className='sidebar-icon' src={swimmingIcon} alt="Swimming" />
-        <img className='sidebar-icon' src={dumbbellIcon} alt="Dumbbell" />
-        <img className='sidebar-icon' src={bikingIcon} alt="Biking" />
+        {DataNormalizer.ACTIVITY_TYPES.map((type) => {
+          const isActive = type === activityType;
+          const label = t(`activities.${type}`);
+          return (
+            <button
+              key={type}
+              type='button'
+              className={isActive ? 'sidebar-button sidebar-button--active' : 'sidebar-button'}
+              onClick={() => handleSelect(type)}
+              disabled={!userId}
+              aria-pressed={isActive}
+              title={t(isActive ? 'sidebar.filterRemove' : 'sidebar.filterOnly', { label })}
+            >
+              <img className='sidebar-icon' src={ACTIVITY_ICONS[type]} alt={label} />
+            </button>
+          );
+        })}
       </div>
-        <p className='sidebar-copyright'>Copyright, SportSee 2020</p>
+        <p className='sidebar-copyright'>{t('sidebar.copyright')}</p>
     </aside>
   )
 }
 
-export default Sidebar
\ No newline at end of file
+export default Sidebar
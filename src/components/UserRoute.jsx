@@ -0,0 +1,71 @@
+/**
+ * Garde de route des pages utilisateur SportSee
+ *
+ * Valide le paramètre `:userId` puis vérifie que l'utilisateur existe dans
+ * la source de données active avant d'afficher les routes enfants. Affiche
+ * la page 404 pour un identifiant invalide ou inconnu, et la page d'erreur
+ * serveur si le backend est indisponible. Une fois l'utilisateur chargé, un
+ * échec d'actualisation laisse la page affichée (erreur signalée par la page).
+ *
+ * @component
+ * @returns {JSX.Element} Routes enfants (Outlet), page 404 ou page d'erreur
+ *
+ * @example
+ * <Route path="/user/:userId" element={<UserRoute />}>
+ *   <Route index element={<Dashboard />} />
+ * </Route>
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/useApiData.js
+ */
+import { Outlet, useParams } from 'react-router-dom';
+import Header from './Header.jsx';
+import Sidebar from './Sidebar.jsx';
+import NotFound from '../page/NotFound.jsx';
+import ServerError from '../page/ServerError.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { NotFoundError } from '../services/api/errors.js';
+import { useUserData } from '../services/hooks/useApiData.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import '../page/statusPage.css';
+
+const UserRoute = () => {
+  const { userId } = useParams();
+  const numericUserId = DataService.parseUserId(userId);
+  const { t } = useTranslation();
+
+  // Les données sont mises en cache : la page affichée ensuite les réutilise
+  const { data, loading, error, refetch } = useUserData(
+    DataService.getUserById,
+    numericUserId,
+    { enabled: numericUserId !== null }
+  );
+
+  if (numericUserId === null) {
+    return <NotFound userId={userId} invalidId />;
+  }
+
+  if (loading) {
+    return (
+      <main className="main-content">
+        <Header />
+        <Sidebar />
+        <div className='status-page'>
+          <h2 className='status-page__title'>{t('common.loading')}</h2>
+        </div>
+      </main>
+    );
+  }
+
+  if (!data && (error instanceof NotFoundError || !error)) {
+    return <NotFound userId={userId} />;
+  }
+
+  if (!data) {
+    return <ServerError error={error} onRetry={refetch} />;
+  }
+
+  return <Outlet />;
+};
+
+export default UserRoute;
@@ -0,0 +1,66 @@
+/**
+ * Sélecteur d'utilisateur de l'en-tête SportSee
+ *
+ * Liste les utilisateurs disponibles dans la source de données active et
+ * navigue vers le profil choisi en conservant la sous-page courante
+ * (ex: `/user/12/report` → `/user/18/report`).
+ *
+ * @component
+ * @returns {JSX.Element|null} Liste déroulante des profils, ou null si aucun profil
+ *
+ * @example
+ * // Dans le Header
+ * <UserSwitcher />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/hooks.js
+ */
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { DataService } from '../services/api/DataService.js';
+import { useUsers } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './userSwitcher.css';
+
+const UserSwitcher = () => {
+  const { userId } = useParams();
+  const { pathname, search } = useLocation();
+  const navigate = useNavigate();
+  const { data: users } = useUsers();
+  const { t } = useTranslation();
+
+  if (!users || users.length === 0) {
+    return null;
+  }
+
+  const currentUserId = DataService.parseUserId(userId);
+
+  const handleChange = (event) => {
+    const prefix = `/user/${userId}`;
+    const subPath = currentUserId !== null && pathname.startsWith(prefix)
+      ? pathname.slice(prefix.length)
+      : '';
+    navigate(`/user/${event.target.value}${subPath}${search}`);
+  };
+
+  return (
+    <label className='user-switcher'>
+      <span className='user-switcher__label'>{t('userSwitcher.label')}</span>
+      <select
+        className='user-switcher__select'
+        value={currentUserId ?? ''}
+        onChange={handleChange}
+      >
+        {currentUserId === null && (
+          <option value='' disabled>{t('userSwitcher.placeholder')}</option>
+        )}
+        {users.map((user) => (
+          <option key={user.id} value={user.id}>
+            {user.userInfos.firstName} {user.userInfos.lastName}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default UserSwitcher;
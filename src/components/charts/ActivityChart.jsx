@@ -1,12 +1,26 @@
 /**
  * Composant graphique d'activité quotidienne SportSee
  *
- * Affiche un graphique en barres combiné montrant le poids (kg) et les calories brûlées
- * pour chaque jour de la semaine. Utilise recharts pour le rendu.
+ * Affiche un graphique en barres combiné montrant le poids et les calories brûlées
+ * pour chaque jour de la période choisie (fenêtre par défaut, semaine, mois ou
+ * période personnalisée). L'axe affiche les jours réels du calendrier.
+ * Poids et énergie sont convertis dans les unités préférées de l'utilisateur
+ * (kg/lbs, kCal/kJ) ; les données du hook ne sont pas modifiées.
+ * Les sessions de la période affichée s'exportent en CSV ou JSON (kg, kCal),
+ * et le graphique en image SVG ou PNG.
+ * Le bouton « Tendance du poids » superpose la moyenne glissante et la droite
+ * de régression du poids (WeightAnalytics), et affiche sous le graphique la
+ * variation nette, le rythme de la tendance et la projection vers le poids
+ * cible des objectifs personnels.
+ * En mode comparaison, des barres estompées montrent la période précédente
+ * (même durée, alignée jour par jour) derrière chaque jour affiché.
+ * Utilise recharts pour le rendu.
  *
  * @component
  * @param {Object} props - Propriétés du composant
  * @param {number} [props.userId=12] - ID de l'utilisateur pour lequel afficher l'activité
+ * @param {string|null} [props.activityType=null] - Sport affiché (calories de ce sport uniquement)
+ * @param {boolean} [props.compare=false] - Compare à la période précédente
  * @returns {JSX.Element} Graphique d'activité ou état de chargement/erreur
  *
  * @example
@@ -14,6 +28,14 @@
  * <ActivityChart userId={18} />
  *
  * @example
+ * // Calories de cyclisme uniquement
+ * <ActivityChart userId={18} activityType="cycling" />
+ *
+ * @example
+ * // Semaine affichée comparée à la précédente
+ * <ActivityChart userId={12} compare />
+ *
+ * @example
  * // Utilisation dans un dashboard
  * function Dashboard({ userId }) {
  *   return (
@@ -25,20 +47,34 @@
  *
  * @requires recharts
  * @requires ../../services/chartHooks.js
+ * @requires ../../services/transformers/WeightAnalytics.js
  */
+import { useMemo, useRef, useState } from 'react';
 import {
   ResponsiveContainer,
   ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   Legend
 } from 'recharts';
+import { formatRangeLabel, parseISODate } from '../../services/data/dateRange.js';
 import { useActivityChart } from '../../services/hooks/chartHooks.js';
+import { useGoals } from '../../services/hooks/useGoals.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import { useUnits } from '../../services/hooks/useUnits.js';
+import { WeightAnalytics } from '../../services/transformers/WeightAnalytics.js';
 
 import ActivityTooltip from './ActivityTooltip.jsx';
+import ChartError from './ChartError.jsx';
+import ChartFilterLabel from './ChartFilterLabel.jsx';
+import ChartComparisonLabel from './ChartComparisonLabel.jsx';
+import ActivityRangeControls from './ActivityRangeControls.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
 import './charts.css';
 
 /**
@@ -46,32 +82,103 @@ import './charts.css';
  *
  * @param {Object} props - Props du composant
  * @param {number} [props.userId=12] - ID utilisateur
+ * @param {string|null} [props.activityType=null] - Sport affiché
+ * @param {boolean} [props.compare=false] - Compare à la période précédente
  */
-const ActivityChart = ({ userId = 12 }) => {
-  const { data, loading, error } = useActivityChart(userId);
+const ActivityChart = ({ userId = 12, activityType = null, compare = false }) => {
+  // Période affichée (null = fenêtre par défaut de la source)
+  const [range, setRange] = useState(null);
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
+  const { data, loading, error, refetch } = useActivityChart(userId, {
+    activityType,
+    range,
+    compare,
+  });
+  // Superposition de la tendance du poids (désactivée par défaut)
+  const [showTrend, setShowTrend] = useState(false);
+  const { goals } = useGoals(userId);
+  const { t, intlLocale, formatNumber } = useTranslation();
+  const {
+    weightUnit,
+    convertWeight,
+    convertEnergy,
+    formatWeight,
+    weightSymbol,
+    energySymbol,
+  } = useUnits();
+
+  // Bornes réelles des données affichées, référence de la navigation
+  const loadedRange = useMemo(() => {
+    const sessions = data?.sessions ?? [];
+    if (sessions.length === 0) return null;
+    return { from: sessions[0].originalDay, to: sessions[sessions.length - 1].originalDay };
+  }, [data]);
+
+  // Tendance du poids (kg), projetée vers le poids cible des objectifs
+  const analytics = useMemo(
+    () => WeightAnalytics.analyze(data?.sessions ?? [], { target: goals.targetWeight }),
+    [data, goals.targetWeight]
+  );
+
+  // Sessions converties dans les unités d'affichage (axes, ticks et tooltip)
+  const displaySessions = useMemo(() => {
+    const toDisplay = (value) => (value === null ? null : convertWeight(value));
+    // Valeurs de la période précédente : absentes hors comparaison
+    const toDisplayEnergy = (value) => (value == null ? null : convertEnergy(value));
+    return (data?.sessions ?? []).map((session, index) => ({
+      ...session,
+      kilogram: convertWeight(session.kilogram),
+      calories: convertEnergy(session.calories),
+      movingAverage: toDisplay(analytics.series[index].movingAverage),
+      trend: toDisplay(analytics.series[index].trend),
+      previousKilogram: toDisplay(session.previousKilogram ?? null),
+      previousCalories: toDisplayEnergy(session.previousCalories),
+    }));
+  }, [data, analytics, convertWeight, convertEnergy]);
 
-  if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+  // Les données précédentes restent affichées pendant le chargement d'une autre période
+  if (loading && !data) {
+    return <div className="chart-loading">{t('common.loading')}</div>;
   }
-  if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+  // Une actualisation en échec conserve le graphique affiché
+  if (error && !data) {
+    return <ChartError error={error} onRetry={refetch} />;
   }
   if (!data || !data.sessions) {
-    return <div className="chart-empty">Aucune donnée</div>;
+    return <div className="chart-empty">{t('common.noData')}</div>;
   }
 
-  // Calcul dynamique du domaine et des ticks pour le poids
-  const weights = data.sessions.map((s) => s.kilogram);
+  const hasSessions = displaySessions.length > 0;
+  // Période précédente chargée (l'ancienne donnée reste affichée pendant un changement de mode)
+  const showPrevious = compare && Boolean(data.previousRange);
+
+  // Calcul dynamique du domaine et des ticks pour le poids (unité d'affichage)
+  const weights = hasSessions ? displaySessions.map((s) => s.kilogram) : [0];
+  if (showPrevious) {
+    // Barres estompées de la période précédente sur le même axe
+    displaySessions.forEach((s) => {
+      if (s.previousKilogram) weights.push(s.previousKilogram);
+    });
+  }
+  if (showTrend) {
+    // La droite de régression peut dépasser les barres aux extrémités
+    displaySessions.forEach((s) => {
+      if (s.trend !== null) weights.push(s.trend);
+    });
+  }
   const min = Math.min(...weights);
   const max = Math.max(...weights);
   // On force 1 unité de marge en bas/haut
   const domainMin = min - 1;
   const domainMax = max + 1;
   // Générer un nombre de ticks adapté à l'écart du poids (entre 3 et 7)
-  const range = domainMax - domainMin;
+  const weightRange = domainMax - domainMin;
   let tickStep = 1;
-  if (range > 6) tickStep = 2;
-  if (range > 14) tickStep = 5;
+  if (weightRange > 6) tickStep = 2;
+  if (weightRange > 14) tickStep = 5;
+  // Écarts plus larges en livres ou sur un mois
+  if (weightRange > 35) tickStep = 10;
   // Calcul du premier tick arrondi au multiple inférieur
   const firstTick = Math.floor(domainMin / tickStep) * tickStep;
   // Calcul du dernier tick arrondi au multiple supérieur
@@ -81,6 +188,53 @@ const ActivityChart = ({ userId = 12 }) => {
     ticks.push(t);
   }
 
+  // Poids signé dans l'unité préférée (variation, rythme)
+  const formatWeightDelta = (kilograms) =>
+    t(`units.${weightUnit}`, {
+      value: formatNumber(convertWeight(kilograms), { signDisplay: 'exceptZero' }),
+    });
+
+  // Résumé textuel de la tendance, affiché sous le graphique
+  // (identifiant stable par ligne : deux textes peuvent être identiques)
+  const getTrendSummary = () => {
+    const { netChange, weeklyRate, projection } = analytics;
+    if (weeklyRate === null) {
+      return [{ id: 'insufficient', text: t('charts.activity.analytics.insufficient') }];
+    }
+
+    const lines = [
+      {
+        id: 'netChange',
+        text: t('charts.activity.analytics.netChange', {
+          change: formatWeightDelta(netChange.change),
+          count: netChange.days,
+        }),
+      },
+      {
+        id: 'rate',
+        text: t('charts.activity.analytics.rate', { rate: formatWeightDelta(weeklyRate) }),
+      },
+    ];
+    if (!projection) {
+      lines.push({ id: 'projection', text: t('charts.activity.analytics.noTarget') });
+    } else {
+      lines.push({
+        id: 'projection',
+        text: t(`charts.activity.analytics.projection.${projection.status}`, {
+          target: formatWeight(projection.target),
+          date: projection.day
+            ? parseISODate(projection.day).toLocaleDateString(intlLocale, {
+              day: 'numeric',
+              month: 'long',
+              year: 'numeric',
+            })
+            : '',
+        }),
+      });
+    }
+    return lines;
+  };
+
   // Fonction pour personnaliser les lignes de grille
   const CustomGridLine = (props) => {
     const { y1, y2, x1, x2 } = props;
@@ -132,80 +286,196 @@ const ActivityChart = ({ userId = 12 }) => {
   };
 
   return (
-    <div className="activity-chart">
+    <div className="activity-chart" ref={cardRef}>
       <div className="chart-header">
-        <h3 className="chart-title">Activité quotidienne</h3>
+        <h3 className="chart-title" data-export="text">
+          {t('charts.activity.title')}
+          <ChartFilterLabel
+            activityType={data.activityType}
+            isEmpty={data.sessions.every((session) => session.calories === 0)}
+          />
+          <ChartComparisonLabel
+            compare={compare && !loading}
+            available={showPrevious}
+            label={
+              showPrevious &&
+              t('charts.comparison.versus', {
+                range: formatRangeLabel(data.previousRange, intlLocale),
+              })
+            }
+          />
+        </h3>
+        <ActivityRangeControls
+          range={range}
+          loadedRange={loadedRange}
+          onChange={setRange}
+          disabled={loading}
+        />
+        <div className="chart-export chart-export--inline">
+          <ExportMenu
+            userId={userId}
+            datasets={['activity']}
+            activityType={activityType}
+            range={range}
+            compact
+          />
+          <ChartImageMenu targetRef={cardRef} userId={userId} chart="activity" />
+        </div>
+        <button
+          type="button"
+          className={
+            showTrend
+              ? 'activity-trend__toggle activity-trend__toggle--active'
+              : 'activity-trend__toggle'
+          }
+          aria-pressed={showTrend}
+          onClick={() => setShowTrend(!showTrend)}
+        >
+          {t('charts.activity.analytics.toggle')}
+        </button>
         <div className="chart-legend">
           <div className="legend-item">
-            <span className="legend-dot legend-dot--weight"></span>
-            <span>Poids (kg)</span>
+            <span className="legend-dot legend-dot--weight" data-export="overlay"></span>
+            <span data-export="text">{t('charts.activity.weight', { unit: weightSymbol })}</span>
           </div>
           <div className="legend-item">
-            <span className="legend-dot legend-dot--calories"></span>
-            <span>Calories brûlées (kCal)</span>
+            <span className="legend-dot legend-dot--calories" data-export="overlay"></span>
+            <span data-export="text">{t('charts.activity.calories', { unit: energySymbol })}</span>
           </div>
+          {showPrevious && (
+            <div className="legend-item">
+              <span className="legend-dot legend-dot--previous" data-export="overlay"></span>
+              <span data-export="text">{t('charts.comparison.previous')}</span>
+            </div>
+          )}
+          {showTrend && (
+            <>
+              <div className="legend-item">
+                <span className="legend-dot legend-dot--average" data-export="overlay"></span>
+                <span data-export="text">{t('charts.activity.analytics.movingAverage')}</span>
+              </div>
+              <div className="legend-item">
+                <span className="legend-dot legend-dot--trend" data-export="overlay"></span>
+                <span data-export="text">{t('charts.activity.analytics.trend')}</span>
+              </div>
+            </>
+          )}
         </div>
       </div>
 
-      <ResponsiveContainer width="100%" height="85%">
-        <ComposedChart
-          data={data.sessions}
-          margin={{
-            top: 10,
-            right: 20,
-            left: 10,
-            bottom: 5,
-          }}
-        >
-          <YAxis
-            yAxisId="weight"
-            orientation="right"
-            domain={[domainMin, domainMax]}
-            axisLine={false}
-            tickLine={false}
-            className="activity-y-axis-weight"
-            ticks={ticks}
-            type="number"
-            allowDecimals={false}
-          />
-          <CartesianGrid
-            horizontal={CustomGridLine}
-            vertical={false}
-            syncWithTicks={true}
-            yAxisId="weight"
-          />
-          <XAxis
-            dataKey="displayDay"
-            axisLine={false}
-            tickLine={false}
-            className="activity-x-axis"
-          />
-          <YAxis
-            yAxisId="calories"
-            orientation="left"
-            domain={['dataMin - 10', 'dataMax + 10']}
-            hide
-          />
-          <Tooltip
-            content={<ActivityTooltip />}
-            cursor={<CustomCursor />}
-          />
-          <Bar
-            yAxisId="weight"
-            dataKey="kilogram"
-            className="activity-bar-weight"
-            radius={[3, 3, 0, 0]}
-            barSize={7}
-          />
-          <Bar
-            yAxisId="calories"
-            dataKey="calories"
-            className="activity-bar-calories"
-            radius={[3, 3, 0, 0]}
-            barSize={7}
-          />
-        </ComposedChart>
-      </ResponsiveContainer>
+      {!hasSessions && (
+        <div className="chart-empty">{t('charts.activity.emptyRange')}</div>
+      )}
+      {hasSessions && (
+        <ResponsiveContainer width="100%" height={showTrend ? '72%' : '85%'}>
+          <ComposedChart
+            data={displaySessions}
+            margin={{
+              top: 10,
+              right: 20,
+              left: 10,
+              bottom: 5,
+            }}
+          >
+            <YAxis
+              yAxisId="weight"
+              orientation="right"
+              domain={[domainMin, domainMax]}
+              axisLine={false}
+              tickLine={false}
+              className="activity-y-axis-weight"
+              ticks={ticks}
+              type="number"
+              allowDecimals={false}
+            />
+            <CartesianGrid
+              horizontal={CustomGridLine}
+              vertical={false}
+              syncWithTicks={true}
+              yAxisId="weight"
+            />
+            <XAxis
+              dataKey="displayDay"
+              axisLine={false}
+              tickLine={false}
+              className="activity-x-axis"
+            />
+            <YAxis
+              yAxisId="calories"
+              orientation="left"
+              domain={['dataMin - 10', 'dataMax + 10']}
+              hide
+            />
+            <Tooltip
+              content={<ActivityTooltip />}
+              cursor={<CustomCursor />}
+            />
+            {showPrevious && (
+              <Bar
+                yAxisId="weight"
+                dataKey="previousKilogram"
+                className="activity-bar-weight activity-bar--previous"
+                radius={[3, 3, 0, 0]}
+                barSize={7}
+              />
+            )}
+            <Bar
+              yAxisId="weight"
+              dataKey="kilogram"
+              className="activity-bar-weight"
+              radius={[3, 3, 0, 0]}
+              barSize={7}
+            />
+            {showPrevious && (
+              <Bar
+                yAxisId="calories"
+                dataKey="previousCalories"
+                className="activity-bar-calories activity-bar--previous"
+                radius={[3, 3, 0, 0]}
+                barSize={7}
+              />
+            )}
+            <Bar
+              yAxisId="calories"
+              dataKey="calories"
+              className="activity-bar-calories"
+              radius={[3, 3, 0, 0]}
+              barSize={7}
+            />
+            {showTrend && (
+              <Line
+                yAxisId="weight"
+                type="monotone"
+                dataKey="movingAverage"
+                stroke="#282d30"
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            )}
+            {showTrend && (
+              <Line
+                yAxisId="weight"
+                type="linear"
+                dataKey="trend"
+                stroke="#74798c"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                dot={false}
+                isAnimationActive={false}
+              />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+      {hasSessions && showTrend && (
+        <ul className="activity-trend__summary" aria-label={t('charts.activity.analytics.summary')}>
+          {getTrendSummary().map((line) => (
+            <li key={line.id} data-export="text">{line.text}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
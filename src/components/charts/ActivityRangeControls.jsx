@@ -0,0 +1,129 @@
+/**
+ * Sélecteur de période du graphique d'activité SportSee
+ *
+ * Propose la fenêtre par défaut de la source (derniers jours), une semaine,
+ * un mois ou une période personnalisée, avec navigation période
+ * précédente / suivante.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {DateRange|null} props.range - Période sélectionnée (null = fenêtre par défaut)
+ * @param {DateRange|null} props.loadedRange - Première et dernière dates des données affichées,
+ * utilisées comme référence pour la fenêtre par défaut
+ * @param {Function} props.onChange - Appelée avec la nouvelle période (ou null)
+ * @param {boolean} [props.disabled=false] - Désactive les contrôles (chargement en cours)
+ * @returns {JSX.Element} Contrôles de période
+ *
+ * @example
+ * const [range, setRange] = useState(null);
+ * <ActivityRangeControls range={range} loadedRange={bounds} onChange={setRange} />
+ *
+ * @requires ../../services/data/dateRange.js
+ */
+import {
+  RANGE_PRESETS,
+  formatRangeLabel,
+  getPresetRange,
+  shiftRange,
+  toISODate,
+} from '../../services/data/dateRange.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import './charts.css';
+
+/**
+ * Valeur du sélecteur pour la fenêtre par défaut de la source
+ * @type {string}
+ * @private
+ */
+const LATEST = 'latest';
+
+const ActivityRangeControls = ({ range, loadedRange, onChange, disabled = false }) => {
+  const { t, intlLocale } = useTranslation();
+
+  // Sans période choisie, la référence est la fenêtre actuellement affichée
+  const today = toISODate(new Date());
+  const reference = range ?? {
+    preset: 'custom',
+    from: loadedRange?.from ?? today,
+    to: loadedRange?.to ?? today,
+  };
+
+  const handlePresetChange = (event) => {
+    const preset = event.target.value;
+    if (preset === LATEST) {
+      onChange(null);
+    } else if (preset === 'custom') {
+      onChange({ ...reference, preset });
+    } else {
+      onChange(getPresetRange(preset, reference.to));
+    }
+  };
+
+  const handleBoundChange = (bound) => (event) => {
+    const next = { ...reference, preset: 'custom', [bound]: event.target.value };
+    if (next.from && next.to && next.from <= next.to) {
+      onChange(next);
+    }
+  };
+
+  return (
+    <div className='activity-range'>
+      <select
+        className='activity-range__preset'
+        value={range?.preset ?? LATEST}
+        onChange={handlePresetChange}
+        disabled={disabled}
+        aria-label={t('charts.range.label')}
+      >
+        <option value={LATEST}>{t('charts.range.latest')}</option>
+        {RANGE_PRESETS.map((preset) => (
+          <option key={preset} value={preset}>{t(`charts.range.${preset}`)}</option>
+        ))}
+      </select>
+      <button
+        type='button'
+        className='activity-range__nav'
+        onClick={() => onChange(shiftRange(reference, -1))}
+        disabled={disabled}
+        aria-label={t('charts.range.previous')}
+      >
+        ‹
+      </button>
+      {range?.preset === 'custom' ? (
+        <span className='activity-range__custom'>
+          <input
+            type='date'
+            className='activity-range__date'
+            value={range.from}
+            max={range.to}
+            onChange={handleBoundChange('from')}
+            disabled={disabled}
+            aria-label={t('charts.range.from')}
+          />
+          <input
+            type='date'
+            className='activity-range__date'
+            value={range.to}
+            min={range.from}
+            onChange={handleBoundChange('to')}
+            disabled={disabled}
+            aria-label={t('charts.range.to')}
+          />
+        </span>
+      ) : (
+        <span className='activity-range__label'>{formatRangeLabel(reference, intlLocale)}</span>
+      )}
+      <button
+        type='button'
+        className='activity-range__nav'
+        onClick={() => onChange(shiftRange(reference, 1))}
+        disabled={disabled}
+        aria-label={t('charts.range.next')}
+      >
+        ›
+      </button>
+    </div>
+  );
+};
+
+export default ActivityRangeControls;
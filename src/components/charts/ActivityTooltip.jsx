@@ -2,7 +2,8 @@
  * Composant Tooltip personnalisé pour le graphique d'activité
  *
  * Affiche les valeurs de poids et calories au survol des barres du graphique d'activité.
- * Formate les données avec les unités appropriées (kg, kCal).
+ * Formate les données avec les unités appropriées (kg, kCal). En mode comparaison,
+ * les valeurs de la période précédente suivent, estompées.
  *
  * @component
  * @param {Object} props - Propriétés du tooltip
@@ -25,21 +26,38 @@
  * //   { dataKey: 'calories', value: 300 }
  * // ]
  */
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import { useUnits } from '../../services/hooks/useUnits.js';
 import './charts.css';
 
 const ActivityTooltip = ({ active, payload }) => {
+  const { t, formatUnit } = useTranslation();
+  // Les valeurs reçues sont déjà converties par ActivityChart
+  const { weightUnit, energyUnit } = useUnits();
+
   if (active && payload && payload.length) {
     // On suppose que payload contient les deux valeurs : kilogram et calories
     const poids = payload.find((entry) => entry.dataKey === 'kilogram');
     const calories = payload.find((entry) => entry.dataKey === 'calories');
+    const previousPoids = payload.find((entry) => entry.dataKey === 'previousKilogram');
+    const previousCalories = payload.find((entry) => entry.dataKey === 'previousCalories');
+    // Valeur de la période précédente (absente si ce jour n'a pas de session)
+    const renderPrevious = (entry, unit) =>
+      entry && entry.value !== null && (
+        <p className="activity-tooltip-value activity-tooltip-value--previous">
+          {t('charts.comparison.previousValue', { value: formatUnit(unit, entry.value) })}
+        </p>
+      );
     return (
       <div className="activity-tooltip">
         {poids && (
-          <p className="activity-tooltip-value">{poids.value}kg</p>
+          <p className="activity-tooltip-value">{formatUnit(weightUnit, poids.value)}</p>
         )}
         {calories && (
-          <p className="activity-tooltip-value">{calories.value}kCal</p>
+          <p className="activity-tooltip-value">{formatUnit(energyUnit, calories.value)}</p>
         )}
+        {renderPrevious(previousPoids, weightUnit)}
+        {renderPrevious(previousCalories, energyUnit)}
       </div>
     );
   }
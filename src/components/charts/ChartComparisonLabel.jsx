@@ -0,0 +1,34 @@
+/**
+ * Libellé de la période comparée affiché sous le titre d'un graphique
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {boolean} props.compare - Mode comparaison actif (rien n'est affiché sinon)
+ * @param {boolean} props.available - true si la source a fourni la période précédente
+ * @param {string} props.label - Période comparée (ex: "Comparée à : 24 – 30 juin 2020")
+ * @returns {JSX.Element|null} Libellé de la comparaison
+ *
+ * @example
+ * <h3 className="chart-title">
+ *   Durée moyenne des sessions
+ *   <ChartComparisonLabel compare available label="Semaine précédente" />
+ * </h3>
+ */
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import './charts.css';
+
+const ChartComparisonLabel = ({ compare, available, label }) => {
+  const { t } = useTranslation();
+
+  if (!compare) {
+    return null;
+  }
+
+  return (
+    <span className="chart-comparison">
+      {available ? label : t('charts.comparison.unavailable')}
+    </span>
+  );
+};
+
+export default ChartComparisonLabel;
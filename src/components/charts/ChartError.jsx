@@ -0,0 +1,96 @@
+/**
+ * Composant d'état d'erreur commun aux graphiques SportSee
+ *
+ * Affiche un message et une action adaptés au type d'erreur renvoyé par
+ * DataService : utilisateur inconnu, backend injoignable, délai dépassé,
+ * erreur serveur ou données malformées. Le nombre de tentatives est
+ * indiqué lorsque la requête a été relancée ; pour une réponse non conforme
+ * (SchemaError), la première anomalie et leur nombre sont affichés.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {DataServiceError} props.error - Erreur typée retournée par le hook
+ * @param {Function} [props.onRetry] - Relance la récupération (refetch du hook)
+ * @returns {JSX.Element} Bloc d'erreur du graphique
+ *
+ * @example
+ * const { data, loading, error, refetch } = useActivityChart(userId);
+ * if (error) return <ChartError error={error} onRetry={refetch} />;
+ */
+import { Link } from 'react-router-dom';
+import { DataService } from '../../services/api/DataService.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import './charts.css';
+
+/**
+ * Types d'erreur disposant d'un message traduit (DataServiceError.type)
+ * @type {string[]}
+ * @private
+ * @description Libellés dans le catalogue i18n `charts.errors`
+ */
+const KNOWN_ERROR_TYPES = ['not-found', 'network', 'timeout', 'server', 'schema'];
+
+const ChartError = ({ error, onRetry }) => {
+  const { t, formatIssue } = useTranslation();
+  const message = KNOWN_ERROR_TYPES.includes(error?.type)
+    ? t(`charts.errors.${error.type}`)
+    : error?.message ?? t('charts.errors.unknown');
+  const attempts = error?.attempts ?? 1;
+  const issues = error?.issues ?? [];
+
+  const renderAction = () => {
+    switch (error?.type) {
+      case 'not-found':
+        return (
+          <Link className="chart-error__action" to="/">
+            {t('charts.errors.otherProfile')}
+          </Link>
+        );
+      case 'schema':
+        if (DataService.getSchemaMode() === DataService.SCHEMA_MODES.STRICT) {
+          return (
+            <button
+              type="button"
+              className="chart-error__action"
+              onClick={() => DataService.setSchemaMode(DataService.SCHEMA_MODES.LENIENT)}
+            >
+              {t('charts.errors.showAnyway')}
+            </button>
+          );
+        }
+        return DataService.isMockMode() ? null : (
+          <button
+            type="button"
+            className="chart-error__action"
+            onClick={() => DataService.setDataSource(DataService.DATA_SOURCES.MOCK)}
+          >
+            {t('common.useDemoData')}
+          </button>
+        );
+      default:
+        return onRetry ? (
+          <button type="button" className="chart-error__action" onClick={onRetry}>
+            {t('common.retry')}
+          </button>
+        ) : null;
+    }
+  };
+
+  return (
+    <div className="chart-error" role="alert" data-error-type={error?.type}>
+      <p className="chart-error__message">{message}</p>
+      {issues.length > 0 && (
+        <p className="chart-error__detail">
+          {formatIssue(issues[0])}
+          {issues.length > 1 && t('charts.errors.moreIssues', { count: issues.length - 1 })}
+        </p>
+      )}
+      {attempts > 1 && (
+        <p className="chart-error__attempts">{t('charts.errors.attempts', { count: attempts })}</p>
+      )}
+      {renderAction()}
+    </div>
+  );
+};
+
+export default ChartError;
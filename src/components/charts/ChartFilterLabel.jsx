@@ -0,0 +1,34 @@
+/**
+ * Libellé du sport filtré affiché sous le titre d'un graphique
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {string|null} props.activityType - Sport filtré (rien n'est affiché si null)
+ * @param {boolean} [props.isEmpty=false] - true si aucune séance de ce sport sur la période
+ * @returns {JSX.Element|null} Libellé du filtre
+ *
+ * @example
+ * <h3 className="chart-title">
+ *   Activité quotidienne
+ *   <ChartFilterLabel activityType="swimming" />
+ * </h3>
+ */
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import './charts.css';
+
+const ChartFilterLabel = ({ activityType, isEmpty = false }) => {
+  const { t } = useTranslation();
+
+  if (!activityType) {
+    return null;
+  }
+
+  return (
+    <span className="chart-filter">
+      {t(`activities.${activityType}`)}
+      {isEmpty && t('charts.filterEmpty')}
+    </span>
+  );
+};
+
+export default ChartFilterLabel;
@@ -0,0 +1,40 @@
+/**
+ * Légende des séries d'un graphique multi-utilisateurs
+ *
+ * Associe à chaque série (un utilisateur) sa couleur et son libellé.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {SeriesDescriptor[]} props.series - Séries affichées (SeriesTransformer.describe)
+ * @param {string[]} props.colors - Couleurs des séries, dans le même ordre
+ * @returns {JSX.Element|null} Légende des séries, ou null sans série
+ *
+ * @example
+ * <ChartSeriesLegend
+ *   series={[{ key: 'user12', userId: 12, name: 'Karl' }]}
+ *   colors={['#FFFFFF']}
+ * />
+ */
+import './charts.css';
+
+const ChartSeriesLegend = ({ series, colors }) => {
+  if (!series?.length) {
+    return null;
+  }
+
+  return (
+    <span className="chart-series">
+      {series.map(({ key, name }, index) => (
+        <span key={key} className="chart-series__item">
+          <span
+            className="legend-dot"
+            style={{ backgroundColor: colors[index % colors.length] }}
+          />
+          {name}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default ChartSeriesLegend;
@@ -0,0 +1,176 @@
+/**
+ * Composant graphique de répartition nutritionnelle SportSee
+ *
+ * Affiche la part des calories apportée par les protéines, les glucides et
+ * les lipides (4, 4 et 9 kCal par gramme) sous forme d'anneau, puis compare
+ * chaque part à la fourchette recommandée pour la tranche d'âge de
+ * l'utilisateur. Un macronutriment peut être mis en avant (`focus`) ; les
+ * autres secteurs de l'anneau sont alors estompés.
+ * Les données clés s'exportent en CSV ou JSON, et la carte en image SVG ou PNG.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} [props.userId=18] - ID de l'utilisateur
+ * @param {string|null} [props.focus=null] - Macronutriment mis en avant ('protein', 'carbohydrate', 'lipid')
+ * @param {Function} [props.onSelect] - Appelée avec la clé du macronutriment cliqué
+ * @returns {JSX.Element} Anneau de répartition ou état de chargement/erreur
+ *
+ * @example
+ * <NutritionChart userId={12} focus="lipid" />
+ *
+ * @requires recharts
+ * @requires ../../services/hooks/chartHooks.js
+ * @uses {ChartHookState<NutritionBreakdown>} useNutritionChart
+ */
+import { useRef } from 'react';
+import { ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { useNutritionChart } from '../../services/hooks/chartHooks.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import { useUnits } from '../../services/hooks/useUnits.js';
+import ChartError from './ChartError.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
+import './charts.css';
+
+/**
+ * Couleur de chaque macronutriment, reprise des icônes des données clés
+ * @type {Object<string, string>}
+ * @private
+ */
+const MACRO_COLORS = {
+  protein: '#4ab8ff',
+  carbohydrate: '#fdcc0c',
+  lipid: '#fd5181'
+};
+
+const NutritionChart = ({ userId = 18, focus = null, onSelect }) => {
+  const { data, loading, error, refetch } = useNutritionChart(userId);
+  const { t, formatUnit } = useTranslation();
+  const { formatEnergy } = useUnits();
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
+
+  if (loading) {
+    return <div className="chart-loading">{t('common.loading')}</div>;
+  }
+
+  if (error) {
+    return <ChartError error={error} onRetry={refetch} />;
+  }
+
+  if (!data) {
+    return <div className="chart-empty">{t('common.noData')}</div>;
+  }
+
+  const renderLabel = (macro) => (
+    <>
+      <span className={`legend-dot legend-dot--${macro.key}`} data-export="overlay"></span>
+      <span className="nutrition-chart__name" data-export="text">{t(`keyData.${macro.field}`)}</span>
+    </>
+  );
+
+  return (
+    <div className="nutrition-chart" ref={cardRef}>
+      <div className="chart-header">
+        <h3 className="chart-title" data-export="text">{t('charts.nutrition.title')}</h3>
+        <div className="chart-export chart-export--inline">
+          <ExportMenu userId={userId} datasets={['nutrition']} compact />
+          <ChartImageMenu targetRef={cardRef} userId={userId} chart="nutrition" />
+        </div>
+      </div>
+
+      {data.macroCalories === 0 && (
+        <div className="chart-empty">{t('charts.nutrition.empty')}</div>
+      )}
+      {data.macroCalories > 0 && (
+        <div className="nutrition-chart__body">
+          <div className="nutrition-chart__donut">
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={data.macros}
+                  cx="50%"
+                  cy="50%"
+                  startAngle={90}
+                  endAngle={450}
+                  innerRadius="62%"
+                  outerRadius="85%"
+                  dataKey="calories"
+                  nameKey="key"
+                  paddingAngle={2}
+                  isAnimationActive={false}
+                >
+                  {data.macros.map((macro) => (
+                    <Cell
+                      key={macro.key}
+                      fill={MACRO_COLORS[macro.key]}
+                      fillOpacity={focus && focus !== macro.key ? 0.3 : 1}
+                    />
+                  ))}
+                </Pie>
+              </PieChart>
+            </ResponsiveContainer>
+            <div className="nutrition-chart__total">
+              <span className="nutrition-chart__total-value" data-export="text">
+                {formatEnergy(data.macroCalories)}
+              </span>
+              <span className="nutrition-chart__total-label" data-export="text">
+                {t('charts.nutrition.fromMacros')}
+              </span>
+            </div>
+          </div>
+
+          <ul className="nutrition-chart__list" aria-label={t('charts.nutrition.comparison')}>
+            {data.macros.map((macro) => (
+              <li
+                key={macro.key}
+                className={
+                  macro.key === focus
+                    ? 'nutrition-chart__item nutrition-chart__item--focused'
+                    : 'nutrition-chart__item'
+                }
+              >
+                {onSelect ? (
+                  <button
+                    type="button"
+                    className="nutrition-chart__label nutrition-chart__label--button"
+                    aria-pressed={macro.key === focus}
+                    onClick={() => onSelect(macro.key)}
+                  >
+                    {renderLabel(macro)}
+                  </button>
+                ) : (
+                  <span className="nutrition-chart__label">{renderLabel(macro)}</span>
+                )}
+                <span className="nutrition-chart__share" data-export="text">
+                  {formatUnit('percent', macro.share)}
+                </span>
+                <span className="nutrition-chart__detail" data-export="text">
+                  {t('charts.nutrition.amount', {
+                    grams: formatUnit('gram', macro.grams),
+                    energy: formatEnergy(macro.calories)
+                  })}
+                </span>
+                <span
+                  className={`nutrition-chart__status nutrition-chart__status--${macro.status}`}
+                  data-export="text"
+                >
+                  {t(`charts.nutrition.status.${macro.status}`)}
+                </span>
+                <span className="nutrition-chart__range" data-export="text">
+                  {t('charts.nutrition.range', { min: macro.min, max: macro.max })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <p className="nutrition-chart__note" data-export="text">
+        {t('charts.nutrition.ageGroup', { group: t(`charts.nutrition.groups.${data.ageGroup}`) })}
+      </p>
+    </div>
+  );
+};
+
+export default NutritionChart;
@@ -4,10 +4,17 @@
  * Affiche un graphique radar des performances sportives de l'utilisateur
  * avec les catégories : Cardio, Énergie, Endurance, Force, Vitesse, Intensité.
  * Utilise les données formatées par le hook usePerformanceChart.
+ * Les valeurs par catégorie s'exportent en CSV ou JSON, et le radar en image
+ * SVG ou PNG. En mode comparaison, un second polygone en pointillés trace la
+ * semaine précédente. Avec plusieurs utilisateurs (userIds), leurs radars se
+ * superposent, chacun dans sa couleur.
  *
  * @component
  * @param {Object} props - Propriétés du composant
  * @param {number} [props.userId=18] - ID de l'utilisateur pour lequel afficher les performances
+ * @param {boolean} [props.compare=false] - Superpose la semaine précédente
+ * @param {number[]|null} [props.userIds=null] - Utilisateurs comparés : un radar par
+ * utilisateur, avec légende (remplace userId ; sans mode comparaison ni export de données)
  * @returns {JSX.Element} Graphique radar de performance ou état de chargement/erreur
  *
  * @example
@@ -19,6 +26,10 @@
  * <PerformanceChart userId={12} />
  *
  * @example
+ * // Radars de deux utilisateurs superposés
+ * <PerformanceChart userIds={[12, 18]} />
+ *
+ * @example
  * // Intégration dans un dashboard
  * function UserDashboard({ userId }) {
  *   return (
@@ -33,7 +44,7 @@
  * @requires ../../services/chartHooks.js
  * @uses {ChartHookState<FormattedPerformanceData[]>} usePerformanceChart
  */
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   ResponsiveContainer,
   RadarChart,
@@ -43,36 +54,86 @@ import {
   Radar
 } from 'recharts';
 import { usePerformanceChart } from '../../services/hooks/chartHooks.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import ChartError from './ChartError.jsx';
+import ChartComparisonLabel from './ChartComparisonLabel.jsx';
+import ChartSeriesLegend from './ChartSeriesLegend.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
 import './charts.css';
 
-const PerformanceChart = ({ userId = 18 }) => {
-  const { data, loading, error } = usePerformanceChart(userId);
+/**
+ * Couleurs des radars en mode multi-séries, lisibles sur le fond sombre
+ * @type {string[]}
+ * @private
+ */
+const SERIES_COLORS = ['#FF0101', '#FFFFFF', '#FDCC0C', '#4AB8FF'];
+
+const PerformanceChart = ({ userId = 18, compare = false, userIds = null }) => {
+  const isSeries = Array.isArray(userIds) && userIds.length > 0;
+  const { data, loading, error, refetch } = usePerformanceChart(isSeries ? userIds : userId, {
+    compare: compare && !isSeries
+  });
+  const { t } = useTranslation();
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('common.loading')}</div>;
   }
 
-  if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+  // Une actualisation en échec conserve le graphique affiché
+  if (error && !data) {
+    return <ChartError error={error} onRetry={refetch} />;
   }
 
-  if (!data || !data.length) {
-    return <div className="chart-empty">Aucune donnée disponible</div>;
+  // Catégories du radar (fusionnées par utilisateur en mode multi-séries)
+  const axes = isSeries ? data?.axes : data;
+
+  if (!axes || !axes.length) {
+    return <div className="chart-empty">{t('common.noDataAvailable')}</div>;
   }
 
+  // Semaine précédente fournie par la source
+  const hasPrevious = compare && !isSeries && axes.some((axis) => axis.previousValue != null);
+
   return (
-    <div className="performance-chart" style={{
+    <div className="performance-chart" ref={cardRef} style={{
       overflow: 'visible',
       padding: '10px' // Espace supplémentaire pour les labels
     }}>
+      <div className="chart-export">
+        {!isSeries && <ExportMenu userId={userId} datasets={['performance']} compact dark />}
+        <ChartImageMenu
+          targetRef={cardRef}
+          userId={isSeries ? userIds.join('-') : userId}
+          chart="performance"
+          dark
+        />
+      </div>
+      {isSeries && (
+        <p className="performance-chart__series" data-export="text">
+          <ChartSeriesLegend series={data.series} colors={SERIES_COLORS} />
+        </p>
+      )}
+      {compare && !isSeries && (
+        <p className="performance-chart__comparison" data-export="text">
+          <ChartComparisonLabel
+            compare
+            available={hasPrevious}
+            label={t('charts.comparison.previousWeek')}
+          />
+        </p>
+      )}
       <ResponsiveContainer width="100%" height="100%">
         <RadarChart
-          data={data}
+          data={axes}
           margin={{ top: 20, right: 25, bottom: 20, left: 25 }}
         >
           <PolarGrid />
           <PolarAngleAxis
             dataKey="subject"
+            tickFormatter={(kind) => t(`performance.${kind}`)}
             tick={{
               fill: 'white',
               fontSize: 12,
@@ -86,14 +147,40 @@ const PerformanceChart = ({ userId = 18 }) => {
             tick={false}
             axisLine={false}
           />
-          <Radar
-            name="Performance"
-            dataKey="value"
-            stroke="#FF0101"
-            fill="#FF0101"
-            fillOpacity={0.7}
-            activeDot={false}
-          />
+          {isSeries ? data.series.map((series, index) => (
+            <Radar
+              key={series.key}
+              name={series.name}
+              dataKey={series.key}
+              stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+              strokeWidth={2}
+              fill={SERIES_COLORS[index % SERIES_COLORS.length]}
+              fillOpacity={0.3}
+              activeDot={false}
+            />
+          )) : (
+            <Radar
+              name={t('performance.name')}
+              dataKey="value"
+              stroke="#FF0101"
+              fill="#FF0101"
+              fillOpacity={0.7}
+              activeDot={false}
+            />
+          )}
+          {hasPrevious && (
+            <Radar
+              name={t('charts.comparison.previousWeek')}
+              dataKey="previousValue"
+              className="performance-radar--previous"
+              stroke="#FFFFFF"
+              strokeWidth={2}
+              strokeDasharray="4 3"
+              fill="transparent"
+              fillOpacity={0}
+              activeDot={false}
+            />
+          )}
         </RadarChart>
       </ResponsiveContainer>
     </div>
@@ -4,10 +4,16 @@
  * Affiche le pourcentage de réalisation de l'objectif quotidien sous forme
  * de graphique en secteurs (doughnut chart) avec texte central.
  * Utilise todayScore ou score depuis les données utilisateur.
+ * Sous l'anneau, l'écart avec la veille et avec la semaine dernière est
+ * calculé depuis l'historique du score (masqué si la source ne le fournit pas).
+ * En mode comparaison, un anneau intérieur affiche le score du même jour de
+ * la semaine précédente, lu dans cet historique.
+ * Le score s'exporte en CSV ou JSON, et l'anneau en image SVG ou PNG.
  *
  * @component
  * @param {Object} props - Propriétés du composant
  * @param {number} [props.userId=18] - ID de l'utilisateur pour lequel afficher le score
+ * @param {boolean} [props.compare=false] - Ajoute l'anneau de la semaine précédente
  * @returns {JSX.Element} Graphique circulaire de score ou état de chargement/erreur
  *
  * @example
@@ -31,30 +37,65 @@
  * @requires recharts
  * @requires ../../services/chartHooks.js
  * @uses {ChartHookState<FormattedScoreData>} useScoreChart
+ * @uses {ChartHookState<ScoreDeltas>} useScoreDeltas
  */
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   ResponsiveContainer,
   PieChart,
   Pie,
   Cell
 } from 'recharts';
-import { useScoreChart } from '../../services/hooks/chartHooks.js';
+import { useScoreChart, useScoreDeltas } from '../../services/hooks/chartHooks.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import ChartError from './ChartError.jsx';
+import ChartComparisonLabel from './ChartComparisonLabel.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
 import './charts.css';
 
-const ScoreChart = ({ userId = 18 }) => {
-  const { data, loading, error } = useScoreChart(userId);
+/**
+ * Écarts affichés sous l'anneau, clés de ScoreDeltas et libellés associés
+ * @type {Array<{key: string, label: string}>}
+ * @private
+ */
+const DELTA_ITEMS = [
+  { key: 'yesterday', label: 'charts.score.vsYesterday' },
+  { key: 'lastWeek', label: 'charts.score.vsLastWeek' }
+];
+
+/**
+ * Sens d'un écart de score, utilisé pour sa couleur
+ *
+ * @private
+ * @param {number} delta - Écart en points
+ * @returns {string} "up", "down" ou "flat"
+ */
+const getTrend = (delta) => {
+  if (delta > 0) return 'up';
+  if (delta < 0) return 'down';
+  return 'flat';
+};
+
+const ScoreChart = ({ userId = 18, compare = false }) => {
+  const { data, loading, error, refetch } = useScoreChart(userId, { compare });
+  // Historique facultatif : une erreur masque simplement les écarts
+  const { data: deltas } = useScoreDeltas(userId);
+  const { t, formatUnit, formatNumber } = useTranslation();
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('common.loading')}</div>;
   }
 
-  if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+  // Une actualisation en échec conserve le graphique affiché
+  if (error && !data) {
+    return <ChartError error={error} onRetry={refetch} />;
   }
 
   if (!data) {
-    return <div className="chart-empty">Aucune donnée</div>;
+    return <div className="chart-empty">{t('common.noData')}</div>;
   }
 
   // Récupération du pourcentage transformé
@@ -62,13 +103,33 @@ const ScoreChart = ({ userId = 18 }) => {
 
   // Données pour le graphique en secteurs
   const chartData = [
-    { name: 'Score', value: scorePercentage, fill: '#FF0101' },
-    { name: 'Reste', value: 100 - scorePercentage, fill: 'transparent' }
+    { name: t('charts.score.title'), value: scorePercentage, fill: '#FF0101' },
+    { name: t('charts.score.rest'), value: 100 - scorePercentage, fill: 'transparent' }
+  ];
+
+  // Anneau secondaire : score de J-7 (absent hors comparaison ou sans historique)
+  const previousPercentage = compare ? data.previousPercentage ?? null : null;
+  const previousData = previousPercentage === null ? [] : [
+    { name: t('charts.comparison.previousWeek'), value: previousPercentage, fill: '#9B9EAC' },
+    { name: t('charts.score.rest'), value: 100 - previousPercentage, fill: 'transparent' }
   ];
 
   return (
-    <div className="score-chart">
-      <h3 className="chart-title">Score</h3>
+    <div className="score-chart" ref={cardRef}>
+      <h3 className="chart-title" data-export="text">
+        {t('charts.score.title')}
+        <ChartComparisonLabel
+          compare={compare}
+          available={previousPercentage !== null}
+          label={t('charts.comparison.lastWeekScore', {
+            value: formatUnit('percent', previousPercentage ?? 0)
+          })}
+        />
+      </h3>
+      <div className="chart-export">
+        <ExportMenu userId={userId} datasets={['score']} compact />
+        <ChartImageMenu targetRef={cardRef} userId={userId} chart="score" />
+      </div>
 
       <div className="score-container">
         <ResponsiveContainer width="100%" height="100%">
@@ -89,15 +150,47 @@ const ScoreChart = ({ userId = 18 }) => {
                 <Cell key={`cell-${index}`} fill={entry.fill} />
               ))}
             </Pie>
+            {previousData.length > 0 && (
+              <Pie
+                data={previousData}
+                cx="50%"
+                cy="50%"
+                startAngle={90}
+                endAngle={450}
+                innerRadius="50%"
+                outerRadius="55%"
+                dataKey="value"
+                cornerRadius={10}
+                paddingAngle={0}
+              >
+                {previousData.map((entry, index) => (
+                  <Cell key={`previous-${index}`} fill={entry.fill} />
+                ))}
+              </Pie>
+            )}
           </PieChart>
         </ResponsiveContainer>
 
         <div className="score-content">
-          <div className="score-percentage">{scorePercentage}%</div>
-          <div className="score-label">de votre</div>
-          <div className="score-label">objectif</div>
+          <div className="score-percentage" data-export="text">{formatUnit('percent', scorePercentage)}</div>
+          <div className="score-label" data-export="text">{t('charts.score.of')}</div>
+          <div className="score-label" data-export="text">{t('charts.score.goal')}</div>
         </div>
       </div>
+
+      {deltas && (
+        <ul className="score-deltas" aria-label={t('charts.score.deltas')}>
+          {DELTA_ITEMS.filter(({ key }) => deltas[key] !== null).map(({ key, label }) => (
+            <li
+              key={key}
+              className={`score-delta score-delta--${getTrend(deltas[key])}`}
+              data-export="text"
+            >
+              {t(label, { delta: formatNumber(deltas[key], { signDisplay: 'exceptZero' }) })}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
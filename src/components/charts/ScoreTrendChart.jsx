@@ -0,0 +1,168 @@
+/**
+ * Composant graphique de tendance du score SportSee
+ *
+ * Affiche l'historique du score quotidien sous forme de courbe, par jour ou
+ * par semaine, avec :
+ * - La moyenne glissante (7 jours ou 4 semaines) en pointillés
+ * - La ligne d'objectif (100 % : objectif du jour atteint)
+ * - Un tooltip détaillant le score et la moyenne de la période survolée
+ * L'historique s'exporte en CSV ou JSON, et la carte en image SVG ou PNG.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} [props.userId=18] - ID de l'utilisateur
+ * @returns {JSX.Element} Courbe de tendance ou état de chargement/erreur
+ *
+ * @example
+ * <ScoreTrendChart userId={12} />
+ *
+ * @requires recharts
+ * @requires ../../services/hooks/chartHooks.js
+ * @uses {ChartHookState} useScoreHistoryChart
+ */
+import { useRef, useState } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ReferenceLine,
+  Tooltip
+} from 'recharts';
+import { parseISODate } from '../../services/data/dateRange.js';
+import { useScoreHistoryChart } from '../../services/hooks/chartHooks.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import { ScoreHistoryTransformer } from '../../services/transformers/ChartTransformers.js';
+import ScoreTrendTooltip from './ScoreTrendTooltip.jsx';
+import ChartError from './ChartError.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
+import './charts.css';
+
+/**
+ * Graduations de l'axe des scores (en %)
+ * @type {number[]}
+ * @private
+ */
+const PERCENT_TICKS = [0, 25, 50, 75, 100];
+
+const ScoreTrendChart = ({ userId = 18 }) => {
+  const [granularity, setGranularity] = useState('day');
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
+  const { data, loading, error, refetch } = useScoreHistoryChart(userId, { granularity });
+  const { t, intlLocale, formatUnit } = useTranslation();
+
+  // Le graphique précédent reste affiché pendant le changement de regroupement
+  if (loading && !data) {
+    return <div className="chart-loading">{t('common.loading')}</div>;
+  }
+  // Une actualisation en échec conserve le graphique affiché
+  if (error && !data) {
+    return <ChartError error={error} onRetry={refetch} />;
+  }
+  if (!data) {
+    return <div className="chart-empty">{t('common.noData')}</div>;
+  }
+
+  const formatTick = (day) =>
+    parseISODate(day)?.toLocaleDateString(intlLocale, { day: 'numeric', month: 'short' }) ?? day;
+
+  return (
+    <div className="score-trend-chart" ref={cardRef}>
+      <div className="chart-header">
+        <h3 className="chart-title" data-export="text">{t('charts.scoreTrend.title')}</h3>
+        <div className="score-trend__granularity" role="group" aria-label={t('charts.scoreTrend.granularity')}>
+          {ScoreHistoryTransformer.GRANULARITIES.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={
+                option === granularity
+                  ? 'score-trend__option score-trend__option--active'
+                  : 'score-trend__option'
+              }
+              aria-pressed={option === granularity}
+              onClick={() => setGranularity(option)}
+              disabled={loading}
+            >
+              {t(`charts.scoreTrend.${option}`)}
+            </button>
+          ))}
+        </div>
+        <div className="chart-export chart-export--inline">
+          <ExportMenu userId={userId} datasets={['scoreHistory']} compact />
+          <ChartImageMenu targetRef={cardRef} userId={userId} chart="scoreHistory" />
+        </div>
+        <div className="chart-legend">
+          <div className="legend-item">
+            <span className="legend-dot legend-dot--score" data-export="overlay"></span>
+            <span data-export="text">{t('charts.scoreTrend.score')}</span>
+          </div>
+          <div className="legend-item">
+            <span className="legend-dot legend-dot--average" data-export="overlay"></span>
+            <span data-export="text">{t('charts.scoreTrend.average')}</span>
+          </div>
+          <div className="legend-item">
+            <span className="legend-dot legend-dot--goal" data-export="overlay"></span>
+            <span data-export="text">{t('charts.scoreTrend.goal')}</span>
+          </div>
+        </div>
+      </div>
+
+      {data.points.length === 0 && (
+        <div className="chart-empty">{t('charts.scoreTrend.empty')}</div>
+      )}
+      {data.points.length > 0 && (
+        <ResponsiveContainer width="100%" height="80%">
+          <LineChart data={data.points} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+            <CartesianGrid vertical={false} stroke="#dedede" strokeDasharray="2 2" />
+            <XAxis
+              dataKey="day"
+              tickFormatter={formatTick}
+              axisLine={false}
+              tickLine={false}
+              minTickGap={16}
+            />
+            <YAxis
+              domain={[0, 100]}
+              ticks={PERCENT_TICKS}
+              tickFormatter={(value) => formatUnit('percent', value)}
+              axisLine={false}
+              tickLine={false}
+              width={48}
+            />
+            <Tooltip content={<ScoreTrendTooltip granularity={data.granularity} />} />
+            <ReferenceLine
+              y={data.goal}
+              stroke="#e60000"
+              strokeDasharray="6 4"
+              ifOverflow="extendDomain"
+            />
+            <Line
+              type="monotone"
+              dataKey="average"
+              stroke="#282d30"
+              strokeWidth={2}
+              strokeDasharray="4 4"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="percentage"
+              stroke="#e60000"
+              strokeWidth={2}
+              dot={data.granularity === 'week'}
+              activeDot={{ r: 4 }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default ScoreTrendChart;
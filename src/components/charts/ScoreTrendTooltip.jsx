@@ -0,0 +1,50 @@
+/**
+ * Composant Tooltip personnalisé pour la courbe de tendance du score
+ *
+ * Affiche la date (ou la semaine) survolée, le score et la moyenne glissante.
+ *
+ * @component
+ * @param {Object} props - Propriétés du tooltip
+ * @param {boolean} props.active - Indique si le tooltip est actif (au survol)
+ * @param {Array} props.payload - Données des courbes survolées
+ * @param {string} [props.granularity='day'] - "day" ou "week" (libellé de la période)
+ * @returns {JSX.Element|null} Tooltip formaté ou null si inactif
+ *
+ * @example
+ * <LineChart data={data.points}>
+ *   <Tooltip content={<ScoreTrendTooltip granularity={data.granularity} />} />
+ * </LineChart>
+ */
+import { parseISODate } from '../../services/data/dateRange.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import './charts.css';
+
+const ScoreTrendTooltip = ({ active, payload, granularity = 'day' }) => {
+  const { t, intlLocale, formatUnit } = useTranslation();
+
+  if (!active || !payload || !payload.length) {
+    return null;
+  }
+
+  const point = payload[0].payload;
+  const date = parseISODate(point.day)?.toLocaleDateString(intlLocale, {
+    day: 'numeric',
+    month: 'long',
+  });
+
+  return (
+    <div className="score-trend-tooltip">
+      <p className="tooltip-label">
+        {granularity === 'week' ? t('charts.scoreTrend.weekOf', { date }) : date}
+      </p>
+      <p className="tooltip-item">
+        {t('charts.scoreTrend.scoreValue', { value: formatUnit('percent', point.percentage) })}
+      </p>
+      <p className="tooltip-item">
+        {t('charts.scoreTrend.averageValue', { value: formatUnit('percent', point.average) })}
+      </p>
+    </div>
+  );
+};
+
+export default ScoreTrendTooltip;
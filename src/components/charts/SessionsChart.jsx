@@ -8,6 +8,10 @@
  * @component
  * @param {Object} props - Propriétés du composant
  * @param {number} [props.userId=18] - ID de l'utilisateur pour lequel afficher les sessions
+ * @param {string|null} [props.activityType=null] - Sport affiché (durées de ce sport uniquement)
+ * @param {boolean} [props.compare=false] - Superpose la semaine précédente en pointillés
+ * @param {number[]|null} [props.userIds=null] - Utilisateurs comparés : une courbe par
+ * utilisateur, avec légende (remplace userId ; sans mode comparaison ni export de données)
  * @returns {JSX.Element} Graphique en ligne des sessions ou état de chargement/erreur
  *
  * @example
@@ -19,6 +23,10 @@
  * <SessionsChart userId={12} />
  *
  * @example
+ * // Courbes de deux utilisateurs superposées
+ * <SessionsChart userIds={[12, 18]} />
+ *
+ * @example
  * // Intégration dans un tableau de bord
  * function WeeklyInsights({ userId }) {
  *   return (
@@ -31,10 +39,14 @@
  *
  * @description
  * Le composant gère :
- * - Affichage des jours de la semaine (L, M, M, J, V, S, D)
+ * - Affichage des jours de la semaine dans la langue active (L, M, M... / M, T, W...)
  * - Points fantômes invisibles aux extrémités pour une courbe fluide
  * - Overlay sombre au survol à droite du curseur
  * - Tooltip personnalisé affichant la durée en minutes
+ * - Mode comparaison : semaine précédente en ligne pointillée, alignée par jour
+ * - Multi-séries : une courbe colorée par utilisateur, légende sous le titre
+ * - Export CSV/JSON des durées moyennes (sport filtré inclus)
+ * - Export du graphique en image SVG ou PNG (dégradé et overlay compris)
  * - Gestion des états de chargement et d'erreur
  *
  * @requires react
@@ -42,7 +54,7 @@
  * @requires ../../services/chartHooks.js
  * @uses {ChartHookState<FormattedSession[]>} useSessionsChart
  */
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useRef } from 'react';
 import {
   ResponsiveContainer,
   LineChart,
@@ -52,11 +64,37 @@ import {
   Tooltip
 } from 'recharts';
 import { useSessionsChart } from '../../services/hooks/chartHooks.js';
+import { useTranslation } from '../../services/hooks/useTranslation.js';
+import { DataNormalizer } from '../../services/data/DataNormalizer.js';
+import ChartError from './ChartError.jsx';
+import ChartFilterLabel from './ChartFilterLabel.jsx';
+import ChartComparisonLabel from './ChartComparisonLabel.jsx';
+import ChartSeriesLegend from './ChartSeriesLegend.jsx';
+import ExportMenu from '../ExportMenu.jsx';
+import ChartImageMenu from '../ChartImageMenu.jsx';
 import './charts.css';
 
-const SessionsChart = ({ userId = 18 }) => {
-  const { data, loading, error } = useSessionsChart(userId);
+/**
+ * Couleurs des courbes en mode multi-séries, lisibles sur le fond rouge
+ * @type {string[]}
+ * @private
+ */
+const SERIES_COLORS = ['#FFFFFF', '#282D30', '#FDCC0C', '#74798C'];
+
+const SessionsChart = ({ userId = 18, activityType = null, compare = false, userIds = null }) => {
+  const isSeries = Array.isArray(userIds) && userIds.length > 0;
+  const { data, loading, error, refetch } = useSessionsChart(isSeries ? userIds : userId, {
+    activityType,
+    compare: compare && !isSeries
+  });
+  const { t, formatUnit } = useTranslation();
+  // Semaine précédente fournie par la source
+  const hasPrevious = Boolean(
+    compare && data?.sessions?.some((session) => session.previousSessionLength != null)
+  );
   const [overlayPosition, setOverlayPosition] = useState(null);
+  // Carte exportée en image (SVG, PNG)
+  const cardRef = useRef(null);
 
   // Gestion simplifiée du hover avec position relative
   const handleMouseMove = useCallback((e) => {
@@ -83,14 +121,39 @@ const SessionsChart = ({ userId = 18 }) => {
         setOverlayPosition(coordinate.x);
       }
 
+      if (isSeries) {
+        return (
+          <div className="sessions-tooltip">
+            {payload.filter((entry) => entry.value !== null).map((entry) => (
+              <span key={entry.dataKey} className="sessions-tooltip__series">
+                {t('charts.series.value', {
+                  name: entry.name,
+                  value: formatUnit('minutes', entry.value)
+                })}
+              </span>
+            ))}
+          </div>
+        );
+      }
+
+      const current = payload.find((entry) => entry.dataKey === 'sessionLength');
+      const previous = payload.find((entry) => entry.dataKey === 'previousSessionLength');
+
       return (
         <div className="sessions-tooltip">
-          {`${payload[0].value} min`}
+          {formatUnit('minutes', current?.value ?? payload[0].value)}
+          {previous && previous.value !== null && (
+            <span className="sessions-tooltip__previous">
+              {t('charts.comparison.previousValue', {
+                value: formatUnit('minutes', previous.value)
+              })}
+            </span>
+          )}
         </div>
       );
     }
     return null;
-  }, []);
+  }, [isSeries, formatUnit, t]);
 
   // Mémoriser le graphique avec activeDot simplifié
   const chartComponent = useMemo(() => {
@@ -121,11 +184,11 @@ const SessionsChart = ({ userId = 18 }) => {
             tickLine={false}
             className="sessions-x-axis"
             tickFormatter={(value) => {
-              const dayNames = ["L", "M", "M", "J", "V", "S", "D"];
-              if (value === 0 || value === 8) {
+              const dayKey = DataNormalizer.DAY_KEYS[value - 1];
+              if (value === 0 || value === 8 || !dayKey) {
                 return "";
               }
-              return dayNames[value - 1] || "";
+              return t(`days.short.${dayKey}`);
             }}
           />
           <YAxis hide />
@@ -133,39 +196,99 @@ const SessionsChart = ({ userId = 18 }) => {
             content={CustomTooltip}
             cursor={false}
           />
-          <Line
-            type="monotone"
-            dataKey="sessionLength"
-            stroke="url(#sessionsGradient)"
-            strokeWidth={2}
-            dot={false}
-          />
+          {isSeries && data.series.map((series, index) => (
+            <Line
+              key={series.key}
+              type="monotone"
+              dataKey={series.key}
+              name={series.name}
+              stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          ))}
+          {hasPrevious && (
+            <Line
+              type="monotone"
+              dataKey="previousSessionLength"
+              stroke="rgba(255, 255, 255, 0.5)"
+              strokeWidth={2}
+              strokeDasharray="4 4"
+              dot={false}
+              activeDot={false}
+            />
+          )}
+          {!isSeries && (
+            <Line
+              type="monotone"
+              dataKey="sessionLength"
+              stroke="url(#sessionsGradient)"
+              strokeWidth={2}
+              dot={false}
+            />
+          )}
         </LineChart>
       </ResponsiveContainer>
     );
-  }, [data, handleMouseMove, handleMouseLeave, CustomTooltip]);
+  }, [data, isSeries, hasPrevious, handleMouseMove, handleMouseLeave, CustomTooltip, t]);
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('common.loading')}</div>;
   }
 
-  if (error) {
-    return <div className="chart-error">Erreur: {error.message}</div>;
+  // Une actualisation en échec conserve le graphique affiché
+  if (error && !data) {
+    return <ChartError error={error} onRetry={refetch} />;
   }
 
   if (!data || !data.sessions) {
-    return <div className="chart-empty">Aucune donnée disponible</div>;
+    return <div className="chart-empty">{t('common.noDataAvailable')}</div>;
   }
 
   return (
-    <div className="sessions-chart" style={{ position: 'relative' }}>
-      <h3 className="chart-title">Durée moyenne des sessions</h3>
+    <div className="sessions-chart" style={{ position: 'relative' }} ref={cardRef}>
+      <h3 className="chart-title" data-export="text">
+        {t('charts.sessions.title')}
+        <ChartFilterLabel
+          activityType={data.activityType}
+          isEmpty={data.sessions.every((session) =>
+            !session.isReal || (isSeries
+              ? data.series.every(({ key }) => !session[key])
+              : session.sessionLengthRaw === 0)
+          )}
+        />
+        <ChartComparisonLabel
+          compare={compare}
+          available={hasPrevious}
+          label={t('charts.comparison.previousWeek')}
+        />
+        {isSeries && <ChartSeriesLegend series={data.series} colors={SERIES_COLORS} />}
+      </h3>
+      <div className="chart-export">
+        {!isSeries && (
+          <ExportMenu
+            userId={userId}
+            datasets={['averageSessions']}
+            activityType={activityType}
+            compact
+            dark
+          />
+        )}
+        <ChartImageMenu
+          targetRef={cardRef}
+          userId={isSeries ? userIds.join('-') : userId}
+          chart="averageSessions"
+          dark
+        />
+      </div>
       {chartComponent}
 
       {/* Overlay simplifié basé sur la position de la souris */}
       {overlayPosition !== null && (
         <div
           className="sessions-overlay"
+          data-export="overlay"
           style={{
             position: 'absolute',
             top: '0',
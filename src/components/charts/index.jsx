@@ -34,6 +34,8 @@ import ActivityChartReal from "./ActivityChart.jsx";
 import SessionsChartReal from "./SessionsChart.jsx";
 import PerformanceChartReal from "./PerformanceChart.jsx";
 import ScoreChartReal from "./ScoreChart.jsx";
+import ScoreTrendChartReal from "./ScoreTrendChart.jsx";
+import NutritionChartReal from "./NutritionChart.jsx";
 
 /**
  * Composant graphique d'activité quotidienne
@@ -71,4 +73,30 @@ const PerformanceChart = PerformanceChartReal;
  */
 const ScoreChart = ScoreChartReal;
 
-export { ActivityChart, SessionsChart, PerformanceChart, ScoreChart };
+/**
+ * Composant courbe de tendance du score (jour ou semaine)
+ * @type {React.ComponentType}
+ * @param {Object} props - Propriétés du composant
+ * @param {number} [props.userId] - ID de l'utilisateur (optionnel)
+ * @see ScoreTrendChartReal
+ */
+const ScoreTrendChart = ScoreTrendChartReal;
+
+/**
+ * Composant anneau de répartition nutritionnelle (macronutriments)
+ * @type {React.ComponentType}
+ * @param {Object} props - Propriétés du composant
+ * @param {number} [props.userId] - ID de l'utilisateur (optionnel)
+ * @param {string|null} [props.focus] - Macronutriment mis en avant (optionnel)
+ * @see NutritionChartReal
+ */
+const NutritionChart = NutritionChartReal;
+
+export {
+  ActivityChart,
+  SessionsChart,
+  PerformanceChart,
+  ScoreChart,
+  ScoreTrendChart,
+  NutritionChart
+};
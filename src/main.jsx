@@ -31,6 +31,7 @@ import { createRoot } from 'react-dom/client'
 import './normalize.css'
 import './index.css'
 import AppRouter from './AppRouter.jsx'
+import { I18n } from './services/i18n/I18n.js'
 
 /**
  * Récupération de l'élément DOM racine
@@ -50,6 +51,9 @@ if (!rootElement) {
  * Création de la racine React
  * @type {Root}
  */
+// Attribut lang du document aligné sur la langue résolue au démarrage
+I18n.applyDocumentLocale();
+
 const root = createRoot(rootElement);
 
 /**
@@ -0,0 +1,79 @@
+/**
+ * Page Communauté de l'application SportSee
+ *
+ * Présente les autres membres disponibles dans la source de données active
+ * avec leur score du jour, et permet d'ouvrir leur dashboard.
+ *
+ * @component
+ * @returns {JSX.Element} Page communauté
+ *
+ * @example
+ * <Route path="community" element={<Community />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/hooks.js
+ */
+import { Link, useParams } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { useUsers } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './community.css';
+
+const Community = () => {
+  const { userId } = useParams();
+  const currentUserId = DataService.parseUserId(userId);
+  const { data: users, loading, error } = useUsers();
+  const { t, formatUnit } = useTranslation();
+
+  const members = (users ?? []).filter((user) => user.id !== currentUserId);
+
+  const renderContent = () => {
+    if (loading) {
+      return <p className='community__text'>{t('community.loading')}</p>;
+    }
+
+    if (error) {
+      return <p className='community__text'>{t('common.error', { message: error.message })}</p>;
+    }
+
+    if (members.length === 0) {
+      return <p className='community__text'>{t('community.empty')}</p>;
+    }
+
+    return (
+      <ul className='community__list'>
+        {members.map((member) => (
+          <li key={member.id} className='community__member'>
+            <div>
+              <p className='community__name'>
+                {member.userInfos.firstName} {member.userInfos.lastName}
+              </p>
+              <p className='community__score'>
+                <strong>{formatUnit('percent', Math.round(member.todayScore * 100))}</strong>{' '}
+                {t('community.score')}
+              </p>
+            </div>
+            <Link className='community__link' to={`/user/${member.id}`}>
+              {t('community.viewDashboard')}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='community'>
+        <h2 className='community__title'>{t('community.title')}</h2>
+        {renderContent()}
+      </div>
+    </main>
+  );
+};
+
+export default Community;
@@ -0,0 +1,191 @@
+/**
+ * Page de comparaison de profils de l'application SportSee
+ *
+ * Met côte à côte les utilisateurs listés dans l'URL (`/compare?users=12,18`),
+ * chargés par DataService comme sur le dashboard :
+ * - Tableau comparatif : âge, score du jour et données clés
+ * - Sessions moyennes : une courbe par utilisateur sur un même graphique
+ * - Performance : radars superposés
+ * Sans paramètre `users`, les profils connus (DataService.KNOWN_USER_IDS)
+ * sont comparés ; les IDs invalides ou en double sont ignorés.
+ *
+ * @component
+ * @returns {JSX.Element} Page de comparaison des profils
+ *
+ * @example
+ * <Route path="/compare" element={<Compare />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/chartHooks.js
+ * @requires ../components/charts/index.jsx
+ */
+import { useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import ChartError from '../components/charts/ChartError.jsx';
+import { SessionsChart, PerformanceChart } from '../components/charts/index.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { useUsersComparison } from '../services/hooks/chartHooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import './compare.css';
+
+/**
+ * Nom du paramètre d'URL listant les utilisateurs comparés
+ * @type {string}
+ * @private
+ */
+const USERS_URL_PARAM = 'users';
+
+/**
+ * Nombre maximal d'utilisateurs comparés (une couleur de série chacun)
+ * @type {number}
+ * @private
+ */
+const MAX_COMPARED_USERS = 4;
+
+/**
+ * Données clés comparées, dans l'ordre du dashboard
+ * @type {Array<{key: string, unit: string}>}
+ * @private
+ * @description L'unité "energy" suit la préférence de l'utilisateur (kCal ou kJ)
+ */
+const KEY_DATA_ITEMS = [
+  { key: 'calorieCount', unit: 'energy' },
+  { key: 'proteinCount', unit: 'gram' },
+  { key: 'carbohydrateCount', unit: 'gram' },
+  { key: 'lipidCount', unit: 'gram' },
+];
+
+/**
+ * Convertit le paramètre `users` en liste d'IDs
+ *
+ * @private
+ * @param {string|null} value - Valeur du paramètre (ex: "12,18")
+ * @returns {number[]} IDs valides, sans doublon, limités à MAX_COMPARED_USERS
+ */
+const parseUserIds = (value) => {
+  if (value === null) {
+    return DataService.KNOWN_USER_IDS.slice(0, MAX_COMPARED_USERS);
+  }
+  const userIds = value
+    .split(',')
+    .map((id) => DataService.parseUserId(id.trim()))
+    .filter((id) => id !== null);
+  return [...new Set(userIds)].slice(0, MAX_COMPARED_USERS);
+};
+
+/**
+ * Tableau comparatif des profils (une colonne par utilisateur)
+ *
+ * @private
+ * @param {Object} props - Propriétés du composant
+ * @param {number[]} props.userIds - IDs des utilisateurs comparés
+ * @returns {JSX.Element} Tableau, ou état de chargement/erreur
+ */
+const ComparisonTable = ({ userIds }) => {
+  const { data: rows, loading, error, refetch } = useUsersComparison(userIds);
+  const { t, formatUnit } = useTranslation();
+  const { formatEnergy } = useUnits();
+
+  if (loading) {
+    return <p className='compare__status'>{t('common.loading')}</p>;
+  }
+
+  if (error) {
+    return <ChartError error={error} onRetry={refetch} />;
+  }
+
+  // L'énergie suit la préférence de l'utilisateur (kCal ou kJ)
+  const formatKeyData = (unit, value) => {
+    if (!value) return t('common.empty');
+    return unit === 'energy' ? formatEnergy(value) : formatUnit(unit, value);
+  };
+
+  const lines = [
+    {
+      label: t('compare.age'),
+      format: (row) => (row.age === null ? t('common.empty') : t('common.years', { count: row.age })),
+    },
+    {
+      label: t('compare.score'),
+      format: (row) => formatUnit('percent', row.percentage),
+    },
+    ...KEY_DATA_ITEMS.map(({ key, unit }) => ({
+      label: t(`keyData.${key}`),
+      format: (row) => formatKeyData(unit, row.keyData[key]),
+    })),
+  ];
+
+  return (
+    <table className='compare__table'>
+      <caption className='compare__caption'>{t('compare.tableCaption')}</caption>
+      <thead>
+        <tr>
+          <th scope='col'>{t('compare.profile')}</th>
+          {rows.map((row) => (
+            <th key={row.key} scope='col'>
+              <Link to={`/user/${row.userId}`} className='compare__user'>
+                {row.name} {row.lastName}
+              </Link>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {lines.map(({ label, format }) => (
+          <tr key={label}>
+            <th scope='row'>{label}</th>
+            {rows.map((row) => (
+              <td key={row.key}>{format(row)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const Compare = () => {
+  const [searchParams] = useSearchParams();
+  const usersParam = searchParams.get(USERS_URL_PARAM);
+  const userIds = useMemo(() => parseUserIds(usersParam), [usersParam]);
+  const { t } = useTranslation();
+
+  const renderContent = () => {
+    if (userIds.length < 2) {
+      return <p className='compare__status'>{t('compare.invalid')}</p>;
+    }
+
+    return (
+      <>
+        <ComparisonTable userIds={userIds} />
+        <div className='compare__charts'>
+          <div className='compare__chart'>
+            <SessionsChart userIds={userIds} />
+          </div>
+          <div className='compare__chart'>
+            <PerformanceChart userIds={userIds} />
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='compare'>
+        <Link to='/' className='compare__back'>
+          {t('compare.back')}
+        </Link>
+        <h1 className='compare__title'>{t('compare.title')}</h1>
+        {renderContent()}
+      </div>
+    </main>
+  );
+};
+
+export default Compare;
@@ -2,9 +2,19 @@
  * Page Dashboard principale de l'application SportSee
  *
  * Affiche le tableau de bord complet d'un utilisateur avec :
- * - Message de bienvenue personnalisé
+ * - Message de bienvenue personnalisé, suivi d'un résumé des objectifs atteints
  * - Graphiques d'activité, sessions, performance et score
- * - Statistiques nutritionnelles (calories, protéines, glucides, lipides)
+ * - Filtre par sport (`?sport=`) appliqué aux graphiques d'activité et de sessions
+ * - Mode comparaison (`?compare=previous`) : chaque graphique superpose la
+ *   période précédente
+ * - Statistiques nutritionnelles (calories, protéines, glucides, lipides) ;
+ *   un clic sur une carte ouvre son détail (`/user/:userId/nutrition/:nutrient`)
+ * - Export CSV/JSON de toutes les données normalisées (sport filtré inclus)
+ * - Lien vers le rapport hebdomadaire imprimable
+ * - Bouton d'actualisation et actualisation automatique optionnelle (suspendue
+ *   onglet masqué) : les graphiques sont mis à jour en place, sans rechargement
+ * - Mode « En direct » : les sessions poussées par la source pendant un
+ *   entraînement sont intégrées aux graphiques au fil de l'eau
  *
  * @component
  * @returns {JSX.Element} Page dashboard complète
@@ -21,7 +31,11 @@
  *
  * @requires react-router-dom
  * @requires ../services/hooks.js
- * @requires ../services/DataService.js
+ * @requires ../services/hooks/chartHooks.js
+ * @requires ../services/hooks/usePolling.js
+ * @requires ../services/hooks/useLiveUpdates.js
+ * @requires ../components/DataSourceToggle.jsx
+ * @requires ../components/ExportMenu.jsx
  */
 import React, { useMemo } from 'react';
 import Header from '../components/Header.jsx';
@@ -32,7 +46,17 @@ import ProteinIcon from '../assets/icons/protein-icon.png?url';
 import SugarIcon from '../assets/icons/sugar-icon.png?url';
 import FatIcon from '../assets/icons/fat-icon.png?url';
 import { useUser } from '../services/hooks/hooks.js';
-import { useParams } from 'react-router-dom';
+import { useAllCharts } from '../services/hooks/chartHooks.js';
+import { Link, useParams } from 'react-router-dom';
+import DataSourceToggle from '../components/DataSourceToggle.jsx';
+import ExportMenu from '../components/ExportMenu.jsx';
+import { useActivityFilter } from '../services/hooks/useActivityFilter.js';
+import { useComparisonMode } from '../services/hooks/useComparisonMode.js';
+import { useGoalProgress } from '../services/hooks/useGoals.js';
+import { usePolling, useRefreshInterval } from '../services/hooks/usePolling.js';
+import { useLiveUpdates } from '../services/hooks/useLiveUpdates.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
 import { DataService } from '../services/api/DataService.js';
 import {
   ActivityChart,
@@ -41,65 +65,86 @@ import {
   ScoreChart
 } from '../components/charts/index.jsx';
 
+/**
+ * Statistiques nutritionnelles affichées à droite des graphiques
+ * @type {Array<{key: string, unit: string, icon: string}>}
+ * @private
+ * @description `key` est le champ de `keyData` et son libellé dans le catalogue i18n `keyData` ;
+ * l'unité "energy" suit la préférence de l'utilisateur (kCal ou kJ)
+ */
+const STAT_ITEMS = [
+  { key: 'calorieCount', unit: 'energy', icon: CarbsIcon },
+  { key: 'proteinCount', unit: 'gram', icon: ProteinIcon },
+  { key: 'carbohydrateCount', unit: 'gram', icon: SugarIcon },
+  { key: 'lipidCount', unit: 'gram', icon: FatIcon },
+];
+
 const Dashboard = () => {
   // Récupération de l'ID utilisateur depuis l'URL
   const { userId } = useParams();
 
-  // Conversion en number et fallback
-  const numericUserId = userId ? parseInt(userId, 10) : 18;
+  // Identifiant déjà validé par UserRoute
+  const numericUserId = DataService.parseUserId(userId);
+
+  // Sport sélectionné dans la barre latérale (stocké dans l'URL)
+  const { activityType } = useActivityFilter();
+
+  // Comparaison avec la période précédente (stockée dans l'URL)
+  const { compare, setCompare } = useComparisonMode();
 
   // Utilisation du hook pour récupérer les données utilisateur
-  const { data: userData, loading, error } = useUser(numericUserId);
+  const { data: userData, loading, refreshing, error, refetch } = useUser(numericUserId);
+
+  // Actualisation : refetch relit l'utilisateur depuis la source, les graphiques
+  // et les objectifs abonnés se mettent à jour en place. Le polling reste actif
+  // après un échec pour reprendre dès que la source répond à nouveau.
+  // Seuls les échecs d'actualisation de données déjà affichées sont signalés
+  // ici : un graphique en échec au premier chargement affiche sa propre erreur
+  const charts = useAllCharts(numericUserId);
+  const isRefreshing = refreshing || charts.refreshing;
+  const refreshError = (userData && error) || charts.refreshError;
+  const { refreshInterval, intervals, setRefreshInterval } = useRefreshInterval();
+  usePolling(refetch, refreshInterval);
+
+  // Canal temps réel : les événements reçus modifient directement le cache
+  const live = useLiveUpdates(numericUserId);
+
+  // Résumé des objectifs personnels, calculé sur les données réelles
+  const { summary, loading: goalsLoading } = useGoalProgress(numericUserId);
+
+  // Libellés et formats selon la langue active
+  const { t, formatUnit } = useTranslation();
+  const { formatEnergy } = useUnits();
 
   // Optimisation: Mémorisation des statistiques pour éviter les recalculs
   const statsData = useMemo(() => {
-    if (!userData || !userData.keyData) {
-      // Données par défaut si les données utilisateur sont manquantes
-      return [
-        { id: 1, icon: CarbsIcon, value: '---', label: 'Calories', alt: 'Calories icon' },
-        { id: 2, icon: ProteinIcon, value: '---', label: 'Protéines', alt: 'Protein icon' },
-        { id: 3, icon: SugarIcon, value: '---', label: 'Glucides', alt: 'Sugar icon' },
-        { id: 4, icon: FatIcon, value: '---', label: 'Lipides', alt: 'Fat icon' }
-      ];
-    }
-
-    const { calorieCount, proteinCount, carbohydrateCount, lipidCount } = userData.keyData;
-    return [
-      {
-        id: 1,
-        icon: CarbsIcon,
-        value: calorieCount ? `${calorieCount.toLocaleString()}kCal` : '---',
-        label: 'Calories',
-        alt: 'Calories icon'
-      },
-      {
-        id: 2,
-        icon: ProteinIcon,
-        value: proteinCount ? `${proteinCount}g` : '---',
-        label: 'Protéines',
-        alt: 'Protein icon'
-      },
-      {
-        id: 3,
-        icon: SugarIcon,
-        value: carbohydrateCount ? `${carbohydrateCount}g` : '---',
-        label: 'Glucides',
-        alt: 'Sugar icon'
-      },
-      {
-        id: 4,
-        icon: FatIcon,
-        value: lipidCount ? `${lipidCount}g` : '---',
-        label: 'Lipides',
-        alt: 'Fat icon'
-      }
-    ];
-  }, [userData]);
+    // Valeurs par défaut ('---') si les données utilisateur sont manquantes
+    const keyData = userData?.keyData ?? {};
+    const format = (unit, value) =>
+      unit === 'energy' ? formatEnergy(value) : formatUnit(unit, value);
+    return STAT_ITEMS.map(({ key, unit, icon }) => ({
+      id: key,
+      icon,
+      value: keyData[key] ? format(unit, keyData[key]) : t('common.empty'),
+      label: t(`keyData.${key}`),
+    }));
+  }, [userData, t, formatUnit, formatEnergy]);
 
   // Optimisation: Mémorisation du prénom utilisateur
   const firstName = useMemo(() => {
-    return userData?.userInfos?.firstName || 'Utilisateur';
-  }, [userData]);
+    return userData?.userInfos?.firstName || t('common.user');
+  }, [userData, t]);
+
+  // Message d'accueil généré à partir des objectifs atteints ou manqués
+  const goalsMessage = useMemo(() => {
+    if (goalsLoading) return '';
+    const { status, achieved, total, next } = summary;
+    return t(`goals.summary.${status}`, {
+      count: status === 'all' ? total : achieved,
+      total,
+      next: next && t(`goals.names.${next}`),
+    });
+  }, [summary, goalsLoading, t]);
 
   // Gestion des états de chargement et d'erreur
   if (loading) {
@@ -109,24 +154,29 @@ const Dashboard = () => {
         <Sidebar />
         <div className='dashboard'>
           <div className='dashboard__welcome'>
-            <h2 className='dashboard__title'>Chargement...</h2>
-            <p className='dashboard__subtitle'>Mode: {DataService.USE_MOCK_DATA ? 'MOCK' : 'API'}</p>
+            <h2 className='dashboard__title'>{t('common.loading')}</h2>
+            <div className='dashboard__source'>
+              <DataSourceToggle />
+            </div>
           </div>
         </div>
       </main>
     );
   }
 
-  if (error) {
+  // Erreur bloquante uniquement sans données : un échec d'actualisation est signalé en ligne
+  if (error && !userData) {
     return (
       <main className="main-content">
         <Header />
         <Sidebar />
         <div className='dashboard'>
           <div className='dashboard__welcome'>
-            <h2 className='dashboard__title'>Erreur de chargement</h2>
-            <p className='dashboard__subtitle'>Impossible de récupérer les données utilisateur: {error}</p>
-            <p className='dashboard__subtitle'>Mode: {DataService.USE_MOCK_DATA ? 'MOCK' : 'API'}</p>
+            <h2 className='dashboard__title'>{t('common.loadError')}</h2>
+            <p className='dashboard__subtitle'>{t('dashboard.loadErrorText', { message: error.message })}</p>
+            <div className='dashboard__source'>
+              <DataSourceToggle />
+            </div>
           </div>
         </div>
       </main>
@@ -139,33 +189,98 @@ const Dashboard = () => {
       <Sidebar />
       <div className='dashboard'>
         <div className='dashboard__welcome'>
-          <h2 className='dashboard__title'>Bonjour<span className='dashboard__title--highlight'>&nbsp;{firstName}</span></h2>
-          <p className='dashboard__subtitle'>Félicitation ! Vous avez explosé vos objectifs hier 👏</p>
+          <h2 className='dashboard__title'>{t('dashboard.hello')}<span className='dashboard__title--highlight'>&nbsp;{firstName}</span></h2>
+          <p className='dashboard__subtitle'>{goalsMessage}</p>
+          <div className='dashboard__source'>
+            <DataSourceToggle />
+            <ExportMenu userId={numericUserId} activityType={activityType} />
+            <Link to={`/user/${numericUserId}/report`} className='dashboard__report-link'>
+              {t('report.open')}
+            </Link>
+            <button
+              type='button'
+              className={compare ? 'dashboard__compare dashboard__compare--active' : 'dashboard__compare'}
+              aria-pressed={compare}
+              onClick={() => setCompare(!compare)}
+            >
+              {t('charts.comparison.toggle')}
+            </button>
+            <button
+              type='button'
+              className='dashboard__refresh'
+              onClick={refetch}
+              disabled={isRefreshing}
+              aria-busy={isRefreshing}
+            >
+              {isRefreshing ? t('dashboard.refreshing') : t('dashboard.refresh')}
+            </button>
+            {refreshError && (
+              <p className='dashboard__refresh-error' role='alert'>
+                {t('dashboard.refreshError', { message: refreshError.message })}
+              </p>
+            )}
+            <label className='dashboard__refresh-interval'>
+              {t('dashboard.refreshInterval')}
+              <select
+                className='dashboard__refresh-select'
+                value={refreshInterval}
+                onChange={(event) => setRefreshInterval(Number(event.target.value))}
+              >
+                {intervals.map((interval) => (
+                  <option key={interval} value={interval}>
+                    {t(`dashboard.refreshIntervals.${interval}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className='dashboard__live'>
+              <button
+                type='button'
+                className={live.enabled && live.available ? 'dashboard__live-toggle dashboard__live-toggle--active' : 'dashboard__live-toggle'}
+                aria-pressed={live.enabled && live.available}
+                disabled={!live.available}
+                title={live.available ? undefined : t('dashboard.live.unavailable')}
+                onClick={() => live.setEnabled(!live.enabled)}
+              >
+                {t('dashboard.live.toggle')}
+              </button>
+              {live.enabled && live.available && (
+                <span className={`dashboard__live-status dashboard__live-status--${live.status}`} role='status'>
+                  {t(`dashboard.live.${live.status}`)}
+                </span>
+              )}
+            </div>
+          </div>
         </div>
          <div className='dashboard__data'>
         <div className='dashboard__charts'>
          <div className='dashboard__chart dashboard__chart--main'>
-           <ActivityChart userId={numericUserId} />
+           <ActivityChart userId={numericUserId} activityType={activityType} compare={compare} />
          </div>
          <div className='dashboard__chart dashboard__chart--secondary'>
-           <SessionsChart userId={numericUserId} />
+           <SessionsChart userId={numericUserId} activityType={activityType} compare={compare} />
          </div>
           <div className='dashboard__chart dashboard__chart--secondary'>
-            <PerformanceChart userId={numericUserId} />
+            <PerformanceChart userId={numericUserId} compare={compare} />
           </div>
           <div className='dashboard__chart dashboard__chart--secondary'>
-            <ScoreChart userId={numericUserId} />
+            <ScoreChart userId={numericUserId} compare={compare} />
           </div>
         </div>
         <div className='dashboard__stats'>
           {statsData.map((stat) => (
-            <div key={stat.id} className="dashboard__stat">
-              <img src={stat.icon} alt={stat.alt} className='dashboard__stat-icon'/>
+            <Link
+              key={stat.id}
+              to={`/user/${numericUserId}/nutrition/${stat.id}`}
+              className="dashboard__stat"
+              title={t('dashboard.statDetail', { label: stat.label })}
+            >
+              <img src={stat.icon} alt={stat.label} className='dashboard__stat-icon'/>
               <div className='dashboard__stat-info'>
                 <p className='dashboard__stat-value'>{stat.value}</p>
                 <p className='dashboard__stat-label'>{stat.label}</p>
               </div>
-            </div>
+            </Link>
           ))}
         </div>
       </div>
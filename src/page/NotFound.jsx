@@ -0,0 +1,73 @@
+/**
+ * Page 404 de l'application SportSee
+ *
+ * Affichée lorsque l'utilisateur demandé n'existe pas dans la source de
+ * données active, lorsque l'identifiant de l'URL est invalide (`/user/abc`)
+ * ou pour toute route inconnue. Propose des liens vers les profils disponibles
+ * dans la source active et vers la page d'accueil.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {string} [props.userId] - Identifiant demandé, tel que saisi dans l'URL
+ * @param {boolean} [props.invalidId=false] - true si l'identifiant n'est pas un entier positif
+ * @returns {JSX.Element} Page "utilisateur introuvable"
+ *
+ * @example
+ * <Route path="*" element={<NotFound />} />
+ *
+ * @example
+ * // Identifiant non numérique
+ * <NotFound userId="abc" invalidId />
+ *
+ * @requires react-router-dom
+ * @requires ../services/api/DataService.js
+ * @requires ../services/hooks/hooks.js
+ */
+import { Link } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { useUsers } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './statusPage.css';
+
+const NotFound = ({ userId, invalidId = false }) => {
+  const { data: users } = useUsers();
+  const { t } = useTranslation();
+
+  // Profils connus en attendant (ou à défaut de) la liste de la source active
+  const profiles = users?.length
+    ? users.map((user) => ({ id: user.id, label: user.userInfos.firstName }))
+    : DataService.KNOWN_USER_IDS.map((id) => ({ id, label: t('common.userWithId', { id }) }));
+  let text = t('notFound.pageText');
+  if (userId !== undefined) {
+    text = t(invalidId ? 'notFound.invalidId' : 'notFound.unknownUser', { id: userId });
+  }
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='status-page'>
+        <p className='status-page__code'>404</p>
+        <h2 className='status-page__title'>
+          {t(userId !== undefined ? 'notFound.userTitle' : 'notFound.pageTitle')}
+        </h2>
+        <p className='status-page__text'>{text}</p>
+        <p className='status-page__text'>{t('notFound.choose')}</p>
+        <div className='status-page__actions'>
+          {profiles.map((profile) => (
+            <Link key={profile.id} className='status-page__action' to={`/user/${profile.id}`}>
+              {profile.label}
+            </Link>
+          ))}
+          <Link className='status-page__action status-page__action--primary' to='/'>
+            {t('notFound.allProfiles')}
+          </Link>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default NotFound;
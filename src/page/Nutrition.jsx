@@ -0,0 +1,189 @@
+/**
+ * Page de détail nutritionnel de l'application SportSee
+ *
+ * Ouverte depuis les cartes de statistiques du dashboard
+ * (`/user/:userId/nutrition/:nutrient`), elle détaille la donnée clé choisie :
+ * - Calories : apport déclaré comparé aux calories des macronutriments
+ * - Macronutriment : calories apportées, part des calories, fourchette
+ *   recommandée pour l'âge de l'utilisateur et objectif personnel
+ * L'anneau de répartition (NutritionChart) met en avant le macronutriment
+ * choisi ; un clic sur un autre macronutriment change de détail.
+ *
+ * @component
+ * @returns {JSX.Element} Détail nutritionnel, ou page 404 si la donnée est inconnue
+ *
+ * @example
+ * <Route path="nutrition/:nutrient?" element={<Nutrition />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/chartHooks.js
+ * @requires ../services/hooks/useGoals.js
+ * @requires ../components/charts/index.jsx
+ */
+import { Link, NavLink, useNavigate, useParams } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import NotFound from './NotFound.jsx';
+import { NutritionChart } from '../components/charts/index.jsx';
+import CarbsIcon from '../assets/icons/carbs-icon.png?url';
+import ProteinIcon from '../assets/icons/protein-icon.png?url';
+import SugarIcon from '../assets/icons/sugar-icon.png?url';
+import FatIcon from '../assets/icons/fat-icon.png?url';
+import { DataService } from '../services/api/DataService.js';
+import { useNutritionChart } from '../services/hooks/chartHooks.js';
+import { useGoals } from '../services/hooks/useGoals.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import { NutritionTransformer } from '../services/transformers/ChartTransformers.js';
+import './nutrition.css';
+
+/**
+ * Données clés détaillées, dans l'ordre du dashboard
+ * @type {Array<{key: string, icon: string}>}
+ * @private
+ */
+const KEY_DATA_ITEMS = [
+  { key: 'calorieCount', icon: CarbsIcon },
+  { key: 'proteinCount', icon: ProteinIcon },
+  { key: 'carbohydrateCount', icon: SugarIcon },
+  { key: 'lipidCount', icon: FatIcon },
+];
+
+/**
+ * Macronutriment correspondant à chaque champ de keyData
+ * (clés de NutritionTransformer et de Goals.DEFINITIONS)
+ * @type {Object<string, string>}
+ * @private
+ */
+const MACRO_BY_FIELD = Object.fromEntries(
+  Object.entries(NutritionTransformer.MACRO_FIELDS).map(([macro, field]) => [field, macro])
+);
+
+/**
+ * Classes CSS d'un onglet de donnée clé
+ *
+ * @private
+ * @param {{isActive: boolean}} state - État fourni par NavLink
+ * @returns {string} Classes CSS du lien
+ */
+const getTabClassName = ({ isActive }) =>
+  isActive ? 'nutrition__tab nutrition__tab--active' : 'nutrition__tab';
+
+const Nutrition = () => {
+  const { userId, nutrient } = useParams();
+  const numericUserId = DataService.parseUserId(userId);
+  const navigate = useNavigate();
+  const { data, loading, error } = useNutritionChart(numericUserId);
+  const { goals } = useGoals(numericUserId);
+  const { t, formatUnit, formatNumber } = useTranslation();
+  const { energyUnit, convertEnergy, formatEnergy } = useUnits();
+
+  const item = KEY_DATA_ITEMS.find(({ key }) => key === nutrient);
+  if (nutrient !== undefined && !item) {
+    return <NotFound />;
+  }
+  const macroKey = item ? MACRO_BY_FIELD[item.key] ?? null : null;
+  const basePath = `/user/${numericUserId}/nutrition`;
+
+  // Lignes du détail : [libellé, valeur]
+  const getDetailRows = () => {
+    if (!macroKey) {
+      // Écart signé, dans l'unité d'énergie préférée
+      const difference = formatNumber(convertEnergy(data.macroCalories - data.calorieCount), {
+        signDisplay: 'exceptZero',
+      });
+      return [
+        [t('nutrition.declared'), formatEnergy(data.calorieCount)],
+        [t('nutrition.fromMacros'), formatEnergy(data.macroCalories)],
+        [t('nutrition.difference'), t(`units.${energyUnit}`, { value: difference })],
+      ];
+    }
+    const macro = data.macros.find(({ key }) => key === macroKey);
+    return [
+      [t('nutrition.calories'), formatEnergy(macro.calories)],
+      [t('nutrition.share'), formatUnit('percent', macro.share)],
+      [
+        t('nutrition.recommended', {
+          group: t(`charts.nutrition.groups.${data.ageGroup}`),
+        }),
+        t('nutrition.rangeValue', { min: macro.min, max: macro.max }),
+      ],
+      [
+        t('nutrition.status'),
+        macro.status ? t(`charts.nutrition.status.${macro.status}`) : t('common.empty'),
+      ],
+      [
+        t('nutrition.goal'),
+        goals[macroKey] === null ? t('goals.notSet') : formatUnit('gram', goals[macroKey]),
+      ],
+    ];
+  };
+
+  const renderDetail = () => {
+    if (!item) {
+      return <p className='nutrition__text'>{t('nutrition.choose')}</p>;
+    }
+    if (loading) {
+      return <p className='nutrition__text'>{t('common.loading')}</p>;
+    }
+    if (error || !data) {
+      return <p className='nutrition__text'>{t('common.loadError')}</p>;
+    }
+
+    const value = macroKey
+      ? formatUnit('gram', data.macros.find(({ key }) => key === macroKey).grams)
+      : formatEnergy(data.calorieCount);
+
+    return (
+      <section className='nutrition__detail'>
+        <div className='nutrition__summary'>
+          <img src={item.icon} alt='' className='nutrition__icon' />
+          <div>
+            <p className='nutrition__value'>{value}</p>
+            <p className='nutrition__label'>{t(`keyData.${item.key}`)}</p>
+          </div>
+        </div>
+        <dl className='nutrition__rows'>
+          {getDetailRows().map(([label, rowValue]) => (
+            <div key={label} className='nutrition__row'>
+              <dt>{label}</dt>
+              <dd>{rowValue}</dd>
+            </div>
+          ))}
+        </dl>
+      </section>
+    );
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='nutrition'>
+        <Link to={`/user/${numericUserId}`} className='nutrition__back'>
+          {t('nutrition.back')}
+        </Link>
+        <h2 className='nutrition__title'>{t('nutrition.title')}</h2>
+        <nav className='nutrition__tabs' aria-label={t('nutrition.tabs')}>
+          {KEY_DATA_ITEMS.map(({ key }) => (
+            <NavLink key={key} to={`${basePath}/${key}`} className={getTabClassName}>
+              {t(`keyData.${key}`)}
+            </NavLink>
+          ))}
+        </nav>
+        <div className='nutrition__content'>
+          {renderDetail()}
+          <div className='nutrition__chart'>
+            <NutritionChart
+              userId={numericUserId}
+              focus={macroKey}
+              onSelect={(macro) => navigate(`${basePath}/${NutritionTransformer.MACRO_FIELDS[macro]}`)}
+            />
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default Nutrition;
@@ -0,0 +1,132 @@
+/**
+ * Page Profil de l'application SportSee
+ *
+ * Affiche les informations personnelles (`userInfos`) et les données clés
+ * nutritionnelles (`keyData`) produites par DataNormalizer.normalizeUser,
+ * ainsi que le score du jour, la courbe de tendance de son historique et
+ * les objectifs personnels (progression et édition).
+ *
+ * @component
+ * @returns {JSX.Element} Page profil de l'utilisateur courant
+ *
+ * @example
+ * <Route path="profile" element={<Profile />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/hooks.js
+ * @requires ../components/charts/index.jsx
+ */
+import { useParams } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import GoalsPanel from '../components/GoalsPanel.jsx';
+import { ScoreTrendChart } from '../components/charts/index.jsx';
+import CarbsIcon from '../assets/icons/carbs-icon.png?url';
+import ProteinIcon from '../assets/icons/protein-icon.png?url';
+import SugarIcon from '../assets/icons/sugar-icon.png?url';
+import FatIcon from '../assets/icons/fat-icon.png?url';
+import { DataService } from '../services/api/DataService.js';
+import { useUser } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import './profile.css';
+
+/**
+ * Données clés affichées, dans l'ordre du dashboard
+ * @type {Array<{key: string, unit: string, icon: string}>}
+ * @private
+ * @description L'unité "energy" suit la préférence de l'utilisateur (kCal ou kJ)
+ */
+const KEY_DATA_ITEMS = [
+  { key: 'calorieCount', unit: 'energy', icon: CarbsIcon },
+  { key: 'proteinCount', unit: 'gram', icon: ProteinIcon },
+  { key: 'carbohydrateCount', unit: 'gram', icon: SugarIcon },
+  { key: 'lipidCount', unit: 'gram', icon: FatIcon },
+];
+
+const Profile = () => {
+  const { userId } = useParams();
+  const numericUserId = DataService.parseUserId(userId);
+  const { data: user, loading, error } = useUser(numericUserId);
+  const { t, formatUnit } = useTranslation();
+  const { formatEnergy } = useUnits();
+
+  // L'énergie suit la préférence de l'utilisateur (kCal ou kJ)
+  const formatKeyData = (unit, value) => {
+    if (!value) return t('common.empty');
+    return unit === 'energy' ? formatEnergy(value) : formatUnit(unit, value);
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <h2 className='profile__title'>{t('common.loading')}</h2>;
+    }
+
+    if (error || !user) {
+      return (
+        <>
+          <h2 className='profile__title'>{t('common.loadError')}</h2>
+          <p className='profile__text'>{t('profile.loadErrorText', { message: error?.message ?? t('common.noData') })}</p>
+        </>
+      );
+    }
+
+    const { firstName, lastName, age } = user.userInfos;
+
+    return (
+      <>
+        <h2 className='profile__title'>
+          {firstName}<span className='profile__title--highlight'>&nbsp;{lastName}</span>
+        </h2>
+        <section className='profile__section'>
+          <h3 className='profile__section-title'>{t('profile.personalInfo')}</h3>
+          <dl className='profile__infos'>
+            <dt>{t('profile.firstName')}</dt>
+            <dd>{firstName || t('common.empty')}</dd>
+            <dt>{t('profile.lastName')}</dt>
+            <dd>{lastName || t('common.empty')}</dd>
+            <dt>{t('profile.age')}</dt>
+            <dd>{age ? t('common.years', { count: age }) : t('common.empty')}</dd>
+            <dt>{t('profile.todayScore')}</dt>
+            <dd>{t('profile.scoreValue', { value: Math.round(user.todayScore * 100) })}</dd>
+          </dl>
+        </section>
+        <section className='profile__section'>
+          <h3 className='profile__section-title'>{t('goals.title')}</h3>
+          <GoalsPanel userId={numericUserId} />
+        </section>
+        <section className='profile__section profile__trend'>
+          <ScoreTrendChart userId={numericUserId} />
+        </section>
+        <section className='profile__section'>
+          <h3 className='profile__section-title'>{t('profile.keyData')}</h3>
+          <ul className='profile__key-data'>
+            {KEY_DATA_ITEMS.map(({ key, unit, icon }) => (
+              <li key={key} className='profile__key-item'>
+                <img src={icon} alt='' className='profile__key-icon' />
+                <div>
+                  <p className='profile__key-value'>
+                    {formatKeyData(unit, user.keyData[key])}
+                  </p>
+                  <p className='profile__key-label'>{t(`keyData.${key}`)}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </>
+    );
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='profile'>
+        {renderContent()}
+      </div>
+    </main>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,190 @@
+/**
+ * Page Rapport hebdomadaire imprimable de l'application SportSee
+ *
+ * Résumé d'une page A4 destiné à l'impression ou à l'export PDF
+ * (« Imprimer » puis « Enregistrer au format PDF ») :
+ * - Message de bienvenue et période couverte
+ * - Les quatre graphiques, dimensionnés pour le format A4
+ * - Temps forts calculés : meilleure journée de calories, session la plus
+ *   longue et catégorie de performance la plus forte
+ * - Données clés nutritionnelles
+ *
+ * Les données des temps forts proviennent de useAllCharts ; les graphiques
+ * lisent les mêmes requêtes en cache. La barre d'actions et les exports des
+ * graphiques sont masqués à l'impression.
+ *
+ * @component
+ * @returns {JSX.Element} Rapport imprimable de l'utilisateur courant
+ *
+ * @example
+ * <Route path="report" element={<Report />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/chartHooks.js
+ * @requires ../services/transformers/ChartTransformers.js
+ */
+import { useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { DataService } from '../services/api/DataService.js';
+import { formatRangeLabel, parseISODate } from '../services/data/dateRange.js';
+import { useAllCharts } from '../services/hooks/chartHooks.js';
+import { useUser } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import { ReportTransformer } from '../services/transformers/ChartTransformers.js';
+import {
+  ActivityChart,
+  SessionsChart,
+  PerformanceChart,
+  ScoreChart
+} from '../components/charts/index.jsx';
+import './report.css';
+
+/**
+ * Données clés affichées en bas du rapport
+ * @type {Array<{key: string, unit: string}>}
+ * @private
+ * @description L'unité "energy" suit la préférence de l'utilisateur (kCal ou kJ)
+ */
+const KEY_DATA_ITEMS = [
+  { key: 'calorieCount', unit: 'energy' },
+  { key: 'proteinCount', unit: 'gram' },
+  { key: 'carbohydrateCount', unit: 'gram' },
+  { key: 'lipidCount', unit: 'gram' },
+];
+
+const Report = () => {
+  const { userId } = useParams();
+  const numericUserId = DataService.parseUserId(userId);
+
+  const charts = useAllCharts(numericUserId);
+  const { data: user } = useUser(numericUserId);
+  const { t, intlLocale, formatUnit } = useTranslation();
+  const { formatEnergy } = useUnits();
+
+  const { activity, sessions, performance } = charts;
+
+  const highlights = useMemo(
+    () => ReportTransformer.computeHighlights({ activity, sessions, performance }),
+    [activity, sessions, performance]
+  );
+
+  // Période couverte : bornes réelles des sessions d'activité
+  const period = useMemo(() => {
+    const days = activity?.sessions ?? [];
+    if (days.length === 0) return null;
+    return formatRangeLabel(
+      { from: days[0].originalDay, to: days[days.length - 1].originalDay },
+      intlLocale
+    );
+  }, [activity, intlLocale]);
+
+  // Temps forts mis en forme (null si la donnée est absente)
+  const highlightItems = useMemo(() => {
+    const { bestCalorieDay: best, longestSession: longest, strongestAxis: strongest } = highlights;
+    const formatDay = (day) =>
+      parseISODate(day).toLocaleDateString(intlLocale, { weekday: 'long', day: 'numeric', month: 'long' });
+
+    return [
+      {
+        id: 'bestCalorieDay',
+        value: best && t('report.bestCalorieDayValue', {
+          date: formatDay(best.day),
+          value: formatEnergy(best.calories),
+        }),
+      },
+      {
+        id: 'longestSession',
+        value: longest && t('report.longestSessionValue', {
+          day: t(`days.long.${longest.dayKey}`),
+          value: formatUnit('minutes', longest.sessionLength),
+        }),
+      },
+      {
+        id: 'strongestAxis',
+        value: strongest && t('report.strongestAxisValue', {
+          kind: t(`performance.${strongest.kind}`),
+          value: strongest.value,
+        }),
+      },
+    ];
+  }, [highlights, t, intlLocale, formatUnit, formatEnergy]);
+
+  const formatKeyData = (unit, value) => {
+    if (!value) return t('common.empty');
+    return unit === 'energy' ? formatEnergy(value) : formatUnit(unit, value);
+  };
+
+  const firstName = user?.userInfos?.firstName || t('common.user');
+
+  return (
+    <main className='report'>
+      <nav className='report__toolbar' aria-label={t('report.actions')}>
+        <Link to={`/user/${numericUserId}`} className='report__link'>
+          {t('report.back')}
+        </Link>
+        <button type='button' className='report__print' onClick={() => window.print()}>
+          {t('report.print')}
+        </button>
+      </nav>
+
+      <article className='report__sheet'>
+        <header className='report__header'>
+          <p className='report__brand'>SportSee · {t('report.title')}</p>
+          <h1 className='report__title'>
+            {t('dashboard.hello')}
+            <span className='report__title--highlight'>&nbsp;{firstName}</span>
+          </h1>
+          {period && <p className='report__period'>{t('report.period', { period })}</p>}
+        </header>
+
+        {charts.loading && <p className='report__status'>{t('common.loading')}</p>}
+
+        <section className='report__charts'>
+          <div className='report__chart report__chart--main'>
+            <ActivityChart userId={numericUserId} />
+          </div>
+          <div className='report__chart'>
+            <SessionsChart userId={numericUserId} />
+          </div>
+          <div className='report__chart'>
+            <PerformanceChart userId={numericUserId} />
+          </div>
+          <div className='report__chart'>
+            <ScoreChart userId={numericUserId} />
+          </div>
+        </section>
+
+        <div className='report__details'>
+          <section className='report__section'>
+            <h2 className='report__section-title'>{t('report.highlights')}</h2>
+            <dl className='report__highlights'>
+              {highlightItems.map(({ id, value }) => (
+                <div key={id} className='report__highlight'>
+                  <dt>{t(`report.${id}`)}</dt>
+                  <dd>{value ?? t('common.empty')}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+
+          <section className='report__section'>
+            <h2 className='report__section-title'>{t('report.keyData')}</h2>
+            <ul className='report__key-data'>
+              {KEY_DATA_ITEMS.map(({ key, unit }) => (
+                <li key={key} className='report__key-item'>
+                  <span className='report__key-value'>
+                    {formatKeyData(unit, user?.keyData?.[key])}
+                  </span>
+                  <span className='report__key-label'>{t(`keyData.${key}`)}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+      </article>
+    </main>
+  );
+};
+
+export default Report;
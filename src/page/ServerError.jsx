@@ -0,0 +1,108 @@
+/**
+ * Page d'erreur serveur de l'application SportSee
+ *
+ * Affichée lorsque la source de données ne répond pas (backend arrêté,
+ * délai dépassé, erreur 5xx, réponse malformée). Permet de réessayer ou de
+ * basculer sur les données de démonstration. Pour une réponse non conforme
+ * (SchemaError), les premières anomalies sont listées et la validation
+ * souple peut être activée.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {DataServiceError} props.error - Erreur typée à l'origine de la page
+ * @param {Function} [props.onRetry] - Relance le chargement
+ * @returns {JSX.Element} Page "service indisponible"
+ *
+ * @example
+ * if (error) return <ServerError error={error} onRetry={refetch} />;
+ *
+ * @requires ../services/hooks/useDataSource.js
+ */
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { useDataSource } from '../services/hooks/useDataSource.js';
+import { useSchemaMode } from '../services/hooks/useSchemaMode.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './statusPage.css';
+
+/**
+ * Types d'erreur disposant d'une explication (DataServiceError.type)
+ * @type {string[]}
+ * @private
+ * @description Textes dans le catalogue i18n `serverError`
+ */
+const KNOWN_ERROR_TYPES = ['network', 'timeout', 'server', 'schema'];
+
+/**
+ * Nombre maximal d'anomalies de schéma listées
+ * @type {number}
+ * @private
+ */
+const MAX_ISSUES = 5;
+
+const ServerError = ({ error, onRetry }) => {
+  const { isMock, setDataSource } = useDataSource();
+  const { isStrict, setSchemaMode } = useSchemaMode();
+  const { t, formatIssue } = useTranslation();
+  const issues = error?.issues ?? [];
+  const text = t(
+    `serverError.${KNOWN_ERROR_TYPES.includes(error?.type) ? error.type : 'unknown'}`,
+    { url: DataService.API_BASE_URL }
+  );
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='status-page'>
+        <p className='status-page__code'>{error?.status ?? 500}</p>
+        <h2 className='status-page__title'>{t('serverError.title')}</h2>
+        <p className='status-page__text'>{text}</p>
+        {error?.message && (
+          <p className='status-page__detail'>
+            {error.message}
+            {error.attempts > 1 && t('serverError.attempts', { count: error.attempts })}
+          </p>
+        )}
+        {issues.length > 0 && (
+          <ul className='status-page__issues'>
+            {issues.slice(0, MAX_ISSUES).map((issue) => (
+              <li key={`${issue.path}:${issue.rule}`}>{formatIssue(issue)}</li>
+            ))}
+            {issues.length > MAX_ISSUES && (
+              <li>{t('serverError.moreIssues', { count: issues.length - MAX_ISSUES })}</li>
+            )}
+          </ul>
+        )}
+        <div className='status-page__actions'>
+          {onRetry && (
+            <button type='button' className='status-page__action status-page__action--primary' onClick={onRetry}>
+              {t('common.retry')}
+            </button>
+          )}
+          {error?.type === 'schema' && isStrict && (
+            <button
+              type='button'
+              className='status-page__action'
+              onClick={() => setSchemaMode(DataService.SCHEMA_MODES.LENIENT)}
+            >
+              {t('serverError.toLenient')}
+            </button>
+          )}
+          {!isMock && (
+            <button
+              type='button'
+              className='status-page__action'
+              onClick={() => setDataSource(DataService.DATA_SOURCES.MOCK)}
+            >
+              {t('common.useDemoData')}
+            </button>
+          )}
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default ServerError;
@@ -0,0 +1,141 @@
+/**
+ * Page Réglages de l'application SportSee
+ *
+ * Regroupe les préférences de l'application : la langue, les unités de
+ * poids et d'énergie, la source de données (mock ou API) et le mode de
+ * validation des réponses (strict ou souple), choix
+ * mémorisés dans le localStorage et appliqués à toutes les pages. Les
+ * dernières réponses non conformes à leur schéma y sont listées.
+ *
+ * @component
+ * @returns {JSX.Element} Page des réglages
+ *
+ * @example
+ * <Route path="settings" element={<Settings />} />
+ *
+ * @requires ../components/DataSourceToggle.jsx
+ * @requires ../components/LocaleSwitcher.jsx
+ * @requires ../services/hooks/useSchemaMode.js
+ * @requires ../services/hooks/useUnits.js
+ */
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import DataSourceToggle from '../components/DataSourceToggle.jsx';
+import LocaleSwitcher from '../components/LocaleSwitcher.jsx';
+import { DataService } from '../services/api/DataService.js';
+import { useSchemaMode } from '../services/hooks/useSchemaMode.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import { useUnits } from '../services/hooks/useUnits.js';
+import { Units } from '../services/units/Units.js';
+import './settings.css';
+
+/**
+ * Nombre maximal d'anomalies affichées par rapport
+ * @type {number}
+ * @private
+ */
+const MAX_ISSUES = 3;
+
+const Settings = () => {
+  const { isStrict, reports, setSchemaMode } = useSchemaMode();
+  const { t, formatIssue } = useTranslation();
+  const { preferences, setPreferences } = useUnits();
+
+  const handleSchemaToggle = () => {
+    setSchemaMode(isStrict ? DataService.SCHEMA_MODES.LENIENT : DataService.SCHEMA_MODES.STRICT);
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='settings'>
+        <h2 className='settings__title'>{t('settings.title')}</h2>
+        <section className='settings__section'>
+          <h3 className='settings__section-title'>{t('settings.language.title')}</h3>
+          <p className='settings__text'>{t('settings.language.text')}</p>
+          <LocaleSwitcher light />
+        </section>
+        <section className='settings__section'>
+          <h3 className='settings__section-title'>{t('settings.units.title')}</h3>
+          <p className='settings__text'>{t('settings.units.text')}</p>
+          <div className='settings__fields'>
+            <label className='settings__row'>
+              <span className='settings__label'>{t('settings.units.weight')}</span>
+              <select
+                className='settings__select'
+                value={preferences.system}
+                onChange={(event) => setPreferences({ system: event.target.value })}
+              >
+                {Object.values(Units.SYSTEMS).map((system) => (
+                  <option key={system} value={system}>
+                    {t(`settings.units.systems.${system}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className='settings__row'>
+              <span className='settings__label'>{t('settings.units.energy')}</span>
+              <select
+                className='settings__select'
+                value={preferences.energy}
+                onChange={(event) => setPreferences({ energy: event.target.value })}
+              >
+                {Object.values(Units.ENERGY_UNITS).map((unit) => (
+                  <option key={unit} value={unit}>
+                    {t(`settings.units.energyUnits.${unit}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </section>
+        <section className='settings__section'>
+          <h3 className='settings__section-title'>{t('settings.dataSource.title')}</h3>
+          <p className='settings__text'>
+            {t('settings.dataSource.text', { url: DataService.API_BASE_URL })}
+          </p>
+          <DataSourceToggle />
+        </section>
+        <section className='settings__section'>
+          <h3 className='settings__section-title'>{t('settings.validation.title')}</h3>
+          <p className='settings__text'>{t('settings.validation.text')}</p>
+          <div className='settings__row'>
+            <span className='settings__label'>
+              {t('settings.validation.mode')}{' '}
+              <strong>{t(isStrict ? 'settings.validation.strict' : 'settings.validation.lenient')}</strong>
+            </span>
+            <button
+              type='button'
+              className='settings__button'
+              onClick={handleSchemaToggle}
+              aria-pressed={isStrict}
+            >
+              {t(isStrict ? 'settings.validation.toLenient' : 'settings.validation.toStrict')}
+            </button>
+          </div>
+          {reports.length === 0 ? (
+            <p className='settings__note'>{t('settings.validation.noReport')}</p>
+          ) : (
+            <ul className='settings__reports'>
+              {reports.map((report) => (
+                <li key={`${report.mode}:${report.endpoint}`} className='settings__report'>
+                  <p className='settings__report-endpoint'>
+                    {report.endpoint} ({t('settings.validation.issues', { count: report.issues.length })})
+                  </p>
+                  <ul className='settings__issues'>
+                    {report.issues.slice(0, MAX_ISSUES).map((issue) => (
+                      <li key={`${issue.path}:${issue.rule}`}>{formatIssue(issue)}</li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </main>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,91 @@
+/**
+ * Page d'accueil SportSee : sélection du profil
+ *
+ * Liste les utilisateurs disponibles dans la source de données active
+ * (clés des données mockées ou endpoint `/users` de l'API) avec leur nom,
+ * leur âge et leur score du jour. Chaque carte mène au dashboard du profil ;
+ * avec au moins deux profils, un lien ouvre leur comparaison (`/compare`).
+ *
+ * @component
+ * @returns {JSX.Element} Page de sélection des profils
+ *
+ * @example
+ * <Route path="/" element={<UserSelect />} />
+ *
+ * @requires react-router-dom
+ * @requires ../services/hooks/hooks.js
+ * @requires ../components/DataSourceToggle.jsx
+ */
+import { Link } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import Sidebar from '../components/Sidebar.jsx';
+import DataSourceToggle from '../components/DataSourceToggle.jsx';
+import { useUsers } from '../services/hooks/hooks.js';
+import { useTranslation } from '../services/hooks/useTranslation.js';
+import './userSelect.css';
+
+const UserSelect = () => {
+  const { data: users, loading, error } = useUsers();
+  const { t, formatUnit } = useTranslation();
+
+  const renderContent = () => {
+    if (loading) {
+      return <p className='user-select__status'>{t('userSelect.loading')}</p>;
+    }
+
+    if (error) {
+      return <p className='user-select__status'>{t('common.error', { message: error.message })}</p>;
+    }
+
+    if (!users || users.length === 0) {
+      return <p className='user-select__status'>{t('userSelect.empty')}</p>;
+    }
+
+    return (
+      <>
+        <ul className='user-select__list'>
+          {users.map((user) => (
+            <li key={user.id}>
+              <Link className='user-select__card' to={`/user/${user.id}`}>
+                <span className='user-select__name'>
+                  {user.userInfos.firstName} {user.userInfos.lastName}
+                </span>
+                <span className='user-select__age'>
+                  {t('common.years', { count: user.userInfos.age })}
+                </span>
+                <span className='user-select__score'>
+                  <strong>{formatUnit('percent', Math.round(user.todayScore * 100))}</strong>{' '}
+                  {t('userSelect.score')}
+                </span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+        {users.length > 1 && (
+          <Link
+            className='user-select__compare'
+            to={`/compare?users=${users.map((user) => user.id).join(',')}`}
+          >
+            {t('userSelect.compare')}
+          </Link>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <Sidebar />
+      <div className='user-select'>
+        <div className='user-select__header'>
+          <h1 className='user-select__title'>{t('userSelect.title')}</h1>
+          <DataSourceToggle />
+        </div>
+        {renderContent()}
+      </div>
+    </main>
+  );
+};
+
+export default UserSelect;
@@ -3,12 +3,19 @@
  *
  * Cette classe fournit une interface unifiée pour récupérer les données utilisateur
  * depuis l'API ou depuis des données mockées pour le développement.
+ * Chaque source de données est un adaptateur (voir services/api/adapters)
+ * enregistré sous un nom ; de nouvelles sources peuvent être ajoutées
+ * avec DataService.registerAdapter sans modifier cette classe.
+ * Les réponses sont mises en cache (voir RequestCache) : un même endpoint
+ * demandé par plusieurs composants n'est récupéré qu'une seule fois.
+ * Les sources qui le permettent poussent des mises à jour temps réel
+ * (subscribeLive), appliquées directement aux données en cache.
  *
  * @class DataService
  * @author SportSee Team
  * @since 1.0.0
  * @example
- * // Utilisation en mode API
+ * // Utilisation en mode API (aussi possible via ?source=api ou VITE_USE_REAL_API=true)
  * DataService.setMockMode(false);
  * const userData = await DataService.getUserById(18);
  *
@@ -17,28 +24,121 @@
  * const activity = await DataService.getUserActivity(18);
  */
 
-import {
-  mockUserData,
-  mockActivityData,
-  mockSessionsData,
-  mockPerformanceData,
-  mockUserDataUser18,
-  mockActivityDataUser18,
-  mockSessionsDataUser18,
-  mockPerformanceDataUser18,
-} from "../data/mockData.js";
+import { createMockService, isRealApiRequested } from "../data/mockData.js";
 
 import { DataNormalizer } from "../data/DataNormalizer.js";
+import { isValidRange } from "../data/dateRange.js";
+import {
+  LIVE_EVENT_TYPES,
+  mergeActivitySession,
+  parseLiveEvent,
+} from "../data/liveEvents.js";
+import { createHttpAdapter, validateAdapter } from "./adapters/index.js";
+import { LiveChannel, LIVE_STATUSES } from "./LiveChannel.js";
+import { PersistedSetting } from "./PersistedSetting.js";
+import { RequestCache } from "./RequestCache.js";
+import { NotFoundError, SchemaError, toDataServiceError } from "./errors.js";
 
 export class DataService {
   /**
-   * Mode d'utilisation des données (mock ou API réelle)
-   * @type {boolean}
+   * Sources de données disponibles
+   * @type {{MOCK: string, API: string}}
+   * @static
+   * @readonly
+   */
+  static DATA_SOURCES = { MOCK: "mock", API: "api" };
+
+  /**
+   * Clé localStorage utilisée pour persister le choix de la source
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static DATA_SOURCE_STORAGE_KEY = "sportsee:data-source";
+
+  /**
+   * Nom du paramètre d'URL permettant de forcer la source (?source=mock|api)
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static DATA_SOURCE_URL_PARAM = "source";
+
+  /**
+   * Modes de validation des réponses brutes
+   * @type {{STRICT: string, LENIENT: string}}
+   * @static
+   * @readonly
+   * @description En mode strict, une réponse non conforme à son schéma lève une
+   * SchemaError ; en mode souple, elle est signalée puis normalisée quand même
+   */
+  static SCHEMA_MODES = { STRICT: "strict", LENIENT: "lenient" };
+
+  /**
+   * Clé localStorage utilisée pour persister le mode de validation
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static SCHEMA_MODE_STORAGE_KEY = "sportsee:schema-mode";
+
+  /**
+   * Derniers rapports de validation non conformes, indexés par clé de cache
+   * @type {Map<string, ValidationReport>}
+   * @static
+   * @private
+   */
+  static _validationReports = new Map();
+
+  /**
+   * Copie figée des rapports, renouvelée à chaque modification
+   * @type {ValidationReport[]}
+   * @static
+   * @private
+   * @description Référence stable exigée par useSyncExternalStore
+   */
+  static _validationSnapshot = [];
+
+  /**
+   * Intervalles d'actualisation automatique proposés (ms), 0 = désactivée
+   * @type {number[]}
+   * @static
+   * @readonly
+   */
+  static REFRESH_INTERVALS = [0, 30000, 60000, 300000];
+
+  /**
+   * Clé localStorage utilisée pour persister l'intervalle d'actualisation
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static REFRESH_INTERVAL_STORAGE_KEY = "sportsee:refresh-interval";
+
+  /**
+   * Clé localStorage utilisée pour persister l'activation du temps réel
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static LIVE_UPDATES_STORAGE_KEY = "sportsee:live-updates";
+
+  /**
+   * Délais de reconnexion des canaux temps réel
+   * @type {{baseDelay: number, maxDelay: number}}
+   * @static
+   * @readonly
+   * @description Délai exponentiel aléatoire entre baseDelay et maxDelay (voir LiveChannel)
+   */
+  static LIVE_RECONNECT_OPTIONS = { baseDelay: 1000, maxDelay: 30000 };
+
+  /**
+   * Canaux temps réel ouverts, indexés par "source:userId"
+   * @type {Map<string, {channel: LiveChannel, listeners: Set<Function>}>}
    * @static
-   * @default false
-   * @description true = données mockées, false = API réelle
+   * @private
    */
-  static USE_MOCK_DATA = true; // true = données mockées, false = API réelle
+  static _liveChannels = new Map();
 
   /**
    * URL de base de l'API SportSee
@@ -48,6 +148,31 @@ export class DataService {
    */
   static API_BASE_URL = "http://localhost:3000";
 
+  /**
+   * Délai d'expiration et nouvelles tentatives des appels à l'API
+   * @type {RetryOptions}
+   * @static
+   * @readonly
+   * @description Chaque tentative est limitée à `timeout` ms ; les erreurs réseau
+   * et 5xx sont relancées `retries` fois avec un délai exponentiel, jamais les 4xx
+   */
+  static API_RETRY_OPTIONS = {
+    timeout: 8000,
+    retries: 3,
+    baseDelay: 300,
+    maxDelay: 4000,
+  };
+
+  /**
+   * Identifiants des utilisateurs disponibles dans le backend SportSee
+   * @type {number[]}
+   * @static
+   * @readonly
+   * @description Utilisés pour proposer des profils valides (page 404, etc.)
+   * et comme liste par défaut si la source ne sait pas lister ses utilisateurs
+   */
+  static KNOWN_USER_IDS = [12, 18];
+
   /**
    * ID utilisateur par défaut
    * @type {number}
@@ -57,118 +182,969 @@ export class DataService {
   static DEFAULT_USER_ID = 18;
 
   /**
-   * Carte des données mockées organisées par endpoint
-   * @type {Object<string, Function>}
+   * Périodes demandables pour les sessions moyennes et la performance
+   * @type {{CURRENT: string, PREVIOUS: string}}
    * @static
    * @readonly
-   * @description Chaque clé correspond à un endpoint API et chaque valeur est une fonction retournant les données mockées
-   */
-  // Données mockées organisées par endpoint
-  static mockDataMap = {
-    // Utilisateur 18 - Cecilia (données spécifiques)
-    [`/user/${DataService.DEFAULT_USER_ID}`]: () => mockUserDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/activity`]: () =>
-      mockActivityDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/average-sessions`]: () =>
-      mockSessionsDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/performance`]: () =>
-      mockPerformanceDataUser18.data,
-    // Utilisateur 12 - Karl (données originales)
-    ["/user/12"]: () => mockUserData.data,
-    ["/user/12/activity"]: () => mockActivityData.data,
-    ["/user/12/average-sessions"]: () => mockSessionsData.data,
-    ["/user/12/performance"]: () => mockPerformanceData.data,
+   * @description "previous" désigne la semaine précédant la fenêtre par défaut
+   * de la source (`?period=previous`), utilisée par le mode comparaison
+   */
+  static PERIODS = { CURRENT: "current", PREVIOUS: "previous" };
+
+  /**
+   * Ressources exposées par les adaptateurs
+   * @type {Object<string, {method: string, path: Function}>}
+   * @static
+   * @readonly
+   * @description Associe chaque ressource à la méthode d'adaptateur correspondante
+   * et à l'endpoint API utilisé pour la normalisation
+   */
+  static RESOURCES = {
+    user: { method: "getUser", path: (userId) => `/user/${userId}` },
+    activity: {
+      method: "getActivity",
+      path: (userId) => `/user/${userId}/activity`,
+    },
+    averageSessions: {
+      method: "getAverageSessions",
+      path: (userId) => `/user/${userId}/average-sessions`,
+    },
+    performance: {
+      method: "getPerformance",
+      path: (userId) => `/user/${userId}/performance`,
+    },
+    // Méthode facultative : toutes les sources ne fournissent pas l'historique
+    scoreHistory: {
+      method: "getScoreHistory",
+      path: (userId) => `/user/${userId}/score-history`,
+    },
   };
 
   /**
-   * Méthode principale pour récupérer des données
+   * Adaptateurs enregistrés, indexés par nom de source de données
+   * @type {Map<string, DataSourceAdapter>}
+   * @static
+   * @private
+   * @description "mock" et "api" sont enregistrés par défaut
+   */
+  static _adapters = new Map([
+    [DataService.DATA_SOURCES.MOCK, createMockService()],
+    [
+      DataService.DATA_SOURCES.API,
+      createHttpAdapter({
+        baseUrl: DataService.API_BASE_URL,
+        retry: DataService.API_RETRY_OPTIONS,
+      }),
+    ],
+  ]);
+
+  /**
+   * Cache des réponses normalisées, partagé par tous les hooks
+   * @type {RequestCache}
+   * @static
+   * @description Clés de la forme "source:endpoint" (ex: "mock:/user/18/activity").
+   * Données fraîches 60 s, puis servies pendant 5 min le temps d'être revalidées.
+   */
+  static cache = new RequestCache({ ttl: 60 * 1000, staleTtl: 5 * 60 * 1000 });
+
+  /**
+   * Mode de validation actif, résolu au chargement du module
+   * @type {PersistedSetting}
+   * @static
+   * @private
+   * @see DataService.resolveSchemaMode
+   * @description Ses abonnés sont aussi notifiés des changements de rapports
+   */
+  static _schemaMode = new PersistedSetting({
+    key: DataService.SCHEMA_MODE_STORAGE_KEY,
+    isValid: (mode) => DataService.isValidSchemaMode(mode),
+    initial: (stored) => DataService.resolveSchemaMode(stored),
+  });
+
+  /**
+   * Source de données active, résolue au chargement du module
+   * @type {PersistedSetting}
+   * @static
+   * @private
+   * @see DataService.resolveDataSource
+   */
+  static _dataSource = new PersistedSetting({
+    key: DataService.DATA_SOURCE_STORAGE_KEY,
+    isValid: (source) => DataService.isValidDataSource(source),
+    initial: (stored) => DataService.resolveDataSource(stored),
+  });
+
+  /**
+   * Intervalle d'actualisation automatique actif (ms), 0 par défaut
+   * @type {PersistedSetting}
+   * @static
+   * @private
+   */
+  static _refreshInterval = new PersistedSetting({
+    key: DataService.REFRESH_INTERVAL_STORAGE_KEY,
+    isValid: (interval) => DataService.isValidRefreshInterval(interval),
+    parse: Number,
+    initial: (stored) => stored ?? 0,
+  });
+
+  /**
+   * Activation des mises à jour temps réel, désactivées par défaut
+   * @type {PersistedSetting}
+   * @static
+   * @private
+   */
+  static _liveUpdates = new PersistedSetting({
+    key: DataService.LIVE_UPDATES_STORAGE_KEY,
+    isValid: (enabled) => typeof enabled === "boolean",
+    parse: (stored) => stored === "true",
+    initial: (stored) => stored ?? false,
+  });
+
+  /**
+   * Vérifie qu'une valeur correspond à une source de données enregistrée
+   *
+   * @static
+   * @param {*} source - Valeur à vérifier
+   * @returns {boolean} true si un adaptateur est enregistré sous ce nom
+   */
+  static isValidDataSource(source) {
+    return DataService._adapters.has(source);
+  }
+
+  /**
+   * Enregistre (ou remplace) un adaptateur de source de données
+   *
+   * @static
+   * @param {string} name - Nom de la source (utilisable avec setDataSource et ?source=)
+   * @param {DataSourceAdapter} adapter - Adaptateur respectant le contrat
+   * @throws {Error} Si l'adaptateur ne fournit pas toutes les méthodes requises
+   *
+   * @example
+   * DataService.registerAdapter('local-json', createInMemoryAdapter(fixtures));
+   * DataService.setDataSource('local-json');
+   */
+  static registerAdapter(name, adapter) {
+    const missing = validateAdapter(adapter);
+
+    if (missing.length > 0) {
+      throw new Error(
+        `Adaptateur "${name}" invalide, méthodes manquantes: ${missing.join(", ")}`
+      );
+    }
+
+    DataService._adapters.set(name, adapter);
+  }
+
+  /**
+   * Retourne l'adaptateur d'une source de données
+   *
+   * @static
+   * @param {string} [name=DataService.getDataSource()] - Nom de la source
+   * @returns {DataSourceAdapter} Adaptateur enregistré
+   * @throws {Error} Si aucun adaptateur n'est enregistré sous ce nom
+   */
+  static getAdapter(name = DataService.getDataSource()) {
+    const adapter = DataService._adapters.get(name);
+
+    if (!adapter) {
+      throw new Error(`Aucun adaptateur enregistré pour la source: ${name}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Liste les sources de données enregistrées
+   *
+   * @static
+   * @returns {string[]} Noms des adaptateurs disponibles
+   */
+  static getDataSources() {
+    return [...DataService._adapters.keys()];
+  }
+
+  /**
+   * Détermine la source de données à utiliser au démarrage
+   *
+   * Ordre de priorité :
+   * 1. Paramètre d'URL `?source=mock|api` (ou tout adaptateur enregistré)
+   * 2. Choix persisté via le sélecteur de l'interface (localStorage)
+   * 3. Variable d'environnement Vite `VITE_USE_REAL_API`
+   * 4. Données mockées par défaut
+   *
+   * @static
+   * @param {string|null} stored - Choix persisté valide, null si aucun
+   * @returns {string} Source de données résolue (par défaut "mock" ou "api")
+   *
+   * @example
+   * // http://localhost:5173/user/18?source=api
+   * DataService.resolveDataSource(null); // "api"
+   */
+  static resolveDataSource(stored) {
+    if (typeof window !== "undefined") {
+      const fromUrl = new URLSearchParams(window.location.search).get(
+        DataService.DATA_SOURCE_URL_PARAM
+      );
+      if (DataService.isValidDataSource(fromUrl)) {
+        return fromUrl;
+      }
+    }
+
+    if (stored !== null) {
+      return stored;
+    }
+
+    return isRealApiRequested()
+      ? DataService.DATA_SOURCES.API
+      : DataService.DATA_SOURCES.MOCK;
+  }
+
+  /**
+   * Retourne la source de données actuellement active
+   *
+   * @static
+   * @returns {string} Nom de l'adaptateur actif ("mock", "api"...)
+   */
+  static getDataSource() {
+    return DataService._dataSource.get();
+  }
+
+  /**
+   * Indique si les données mockées sont utilisées
+   *
+   * @static
+   * @returns {boolean} true en mode mock, false en mode API
+   */
+  static isMockMode() {
+    return DataService._dataSource.get() === DataService.DATA_SOURCES.MOCK;
+  }
+
+  /**
+   * Change la source de données active et notifie les abonnés
+   *
+   * @static
+   * @param {string} source - Nouvelle source ("mock", "api" ou adaptateur enregistré)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   * @throws {Error} Si la source n'est pas reconnue
+   *
+   * @example
+   * DataService.setDataSource("api");
+   */
+  static setDataSource(source, { persist = true } = {}) {
+    if (!DataService.isValidDataSource(source)) {
+      throw new Error(`Source de données inconnue: ${source}`);
+    }
+
+    DataService._dataSource.set(source, { persist });
+  }
+
+  /**
+   * Active ou désactive le mode mock
+   *
+   * @static
+   * @param {boolean} enabled - true = données mockées, false = API réelle
+   */
+  static setMockMode(enabled) {
+    DataService.setDataSource(
+      enabled ? DataService.DATA_SOURCES.MOCK : DataService.DATA_SOURCES.API
+    );
+  }
+
+  /**
+   * Abonne une fonction aux changements de source de données
+   *
+   * @static
+   * @param {Function} listener - Appelée avec la nouvelle source
+   * @returns {Function} Fonction de désabonnement
+   *
+   * @example
+   * const unsubscribe = DataService.subscribeDataSource((source) => {
+   *   console.log(`Nouvelle source: ${source}`);
+   * });
+   */
+  static subscribeDataSource(listener) {
+    return DataService._dataSource.subscribe(listener);
+  }
+
+  /**
+   * Vérifie qu'une valeur correspond à un mode de validation
+   *
+   * @static
+   * @param {*} mode - Valeur à vérifier
+   * @returns {boolean} true pour "strict" ou "lenient"
+   */
+  static isValidSchemaMode(mode) {
+    return Object.values(DataService.SCHEMA_MODES).includes(mode);
+  }
+
+  /**
+   * Détermine le mode de validation à utiliser au démarrage
+   *
+   * Ordre de priorité :
+   * 1. Choix persisté via la page Réglages (localStorage)
+   * 2. Variable d'environnement Vite `VITE_SCHEMA_MODE`
+   * 3. Mode strict par défaut
+   *
+   * @static
+   * @param {string|null} stored - Choix persisté valide, null si aucun
+   * @returns {string} Mode de validation ("strict" ou "lenient")
+   */
+  static resolveSchemaMode(stored) {
+    if (stored !== null) {
+      return stored;
+    }
+
+    const fromEnv = String(import.meta.env.VITE_SCHEMA_MODE).toLowerCase();
+    return DataService.isValidSchemaMode(fromEnv)
+      ? fromEnv
+      : DataService.SCHEMA_MODES.STRICT;
+  }
+
+  /**
+   * Retourne le mode de validation actif
+   *
+   * @static
+   * @returns {string} "strict" ou "lenient"
+   */
+  static getSchemaMode() {
+    return DataService._schemaMode.get();
+  }
+
+  /**
+   * Change le mode de validation, vide le cache et notifie les abonnés
+   *
+   * Le cache est invalidé pour que les réponses déjà rejetées (ou acceptées)
+   * soient revalidées selon le nouveau mode.
+   *
+   * @static
+   * @param {string} mode - Nouveau mode ("strict" ou "lenient")
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   * @throws {Error} Si le mode n'est pas reconnu
+   *
+   * @example
+   * DataService.setSchemaMode(DataService.SCHEMA_MODES.LENIENT);
+   */
+  static setSchemaMode(mode, { persist = true } = {}) {
+    if (!DataService.isValidSchemaMode(mode)) {
+      throw new Error(`Mode de validation inconnu: ${mode}`);
+    }
+
+    // Rapports vidés avant que set() ne notifie les abonnés
+    if (mode !== DataService.getSchemaMode()) {
+      DataService._validationReports.clear();
+      DataService._validationSnapshot = [];
+    }
+
+    if (DataService._schemaMode.set(mode, { persist })) {
+      DataService.invalidate();
+    }
+  }
+
+  /**
+   * Retourne les derniers rapports de validation non conformes
+   *
+   * Un rapport est retiré dès que l'endpoint concerné renvoie une réponse valide.
+   *
+   * @static
+   * @returns {ValidationReport[]} Rapports (référence stable entre deux modifications)
+   *
+   * @typedef {Object} ValidationReport
+   * @property {string} endpoint - Endpoint appelé (ex: "/user/18/activity")
+   * @property {string} resource - Ressource validée ("user", "activity"...)
+   * @property {boolean} valid - Toujours false pour un rapport enregistré
+   * @property {SchemaIssue[]} issues - Anomalies détectées
+   * @property {string} mode - Mode de validation appliqué ("strict" ou "lenient")
+   * @property {number} checkedAt - Horodatage (ms) de la validation
+   */
+  static getValidationReports() {
+    return DataService._validationSnapshot;
+  }
+
+  /**
+   * Abonne une fonction aux changements du mode de validation et des rapports
+   *
+   * @static
+   * @param {Function} listener - Appelée avec le mode actif
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribeSchema(listener) {
+    return DataService._schemaMode.subscribe(listener);
+  }
+
+  /**
+   * Renouvelle la copie des rapports et notifie les abonnés
+   *
+   * @static
+   * @private
+   */
+  static _emitSchemaChange() {
+    DataService._validationSnapshot = [...DataService._validationReports.values()];
+    DataService._schemaMode.notify();
+  }
+
+  /**
+   * Vérifie qu'une valeur correspond à un intervalle d'actualisation proposé
+   *
+   * @static
+   * @param {*} interval - Valeur à vérifier
+   * @returns {boolean} true si la valeur figure dans REFRESH_INTERVALS
+   */
+  static isValidRefreshInterval(interval) {
+    return DataService.REFRESH_INTERVALS.includes(interval);
+  }
+
+  /**
+   * Retourne l'intervalle d'actualisation automatique actif
+   *
+   * @static
+   * @returns {number} Intervalle (ms), 0 si désactivée
+   */
+  static getRefreshInterval() {
+    return DataService._refreshInterval.get();
+  }
+
+  /**
+   * Change l'intervalle d'actualisation automatique et notifie les abonnés
+   *
+   * @static
+   * @param {number} interval - Intervalle (ms) parmi REFRESH_INTERVALS, 0 pour désactiver
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   * @throws {Error} Si l'intervalle n'est pas proposé
+   *
+   * @example
+   * DataService.setRefreshInterval(60000); // Toutes les minutes
+   */
+  static setRefreshInterval(interval, { persist = true } = {}) {
+    if (!DataService.isValidRefreshInterval(interval)) {
+      throw new Error(`Intervalle d'actualisation inconnu: ${interval}`);
+    }
+
+    DataService._refreshInterval.set(interval, { persist });
+  }
+
+  /**
+   * Abonne une fonction aux changements de l'intervalle d'actualisation
+   *
+   * @static
+   * @param {Function} listener - Appelée avec le nouvel intervalle
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribeRefreshInterval(listener) {
+    return DataService._refreshInterval.subscribe(listener);
+  }
+
+  /**
+   * Indique si les mises à jour temps réel sont activées
+   *
+   * @static
+   * @returns {boolean} true si le temps réel est activé
+   */
+  static isLiveUpdatesEnabled() {
+    return DataService._liveUpdates.get();
+  }
+
+  /**
+   * Active ou désactive les mises à jour temps réel et notifie les abonnés
+   *
+   * Les canaux déjà ouverts sont gérés par leurs abonnés (voir useLiveUpdates).
+   *
+   * @static
+   * @param {boolean} enabled - true pour activer le temps réel
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   *
+   * @example
+   * DataService.setLiveUpdates(true);
+   */
+  static setLiveUpdates(enabled, { persist = true } = {}) {
+    DataService._liveUpdates.set(Boolean(enabled), { persist });
+  }
+
+  /**
+   * Abonne une fonction à l'activation ou la désactivation du temps réel
+   *
+   * @static
+   * @param {Function} listener - Appelée avec le nouvel état
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribeLiveUpdates(listener) {
+    return DataService._liveUpdates.subscribe(listener);
+  }
+
+  /**
+   * Valide une réponse brute selon le mode actif
+   *
+   * Les réponses non conformes sont enregistrées dans les rapports de
+   * validation ; en mode strict elles sont rejetées.
+   *
+   * @static
+   * @private
+   * @param {string} cacheKey - Clé de cache de la réponse
+   * @param {string} resource - Clé de DataService.RESOURCES
+   * @param {string} endpoint - Endpoint appelé
+   * @param {Object} rawData - Données brutes
+   * @throws {SchemaError} En mode strict, si la réponse n'est pas conforme
+   */
+  static _checkSchema(cacheKey, resource, endpoint, rawData) {
+    const report = DataNormalizer.validateRaw(resource, rawData, { endpoint });
+    const hadReport = DataService._validationReports.delete(cacheKey);
+
+    if (report.valid) {
+      if (hadReport) {
+        DataService._emitSchemaChange();
+      }
+      return;
+    }
+
+    const mode = DataService.getSchemaMode();
+    DataService._validationReports.set(cacheKey, {
+      ...report,
+      mode,
+      checkedAt: Date.now(),
+    });
+    DataService._emitSchemaChange();
+
+    const message = `Réponse non conforme (${report.issues.length} anomalie${
+      report.issues.length > 1 ? "s" : ""
+    }): ${report.issues[0].message}`;
+
+    if (mode === DataService.SCHEMA_MODES.STRICT) {
+      throw new SchemaError(message, { endpoint, issues: report.issues });
+    }
+
+    console.warn(`DataService: ${endpoint} - ${message}`, report.issues);
+  }
+
+  /**
+   * Récupère et normalise une ressource via l'adaptateur actif
    *
    * @static
    * @async
-   * @param {string} endpoint - L'endpoint de l'API (ex: "/user/18", "/user/18/activity")
-   * @returns {Promise<Object>} Les données récupérées depuis l'API ou les données mockées
-   * @throws {Error} Erreur si l'endpoint n'existe pas ou si l'appel API échoue
+   * @param {string} resource - Clé de DataService.RESOURCES ("user", "activity"...)
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object<string, string>} [query={}] - Paramètres de requête (ex: { from, to }),
+   * transmis à l'adaptateur et intégrés à la clé de cache
+   * @returns {Promise<Object>} Données normalisées
+   * @throws {Error} Si la ressource est inconnue
+   * @throws {NotFoundError} Si l'adaptateur ne fournit pas cette ressource
+   * @throws {DataServiceError} Si l'adaptateur échoue (NotFoundError, NetworkError...)
+   * @throws {SchemaError} En mode strict, si la réponse brute ne respecte pas son schéma
    *
    * @example
-   * // Récupération des données utilisateur
-   * const userData = await DataService.fetchData("/user/18");
+   * const activity = await DataService.fetchResource("activity", 18);
    *
    * @example
-   * // Récupération de l'activité utilisateur
-   * const activity = await DataService.fetchData("/user/18/activity");
+   * // Endpoint appelé : /user/18/activity?from=2020-07-01&to=2020-07-31
+   * const july = await DataService.fetchResource("activity", 18, {
+   *   from: "2020-07-01",
+   *   to: "2020-07-31",
+   * });
    */
-  static async fetchData(endpoint) {
-    if (DataService.USE_MOCK_DATA) {
-      return DataService._getMockData(endpoint);
+  static async fetchResource(resource, userId, query = {}) {
+    const definition = DataService.RESOURCES[resource];
+
+    if (!definition) {
+      throw new Error(`Ressource inconnue: ${resource}`);
+    }
+
+    const source = DataService.getDataSource();
+    const adapter = DataService.getAdapter(source);
+    const search = new URLSearchParams(query).toString();
+    const endpoint = search
+      ? `${definition.path(userId)}?${search}`
+      : definition.path(userId);
+
+    const cacheKey = `${source}:${endpoint}`;
+
+    // Ressource facultative non fournie par cette source
+    if (typeof adapter[definition.method] !== "function") {
+      throw new NotFoundError(
+        `Ressource non disponible pour la source "${source}": ${endpoint}`,
+        { endpoint }
+      );
+    }
+
+    // Requêtes identiques dédupliquées et mises en cache par source + endpoint
+    return DataService.cache.get(cacheKey, async () => {
+      let rawData;
+      try {
+        rawData = search
+          ? await adapter[definition.method](userId, query)
+          : await adapter[definition.method](userId);
+      } catch (error) {
+        // Les adaptateurs tiers peuvent lever des erreurs non typées
+        throw toDataServiceError(error, { endpoint });
+      }
+
+      // Contrôle du format brut avant normalisation (SchemaError en mode strict)
+      DataService._checkSchema(cacheKey, resource, endpoint, rawData);
+
+      // ✅ Normalisation appliquée quelle que soit la source de données
+      return DataNormalizer.normalizeByEndpoint(endpoint, rawData);
+    });
+  }
+
+  /**
+   * Convertit un paramètre de route en ID utilisateur valide
+   *
+   * @static
+   * @param {string|number} value - Valeur à convertir (ex: paramètre `:userId`)
+   * @returns {number|null} ID entier positif, ou null si la valeur est invalide
+   *
+   * @example
+   * DataService.parseUserId("18");  // 18
+   * DataService.parseUserId("abc"); // null
+   * DataService.parseUserId("1.5"); // null
+   */
+  static parseUserId(value) {
+    if (!/^\d+$/.test(String(value ?? ""))) {
+      return null;
+    }
+    const userId = Number(value);
+    return userId > 0 ? userId : null;
+  }
+
+  /**
+   * Indique si une clé de cache concerne un utilisateur donné
+   *
+   * @static
+   * @private
+   * @param {string} key - Clé de cache ("source:/user/:id[/ressource]")
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {boolean} true si la clé appartient à cet utilisateur
+   */
+  static _isUserCacheKey(key, userId) {
+    const endpoint = key.slice(key.indexOf(":") + 1);
+    const prefix = `/user/${userId}`;
+    return endpoint === prefix || endpoint.startsWith(`${prefix}/`);
+  }
+
+  /**
+   * Invalide les données en cache d'un utilisateur (ou de tous)
+   *
+   * Les hooks abonnés via subscribeUser rechargent automatiquement leurs données.
+   *
+   * @static
+   * @param {number} [userId] - ID de l'utilisateur, tout le cache si absent
+   * @returns {string[]} Clés invalidées
+   *
+   * @example
+   * // Après une modification côté backend
+   * DataService.invalidate(18);
+   */
+  static invalidate(userId) {
+    if (userId === undefined || userId === null) {
+      return DataService.cache.invalidate();
+    }
+    return DataService.cache.invalidate((key) =>
+      DataService._isUserCacheKey(key, userId)
+    );
+  }
+
+  /**
+   * Relit depuis la source les données d'un utilisateur affichées par les hooks
+   *
+   * Invalide son cache ; si rien n'y figurait (ex: après une actualisation en
+   * échec), les abonnés de subscribeUser sont notifiés directement. Dans les
+   * deux cas, chaque hook abonné relit ses données une seule fois.
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   *
+   * @example
+   * // Bouton « Actualiser » du dashboard
+   * DataService.refreshUser(18);
+   */
+  static refreshUser(userId) {
+    if (DataService.invalidate(userId).length > 0) {
+      return;
+    }
+    DataService.cache.notify(
+      `${DataService.getDataSource()}:${DataService.RESOURCES.user.path(userId)}`
+    );
+  }
+
+  /**
+   * Abonne une fonction aux mises à jour en cache des données d'un utilisateur
+   *
+   * Déclenchée après une revalidation en arrière-plan ou une invalidation.
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Function} listener - Appelée avec la clé de cache modifiée
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribeUser(userId, listener) {
+    return DataService.cache.subscribe((key) => {
+      if (DataService._isUserCacheKey(key, userId)) {
+        listener(key);
+      }
+    });
+  }
+
+  /**
+   * Indique si une source de données fournit un canal temps réel
+   *
+   * @static
+   * @param {string} [source] - Nom de la source (source active par défaut)
+   * @returns {boolean} true si l'adaptateur implémente `subscribe`
+   */
+  static supportsLiveUpdates(source = DataService.getDataSource()) {
+    return typeof DataService.getAdapter(source).subscribe === "function";
+  }
+
+  /**
+   * Ouvre (ou rejoint) le canal temps réel d'un utilisateur sur la source active
+   *
+   * Les événements reçus modifient directement les données en cache : les
+   * hooks abonnés via subscribeUser se mettent à jour sans rechargement. Le
+   * canal se reconnecte automatiquement et n'est fermé qu'au départ de son
+   * dernier abonné. Sans canal fourni par la source, rien n'est ouvert.
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Function} [listener] - Appelée avec l'état du canal (LIVE_STATUSES)
+   * @returns {Function} Fonction de désabonnement
+   *
+   * @example
+   * const unsubscribe = DataService.subscribeLive(18, (status) => {
+   *   console.log(status); // "connecting", puis "open"
+   * });
+   */
+  static subscribeLive(userId, listener = () => {}) {
+    const source = DataService.getDataSource();
+
+    if (!DataService.supportsLiveUpdates(source)) {
+      return () => {};
+    }
+
+    const channelKey = `${source}:${userId}`;
+    let entry = DataService._liveChannels.get(channelKey);
+
+    if (!entry) {
+      const adapter = DataService.getAdapter(source);
+      const listeners = new Set();
+      const channel = new LiveChannel(
+        (handlers) => adapter.subscribe(userId, handlers),
+        {
+          ...DataService.LIVE_RECONNECT_OPTIONS,
+          onEvent: (payload) =>
+            DataService._applyLiveEvent(source, userId, payload),
+          onStatus: (status) => listeners.forEach((notify) => notify(status)),
+        }
+      );
+      entry = { channel, listeners };
+      DataService._liveChannels.set(channelKey, entry);
+    }
+
+    entry.listeners.add(listener);
+    if (entry.channel.status === LIVE_STATUSES.CLOSED) {
+      entry.channel.open();
     } else {
-      return DataService._getApiData(endpoint);
+      listener(entry.channel.status);
     }
+
+    return () => {
+      if (!entry.listeners.delete(listener) || entry.listeners.size > 0) {
+        return;
+      }
+      DataService._liveChannels.delete(channelKey);
+      entry.channel.close();
+    };
   }
 
   /**
-   * Récupération des données mockées
+   * Applique un événement temps réel aux données en cache
+   *
+   * Une session (type "session") est validée, normalisée puis intégrée à
+   * chaque activité en cache de l'utilisateur (voir mergeActivitySession) ;
+   * tout autre événement invalide les données de l'utilisateur.
    *
    * @static
    * @private
-   * @param {string} endpoint - L'endpoint pour lequel récupérer les données mockées
-   * @returns {Object} Les données mockées correspondantes
-   * @throws {Error} Si aucune donnée mockée n'est trouvée pour cet endpoint
+   * @param {string} source - Source ayant émis l'événement
+   * @param {number} userId - ID de l'utilisateur du canal
+   * @param {string|Object} payload - Message reçu
    */
-  static _getMockData(endpoint) {
-    const mockFunction = DataService.mockDataMap[endpoint];
+  static _applyLiveEvent(source, userId, payload) {
+    const event = parseLiveEvent(payload);
 
-    if (!mockFunction) {
-      throw new Error(`Données mockées non trouvées pour: ${endpoint}`);
+    if (!event) {
+      console.warn("DataService: événement temps réel illisible", payload);
+      return;
     }
 
-    const rawData = mockFunction();
+    if (event.type !== LIVE_EVENT_TYPES.SESSION) {
+      DataService.invalidate(userId);
+      return;
+    }
 
-    // ✅ Application de la normalisation aussi sur les données mockées
-    const normalizedData = DataNormalizer.normalizeByEndpoint(
+    const endpoint = DataService.RESOURCES.activity.path(userId);
+    const rawData = { userId, sessions: [event.session] };
+    const report = DataNormalizer.validateRaw("activity", rawData, {
       endpoint,
-      rawData
+    });
+
+    if (!report.valid) {
+      console.warn(
+        `DataService: ${endpoint} - session temps réel non conforme`,
+        report.issues
+      );
+      if (DataService.getSchemaMode() === DataService.SCHEMA_MODES.STRICT) {
+        return;
+      }
+    }
+
+    const [session] = DataNormalizer.normalizeActivity(rawData).sessions;
+    const activityKey = `${source}:${endpoint}`;
+
+    DataService.cache.patch(
+      (key) => key === activityKey || key.startsWith(`${activityKey}?`),
+      (activity, key) => {
+        // Activité limitée à une période (?from=&to=) ou fenêtre par défaut
+        const query = new URLSearchParams(key.split("?")[1] ?? "");
+        const range = { from: query.get("from"), to: query.get("to") };
+        return isValidRange(range)
+          ? mergeActivitySession(activity, session, { range })
+          : mergeActivitySession(activity, session, { sliding: true });
+      }
     );
+  }
 
-    return normalizedData;
+  /**
+   * Méthode principale pour récupérer des données à partir d'un endpoint
+   *
+   * @static
+   * @async
+   * @param {string} endpoint - L'endpoint de l'API (ex: "/user/18", "/user/18/activity")
+   * @returns {Promise<Object>} Les données normalisées de la source active
+   * @throws {Error} Erreur si l'endpoint n'est pas supporté
+   * @throws {DataServiceError} Si l'appel échoue (NotFoundError, NetworkError...)
+   *
+   * @example
+   * // Récupération des données utilisateur
+   * const userData = await DataService.fetchData("/user/18");
+   *
+   * @example
+   * // Récupération de l'activité utilisateur
+   * const activity = await DataService.fetchData("/user/18/activity");
+   *
+   * @example
+   * // Récupération de l'activité sur une période
+   * const july = await DataService.fetchData("/user/18/activity?from=2020-07-01&to=2020-07-31");
+   *
+   * @example
+   * // Historique du score (toute ressource de DataService.RESOURCES)
+   * const history = await DataService.fetchData("/user/18/score-history");
+   */
+  static async fetchData(endpoint) {
+    const match = endpoint.match(/^(\/user\/(\d+)(?:\/[\w-]+)?)(?:\?(.*))?$/);
+    // Ressource déduite de RESOURCES : tout nouvel endpoint y est reconnu
+    const resource =
+      match &&
+      Object.keys(DataService.RESOURCES).find(
+        (name) => DataService.RESOURCES[name].path(match[2]) === match[1]
+      );
+
+    if (!resource) {
+      throw new Error(`Endpoint non supporté: ${endpoint}`);
+    }
+
+    const [, , userId, search] = match;
+
+    const query = Object.fromEntries(new URLSearchParams(search ?? ""));
+
+    return DataService.fetchResource(resource, Number(userId), query);
   }
 
   /**
-   * Récupération des données depuis l'API SportSee
+   * Liste les IDs des utilisateurs disponibles dans la source active
+   *
+   * Utilise `listUsers()` de l'adaptateur (endpoint `/users` pour l'API).
+   * Si l'adaptateur ne l'implémente pas, ou si le backend ne propose pas
+   * d'endpoint `/users` (404), DataService.KNOWN_USER_IDS est retourné.
    *
    * @static
    * @async
-   * @private
-   * @param {string} endpoint - L'endpoint de l'API à appeler
-   * @returns {Promise<Object>} Les données retournées par l'API
-   * @throws {Error} Erreur HTTP ou erreur de réseau
+   * @returns {Promise<number[]>} IDs triés par ordre croissant
+   * @throws {DataServiceError} Si la source de données échoue (hors 404)
    *
    * @example
-   * // Appel interne pour récupérer les données utilisateur
-   * const data = await DataService._getApiData("/user/18");
+   * const ids = await DataService.getUserIds(); // [12, 18]
    */
-  static async _getApiData(endpoint) {
-    try {
-      const response = await fetch(`${DataService.API_BASE_URL}${endpoint}`);
+  static async getUserIds() {
+    const source = DataService.getDataSource();
+    const adapter = DataService.getAdapter(source);
+    const endpoint = "/users";
+
+    if (typeof adapter.listUsers !== "function") {
+      return [...DataService.KNOWN_USER_IDS];
+    }
+
+    return DataService.cache.get(`${source}:${endpoint}`, async () => {
+      let rawUsers;
+      try {
+        rawUsers = await adapter.listUsers();
+      } catch (error) {
+        const typedError = toDataServiceError(error, { endpoint });
+        if (typedError instanceof NotFoundError) {
+          return [...DataService.KNOWN_USER_IDS];
+        }
+        throw typedError;
+      }
 
-      if (!response.ok) {
-        throw new Error(
-          `Erreur HTTP: ${response.status} - ${response.statusText}`
-        );
+      if (!Array.isArray(rawUsers)) {
+        throw new SchemaError(`Liste d'utilisateurs invalide pour ${endpoint}`, {
+          endpoint,
+        });
       }
 
-      const result = await response.json();
-      const rawData = result.data; // Structure API SportSee
+      // Accepte une liste d'IDs ou d'objets utilisateur ({ id } ou { userId })
+      const ids = rawUsers
+        .map((entry) =>
+          DataService.parseUserId(
+            typeof entry === "object" ? entry?.id ?? entry?.userId : entry
+          )
+        )
+        .filter((userId) => userId !== null);
 
-      // ✅ Application de la normalisation selon le type d'endpoint
-      const normalizedData = DataNormalizer.normalizeByEndpoint(
-        endpoint,
-        rawData
-      );
+      return [...new Set(ids)].sort((a, b) => a - b);
+    });
+  }
 
-      return normalizedData;
-    } catch (error) {
-      throw new Error(`Échec de l'appel API: ${error.message}`);
+  /**
+   * Récupère les données des utilisateurs disponibles dans la source active
+   *
+   * Les utilisateurs listés mais introuvables sont ignorés ; l'erreur n'est
+   * levée que si aucun utilisateur n'a pu être chargé.
+   *
+   * @static
+   * @async
+   * @returns {Promise<UserData[]>} Utilisateurs normalisés, triés par ID
+   * @throws {DataServiceError} Si la liste ou tous les utilisateurs sont inaccessibles
+   *
+   * @example
+   * const users = await DataService.getUsers();
+   * users.map((user) => user.userInfos.firstName); // ["Karl", "Cecilia"]
+   */
+  static async getUsers() {
+    const ids = await DataService.getUserIds();
+    const results = await Promise.allSettled(
+      ids.map((userId) => DataService.getUserById(userId))
+    );
+
+    const users = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+
+    if (users.length === 0 && results.length > 0) {
+      throw results[0].reason;
     }
+
+    return users;
   }
 
   /**
@@ -178,7 +1154,8 @@ export class DataService {
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
    * @returns {Promise<UserData>} Les données de l'utilisateur
-   * @throws {Error} Erreur si l'utilisateur n'existe pas ou si l'API échoue
+   * @throws {NotFoundError} Si l'utilisateur n'existe pas
+   * @throws {DataServiceError} Si la source de données échoue
    *
    * @typedef {Object} UserData
    * @property {number} id - ID de l'utilisateur
@@ -203,7 +1180,7 @@ export class DataService {
    * const defaultUser = await DataService.getUserById();
    */
   static async getUserById(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}`);
+    return await DataService.fetchResource("user", userId);
   }
 
   /**
@@ -212,8 +1189,14 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {string|null} [options.activityType] - Restreint les calories à un sport
+   * (voir DataNormalizer.ACTIVITY_TYPES)
+   * @param {DateRange|null} [options.range] - Restreint les sessions à une période
+   * (`/user/:id/activity?from=&to=`) ; sans période, la source renvoie sa fenêtre par défaut
    * @returns {Promise<ActivityData>} Les données d'activité de l'utilisateur
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @throws {NotFoundError} Si les données n'existent pas
+   * @throws {DataServiceError} Si la source de données échoue
    *
    * @typedef {Object} ActivityData
    * @property {number} userId - ID de l'utilisateur
@@ -223,13 +1206,33 @@ export class DataService {
    * @property {string} day - Date de la session (format YYYY-MM-DD)
    * @property {number} kilogram - Poids en kilogrammes
    * @property {number} calories - Calories brûlées
+   * @property {Array<{type: string, calories: number}>} activities - Répartition par sport
    *
    * @example
    * const activity = await DataService.getUserActivity(18);
    * console.log(activity.sessions[0].kilogram); // 70
+   *
+   * @example
+   * // Calories de natation uniquement
+   * const swimming = await DataService.getUserActivity(18, { activityType: "swimming" });
+   * console.log(swimming.sessions[0].calories); // 150
+   *
+   * @example
+   * // Sessions de juillet 2020
+   * const july = await DataService.getUserActivity(18, {
+   *   range: { from: "2020-07-01", to: "2020-07-31" },
+   * });
    */
-  static async getUserActivity(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/activity`);
+  static async getUserActivity(
+    userId = DataService.DEFAULT_USER_ID,
+    { activityType = null, range = null } = {}
+  ) {
+    const query = isValidRange(range) ? { from: range.from, to: range.to } : {};
+    // Le cache conserve l'activité de tous les sports ; le filtre est appliqué à la lecture
+    const activity = await DataService.fetchResource("activity", userId, query);
+    // Filtrage local au cas où la source ignorerait from/to
+    const ranged = DataNormalizer.filterActivityByRange(activity, range);
+    return DataNormalizer.filterActivityByType(ranged, activityType);
   }
 
   /**
@@ -238,8 +1241,13 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {string|null} [options.activityType] - Restreint les durées à un sport
+   * (voir DataNormalizer.ACTIVITY_TYPES)
+   * @param {string} [options.period="current"] - Semaine demandée (voir DataService.PERIODS)
    * @returns {Promise<SessionsData>} Les données de sessions moyennes
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @throws {NotFoundError} Si les données n'existent pas
+   * @throws {DataServiceError} Si la source de données échoue
    *
    * @typedef {Object} SessionsData
    * @property {number} userId - ID de l'utilisateur
@@ -248,13 +1256,32 @@ export class DataService {
    * @typedef {Object} SessionLength
    * @property {number} day - Jour de la semaine (1=Lundi, 7=Dimanche)
    * @property {number} sessionLength - Durée de la session en minutes
+   * @property {Array<{type: string, sessionLength: number}>} activities - Répartition par sport
    *
    * @example
    * const sessions = await DataService.getUserAverageSessions(18);
    * console.log(sessions.sessions[0].sessionLength); // 45
+   *
+   * @example
+   * // Durées de musculation uniquement
+   * const strength = await DataService.getUserAverageSessions(18, { activityType: "strength" });
+   *
+   * @example
+   * // Endpoint appelé : /user/18/average-sessions?period=previous
+   * const lastWeek = await DataService.getUserAverageSessions(18, {
+   *   period: DataService.PERIODS.PREVIOUS,
+   * });
    */
-  static async getUserAverageSessions(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/average-sessions`);
+  static async getUserAverageSessions(
+    userId = DataService.DEFAULT_USER_ID,
+    { activityType = null, period = DataService.PERIODS.CURRENT } = {}
+  ) {
+    const sessions = await DataService.fetchResource(
+      "averageSessions",
+      userId,
+      DataService._toPeriodQuery(period)
+    );
+    return DataNormalizer.filterSessionsByType(sessions, activityType);
   }
 
   /**
@@ -263,8 +1290,11 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {string} [options.period="current"] - Semaine demandée (voir DataService.PERIODS)
    * @returns {Promise<PerformanceData>} Les données de performance
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @throws {NotFoundError} Si les données n'existent pas
+   * @throws {DataServiceError} Si la source de données échoue
    *
    * @typedef {Object} PerformanceData
    * @property {number} userId - ID de l'utilisateur
@@ -280,8 +1310,62 @@ export class DataService {
    * console.log(performance.kind[1]); // "cardio"
    * console.log(performance.data[0].value); // 150
    */
-  static async getUserPerformance(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/performance`);
+  static async getUserPerformance(
+    userId = DataService.DEFAULT_USER_ID,
+    { period = DataService.PERIODS.CURRENT } = {}
+  ) {
+    return await DataService.fetchResource(
+      "performance",
+      userId,
+      DataService._toPeriodQuery(period)
+    );
+  }
+
+  /**
+   * Paramètres de requête d'une période (vides pour la période courante)
+   *
+   * @static
+   * @private
+   * @param {string} period - Période demandée (voir DataService.PERIODS)
+   * @returns {Object<string, string>} `{ period: "previous" }` ou `{}`
+   */
+  static _toPeriodQuery(period) {
+    return period === DataService.PERIODS.PREVIOUS ? { period } : {};
+  }
+
+  /**
+   * Récupère l'historique du score quotidien d'un utilisateur
+   *
+   * @static
+   * @async
+   * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {DateRange|null} [options.range] - Période à récupérer (from / to inclus)
+   * @returns {Promise<ScoreHistoryData>} L'historique trié par date croissante
+   * @throws {NotFoundError} Si l'historique n'existe pas ou si la source ne le fournit pas
+   * @throws {DataServiceError} Si la source de données échoue
+   *
+   * @typedef {Object} ScoreHistoryData
+   * @property {number} userId - ID de l'utilisateur
+   * @property {Array<{day: string, score: number}>} scores - Score (0 à 1) de chaque jour
+   * (format YYYY-MM-DD)
+   *
+   * @example
+   * const history = await DataService.getUserScoreHistory(12);
+   * console.log(history.scores.at(-1)); // { day: "2020-07-07", score: 0.12 }
+   */
+  static async getUserScoreHistory(
+    userId = DataService.DEFAULT_USER_ID,
+    { range = null } = {}
+  ) {
+    const query = isValidRange(range) ? { from: range.from, to: range.to } : {};
+    const history = await DataService.fetchResource(
+      "scoreHistory",
+      userId,
+      query
+    );
+    // Filtrage local au cas où la source ignorerait from/to
+    return DataNormalizer.filterScoreHistoryByRange(history, range);
   }
 }
 
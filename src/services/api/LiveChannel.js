@@ -0,0 +1,215 @@
+/**
+ * Canal temps réel avec reconnexion automatique
+ *
+ * Enveloppe la méthode `subscribe` d'un adaptateur (Server-Sent Events,
+ * WebSocket ou source simulée) : à chaque coupure, la connexion est rouverte
+ * après un délai exponentiel aléatoire (voir computeBackoffDelay), remis à
+ * zéro dès qu'une connexion aboutit.
+ *
+ * @module LiveChannel
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const channel = new LiveChannel(
+ *   (handlers) => adapter.subscribe(18, handlers),
+ *   {
+ *     onEvent: (payload) => console.log(payload),
+ *     onStatus: (status) => console.log(status), // "connecting", "open"...
+ *   }
+ * );
+ * channel.open();
+ * // ...
+ * channel.close();
+ */
+
+import { computeBackoffDelay } from "./fetchWithRetry.js";
+
+/**
+ * États d'un canal temps réel
+ * @type {{CONNECTING: string, OPEN: string, RECONNECTING: string, CLOSED: string}}
+ * @readonly
+ */
+export const LIVE_STATUSES = {
+  CONNECTING: "connecting",
+  OPEN: "open",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed",
+};
+
+/**
+ * Délais de reconnexion par défaut
+ * @type {{baseDelay: number, maxDelay: number}}
+ * @readonly
+ */
+export const DEFAULT_RECONNECT_OPTIONS = { baseDelay: 1000, maxDelay: 30000 };
+
+/**
+ * Gestionnaires transmis à la méthode `subscribe` d'un adaptateur
+ * @typedef {Object} LiveHandlers
+ * @property {Function} onOpen - À appeler une fois la connexion établie
+ * @property {Function} onEvent - À appeler avec chaque message reçu (JSON ou objet)
+ * @property {Function} onError - À appeler quand la connexion est perdue ; le
+ * canal ferme alors la connexion et se reconnecte
+ */
+
+export class LiveChannel {
+  /**
+   * @param {function(LiveHandlers): Function} connect - Ouvre une connexion et
+   * retourne sa fonction de fermeture
+   * @param {Object} options - Options du canal
+   * @param {Function} options.onEvent - Appelée avec chaque message reçu
+   * @param {Function} [options.onStatus] - Appelée à chaque changement d'état (LIVE_STATUSES)
+   * @param {number} [options.baseDelay=1000] - Délai (ms) avant la première reconnexion
+   * @param {number} [options.maxDelay=30000] - Délai maximal (ms) entre deux reconnexions
+   */
+  constructor(
+    connect,
+    {
+      onEvent,
+      onStatus = () => {},
+      baseDelay = DEFAULT_RECONNECT_OPTIONS.baseDelay,
+      maxDelay = DEFAULT_RECONNECT_OPTIONS.maxDelay,
+    }
+  ) {
+    /** @type {Function} */
+    this.connect = connect;
+    /** @type {Function} */
+    this.onEvent = onEvent;
+    /** @type {Function} */
+    this.onStatus = onStatus;
+    /** @type {{baseDelay: number, maxDelay: number}} */
+    this.delays = { baseDelay, maxDelay };
+    /** @type {string} */
+    this.status = LIVE_STATUSES.CLOSED;
+    /** @type {number} Échecs consécutifs depuis la dernière connexion réussie */
+    this.failures = 0;
+    /** @type {Function|null} */
+    this.disconnect = null;
+    /** @type {number|null} */
+    this.retryTimer = null;
+    /** @type {number} Identifiant de la connexion courante */
+    this.generation = 0;
+  }
+
+  /**
+   * Ouvre le canal (sans effet s'il est déjà ouvert)
+   */
+  open() {
+    if (this.status !== LIVE_STATUSES.CLOSED) {
+      return;
+    }
+    this.failures = 0;
+    this._connect(LIVE_STATUSES.CONNECTING);
+  }
+
+  /**
+   * Ferme le canal et annule toute reconnexion prévue
+   */
+  close() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.generation += 1;
+    this._disconnect();
+    this._setStatus(LIVE_STATUSES.CLOSED);
+  }
+
+  /**
+   * Ouvre une connexion via `connect`
+   *
+   * Les gestionnaires d'une connexion remplacée ou fermée sont ignorés.
+   *
+   * @private
+   * @param {string} status - État affiché pendant la connexion
+   */
+  _connect(status) {
+    const generation = ++this.generation;
+    const isCurrent = () => generation === this.generation;
+
+    this._setStatus(status);
+
+    try {
+      const disconnect = this.connect({
+        onOpen: () => {
+          if (isCurrent()) {
+            this.failures = 0;
+            this._setStatus(LIVE_STATUSES.OPEN);
+          }
+        },
+        onEvent: (payload) => {
+          if (isCurrent()) {
+            this.onEvent(payload);
+          }
+        },
+        onError: (error) => {
+          if (isCurrent()) {
+            this._scheduleReconnect(error);
+          }
+        },
+      });
+
+      // Connexion perdue (ou canal fermé) avant même d'être retournée
+      if (isCurrent()) {
+        this.disconnect = disconnect;
+      } else if (typeof disconnect === "function") {
+        disconnect();
+      }
+    } catch (error) {
+      if (isCurrent()) {
+        this._scheduleReconnect(error);
+      }
+    }
+  }
+
+  /**
+   * Ferme la connexion perdue et programme une reconnexion
+   *
+   * @private
+   * @param {Error} [error] - Cause de la coupure
+   */
+  _scheduleReconnect(error) {
+    this.generation += 1;
+    this._disconnect();
+    this.failures += 1;
+    this._setStatus(LIVE_STATUSES.RECONNECTING);
+
+    const delay = computeBackoffDelay(this.failures, this.delays);
+    console.warn(
+      `LiveChannel: connexion perdue, nouvelle tentative dans ${Math.round(delay)} ms`,
+      error
+    );
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._connect(LIVE_STATUSES.RECONNECTING);
+    }, delay);
+  }
+
+  /**
+   * Ferme la connexion courante
+   *
+   * @private
+   */
+  _disconnect() {
+    const disconnect = this.disconnect;
+    this.disconnect = null;
+    if (typeof disconnect === "function") {
+      disconnect();
+    }
+  }
+
+  /**
+   * Met à jour l'état du canal et notifie `onStatus`
+   *
+   * @private
+   * @param {string} status - Nouvel état (LIVE_STATUSES)
+   */
+  _setStatus(status) {
+    if (status === this.status) {
+      return;
+    }
+    this.status = status;
+    this.onStatus(status);
+  }
+}
+
+export default LiveChannel;
@@ -0,0 +1,133 @@
+/**
+ * Réglage persisté dans localStorage
+ *
+ * Regroupe le cycle commun aux réglages de DataService : lecture et
+ * validation de la valeur mémorisée au démarrage, persistance des
+ * changements et notification des abonnés. Un localStorage indisponible
+ * (navigation privée, iframe sandboxée...) n'empêche pas de changer la valeur
+ * pour la session en cours.
+ *
+ * @module PersistedSetting
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const source = new PersistedSetting({
+ *   key: 'sportsee:data-source',
+ *   isValid: (value) => ['mock', 'api'].includes(value),
+ *   initial: (stored) => stored ?? 'mock',
+ * });
+ * source.subscribe((value) => console.log(value));
+ * source.set('api'); // Mémorisé et notifié
+ */
+
+export class PersistedSetting {
+  /**
+   * @param {Object} options - Options du réglage
+   * @param {string} options.key - Clé localStorage
+   * @param {function(*): boolean} options.isValid - Vérifie une valeur
+   * @param {function(string): *} [options.parse] - Convertit le texte mémorisé
+   * (texte brut par défaut)
+   * @param {function(*): *} [options.initial] - Calcule la valeur de départ à
+   * partir de la valeur mémorisée (null si absente ou invalide)
+   */
+  constructor({
+    key,
+    isValid,
+    parse = (stored) => stored,
+    initial = (stored) => stored,
+  }) {
+    /** @type {string} */
+    this.key = key;
+    /** @type {Function} */
+    this.isValid = isValid;
+    /** @type {Function} */
+    this.parse = parse;
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+    /** @type {*} */
+    this.value = initial(this.readStored());
+  }
+
+  /**
+   * Lit la valeur mémorisée
+   *
+   * @returns {*} Valeur mémorisée, ou null si absente, invalide ou illisible
+   */
+  readStored() {
+    if (typeof window === "undefined") {
+      return null;
+    }
+
+    try {
+      const stored = window.localStorage.getItem(this.key);
+      if (stored === null) {
+        return null;
+      }
+      const value = this.parse(stored);
+      return this.isValid(value) ? value : null;
+    } catch {
+      return null; // localStorage indisponible
+    }
+  }
+
+  /**
+   * Retourne la valeur active
+   *
+   * @returns {*} Valeur du réglage
+   */
+  get() {
+    return this.value;
+  }
+
+  /**
+   * Change la valeur, la mémorise et notifie les abonnés si elle a changé
+   *
+   * La validation reste à la charge de l'appelant, qui choisit son message
+   * d'erreur.
+   *
+   * @param {*} value - Nouvelle valeur (déjà validée)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise la valeur dans localStorage
+   * @returns {boolean} true si la valeur a changé
+   */
+  set(value, { persist = true } = {}) {
+    if (persist && typeof window !== "undefined") {
+      try {
+        window.localStorage.setItem(this.key, String(value));
+      } catch {
+        // La valeur reste valable pour la session en cours
+      }
+    }
+
+    if (value === this.value) {
+      return false;
+    }
+
+    this.value = value;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Abonne une fonction aux changements du réglage
+   *
+   * @param {Function} listener - Appelée avec la valeur active
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Notifie les abonnés avec la valeur active
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this.value));
+  }
+}
+
+export default PersistedSetting;
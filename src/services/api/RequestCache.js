@@ -0,0 +1,230 @@
+/**
+ * Cache mémoire des requêtes DataService
+ *
+ * Conserve les réponses par clé (source + endpoint) avec une durée de
+ * fraîcheur, déduplique les requêtes simultanées et sert les données
+ * périmées pendant leur revalidation (stale-while-revalidate).
+ *
+ * @module RequestCache
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const cache = new RequestCache({ ttl: 30000, staleTtl: 300000 });
+ * const user = await cache.get('mock:/user/18', () => loadUser(18));
+ */
+
+/**
+ * Entrée du cache
+ * @typedef {Object} CacheEntry
+ * @property {*} [data] - Dernière valeur obtenue
+ * @property {number} [updatedAt] - Horodatage (ms) de la dernière valeur
+ * @property {Promise<*>|null} promise - Requête en cours pour cette clé
+ */
+
+export class RequestCache {
+  /**
+   * @param {Object} [options] - Options du cache
+   * @param {number} [options.ttl=60000] - Durée (ms) pendant laquelle une valeur est fraîche
+   * @param {number} [options.staleTtl=300000] - Durée (ms) supplémentaire pendant laquelle
+   * une valeur périmée est servie le temps de sa revalidation
+   */
+  constructor({ ttl = 60000, staleTtl = 300000 } = {}) {
+    /** @type {number} */
+    this.ttl = ttl;
+    /** @type {number} */
+    this.staleTtl = staleTtl;
+    /** @type {Map<string, CacheEntry>} */
+    this.entries = new Map();
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Retourne la valeur associée à une clé, en la chargeant si nécessaire
+   *
+   * - valeur fraîche : retournée immédiatement
+   * - valeur périmée (dans la fenêtre staleTtl) : retournée immédiatement,
+   *   puis rechargée en arrière-plan ; les abonnés sont notifiés du résultat
+   * - requête déjà en cours : la même promesse est partagée
+   * - sinon : chargement via `loader`
+   *
+   * @param {string} key - Clé de cache
+   * @param {Function} loader - Fonction asynchrone de chargement
+   * @returns {Promise<*>} Valeur en cache ou chargée
+   */
+  get(key, loader) {
+    const entry = this.entries.get(key);
+    const age = entry?.updatedAt ? Date.now() - entry.updatedAt : Infinity;
+
+    if (age < this.ttl) {
+      return Promise.resolve(entry.data);
+    }
+
+    if (age < this.ttl + this.staleTtl) {
+      if (!entry.promise) {
+        this._load(key, loader, { notify: true }).catch(() => {
+          // Échec de revalidation : la valeur périmée reste servie
+        });
+      }
+      return Promise.resolve(entry.data);
+    }
+
+    if (entry?.promise) {
+      return entry.promise;
+    }
+
+    return this._load(key, loader, { notify: false });
+  }
+
+  /**
+   * Lance le chargement d'une clé et enregistre la requête en cours
+   *
+   * @private
+   * @param {string} key - Clé de cache
+   * @param {Function} loader - Fonction asynchrone de chargement
+   * @param {Object} options - Options
+   * @param {boolean} options.notify - Notifie les abonnés une fois la valeur obtenue
+   * @returns {Promise<*>} Valeur chargée
+   */
+  _load(key, loader, { notify }) {
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(
+        (data) => {
+          // Ignore le résultat si la clé a été invalidée entre-temps
+          if (this.entries.get(key)?.promise !== promise) {
+            return data;
+          }
+          this.entries.set(key, { data, updatedAt: Date.now(), promise: null });
+          if (notify) {
+            this._emit(key);
+          }
+          return data;
+        },
+        (error) => {
+          const current = this.entries.get(key);
+          if (current?.promise === promise) {
+            if (current.updatedAt) {
+              this.entries.set(key, { ...current, promise: null });
+            } else {
+              this.entries.delete(key);
+            }
+          }
+          throw error;
+        }
+      );
+
+    this.entries.set(key, { ...this.entries.get(key), promise });
+    return promise;
+  }
+
+  /**
+   * Remplace la valeur d'une clé et notifie les abonnés
+   *
+   * @param {string} key - Clé de cache
+   * @param {*} data - Nouvelle valeur
+   */
+  set(key, data) {
+    this.entries.set(key, { data, updatedAt: Date.now(), promise: null });
+    this._emit(key);
+  }
+
+  /**
+   * Modifie les valeurs en cache correspondant à un filtre
+   *
+   * Seules les entrées disposant déjà d'une valeur sont modifiées, et les
+   * abonnés ne sont notifiés que des clés dont la valeur a changé. Une requête
+   * en cours est conservée : sa réponse remplacera la valeur modifiée.
+   *
+   * @param {Function} predicate - Filtre sur les clés
+   * @param {Function} updater - Reçoit la valeur et la clé, retourne la nouvelle
+   * valeur (la même référence si rien ne change)
+   * @returns {string[]} Clés modifiées
+   *
+   * @example
+   * cache.patch(
+   *   (key) => key.endsWith('/user/18'),
+   *   (user) => ({ ...user, score: 0.4 })
+   * );
+   */
+  patch(predicate, updater) {
+    const keys = [];
+    this.entries.forEach((entry, key) => {
+      if (!entry.updatedAt || !predicate(key)) {
+        return;
+      }
+      const data = updater(entry.data, key);
+      if (data !== entry.data) {
+        this.entries.set(key, { ...entry, data, updatedAt: Date.now() });
+        keys.push(key);
+      }
+    });
+    keys.forEach((key) => this._emit(key));
+    return keys;
+  }
+
+  /**
+   * Retourne la valeur en cache sans déclencher de chargement
+   *
+   * @param {string} key - Clé de cache
+   * @returns {*} Valeur en cache ou undefined
+   */
+  peek(key) {
+    return this.entries.get(key)?.data;
+  }
+
+  /**
+   * Supprime les entrées correspondant à un filtre et notifie les abonnés
+   *
+   * @param {Function} [predicate] - Filtre sur les clés (toutes les clés si absent)
+   * @returns {string[]} Clés invalidées
+   */
+  invalidate(predicate = () => true) {
+    const keys = [...this.entries.keys()].filter(predicate);
+    keys.forEach((key) => {
+      this.entries.delete(key);
+      this._emit(key);
+    });
+    return keys;
+  }
+
+  /**
+   * Notifie les abonnés d'une clé sans modifier sa valeur
+   *
+   * Permet de demander une relecture aux abonnés d'une clé absente du cache.
+   *
+   * @param {string} key - Clé concernée
+   */
+  notify(key) {
+    this._emit(key);
+  }
+
+  /**
+   * Abonne une fonction aux mises à jour du cache
+   *
+   * Appelée avec la clé concernée après une revalidation en arrière-plan,
+   * un `set`, un `patch` ou une invalidation. Les chargements initiaux ne notifient pas.
+   *
+   * @param {Function} listener - Fonction appelée avec la clé modifiée
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Notifie les abonnés d'une modification
+   *
+   * @private
+   * @param {string} key - Clé modifiée
+   */
+  _emit(key) {
+    this.listeners.forEach((listener) => listener(key));
+  }
+}
+
+export default RequestCache;
@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { RequestCache } from "./RequestCache.js";
+
+describe("RequestCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    cache = new RequestCache({ ttl: 1000, staleTtl: 5000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("sert une valeur fraîche sans rappeler le loader", async () => {
+    const loader = vi.fn().mockResolvedValue("v1");
+
+    expect(await cache.get("k", loader)).toBe("v1");
+    vi.advanceTimersByTime(999);
+    expect(await cache.get("k", loader)).toBe("v1");
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it("déduplique les requêtes simultanées d'une même clé", async () => {
+    const loader = vi.fn().mockResolvedValue("v1");
+
+    const [first, second] = await Promise.all([
+      cache.get("k", loader),
+      cache.get("k", loader),
+    ]);
+
+    expect(first).toBe("v1");
+    expect(second).toBe("v1");
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it("sert une valeur périmée puis notifie sa revalidation", async () => {
+    const listener = vi.fn();
+    cache.subscribe(listener);
+    await cache.get("k", () => Promise.resolve("v1"));
+    expect(listener).not.toHaveBeenCalled(); // Chargement initial
+
+    vi.advanceTimersByTime(1000);
+    const loader = vi.fn().mockResolvedValue("v2");
+
+    expect(await cache.get("k", loader)).toBe("v1");
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledWith("k"));
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.peek("k")).toBe("v2");
+  });
+
+  it("conserve la valeur périmée si la revalidation échoue", async () => {
+    await cache.get("k", () => Promise.resolve("v1"));
+    vi.advanceTimersByTime(1000);
+    const loader = vi.fn().mockRejectedValue(new Error("down"));
+
+    expect(await cache.get("k", loader)).toBe("v1");
+    await vi.waitFor(() => expect(loader).toHaveBeenCalled());
+    expect(cache.peek("k")).toBe("v1");
+  });
+
+  it("recharge une valeur au-delà de la fenêtre staleTtl", async () => {
+    await cache.get("k", () => Promise.resolve("v1"));
+    vi.advanceTimersByTime(6000);
+
+    expect(await cache.get("k", () => Promise.resolve("v2"))).toBe("v2");
+  });
+
+  it("ne met pas en cache un chargement en échec", async () => {
+    await expect(
+      cache.get("k", () => Promise.reject(new Error("down")))
+    ).rejects.toThrow("down");
+
+    expect(cache.peek("k")).toBeUndefined();
+    expect(await cache.get("k", () => Promise.resolve("v1"))).toBe("v1");
+  });
+
+  it("ignore la réponse d'une requête invalidée pendant son chargement", async () => {
+    let resolve;
+    const pending = cache.get(
+      "k",
+      () => new Promise((done) => (resolve = done))
+    );
+    await Promise.resolve(); // Le loader est appelé au microtask suivant
+
+    cache.invalidate();
+    resolve("obsolète");
+
+    expect(await pending).toBe("obsolète");
+    expect(cache.peek("k")).toBeUndefined();
+  });
+
+  it("invalide les clés filtrées et notifie chacune", async () => {
+    const listener = vi.fn();
+    cache.subscribe(listener);
+    cache.set("mock:/user/18", 1);
+    cache.set("mock:/user/12", 2);
+    listener.mockClear();
+
+    const keys = cache.invalidate((key) => key.endsWith("/18"));
+
+    expect(keys).toEqual(["mock:/user/18"]);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(cache.peek("mock:/user/12")).toBe(2);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Adaptateur HTTP pour l'API SportSee
+ *
+ * Appelle le backend SportSee et retourne le contenu du champ `data`
+ * des réponses, sans normalisation (appliquée ensuite par DataService).
+ * Les mises à jour temps réel sont reçues en Server-Sent Events sur
+ * `/user/:id/events`.
+ *
+ * @module adapters/HttpAdapter
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { createHttpAdapter } from './HttpAdapter.js';
+ *
+ * const adapter = createHttpAdapter({ baseUrl: 'http://localhost:3000' });
+ * const rawActivity = await adapter.getActivity(18);
+ */
+
+import { fetchWithRetry } from "../fetchWithRetry.js";
+import {
+  DataServiceError,
+  NetworkError,
+  NotFoundError,
+  SchemaError,
+  toDataServiceError,
+} from "../errors.js";
+import { isValidRange } from "../../data/dateRange.js";
+
+/**
+ * Construit la query string d'une période (`?from=YYYY-MM-DD&to=YYYY-MM-DD`)
+ *
+ * @private
+ * @param {DateRange} [range] - Période demandée
+ * @returns {string} Query string, vide si aucune période valide
+ */
+const toRangeQuery = (range) =>
+  isValidRange(range)
+    ? `?${new URLSearchParams({ from: range.from, to: range.to })}`
+    : "";
+
+/**
+ * Construit la query string d'une semaine (`?period=previous`)
+ *
+ * @private
+ * @param {{period: string}} [query] - Paramètres transmis par DataService
+ * @returns {string} Query string, vide pour la période courante
+ */
+const toPeriodQuery = (query) =>
+  query?.period ? `?${new URLSearchParams({ period: query.period })}` : "";
+
+/**
+ * Crée un adaptateur interrogeant l'API REST SportSee
+ *
+ * Chaque appel est limité dans le temps et relancé avec un délai exponentiel
+ * en cas d'erreur réseau ou 5xx (voir fetchWithRetry).
+ *
+ * @function createHttpAdapter
+ * @param {Object} options - Options de l'adaptateur
+ * @param {string} options.baseUrl - URL de base de l'API (ex: "http://localhost:3000")
+ * @param {RetryOptions} [options.retry] - Délai d'expiration et politique de nouvelles tentatives
+ * @returns {DataSourceAdapter} Adaptateur conforme au contrat DataService
+ *
+ * @example
+ * const adapter = createHttpAdapter({
+ *   baseUrl: 'http://localhost:3000',
+ *   retry: { timeout: 5000, retries: 2 },
+ * });
+ */
+export const createHttpAdapter = ({ baseUrl, retry = {} }) => {
+  /**
+   * Appelle un endpoint et extrait le champ `data` de la réponse
+   *
+   * @private
+   * @param {string} endpoint - Endpoint relatif (ex: "/user/18")
+   * @returns {Promise<Object>} Données brutes de l'API
+   * @throws {NotFoundError} Si l'API répond 404
+   * @throws {SchemaError} Si la réponse n'est pas au format { data: ... }
+   * @throws {DataServiceError} Autres erreurs HTTP, réseau ou délai dépassé
+   */
+  const request = async (endpoint) => {
+    let response;
+    try {
+      response = await fetchWithRetry(`${baseUrl}${endpoint}`, retry);
+    } catch (error) {
+      const typedError = toDataServiceError(error);
+      typedError.endpoint = endpoint; // Endpoint relatif plutôt que l'URL complète
+      throw typedError;
+    }
+
+    if (response.status === 404) {
+      throw new NotFoundError(`Ressource introuvable: ${endpoint}`, { endpoint });
+    }
+
+    if (!response.ok) {
+      throw new DataServiceError(
+        `Erreur HTTP: ${response.status} - ${response.statusText}`,
+        { endpoint, status: response.status }
+      );
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      throw new SchemaError(`Réponse JSON invalide pour ${endpoint}`, {
+        endpoint,
+        status: response.status,
+        cause: error,
+      });
+    }
+
+    if (!result || typeof result !== "object" || !("data" in result)) {
+      throw new SchemaError(`Champ "data" absent de la réponse ${endpoint}`, {
+        endpoint,
+        status: response.status,
+      });
+    }
+
+    return result.data; // Structure API SportSee
+  };
+
+  /**
+   * Ouvre le flux Server-Sent Events d'un utilisateur
+   *
+   * La reconnexion native d'EventSource est désactivée (flux fermé à la
+   * première erreur) au profit de celle de LiveChannel.
+   *
+   * @private
+   * @param {number} userId - ID de l'utilisateur
+   * @param {LiveHandlers} handlers - Gestionnaires du canal
+   * @returns {Function} Fonction de fermeture du flux
+   * @throws {NetworkError} Si le navigateur ne prend pas en charge EventSource
+   */
+  const subscribe = (userId, { onOpen, onEvent, onError }) => {
+    const endpoint = `/user/${userId}/events`;
+
+    if (typeof EventSource === "undefined") {
+      throw new NetworkError("Server-Sent Events non pris en charge", {
+        endpoint,
+      });
+    }
+
+    const source = new EventSource(`${baseUrl}${endpoint}`);
+    source.onopen = () => onOpen();
+    source.onmessage = (message) => onEvent(message.data);
+    source.onerror = () => {
+      source.close();
+      onError(
+        new NetworkError(`Flux temps réel interrompu: ${endpoint}`, {
+          endpoint,
+        })
+      );
+    };
+
+    return () => source.close();
+  };
+
+  return {
+    getUser: (userId) => request(`/user/${userId}`),
+    getActivity: (userId, range) =>
+      request(`/user/${userId}/activity${toRangeQuery(range)}`),
+    getAverageSessions: (userId, query) =>
+      request(`/user/${userId}/average-sessions${toPeriodQuery(query)}`),
+    getPerformance: (userId, query) =>
+      request(`/user/${userId}/performance${toPeriodQuery(query)}`),
+    getScoreHistory: (userId, range) =>
+      request(`/user/${userId}/score-history${toRangeQuery(range)}`),
+    listUsers: () => request("/users"),
+    subscribe,
+  };
+};
+
+export default createHttpAdapter;
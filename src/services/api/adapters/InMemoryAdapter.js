@@ -0,0 +1,257 @@
+/**
+ * Adaptateur de données en mémoire pour SportSee
+ *
+ * Sert des jeux de données bruts (format API SportSee, sans l'enveloppe `data`)
+ * conservés en mémoire. Utilisé par le service mock et utile pour brancher
+ * rapidement un jeu de données local (fichier JSON importé, fixtures...).
+ * Les événements temps réel sont émis avec `push`, qui met aussi à jour les
+ * données servies.
+ *
+ * @module adapters/InMemoryAdapter
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { createInMemoryAdapter } from './InMemoryAdapter.js';
+ * import fixtures from './fixtures.json';
+ *
+ * const adapter = createInMemoryAdapter(fixtures);
+ * DataService.registerAdapter('fixtures', adapter);
+ * DataService.setDataSource('fixtures');
+ */
+
+import { NotFoundError } from "../errors.js";
+import { isInRange, isValidRange } from "../../data/dateRange.js";
+import {
+  LIVE_EVENT_TYPES,
+  mergeActivitySession,
+} from "../../data/liveEvents.js";
+
+/**
+ * Données brutes d'un utilisateur, regroupées par ressource
+ * @typedef {Object} InMemoryUserDataset
+ * @property {Object} [user] - Données brutes de /user/:id
+ * @property {Object} [activity] - Données brutes de /user/:id/activity
+ * @property {Object} [averageSessions] - Données brutes de /user/:id/average-sessions
+ * @property {Object} [performance] - Données brutes de /user/:id/performance
+ * @property {Object} [scoreHistory] - Données brutes de /user/:id/score-history
+ * @property {Object} [previousAverageSessions] - Données brutes de
+ * /user/:id/average-sessions?period=previous
+ * @property {Object} [previousPerformance] - Données brutes de /user/:id/performance?period=previous
+ */
+
+/**
+ * Suffixe d'endpoint de chaque ressource, utilisé dans les erreurs
+ * @type {Object<string, string>}
+ * @private
+ */
+const RESOURCE_PATHS = {
+  user: "",
+  activity: "/activity",
+  averageSessions: "/average-sessions",
+  performance: "/performance",
+  scoreHistory: "/score-history",
+  previousAverageSessions: "/average-sessions?period=previous",
+  previousPerformance: "/performance?period=previous",
+};
+
+/**
+ * Jeu de données servant la semaine précédente de chaque ressource
+ * @type {Object<string, string>}
+ * @private
+ */
+const PREVIOUS_RESOURCES = {
+  averageSessions: "previousAverageSessions",
+  performance: "previousPerformance",
+};
+
+/**
+ * Crée un adaptateur servant des données conservées en mémoire
+ *
+ * @function createInMemoryAdapter
+ * @param {Object<number, InMemoryUserDataset>} [dataset={}] - Données indexées par ID utilisateur
+ * @param {Object} [options] - Options de l'adaptateur
+ * @param {number} [options.delay=0] - Latence simulée en millisecondes
+ * @param {string} [options.label="Données en mémoire"] - Libellé utilisé dans les messages d'erreur
+ * @param {number|null} [options.activityWindow=null] - Nombre de sessions d'activité les plus
+ * récentes servies sans période (toutes si null), à l'image de la fenêtre par défaut de l'API
+ * @returns {DataSourceAdapter} Adaptateur conforme au contrat DataService
+ *
+ * @example
+ * const adapter = createInMemoryAdapter({
+ *   42: { user: { id: 42, userInfos: { firstName: 'Léa' }, todayScore: 0.5 } }
+ * });
+ * const user = await adapter.getUser(42);
+ */
+export const createInMemoryAdapter = (
+  dataset = {},
+  { delay = 0, label = "Données en mémoire", activityWindow = null } = {}
+) => {
+  const store = { ...dataset };
+  // Canaux temps réel ouverts, par utilisateur
+  const subscribers = new Map();
+
+  // Semaine courante, ou précédente avec `{ period: "previous" }`
+  const readPeriod = (userId, resource, query) =>
+    read(
+      userId,
+      query?.period === "previous" ? PREVIOUS_RESOURCES[resource] : resource
+    );
+
+  const read = (userId, resource) => {
+    const data = store[userId]?.[resource];
+
+    if (!data) {
+      return Promise.reject(
+        new NotFoundError(
+          `${label} non trouvées pour: utilisateur ${userId} (${resource})`,
+          { endpoint: `/user/${userId}${RESOURCE_PATHS[resource]}` }
+        )
+      );
+    }
+
+    if (delay <= 0) {
+      return Promise.resolve(data);
+    }
+
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(data), delay);
+    });
+  };
+
+  return {
+    /**
+     * @param {number} userId - ID de l'utilisateur
+     * @returns {Promise<Object>} Données brutes utilisateur
+     */
+    getUser(userId) {
+      return read(userId, "user");
+    },
+
+    /**
+     * @param {number} userId - ID de l'utilisateur
+     * @param {DateRange} [range] - Période à conserver (fenêtre `activityWindow` si absente)
+     * @returns {Promise<Object>} Données brutes d'activité
+     */
+    async getActivity(userId, range) {
+      const activity = await read(userId, "activity");
+      if (!Array.isArray(activity.sessions)) {
+        return activity;
+      }
+      if (!isValidRange(range)) {
+        return activityWindow
+          ? { ...activity, sessions: activity.sessions.slice(-activityWindow) }
+          : activity;
+      }
+      return {
+        ...activity,
+        sessions: activity.sessions.filter((session) => isInRange(session.day, range)),
+      };
+    },
+
+    /**
+     * @param {number} userId - ID de l'utilisateur
+     * @param {{period: string}} [query] - Semaine demandée (courante si absente)
+     * @returns {Promise<Object>} Données brutes de sessions moyennes
+     */
+    getAverageSessions(userId, query) {
+      return readPeriod(userId, "averageSessions", query);
+    },
+
+    /**
+     * @param {number} userId - ID de l'utilisateur
+     * @param {{period: string}} [query] - Semaine demandée (courante si absente)
+     * @returns {Promise<Object>} Données brutes de performance
+     */
+    getPerformance(userId, query) {
+      return readPeriod(userId, "performance", query);
+    },
+
+    /**
+     * @param {number} userId - ID de l'utilisateur
+     * @param {DateRange} [range] - Période à conserver (tout l'historique si absente)
+     * @returns {Promise<Object>} Données brutes de l'historique du score
+     */
+    async getScoreHistory(userId, range) {
+      const history = await read(userId, "scoreHistory");
+      if (!isValidRange(range) || !Array.isArray(history.scores)) {
+        return history;
+      }
+      return {
+        ...history,
+        scores: history.scores.filter((entry) => isInRange(entry.day, range)),
+      };
+    },
+
+    /**
+     * @returns {Promise<number[]>} IDs des utilisateurs disposant de données `user`
+     */
+    listUsers() {
+      return Promise.resolve(
+        Object.keys(store)
+          .filter((userId) => store[userId]?.user)
+          .map(Number)
+      );
+    },
+
+    /**
+     * Remplace (ou ajoute) les données d'une ressource pour un utilisateur
+     *
+     * @param {number} userId - ID de l'utilisateur
+     * @param {string} resource - Ressource ("user", "activity", "averageSessions", "performance",
+     * "scoreHistory", "previousAverageSessions", "previousPerformance")
+     * @param {Object} data - Données brutes à servir
+     */
+    set(userId, resource, data) {
+      store[userId] = { ...store[userId], [resource]: data };
+    },
+
+    /**
+     * Ouvre le canal temps réel d'un utilisateur
+     *
+     * @param {number} userId - ID de l'utilisateur
+     * @param {LiveHandlers} handlers - Gestionnaires du canal
+     * @returns {Function} Fonction de fermeture du canal
+     */
+    subscribe(userId, handlers) {
+      if (!subscribers.has(userId)) {
+        subscribers.set(userId, new Set());
+      }
+      subscribers.get(userId).add(handlers);
+      const timer = setTimeout(() => handlers.onOpen(), delay);
+
+      return () => {
+        clearTimeout(timer);
+        subscribers.get(userId)?.delete(handlers);
+      };
+    },
+
+    /**
+     * Émet un événement temps réel sur le canal d'un utilisateur
+     *
+     * Une session (type "session") est d'abord intégrée à l'activité servie.
+     *
+     * @param {number} userId - ID de l'utilisateur
+     * @param {LiveEvent} event - Événement au format de l'API
+     *
+     * @example
+     * adapter.push(18, {
+     *   type: 'session',
+     *   userId: 18,
+     *   session: { day: '2020-07-08', kilogram: 69, calories: 120, activities: [] },
+     * });
+     */
+    push(userId, event) {
+      const activity = store[userId]?.activity;
+      if (event.type === LIVE_EVENT_TYPES.SESSION && activity) {
+        store[userId] = {
+          ...store[userId],
+          activity: mergeActivitySession(activity, event.session),
+        };
+      }
+      subscribers.get(userId)?.forEach((handlers) => handlers.onEvent(event));
+    },
+  };
+};
+
+export default createInMemoryAdapter;
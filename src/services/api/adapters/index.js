@@ -0,0 +1,75 @@
+/**
+ * Contrat des adaptateurs de sources de données SportSee
+ *
+ * Un adaptateur fournit les données brutes (format API SportSee, sans
+ * l'enveloppe `data`) d'un backend donné. DataService se charge ensuite de
+ * la normalisation, ce qui permet de brancher un nouveau backend (fichier
+ * JSON local, IndexedDB...) sans modifier DataService.
+ *
+ * @module adapters
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { DataService } from '../DataService.js';
+ *
+ * DataService.registerAdapter('indexeddb', {
+ *   getUser: (userId) => db.get('users', userId),
+ *   getActivity: (userId) => db.get('activity', userId),
+ *   getAverageSessions: (userId) => db.get('sessions', userId),
+ *   getPerformance: (userId) => db.get('performance', userId),
+ * });
+ * DataService.setDataSource('indexeddb');
+ */
+
+/**
+ * Contrat commun à toutes les sources de données
+ * @typedef {Object} DataSourceAdapter
+ * @property {function(number): Promise<Object>} getUser - Données brutes de /user/:id
+ * @property {function(number, DateRange=): Promise<Object>} getActivity - Données brutes de
+ * /user/:id/activity, éventuellement limitées à une période (`?from=&to=`)
+ * @property {function(number, Object=): Promise<Object>} getAverageSessions - Données brutes de
+ * /user/:id/average-sessions, de la semaine précédente avec `{ period: "previous" }`
+ * @property {function(number, Object=): Promise<Object>} getPerformance - Données brutes de
+ * /user/:id/performance, de la semaine précédente avec `{ period: "previous" }`
+ * @property {function(number, DateRange=): Promise<Object>} [getScoreHistory] - Optionnel :
+ * données brutes de /user/:id/score-history. À défaut, DataService lève une NotFoundError.
+ * @property {function(): Promise<Array<number|Object>>} [listUsers] - Optionnel : utilisateurs
+ * disponibles (IDs ou objets portant un `id`). À défaut, DataService.KNOWN_USER_IDS est utilisé.
+ * @property {function(number, LiveHandlers): Function} [subscribe] - Optionnel : ouvre le canal
+ * temps réel d'un utilisateur (Server-Sent Events, WebSocket...) et retourne sa fonction de
+ * fermeture. Chaque message (LiveEvent) est transmis à `onEvent` ; une coupure est signalée
+ * par `onError`, DataService se charge de la reconnexion (voir LiveChannel).
+ */
+
+/**
+ * Méthodes obligatoires d'un adaptateur
+ * @type {string[]}
+ * @readonly
+ */
+export const ADAPTER_METHODS = [
+  "getUser",
+  "getActivity",
+  "getAverageSessions",
+  "getPerformance",
+];
+
+/**
+ * Vérifie qu'un objet respecte le contrat DataSourceAdapter
+ *
+ * @function validateAdapter
+ * @param {Object} adapter - Adaptateur à vérifier
+ * @returns {string[]} Liste des méthodes manquantes (vide si l'adaptateur est valide)
+ *
+ * @example
+ * validateAdapter({ getUser() {} });
+ * // ["getActivity", "getAverageSessions", "getPerformance"]
+ */
+export const validateAdapter = (adapter) => {
+  return ADAPTER_METHODS.filter(
+    (method) => typeof adapter?.[method] !== "function"
+  );
+};
+
+export { createHttpAdapter } from "./HttpAdapter.js";
+export { createInMemoryAdapter } from "./InMemoryAdapter.js";
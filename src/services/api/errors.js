@@ -0,0 +1,156 @@
+/**
+ * Classes d'erreurs de la couche de données SportSee
+ *
+ * Toutes les erreurs levées par DataService héritent de DataServiceError et
+ * portent l'endpoint concerné, le statut HTTP éventuel, le nombre de
+ * tentatives et l'erreur d'origine (`cause`). L'interface peut ainsi
+ * distinguer un utilisateur inconnu d'une panne réseau ou d'une réponse
+ * malformée avec `instanceof` ou la propriété `type`.
+ *
+ * @module errors
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * try {
+ *   await DataService.getUserById(999);
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) {
+ *     console.log(`Aucune donnée pour ${error.endpoint}`);
+ *   }
+ * }
+ */
+
+/**
+ * Détails transmis aux constructeurs d'erreurs
+ * @typedef {Object} DataServiceErrorDetails
+ * @property {string|null} [endpoint] - Endpoint concerné (ex: "/user/18/activity")
+ * @property {number|null} [status] - Statut HTTP éventuel
+ * @property {number} [attempts=1] - Nombre de tentatives effectuées
+ * @property {*} [cause] - Erreur d'origine
+ */
+
+/**
+ * Erreur générique de récupération de données
+ * @class
+ * @extends Error
+ */
+export class DataServiceError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {DataServiceErrorDetails} [details] - Détails de l'erreur
+   */
+  constructor(message, { endpoint = null, status = null, attempts = 1, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "DataServiceError";
+    /** @type {string} */
+    this.type = "unknown";
+    /** @type {string|null} */
+    this.endpoint = endpoint;
+    /** @type {number|null} */
+    this.status = status;
+    /** @type {number} */
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Ressource inexistante (HTTP 404, utilisateur inconnu)
+ * @class
+ * @extends DataServiceError
+ */
+export class NotFoundError extends DataServiceError {
+  constructor(message, details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = "NotFoundError";
+    this.type = "not-found";
+  }
+}
+
+/**
+ * Backend injoignable (erreur réseau, serveur arrêté, CORS...)
+ * @class
+ * @extends DataServiceError
+ */
+export class NetworkError extends DataServiceError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "NetworkError";
+    this.type = "network";
+  }
+}
+
+/**
+ * Délai de réponse dépassé
+ * @class
+ * @extends DataServiceError
+ */
+export class TimeoutError extends DataServiceError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "TimeoutError";
+    this.type = "timeout";
+  }
+}
+
+/**
+ * Erreur interne du backend (HTTP 5xx)
+ * @class
+ * @extends DataServiceError
+ */
+export class ServerError extends DataServiceError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ServerError";
+    this.type = "server";
+  }
+}
+
+/**
+ * Réponse au format inattendu (JSON invalide, champs manquants...)
+ * @class
+ * @extends DataServiceError
+ */
+export class SchemaError extends DataServiceError {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {DataServiceErrorDetails & {issues?: Object[]}} [details] - Détails,
+   * dont la liste des anomalies détectées
+   */
+  constructor(message, { issues = [], ...details } = {}) {
+    super(message, details);
+    this.name = "SchemaError";
+    this.type = "schema";
+    /** @type {Object[]} */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Convertit une erreur quelconque en DataServiceError
+ *
+ * Les erreurs déjà typées sont retournées telles quelles ; les autres sont
+ * enveloppées dans une DataServiceError générique conservant l'original en `cause`.
+ *
+ * @function toDataServiceError
+ * @param {*} error - Erreur à convertir
+ * @param {DataServiceErrorDetails} [details] - Détails complémentaires
+ * @returns {DataServiceError} Erreur typée
+ *
+ * @example
+ * const error = toDataServiceError(new Error('boom'), { endpoint: '/user/18' });
+ * error instanceof DataServiceError; // true
+ */
+export const toDataServiceError = (error, details = {}) => {
+  if (error instanceof DataServiceError) {
+    if (!error.endpoint && details.endpoint) {
+      error.endpoint = details.endpoint;
+    }
+    return error;
+  }
+
+  return new DataServiceError(error?.message ?? String(error), {
+    ...details,
+    cause: error,
+  });
+};
@@ -0,0 +1,177 @@
+/**
+ * Appels HTTP avec délai d'expiration et nouvelles tentatives
+ *
+ * Enveloppe `fetch` avec un AbortController pour limiter la durée de chaque
+ * tentative, et relance les requêtes en échec réseau ou en erreur 5xx avec un
+ * délai exponentiel aléatoire (backoff + jitter). Les erreurs 4xx ne sont
+ * jamais relancées. Les échecs sont levés sous forme d'erreurs typées
+ * (NetworkError, TimeoutError, ServerError).
+ *
+ * @module fetchWithRetry
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const response = await fetchWithRetry('http://localhost:3000/user/18', {
+ *   timeout: 5000,
+ *   retries: 2,
+ * });
+ */
+
+import { NetworkError, TimeoutError, ServerError } from "./errors.js";
+
+/**
+ * Options de nouvelles tentatives
+ * @typedef {Object} RetryOptions
+ * @property {number} [timeout=8000] - Durée maximale (ms) d'une tentative
+ * @property {number} [retries=3] - Nombre de nouvelles tentatives après le premier échec
+ * @property {number} [baseDelay=300] - Délai (ms) avant la première nouvelle tentative
+ * @property {number} [maxDelay=4000] - Délai maximal (ms) entre deux tentatives
+ */
+
+/**
+ * Options par défaut des appels à l'API SportSee
+ * @type {RetryOptions}
+ * @readonly
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  timeout: 8000,
+  retries: 3,
+  baseDelay: 300,
+  maxDelay: 4000,
+};
+
+/**
+ * Calcule le délai avant une nouvelle tentative
+ *
+ * Délai exponentiel (baseDelay × 2^(tentative - 1), plafonné à maxDelay)
+ * dont la moitié est tirée au hasard pour éviter les rafales synchronisées.
+ *
+ * @function computeBackoffDelay
+ * @param {number} attempt - Numéro de la tentative échouée (1 = premier appel)
+ * @param {RetryOptions} options - Options de délai
+ * @returns {number} Délai en millisecondes
+ *
+ * @example
+ * computeBackoffDelay(1, { baseDelay: 300, maxDelay: 4000 }); // entre 150 et 300
+ * computeBackoffDelay(3, { baseDelay: 300, maxDelay: 4000 }); // entre 600 et 1200
+ */
+export const computeBackoffDelay = (attempt, { baseDelay, maxDelay }) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Attend un nombre de millisecondes
+ *
+ * @private
+ * @param {number} ms - Durée d'attente
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Statuts HTTP dont la réponse n'a jamais de corps
+ * @private
+ * @type {number[]}
+ */
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+/**
+ * Effectue une tentative de requête limitée dans le temps
+ *
+ * Le délai couvre toute la tentative, lecture du corps comprise : un serveur
+ * qui envoie les en-têtes puis cesse de répondre dépasse lui aussi le délai.
+ * Le corps lu est placé dans une nouvelle réponse, lisible sans attente.
+ *
+ * @private
+ * @param {string} url - URL à appeler
+ * @param {RequestInit} init - Options fetch
+ * @param {number} timeout - Durée maximale (ms)
+ * @returns {Promise<Response>} Réponse HTTP, corps déjà reçu
+ * @throws {TimeoutError} Si le délai est dépassé
+ * @throws {NetworkError} Si le backend est injoignable
+ */
+const fetchWithTimeout = async (url, init, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    const body = NULL_BODY_STATUSES.includes(response.status)
+      ? null
+      : await response.arrayBuffer();
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new TimeoutError(`Délai dépassé (${timeout} ms)`, {
+        endpoint: url,
+        cause: error,
+      });
+    }
+    throw new NetworkError(`Serveur injoignable: ${error.message}`, {
+      endpoint: url,
+      cause: error,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Appelle une URL avec délai d'expiration et nouvelles tentatives
+ *
+ * Les réponses 2xx et 4xx sont retournées avec leur corps déjà reçu (le 4xx
+ * n'est pas relancé) ; les erreurs réseau, délais dépassés (en-têtes ou corps)
+ * et réponses 5xx sont relancés jusqu'à `retries` fois. L'erreur finale porte
+ * le nombre de tentatives effectuées (`attempts`) et, le cas échéant, le
+ * statut HTTP (`status`).
+ *
+ * @function fetchWithRetry
+ * @async
+ * @param {string} url - URL à appeler
+ * @param {RetryOptions & RequestInit} [options] - Options de tentatives et options fetch
+ * @returns {Promise<Response>} Réponse HTTP (2xx ou 4xx)
+ * @throws {NetworkError|TimeoutError|ServerError} Dernière erreur rencontrée,
+ * avec le nombre de tentatives dans `attempts`
+ */
+export const fetchWithRetry = async (url, options = {}) => {
+  const { timeout, retries, baseDelay, maxDelay, ...init } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+  };
+  const maxAttempts = retries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+
+    try {
+      const response = await fetchWithTimeout(url, init, timeout);
+
+      if (response.status < 500) {
+        return response;
+      }
+
+      error = new ServerError(
+        `Erreur HTTP: ${response.status} - ${response.statusText}`,
+        { endpoint: url, status: response.status }
+      );
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    if (attempt >= maxAttempts) {
+      error.attempts = attempt;
+      throw error;
+    }
+
+    await wait(computeBackoffDelay(attempt, { baseDelay, maxDelay }));
+  }
+};
+
+export default fetchWithRetry;
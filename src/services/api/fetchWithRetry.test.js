@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { computeBackoffDelay, fetchWithRetry } from "./fetchWithRetry.js";
+import { NetworkError, ServerError, TimeoutError } from "./errors.js";
+
+// Délais réduits : les tests n'attendent que quelques millisecondes
+const FAST = { timeout: 50, retries: 2, baseDelay: 1, maxDelay: 2 };
+
+/**
+ * Réponse dont le corps n'arrive jamais ; comme le vrai fetch, le flux
+ * échoue quand le signal de la requête est interrompu
+ */
+const stalledResponse = (signal) =>
+  new Response(
+    new ReadableStream({
+      start(controller) {
+        signal.addEventListener("abort", () => controller.error(signal.reason));
+      },
+    })
+  );
+
+describe("fetchWithRetry", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("relance les réponses 5xx puis retourne la réponse valide", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(new Response("", { status: 503 }))
+      .mockResolvedValueOnce(new Response('{"data":1}', { status: 200 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const response = await fetchWithRetry("/user/18", FAST);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(await response.json()).toEqual({ data: 1 });
+  });
+
+  it("ne relance jamais une réponse 4xx", async () => {
+    const fetch = vi.fn().mockResolvedValue(new Response("", { status: 404 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const response = await fetchWithRetry("/user/99", FAST);
+
+    expect(response.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("lève une ServerError avec le statut et le nombre de tentatives", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(() => Promise.resolve(new Response("", { status: 500 })))
+    );
+
+    const error = await fetchWithRetry("/user/18", FAST).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.status).toBe(500);
+    expect(error.attempts).toBe(3);
+  });
+
+  it("convertit une erreur réseau en NetworkError après les tentatives", async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    vi.stubGlobal("fetch", fetch);
+
+    const error = await fetchWithRetry("/user/18", FAST).catch((e) => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.attempts).toBe(3);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("limite la lecture du corps au délai de la tentative", async () => {
+    const fetch = vi.fn((url, { signal }) =>
+      Promise.resolve(stalledResponse(signal))
+    );
+    vi.stubGlobal("fetch", fetch);
+
+    const error = await fetchWithRetry("/user/18", {
+      ...FAST,
+      retries: 1,
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.attempts).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("computeBackoffDelay", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("double le délai à chaque tentative, avec une moitié aléatoire", () => {
+    const options = { baseDelay: 300, maxDelay: 4000 };
+    vi.spyOn(Math, "random").mockReturnValueOnce(0).mockReturnValueOnce(1);
+
+    expect(computeBackoffDelay(1, options)).toBe(150);
+    expect(computeBackoffDelay(3, options)).toBe(1200);
+  });
+
+  it("plafonne le délai à maxDelay", () => {
+    vi.spyOn(Math, "random").mockReturnValue(1);
+
+    expect(computeBackoffDelay(10, { baseDelay: 300, maxDelay: 4000 })).toBe(
+      4000
+    );
+  });
+});
@@ -15,6 +15,9 @@
  * const normalizedPerf = DataNormalizer.normalizePerformance(rawPerfData);
  */
 
+import { isInRange, isValidRange, parseISODate } from './dateRange.js';
+import { SCHEMAS, validateSchema } from './schemas.js';
+
 /**
  * Service de normalisation des données SportSee
  * Standardise les différents formats de données provenant de l'API
@@ -38,21 +41,78 @@ export class DataNormalizer {
   };
 
   /**
-   * Mapping des jours de la semaine pour les sessions moyennes
+   * Clés des jours de la semaine pour les sessions moyennes
    * @type {string[]}
    * @static
    * @readonly
-   * @description Index 0-6 correspond aux jours 1-7 de l'API
+   * @description Index 0-6 correspond aux jours 1-7 de l'API ; les libellés
+   * sont résolus à l'affichage (catalogues i18n `days.short` / `days.long`)
    */
-  static DAY_NAMES = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
+  static DAY_KEYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
 
   /**
-   * Noms complets des jours de la semaine
+   * Sports reconnus dans la répartition des sessions (champ `activities`)
    * @type {string[]}
    * @static
    * @readonly
+   * @description Clés techniques, dans l'ordre de la barre latérale ; les
+   * libellés sont résolus à l'affichage (catalogue i18n `activities`)
+   */
+  static ACTIVITY_TYPES = ['meditation', 'swimming', 'strength', 'cycling'];
+
+  /**
+   * Vérifie qu'une valeur correspond à un sport reconnu
+   *
+   * @param {*} type - Valeur à vérifier (ex: paramètre d'URL)
+   * @returns {boolean} true si le sport existe dans ACTIVITY_TYPES
+   *
+   * @example
+   * DataNormalizer.isActivityType('swimming'); // true
+   * DataNormalizer.isActivityType('golf');     // false
+   */
+  static isActivityType(type) {
+    return DataNormalizer.ACTIVITY_TYPES.includes(type);
+  }
+
+  /**
+   * Normalise la répartition par sport d'une session
+   * Ignore les sports inconnus et les valeurs non numériques
+   *
+   * @param {Array} rawActivities - Répartition brute ({ type, [valueKey] })
+   * @param {string} valueKey - Mesure répartie ('calories' ou 'sessionLength')
+   * @returns {Array<Object>} Répartition normalisée (vide si absente)
+   *
+   * @example
+   * DataNormalizer.normalizeActivities([{ type: 'cycling', calories: 120 }], 'calories');
+   * // [{ type: 'cycling', calories: 120 }]
+   */
+  static normalizeActivities(rawActivities, valueKey) {
+    if (!Array.isArray(rawActivities)) {
+      return [];
+    }
+
+    return rawActivities
+      .filter((activity) => DataNormalizer.isActivityType(activity?.type))
+      .map((activity) => ({
+        type: activity.type,
+        [valueKey]: Number(activity[valueKey]) || 0
+      }));
+  }
+
+  /**
+   * Somme d'une mesure pour un sport dans une répartition normalisée
+   *
+   * @private
+   * @param {Array<Object>} activities - Répartition normalisée
+   * @param {string} type - Sport recherché
+   * @param {string} valueKey - Mesure à additionner
+   * @returns {number} Total pour ce sport (0 si absent)
    */
-  static DAY_NAMES_FULL = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+  static _sumActivity(activities, type, valueKey) {
+    return (activities ?? [])
+      .filter((activity) => activity.type === type)
+      .reduce((total, activity) => total + activity[valueKey], 0);
+  }
 
   /**
    * Normalise les données utilisateur
@@ -135,7 +195,7 @@ export class DataNormalizer {
 
   /**
    * Normalise les données de sessions moyennes
-   * Gère les sessions avec sessionLength: 0 et ajoute les noms des jours
+   * Gère les sessions avec sessionLength: 0 et ajoute la clé du jour
    * 
    * @param {Object} rawData - Données brutes de sessions moyennes
    * @returns {Object|null} Données de sessions normalisées
@@ -143,7 +203,7 @@ export class DataNormalizer {
    * @example
    * const rawSessions = { userId: 12, sessions: [{ day: 1, sessionLength: 0 }] };
    * const normalized = DataNormalizer.normalizeSessions(rawSessions);
-   * console.log(normalized.sessions[0].dayName); // 'L'
+   * console.log(normalized.sessions[0].dayKey); // 'monday'
    * console.log(normalized.sessions[0].sessionLength); // 1 (minimum)
    */
   static normalizeSessions(rawData) {
@@ -165,15 +225,47 @@ export class DataNormalizer {
       // ✅ Gestion sessionLength: 0 + mapping jours
       sessions: rawData.sessions.map(session => ({
         day: session?.day ?? 1,
-        dayName: DataNormalizer.DAY_NAMES[session?.day - 1] ?? '?',
-        dayNameFull: DataNormalizer.DAY_NAMES_FULL[session?.day - 1] ?? 'Inconnu',
+        dayKey: DataNormalizer.DAY_KEYS[session?.day - 1] ?? 'unknown',
         // ✅ Fallback pour sessionLength: 0 (minimum 1 pour éviter les graphiques vides)
         sessionLength: Math.max(session?.sessionLength ?? 1, 1),
-        sessionLengthRaw: session?.sessionLength ?? 0 // Garde la valeur originale pour référence
+        sessionLengthRaw: session?.sessionLength ?? 0, // Garde la valeur originale pour référence
+        // ✅ Répartition par sport (vide si la source ne la fournit pas)
+        activities: DataNormalizer.normalizeActivities(session?.activities, 'sessionLength')
       }))
     };
   }
 
+  /**
+   * Restreint des sessions moyennes normalisées à un sport
+   * La durée de chaque jour devient la part de ce sport (0 si absent)
+   *
+   * @param {Object} sessionsData - Sessions moyennes normalisées
+   * @param {string|null} activityType - Sport à conserver (null = tous les sports)
+   * @returns {Object|null} Sessions filtrées, avec `activityType` renseigné
+   *
+   * @example
+   * const swimming = DataNormalizer.filterSessionsByType(sessions, 'swimming');
+   * console.log(swimming.sessions[1].sessionLengthRaw); // 23
+   */
+  static filterSessionsByType(sessionsData, activityType) {
+    if (!sessionsData || !activityType) {
+      return sessionsData;
+    }
+
+    return {
+      ...sessionsData,
+      activityType,
+      sessions: sessionsData.sessions.map((session) => {
+        const sessionLength = DataNormalizer._sumActivity(session.activities, activityType, 'sessionLength');
+        return {
+          ...session,
+          sessionLength: Math.max(sessionLength, 1),
+          sessionLengthRaw: sessionLength
+        };
+      })
+    };
+  }
+
   /**
    * Normalise les données d'activité
    * Extrait le jour depuis les dates string et ajoute des fallbacks
@@ -185,7 +277,6 @@ export class DataNormalizer {
    * const rawActivity = { userId: 12, sessions: [{ day: "2020-07-01", kilogram: 80 }] };
    * const normalized = DataNormalizer.normalizeActivity(rawActivity);
    * console.log(normalized.sessions[0].dayFormatted); // 1
-   * console.log(normalized.sessions[0].dayName); // "1er"
    */
   static normalizeActivity(rawData) {
     if (!rawData) {
@@ -203,33 +294,169 @@ export class DataNormalizer {
 
     return {
       userId: rawData.userId ?? 0,
-      // ✅ Extraction du jour depuis les dates string
+      // ✅ Extraction du jour depuis les dates string, en heure locale
+      // (new Date('2020-07-01') serait minuit UTC, soit le 30 juin à l'ouest de Greenwich)
       sessions: rawData.sessions.map(session => {
         const dayString = session?.day ?? '';
-        let dayFormatted = 0;
-        let dayName = '?';
-
-        try {
-          if (dayString) {
-            const date = new Date(dayString);
-            dayFormatted = date.getDate();
-            dayName = `${dayFormatted}${dayFormatted === 1 ? 'er' : ''}`;
-          }
-        } catch {
+        const date = parseISODate(String(dayString).slice(0, 10));
+        const dayFormatted = date ? date.getDate() : 0;
+
+        if (dayString && !date) {
           console.warn(`DataNormalizer.normalizeActivity: Date invalide "${dayString}"`);
         }
 
         return {
           day: dayString,
           dayFormatted,
-          dayName,
           kilogram: session?.kilogram ?? 0,
-          calories: session?.calories ?? 0
+          calories: session?.calories ?? 0,
+          // ✅ Répartition par sport (vide si la source ne la fournit pas)
+          activities: DataNormalizer.normalizeActivities(session?.activities, 'calories')
         };
       })
     };
   }
 
+  /**
+   * Restreint une activité quotidienne normalisée à un sport
+   * Les calories de chaque jour deviennent la part de ce sport (0 si absent) ;
+   * le poids, mesuré quotidiennement, est conservé.
+   *
+   * @param {Object} activityData - Activité normalisée
+   * @param {string|null} activityType - Sport à conserver (null = tous les sports)
+   * @returns {Object|null} Activité filtrée, avec `activityType` renseigné
+   *
+   * @example
+   * const cycling = DataNormalizer.filterActivityByType(activity, 'cycling');
+   * console.log(cycling.sessions[0].calories); // 100
+   */
+  static filterActivityByType(activityData, activityType) {
+    if (!activityData || !activityType) {
+      return activityData;
+    }
+
+    return {
+      ...activityData,
+      activityType,
+      sessions: activityData.sessions.map((session) => ({
+        ...session,
+        calories: DataNormalizer._sumActivity(session.activities, activityType, 'calories')
+      }))
+    };
+  }
+
+  /**
+   * Restreint une activité quotidienne normalisée à une période
+   * Utile lorsque la source ignore les paramètres `from` / `to`
+   *
+   * @param {Object} activityData - Activité normalisée
+   * @param {DateRange|null} range - Période à conserver (null = toutes les sessions)
+   * @returns {Object|null} Activité filtrée, avec `range` renseigné
+   *
+   * @example
+   * const firstDays = DataNormalizer.filterActivityByRange(activity, { from: '2020-07-01', to: '2020-07-03' });
+   * console.log(firstDays.sessions.length); // 3
+   */
+  static filterActivityByRange(activityData, range) {
+    if (!activityData || !isValidRange(range)) {
+      return activityData;
+    }
+
+    return {
+      ...activityData,
+      range: { from: range.from, to: range.to },
+      sessions: activityData.sessions.filter((session) => isInRange(session.day, range))
+    };
+  }
+
+  /**
+   * Normalise l'historique du score quotidien
+   * Trie les jours par date et ramène chaque score dans l'intervalle [0, 1]
+   *
+   * @param {Object} rawData - Données brutes de l'historique
+   * @returns {Object|null} Historique normalisé ({ userId, scores: [{ day, score }] })
+   *
+   * @example
+   * const raw = { userId: 12, scores: [{ day: '2020-07-02', score: 0.2 }, { day: '2020-07-01', score: 1.4 }] };
+   * const history = DataNormalizer.normalizeScoreHistory(raw);
+   * console.log(history.scores[0]); // { day: '2020-07-01', score: 1 }
+   */
+  static normalizeScoreHistory(rawData) {
+    if (!rawData) {
+      console.warn('DataNormalizer.normalizeScoreHistory: Données manquantes');
+      return null;
+    }
+
+    if (!rawData.scores || !Array.isArray(rawData.scores)) {
+      console.warn('DataNormalizer.normalizeScoreHistory: Historique de score invalide');
+      return {
+        userId: rawData.userId ?? 0,
+        scores: []
+      };
+    }
+
+    return {
+      userId: rawData.userId ?? 0,
+      scores: rawData.scores
+        .filter((entry) => typeof entry?.day === 'string' && entry.day !== '')
+        .map((entry) => ({
+          day: entry.day,
+          score: Math.min(Math.max(entry?.score ?? 0, 0), 1)
+        }))
+        .sort((a, b) => a.day.localeCompare(b.day))
+    };
+  }
+
+  /**
+   * Restreint un historique de score normalisé à une période
+   * Utile lorsque la source ignore les paramètres `from` / `to`
+   *
+   * @param {Object} historyData - Historique normalisé
+   * @param {DateRange|null} range - Période à conserver (null = tout l'historique)
+   * @returns {Object|null} Historique filtré, avec `range` renseigné
+   */
+  static filterScoreHistoryByRange(historyData, range) {
+    if (!historyData || !isValidRange(range)) {
+      return historyData;
+    }
+
+    return {
+      ...historyData,
+      range: { from: range.from, to: range.to },
+      scores: historyData.scores.filter((entry) => isInRange(entry.day, range))
+    };
+  }
+
+  /**
+   * Vérifie des données brutes contre le schéma de leur ressource
+   *
+   * À appeler avant la normalisation : les anomalies sont rapportées sur les
+   * champs tels que renvoyés par l'API (ex: `todayScore` et non `score`).
+   *
+   * @param {string} resource - Ressource ('user', 'activity', 'averageSessions', 'performance', 'scoreHistory')
+   * @param {Object} rawData - Données brutes (sans l'enveloppe `data`)
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.endpoint=null] - Endpoint appelé, repris dans le rapport
+   * @returns {{endpoint: string|null, resource: string, valid: boolean, issues: SchemaIssue[]}}
+   * Rapport de validation
+   * @throws {Error} Si aucun schéma n'est défini pour la ressource
+   *
+   * @example
+   * const report = DataNormalizer.validateRaw('user', { id: 18 });
+   * report.valid;            // false
+   * report.issues[0].path;   // 'userInfos'
+   */
+  static validateRaw(resource, rawData, { endpoint = null } = {}) {
+    const schema = SCHEMAS[resource];
+
+    if (!schema) {
+      throw new Error(`DataNormalizer.validateRaw: Aucun schéma pour la ressource ${resource}`);
+    }
+
+    const issues = validateSchema(schema, rawData);
+    return { endpoint, resource, valid: issues.length === 0, issues };
+  }
+
   /**
    * Applique la normalisation appropriée selon le type d'endpoint
    * 
@@ -248,6 +475,10 @@ export class DataNormalizer {
 
     try {
       // Détection du type d'endpoint et application de la normalisation appropriée
+      if (endpoint.includes('/score-history')) {
+        return DataNormalizer.normalizeScoreHistory(rawData);
+      }
+
       if (endpoint.includes('/performance')) {
         return DataNormalizer.normalizePerformance(rawData);
       }
@@ -272,34 +503,6 @@ export class DataNormalizer {
       return rawData; // Retourne les données originales en cas d'erreur
     }
   }
-
-  /**
-   * Valide la structure des données normalisées
-   * 
-   * @param {string} type - Type de données ('user', 'performance', 'sessions', 'activity')
-   * @param {Object} data - Données à valider
-   * @returns {boolean} true si valide, false sinon
-   */
-  static validateNormalizedData(type, data) {
-    if (!data) return false;
-
-    switch (type) {
-      case 'user':
-        return !!(data.id && data.userInfos && typeof data.score === 'number');
-      
-      case 'performance':
-        return !!(data.userId && data.data && Array.isArray(data.data));
-      
-      case 'sessions':
-        return !!(data.userId && data.sessions && Array.isArray(data.sessions));
-      
-      case 'activity':
-        return !!(data.userId && data.sessions && Array.isArray(data.sessions));
-      
-      default:
-        return false;
-    }
-  }
 }
 
 /**
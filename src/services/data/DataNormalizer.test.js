@@ -0,0 +1,113 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { DataNormalizer } from "./DataNormalizer.js";
+
+describe("DataNormalizer.normalizeActivity", () => {
+  // À l'ouest de Greenwich, new Date("2020-07-01") tombe le 30 juin
+  beforeAll(() => {
+    vi.stubEnv("TZ", "America/New_York");
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("extrait le jour du mois en heure locale", () => {
+    const activity = DataNormalizer.normalizeActivity({
+      userId: 18,
+      sessions: [
+        { day: "2020-07-01", kilogram: 70, calories: 240 },
+        { day: "2020-07-31", kilogram: 69, calories: 220 },
+      ],
+    });
+
+    expect(activity.sessions.map((session) => session.dayFormatted)).toEqual([
+      1, 31,
+    ]);
+  });
+
+  it("remplace une date invalide par le jour 0", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const activity = DataNormalizer.normalizeActivity({
+      userId: 18,
+      sessions: [{ day: "hier", kilogram: 70, calories: 240 }],
+    });
+
+    expect(activity.sessions[0].dayFormatted).toBe(0);
+    vi.restoreAllMocks();
+  });
+});
+
+describe("DataNormalizer.validateRaw", () => {
+  const user = {
+    id: 18,
+    userInfos: { firstName: "Cecilia", lastName: "Ratorez", age: 34 },
+    score: 0.3,
+    keyData: {
+      calorieCount: 2500,
+      proteinCount: 90,
+      carbohydrateCount: 150,
+      lipidCount: 120,
+    },
+  };
+
+  it("valide une réponse conforme", () => {
+    expect(
+      DataNormalizer.validateRaw("user", user, { endpoint: "/user/18" })
+    ).toEqual({
+      endpoint: "/user/18",
+      resource: "user",
+      valid: true,
+      issues: [],
+    });
+  });
+
+  it("accepte todayScore à la place de score", () => {
+    const { score, ...rest } = user;
+
+    expect(
+      DataNormalizer.validateRaw("user", { ...rest, todayScore: score }).valid
+    ).toBe(true);
+    expect(DataNormalizer.validateRaw("user", rest).issues).toEqual([
+      expect.objectContaining({ path: "", rule: "oneOf" }),
+    ]);
+  });
+
+  it("collecte toutes les anomalies avec leur chemin", () => {
+    const report = DataNormalizer.validateRaw("activity", {
+      userId: 18,
+      sessions: [
+        { day: "2020-07-01", kilogram: 70, calories: 240 },
+        { day: "01/07/2020", kilogram: "70", calories: -1 },
+      ],
+    });
+
+    expect(report.valid).toBe(false);
+    expect(report.issues.map(({ path, rule }) => `${path}:${rule}`)).toEqual([
+      "sessions[1].day:pattern",
+      "sessions[1].kilogram:type",
+      "sessions[1].calories:min",
+    ]);
+  });
+
+  it("signale un champ obligatoire manquant", () => {
+    const report = DataNormalizer.validateRaw("user", {
+      ...user,
+      userInfos: undefined,
+    });
+
+    expect(report.issues).toEqual([
+      expect.objectContaining({
+        path: "userInfos",
+        rule: "required",
+        received: "undefined",
+      }),
+    ]);
+  });
+
+  it("rejette une ressource sans schéma", () => {
+    expect(() => DataNormalizer.validateRaw("inconnue", {})).toThrow(
+      "Aucun schéma"
+    );
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Utilitaires de périodes (plages de dates) SportSee
+ *
+ * Les dates sont manipulées au format ISO "YYYY-MM-DD", celui des sessions
+ * d'activité de l'API, et interprétées en heure locale pour éviter les
+ * décalages de fuseau horaire.
+ *
+ * @module dateRange
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { getPresetRange, shiftRange } from './dateRange.js';
+ *
+ * const week = getPresetRange('week', '2020-07-03');
+ * // { preset: 'week', from: '2020-06-29', to: '2020-07-05' }
+ * const previousWeek = shiftRange(week, -1);
+ */
+
+/**
+ * Période de dates (bornes incluses)
+ * @typedef {Object} DateRange
+ * @property {string} from - Date de début (YYYY-MM-DD)
+ * @property {string} to - Date de fin (YYYY-MM-DD)
+ * @property {string} [preset] - Type de période ("week", "month" ou "custom")
+ */
+
+/**
+ * Types de périodes proposés
+ * @type {string[]}
+ * @readonly
+ * @description Libellés résolus à l'affichage (catalogue i18n `charts.range`)
+ */
+export const RANGE_PRESETS = ["week", "month", "custom"];
+
+/**
+ * Format ISO strict attendu pour les bornes
+ * @type {RegExp}
+ * @private
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convertit une date ISO en objet Date (minuit, heure locale)
+ *
+ * @function parseISODate
+ * @param {string} value - Date au format YYYY-MM-DD
+ * @returns {Date|null} Date correspondante, ou null si le format est invalide
+ *
+ * @example
+ * parseISODate('2020-07-01').getDate(); // 1
+ */
+export const parseISODate = (value) => {
+  if (typeof value !== "string" || !ISO_DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Convertit un objet Date en date ISO (heure locale)
+ *
+ * @function toISODate
+ * @param {Date} date - Date à convertir
+ * @returns {string} Date au format YYYY-MM-DD
+ *
+ * @example
+ * toISODate(new Date(2020, 6, 1)); // "2020-07-01"
+ */
+export const toISODate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Ajoute un nombre de jours à une date ISO
+ *
+ * @function addDays
+ * @param {string} value - Date ISO
+ * @param {number} days - Nombre de jours (négatif pour reculer)
+ * @returns {string} Nouvelle date ISO
+ *
+ * @example
+ * addDays('2020-07-01', -1); // "2020-06-30"
+ */
+export const addDays = (value, days) => {
+  const date = parseISODate(value);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+/**
+ * Nombre de jours couverts par une période (bornes incluses)
+ *
+ * @function getRangeLength
+ * @param {DateRange} range - Période
+ * @returns {number} Nombre de jours
+ *
+ * @example
+ * getRangeLength({ from: '2020-07-01', to: '2020-07-07' }); // 7
+ */
+export const getRangeLength = ({ from, to }) => {
+  const start = parseISODate(from);
+  const end = parseISODate(to);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Calcule la semaine (lundi → dimanche) ou le mois contenant une date
+ *
+ * @function getPresetRange
+ * @param {string} preset - "week" ou "month"
+ * @param {string} anchor - Date ISO de référence
+ * @returns {DateRange} Période correspondante
+ *
+ * @example
+ * getPresetRange('month', '2020-07-03');
+ * // { preset: 'month', from: '2020-07-01', to: '2020-07-31' }
+ */
+export const getPresetRange = (preset, anchor) => {
+  const date = parseISODate(anchor) ?? new Date();
+
+  if (preset === "month") {
+    const first = new Date(date.getFullYear(), date.getMonth(), 1);
+    const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    return { preset, from: toISODate(first), to: toISODate(last) };
+  }
+
+  // getDay() : 0 = dimanche ; la semaine commence le lundi
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  const from = toISODate(monday);
+  return { preset: "week", from, to: addDays(from, 6) };
+};
+
+/**
+ * Décale une période vers le passé ou le futur
+ *
+ * Une semaine est décalée de 7 jours, un mois d'un mois calendaire et une
+ * période personnalisée de sa propre durée.
+ *
+ * @function shiftRange
+ * @param {DateRange} range - Période à décaler
+ * @param {number} direction - -1 (précédente) ou 1 (suivante)
+ * @returns {DateRange} Nouvelle période
+ *
+ * @example
+ * shiftRange({ preset: 'week', from: '2020-06-29', to: '2020-07-05' }, 1);
+ * // { preset: 'week', from: '2020-07-06', to: '2020-07-12' }
+ */
+export const shiftRange = (range, direction) => {
+  if (range.preset === "month") {
+    const date = parseISODate(range.from);
+    return getPresetRange(
+      "month",
+      toISODate(new Date(date.getFullYear(), date.getMonth() + direction, 1))
+    );
+  }
+
+  const length = getRangeLength(range) * direction;
+  return {
+    ...range,
+    from: addDays(range.from, length),
+    to: addDays(range.to, length),
+  };
+};
+
+/**
+ * Vérifie qu'une valeur est une période valide (bornes ISO, début ≤ fin)
+ *
+ * @function isValidRange
+ * @param {*} range - Valeur à vérifier
+ * @returns {boolean} true si la période est exploitable
+ */
+export const isValidRange = (range) => {
+  const from = parseISODate(range?.from);
+  const to = parseISODate(range?.to);
+  return Boolean(from && to && from <= to);
+};
+
+/**
+ * Indique si une date ISO appartient à une période
+ *
+ * @function isInRange
+ * @param {string} day - Date ISO (ou date-heure ISO)
+ * @param {DateRange} range - Période
+ * @returns {boolean} true si la date est comprise entre les bornes incluses
+ *
+ * @example
+ * isInRange('2020-07-03', { from: '2020-07-01', to: '2020-07-07' }); // true
+ */
+export const isInRange = (day, { from, to }) => {
+  // Les dates ISO se comparent dans l'ordre lexicographique
+  const date = String(day).slice(0, 10);
+  return date >= from && date <= to;
+};
+
+/**
+ * Libellé court d'une période dans la langue demandée
+ *
+ * @function formatRangeLabel
+ * @param {DateRange} range - Période
+ * @param {string} [intlLocale="fr-FR"] - Locale Intl (voir I18n.getIntlLocale)
+ * @returns {string} Libellé (ex: "29 juin – 5 juil. 2020", "juillet 2020",
+ * "Jun 29 – Jul 5, 2020" en "en-US")
+ */
+export const formatRangeLabel = (range, intlLocale = "fr-FR") => {
+  const from = parseISODate(range.from);
+  const to = parseISODate(range.to);
+
+  if (range.preset === "month") {
+    return from.toLocaleDateString(intlLocale, {
+      month: "long",
+      year: "numeric",
+    });
+  }
+
+  const sameYear = from.getFullYear() === to.getFullYear();
+  const start = from.toLocaleDateString(intlLocale, {
+    day: "numeric",
+    month: "short",
+    ...(sameYear ? {} : { year: "numeric" }),
+  });
+  const end = to.toLocaleDateString(intlLocale, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+  return `${start} – ${end}`;
+};
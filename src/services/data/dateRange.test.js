@@ -0,0 +1,95 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import {
+  addDays,
+  getPresetRange,
+  getRangeLength,
+  isInRange,
+  isValidRange,
+  parseISODate,
+  shiftRange,
+  toISODate,
+} from "./dateRange.js";
+
+// À l'ouest de Greenwich, minuit UTC tombe la veille en heure locale
+beforeAll(() => {
+  vi.stubEnv("TZ", "America/New_York");
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("parseISODate", () => {
+  it("lit la date à minuit en heure locale", () => {
+    const date = parseISODate("2020-07-01");
+
+    expect(date.getFullYear()).toBe(2020);
+    expect(date.getMonth()).toBe(6);
+    expect(date.getDate()).toBe(1);
+    expect(date.getHours()).toBe(0);
+  });
+
+  it("rejette les formats non stricts et les dates inexistantes", () => {
+    expect(parseISODate("2020-7-1")).toBeNull();
+    expect(parseISODate("2020-07-01T00:00:00Z")).toBeNull();
+    expect(parseISODate("2020-02-30")).toBeNull();
+    expect(parseISODate(null)).toBeNull();
+  });
+
+  it("fait l'aller-retour avec toISODate", () => {
+    expect(toISODate(parseISODate("2020-12-31"))).toBe("2020-12-31");
+  });
+});
+
+describe("addDays et getRangeLength", () => {
+  it("changent de mois et d'année", () => {
+    expect(addDays("2020-07-01", -1)).toBe("2020-06-30");
+    expect(addDays("2020-12-31", 1)).toBe("2021-01-01");
+  });
+
+  it("comptent les jours en traversant un changement d'heure", () => {
+    // Passage à l'heure d'été le 8 mars 2020 à New York
+    expect(addDays("2020-03-07", 2)).toBe("2020-03-09");
+    expect(getRangeLength({ from: "2020-03-01", to: "2020-03-31" })).toBe(31);
+  });
+});
+
+describe("périodes", () => {
+  it("calcule la semaine (lundi-dimanche) et le mois d'une date", () => {
+    expect(getPresetRange("week", "2020-07-03")).toEqual({
+      preset: "week",
+      from: "2020-06-29",
+      to: "2020-07-05",
+    });
+    expect(getPresetRange("month", "2020-02-10")).toEqual({
+      preset: "month",
+      from: "2020-02-01",
+      to: "2020-02-29",
+    });
+  });
+
+  it("décale une période de sa propre longueur", () => {
+    const week = { preset: "week", from: "2020-06-29", to: "2020-07-05" };
+    const month = { preset: "month", from: "2020-07-01", to: "2020-07-31" };
+
+    expect(shiftRange(week, 1)).toEqual({
+      preset: "week",
+      from: "2020-07-06",
+      to: "2020-07-12",
+    });
+    expect(shiftRange(month, -1)).toEqual({
+      preset: "month",
+      from: "2020-06-01",
+      to: "2020-06-30",
+    });
+  });
+
+  it("valide les bornes et l'appartenance d'un jour", () => {
+    const range = { from: "2020-07-01", to: "2020-07-07" };
+
+    expect(isValidRange(range)).toBe(true);
+    expect(isValidRange({ from: "2020-07-07", to: "2020-07-01" })).toBe(false);
+    expect(isInRange("2020-07-07", range)).toBe(true);
+    expect(isInRange("2020-07-08", range)).toBe(false);
+  });
+});
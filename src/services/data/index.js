@@ -12,6 +12,16 @@
 // Export des services de normalisation
 export { DataNormalizer } from "./DataNormalizer.js";
 
+// Export des utilitaires de périodes
+export * from "./dateRange.js";
+
+// Export des événements temps réel et de leur simulation (mode mock)
+export * from "./liveEvents.js";
+export { createLiveSimulation } from "./mockLiveEvents.js";
+
+// Export des schémas de validation des réponses brutes
+export { SCHEMAS, validateSchema } from "./schemas.js";
+
 // Export des données mockées
 export {
   mockUserData,
@@ -22,5 +32,6 @@ export {
   mockActivityDataUser18,
   mockSessionsDataUser18,
   mockPerformanceDataUser18,
+  mockUsers,
   createMockService,
 } from "./mockData.js";
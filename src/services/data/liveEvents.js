@@ -0,0 +1,139 @@
+/**
+ * Événements temps réel SportSee (mises à jour poussées par le backend)
+ *
+ * Un événement est un objet JSON au format de l'API, transmis par le canal
+ * temps réel d'un utilisateur (`/user/:id/events`). L'événement "session"
+ * porte une session d'activité brute, nouvelle ou mise à jour pendant un
+ * entraînement ; tout autre type signale un changement côté backend et
+ * provoque le rechargement des données de l'utilisateur.
+ *
+ * @module liveEvents
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { parseLiveEvent, mergeActivitySession } from './liveEvents.js';
+ *
+ * const event = parseLiveEvent('{"type":"session","userId":18,"session":{...}}');
+ * const updated = mergeActivitySession(activity, normalizedSession);
+ */
+
+import { isInRange, isValidRange } from "./dateRange.js";
+
+/**
+ * Types d'événements reconnus
+ * @type {{SESSION: string, INVALIDATE: string}}
+ * @readonly
+ * @description Un type inconnu est traité comme INVALIDATE
+ */
+export const LIVE_EVENT_TYPES = {
+  SESSION: "session",
+  INVALIDATE: "invalidate",
+};
+
+/**
+ * Événement temps réel
+ * @typedef {Object} LiveEvent
+ * @property {string} type - Type d'événement (voir LIVE_EVENT_TYPES)
+ * @property {number} [userId] - Utilisateur concerné
+ * @property {Object} [session] - Session d'activité brute (type "session") :
+ * `{ day, kilogram, calories, activities }`
+ */
+
+/**
+ * Convertit un message reçu en événement
+ *
+ * @function parseLiveEvent
+ * @param {string|Object} payload - Message brut (JSON) ou déjà décodé
+ * @returns {LiveEvent|null} Événement, ou null si le message est illisible
+ *
+ * @example
+ * parseLiveEvent('{"type":"invalidate"}'); // { type: "invalidate" }
+ * parseLiveEvent("ping");                  // null
+ */
+export const parseLiveEvent = (payload) => {
+  let event = payload;
+
+  if (typeof payload === "string") {
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!event || typeof event !== "object" || typeof event.type !== "string") {
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Intègre une session à une activité (session remplacée ou ajoutée)
+ *
+ * La session remplace celle du même jour ou s'ajoute dans l'ordre
+ * chronologique. Une activité limitée à une période ignore les sessions hors
+ * période. Avec `sliding`, le nombre de sessions est conservé (fenêtre
+ * glissante des derniers jours, comme servie par l'API sans période).
+ *
+ * @function mergeActivitySession
+ * @param {Object} activity - Activité ({ userId, sessions }), brute ou normalisée
+ * @param {Object} session - Session au même format que celles de `activity`
+ * @param {Object} [options] - Options
+ * @param {DateRange|null} [options.range=null] - Période couverte par l'activité
+ * @param {boolean} [options.sliding=false] - Conserve le nombre de sessions en
+ * écartant les plus anciennes
+ * @returns {Object} Nouvelle activité, ou `activity` si la session ne la concerne pas
+ *
+ * @example
+ * const updated = mergeActivitySession(activity, {
+ *   day: "2020-07-08",
+ *   dayFormatted: 8,
+ *   kilogram: 69,
+ *   calories: 310,
+ *   activities: [],
+ * });
+ * updated.sessions.at(-1).day; // "2020-07-08"
+ *
+ * @example
+ * // Fenêtre des 7 derniers jours : la session la plus ancienne est écartée
+ * mergeActivitySession(lastWeek, session, { sliding: true }).sessions.length; // 7
+ */
+export const mergeActivitySession = (
+  activity,
+  session,
+  { range = null, sliding = false } = {}
+) => {
+  if (!Array.isArray(activity?.sessions) || !session?.day) {
+    return activity;
+  }
+
+  if (isValidRange(range) && !isInRange(session.day, range)) {
+    return activity;
+  }
+
+  const index = activity.sessions.findIndex(
+    (entry) => entry.day === session.day
+  );
+  if (index !== -1) {
+    return {
+      ...activity,
+      sessions: activity.sessions.map((entry, position) =>
+        position === index ? session : entry
+      ),
+    };
+  }
+
+  const sessions = [...activity.sessions, session].sort((a, b) =>
+    a.day.localeCompare(b.day)
+  );
+
+  return {
+    ...activity,
+    sessions:
+      sliding && activity.sessions.length > 0
+        ? sessions.slice(-activity.sessions.length)
+        : sessions,
+  };
+};
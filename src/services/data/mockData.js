@@ -16,9 +16,13 @@
  * @example
  * // Utilisation du service mock
  * const mockService = createMockService();
- * const userData = await mockService.getUserById();
+ * const userData = await mockService.getUser(12);
  */
 
+import { createInMemoryAdapter } from "../api/adapters/InMemoryAdapter.js";
+import { addDays } from "./dateRange.js";
+import { createLiveSimulation } from "./mockLiveEvents.js";
+
 /**
  * Données d'activité simulées pour l'utilisateur par défaut (12)
  * @type {Object}
@@ -28,20 +32,84 @@
  *
  * @example
  * console.log(mockActivityData.data.sessions[0]);
- * // { day: "2020-07-01", kilogram: 80, calories: 240 }
+ * // { day: "2020-07-01", kilogram: 80, calories: 240, activities: [
+ * //   { type: "meditation", calories: 40 }, ...
+ * // ] }
  */
 // Données d'activité simulées
 export const mockActivityData = {
   data: {
     userId: 12,
     sessions: [
-      { day: "2020-07-01", kilogram: 80, calories: 240 },
-      { day: "2020-07-02", kilogram: 80, calories: 220 },
-      { day: "2020-07-03", kilogram: 81, calories: 280 },
-      { day: "2020-07-04", kilogram: 81, calories: 290 },
-      { day: "2020-07-05", kilogram: 80, calories: 160 },
-      { day: "2020-07-06", kilogram: 78, calories: 162 },
-      { day: "2020-07-07", kilogram: 76, calories: 390 },
+      {
+        day: "2020-07-01",
+        kilogram: 80,
+        calories: 240,
+        activities: [
+          { type: "meditation", calories: 40 },
+          { type: "strength", calories: 100 },
+          { type: "cycling", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-02",
+        kilogram: 80,
+        calories: 220,
+        activities: [
+          { type: "meditation", calories: 20 },
+          { type: "swimming", calories: 120 },
+          { type: "strength", calories: 80 },
+        ],
+      },
+      {
+        day: "2020-07-03",
+        kilogram: 81,
+        calories: 280,
+        activities: [
+          { type: "meditation", calories: 30 },
+          { type: "strength", calories: 130 },
+          { type: "cycling", calories: 120 },
+        ],
+      },
+      {
+        day: "2020-07-04",
+        kilogram: 81,
+        calories: 290,
+        activities: [
+          { type: "swimming", calories: 150 },
+          { type: "strength", calories: 40 },
+          { type: "cycling", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-05",
+        kilogram: 80,
+        calories: 160,
+        activities: [
+          { type: "meditation", calories: 60 },
+          { type: "strength", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-06",
+        kilogram: 78,
+        calories: 162,
+        activities: [
+          { type: "meditation", calories: 42 },
+          { type: "cycling", calories: 120 },
+        ],
+      },
+      {
+        day: "2020-07-07",
+        kilogram: 76,
+        calories: 390,
+        activities: [
+          { type: "meditation", calories: 30 },
+          { type: "swimming", calories: 160 },
+          { type: "strength", calories: 80 },
+          { type: "cycling", calories: 120 },
+        ],
+      },
     ],
   },
 };
@@ -55,20 +123,61 @@ export const mockActivityData = {
  *
  * @example
  * console.log(mockSessionsData.data.sessions[0]);
- * // { day: 1, sessionLength: 30 } // Lundi: 30 minutes
+ * // { day: 1, sessionLength: 30, activities: [...] } // Lundi: 30 minutes
  */
 // Données de sessions simulées
 export const mockSessionsData = {
   data: {
     userId: 12,
     sessions: [
-      { day: 1, sessionLength: 30 },
-      { day: 2, sessionLength: 23 },
-      { day: 3, sessionLength: 45 },
-      { day: 4, sessionLength: 50 },
-      { day: 5, sessionLength: 0 },
-      { day: 6, sessionLength: 0 },
-      { day: 7, sessionLength: 60 },
+      {
+        day: 1,
+        sessionLength: 30,
+        activities: [
+          { type: "meditation", sessionLength: 10 },
+          { type: "strength", sessionLength: 20 },
+        ],
+      },
+      {
+        day: 2,
+        sessionLength: 23,
+        activities: [{ type: "swimming", sessionLength: 23 }],
+      },
+      {
+        day: 3,
+        sessionLength: 45,
+        activities: [
+          { type: "strength", sessionLength: 25 },
+          { type: "cycling", sessionLength: 20 },
+        ],
+      },
+      {
+        day: 4,
+        sessionLength: 50,
+        activities: [
+          { type: "meditation", sessionLength: 15 },
+          { type: "swimming", sessionLength: 35 },
+        ],
+      },
+      {
+        day: 5,
+        sessionLength: 0,
+        activities: [],
+      },
+      {
+        day: 6,
+        sessionLength: 0,
+        activities: [],
+      },
+      {
+        day: 7,
+        sessionLength: 60,
+        activities: [
+          { type: "swimming", sessionLength: 20 },
+          { type: "strength", sessionLength: 15 },
+          { type: "cycling", sessionLength: 25 },
+        ],
+      },
     ],
   },
 };
@@ -147,64 +256,6 @@ export const mockUserData = {
   },
 };
 
-/**
- * Crée un service mock avec des méthodes asynchrones simulées
- *
- * @function createMockService
- * @returns {Object} Service mock avec méthodes async pour tous les endpoints
- *
- * @example
- * // Utilisation en mode développement
- * const mockService = createMockService();
- * const user = await mockService.getUserById();
- * const activity = await mockService.getUserActivity();
- *
- * @example
- * // Remplacement temporaire de l'API
- * const apiService = import.meta.env.DEV ? createMockService() : realApiService;
- */
-export const createMockService = () => ({
-  /**
-   * Récupère les données utilisateur mockées
-   * @returns {Promise<Object>} Données utilisateur simulées
-   */
-  async getUserById() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockUserData), 500);
-    });
-  },
-
-  /**
-   * Récupère les données d'activité mockées
-   * @returns {Promise<Object>} Données d'activité simulées
-   */
-  async getUserActivity() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockActivityData), 500);
-    });
-  },
-
-  /**
-   * Récupère les données de sessions moyennes mockées
-   * @returns {Promise<Object>} Données de sessions simulées
-   */
-  async getUserAverageSessions() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockSessionsData), 500);
-    });
-  },
-
-  /**
-   * Récupère les données de performance mockées
-   * @returns {Promise<Object>} Données de performance simulées
-   */
-  async getUserPerformance() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockPerformanceData), 500);
-    });
-  },
-});
-
 /**
  * Données d'activité simulées pour l'utilisateur 18 (Cecilia)
  * @type {Object}
@@ -215,13 +266,73 @@ export const mockActivityDataUser18 = {
   data: {
     userId: 18,
     sessions: [
-      { day: "2020-07-01", kilogram: 70, calories: 300 },
-      { day: "2020-07-02", kilogram: 69, calories: 350 },
-      { day: "2020-07-03", kilogram: 70, calories: 320 },
-      { day: "2020-07-04", kilogram: 70, calories: 280 },
-      { day: "2020-07-05", kilogram: 69, calories: 400 },
-      { day: "2020-07-06", kilogram: 68, calories: 450 },
-      { day: "2020-07-07", kilogram: 67, calories: 380 },
+      {
+        day: "2020-07-01",
+        kilogram: 70,
+        calories: 300,
+        activities: [
+          { type: "meditation", calories: 50 },
+          { type: "swimming", calories: 150 },
+          { type: "strength", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-02",
+        kilogram: 69,
+        calories: 350,
+        activities: [
+          { type: "strength", calories: 150 },
+          { type: "cycling", calories: 200 },
+        ],
+      },
+      {
+        day: "2020-07-03",
+        kilogram: 70,
+        calories: 320,
+        activities: [
+          { type: "meditation", calories: 40 },
+          { type: "swimming", calories: 180 },
+          { type: "cycling", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-04",
+        kilogram: 70,
+        calories: 280,
+        activities: [
+          { type: "strength", calories: 180 },
+          { type: "cycling", calories: 100 },
+        ],
+      },
+      {
+        day: "2020-07-05",
+        kilogram: 69,
+        calories: 400,
+        activities: [
+          { type: "meditation", calories: 60 },
+          { type: "swimming", calories: 200 },
+          { type: "cycling", calories: 140 },
+        ],
+      },
+      {
+        day: "2020-07-06",
+        kilogram: 68,
+        calories: 450,
+        activities: [
+          { type: "swimming", calories: 250 },
+          { type: "cycling", calories: 200 },
+        ],
+      },
+      {
+        day: "2020-07-07",
+        kilogram: 67,
+        calories: 380,
+        activities: [
+          { type: "meditation", calories: 30 },
+          { type: "strength", calories: 200 },
+          { type: "cycling", calories: 150 },
+        ],
+      },
     ],
   },
 };
@@ -235,13 +346,57 @@ export const mockSessionsDataUser18 = {
   data: {
     userId: 18,
     sessions: [
-      { day: 1, sessionLength: 45 },
-      { day: 2, sessionLength: 35 },
-      { day: 3, sessionLength: 60 },
-      { day: 4, sessionLength: 25 },
-      { day: 5, sessionLength: 55 },
-      { day: 6, sessionLength: 40 },
-      { day: 7, sessionLength: 70 },
+      {
+        day: 1,
+        sessionLength: 45,
+        activities: [
+          { type: "meditation", sessionLength: 10 },
+          { type: "swimming", sessionLength: 35 },
+        ],
+      },
+      {
+        day: 2,
+        sessionLength: 35,
+        activities: [
+          { type: "strength", sessionLength: 20 },
+          { type: "cycling", sessionLength: 15 },
+        ],
+      },
+      {
+        day: 3,
+        sessionLength: 60,
+        activities: [
+          { type: "swimming", sessionLength: 30 },
+          { type: "cycling", sessionLength: 30 },
+        ],
+      },
+      {
+        day: 4,
+        sessionLength: 25,
+        activities: [{ type: "meditation", sessionLength: 25 }],
+      },
+      {
+        day: 5,
+        sessionLength: 55,
+        activities: [
+          { type: "strength", sessionLength: 25 },
+          { type: "cycling", sessionLength: 30 },
+        ],
+      },
+      {
+        day: 6,
+        sessionLength: 40,
+        activities: [{ type: "swimming", sessionLength: 40 }],
+      },
+      {
+        day: 7,
+        sessionLength: 70,
+        activities: [
+          { type: "meditation", sessionLength: 15 },
+          { type: "strength", sessionLength: 25 },
+          { type: "cycling", sessionLength: 30 },
+        ],
+      },
     ],
   },
 };
@@ -296,6 +451,429 @@ export const mockUserDataUser18 = {
   },
 };
 
+/**
+ * Construit un historique de score quotidien à partir de jours consécutifs
+ *
+ * @private
+ * @param {string} from - Premier jour (YYYY-MM-DD)
+ * @param {number[]} values - Scores (0 à 1) des jours successifs
+ * @returns {Array<{day: string, score: number}>} Historique quotidien
+ */
+const createDailyScores = (from, values) =>
+  values.map((score, index) => ({ day: addDays(from, index), score }));
+
+/**
+ * Historique du score quotidien simulé pour l'utilisateur par défaut (12)
+ * @type {Object}
+ * @property {Object} data - Conteneur des données
+ * @property {number} data.userId - ID de l'utilisateur
+ * @property {Array<{day: string, score: number}>} data.scores - Sept semaines et deux jours,
+ * du lundi 18 mai au mardi 7 juillet 2020 ; le dernier jour vaut `todayScore`
+ *
+ * @example
+ * console.log(mockScoreHistoryData.data.scores.at(-1));
+ * // { day: "2020-07-07", score: 0.12 }
+ */
+export const mockScoreHistoryData = {
+  data: {
+    userId: 12,
+    // Une ligne par semaine (lundi → dimanche)
+    scores: createDailyScores("2020-05-18", [
+      0.22, 0.25, 0.18, 0.3, 0.27, 0.12, 0.1,
+      0.24, 0.28, 0.26, 0.31, 0.29, 0.15, 0.14,
+      0.2, 0.23, 0.27, 0.25, 0.33, 0.18, 0.11,
+      0.26, 0.3, 0.28, 0.35, 0.32, 0.2, 0.16,
+      0.21, 0.19, 0.24, 0.22, 0.26, 0.13, 0.09,
+      0.18, 0.2, 0.17, 0.23, 0.21, 0.1, 0.08,
+      0.16, 0.15, 0.19, 0.2, 0.17, 0.09, 0.07,
+      0.18, 0.12,
+    ]),
+  },
+};
+
+/**
+ * Historique du score quotidien simulé pour l'utilisateur 18 (Cecilia)
+ * @type {Object}
+ * @see mockScoreHistoryData Structure identique mais valeurs spécifiques à l'utilisateur 18
+ */
+export const mockScoreHistoryDataUser18 = {
+  data: {
+    userId: 18,
+    // Une ligne par semaine (lundi → dimanche)
+    scores: createDailyScores("2020-05-18", [
+      0.18, 0.2, 0.24, 0.19, 0.22, 0.15, 0.12,
+      0.21, 0.25, 0.23, 0.27, 0.24, 0.17, 0.14,
+      0.26, 0.28, 0.3, 0.25, 0.29, 0.2, 0.18,
+      0.29, 0.31, 0.28, 0.34, 0.32, 0.22, 0.2,
+      0.3, 0.35, 0.33, 0.37, 0.36, 0.25, 0.21,
+      0.34, 0.38, 0.36, 0.4, 0.37, 0.27, 0.24,
+      0.31, 0.34, 0.36, 0.39, 0.35, 0.28, 0.25,
+      0.26, 0.3,
+    ]),
+  },
+};
+
+/**
+ * Semaine précédente simulée pour l'utilisateur par défaut (12), utilisée par
+ * le mode comparaison : activité du 24 au 30 juin 2020, sessions moyennes et
+ * performance de la semaine (`?period=previous`)
+ * @type {Object}
+ * @property {ActivitySession[]} activity - Sessions précédant mockActivityData
+ * @property {Object} averageSessions - Données brutes de sessions moyennes
+ * @property {Object} performance - Données brutes de performance
+ *
+ * @example
+ * console.log(mockPreviousWeekData.activity[0].day); // "2020-06-24"
+ */
+export const mockPreviousWeekData = {
+  activity: [
+    {
+      day: "2020-06-24",
+      kilogram: 82,
+      calories: 200,
+      activities: [
+        { type: "meditation", calories: 40 },
+        { type: "cycling", calories: 160 },
+      ],
+    },
+    {
+      day: "2020-06-25",
+      kilogram: 82,
+      calories: 240,
+      activities: [
+        { type: "swimming", calories: 140 },
+        { type: "strength", calories: 100 },
+      ],
+    },
+    {
+      day: "2020-06-26",
+      kilogram: 81,
+      calories: 180,
+      activities: [
+        { type: "meditation", calories: 30 },
+        { type: "strength", calories: 150 },
+      ],
+    },
+    {
+      day: "2020-06-27",
+      kilogram: 81,
+      calories: 260,
+      activities: [
+        { type: "swimming", calories: 120 },
+        { type: "cycling", calories: 140 },
+      ],
+    },
+    {
+      day: "2020-06-28",
+      kilogram: 81,
+      calories: 210,
+      activities: [
+        { type: "meditation", calories: 30 },
+        { type: "strength", calories: 80 },
+        { type: "cycling", calories: 100 },
+      ],
+    },
+    {
+      day: "2020-06-29",
+      kilogram: 80,
+      calories: 300,
+      activities: [
+        { type: "swimming", calories: 150 },
+        { type: "strength", calories: 150 },
+      ],
+    },
+    {
+      day: "2020-06-30",
+      kilogram: 80,
+      calories: 320,
+      activities: [
+        { type: "meditation", calories: 20 },
+        { type: "swimming", calories: 130 },
+        { type: "cycling", calories: 170 },
+      ],
+    },
+  ],
+  averageSessions: {
+    userId: 12,
+    sessions: [
+      {
+        day: 1,
+        sessionLength: 20,
+        activities: [{ type: "strength", sessionLength: 20 }],
+      },
+      {
+        day: 2,
+        sessionLength: 30,
+        activities: [
+          { type: "meditation", sessionLength: 10 },
+          { type: "swimming", sessionLength: 20 },
+        ],
+      },
+      {
+        day: 3,
+        sessionLength: 40,
+        activities: [{ type: "cycling", sessionLength: 40 }],
+      },
+      { day: 4, sessionLength: 0, activities: [] },
+      {
+        day: 5,
+        sessionLength: 35,
+        activities: [
+          { type: "swimming", sessionLength: 20 },
+          { type: "strength", sessionLength: 15 },
+        ],
+      },
+      { day: 6, sessionLength: 0, activities: [] },
+      {
+        day: 7,
+        sessionLength: 45,
+        activities: [
+          { type: "meditation", sessionLength: 15 },
+          { type: "cycling", sessionLength: 30 },
+        ],
+      },
+    ],
+  },
+  performance: {
+    userId: 12,
+    kind: mockPerformanceData.data.kind,
+    data: [
+      { value: 70, kind: 1 },
+      { value: 110, kind: 2 },
+      { value: 120, kind: 3 },
+      { value: 60, kind: 4 },
+      { value: 180, kind: 5 },
+      { value: 80, kind: 6 },
+    ],
+  },
+};
+
+/**
+ * Semaine précédente simulée pour l'utilisateur 18 (Cecilia)
+ * @type {Object}
+ * @see mockPreviousWeekData Structure identique mais valeurs spécifiques à l'utilisateur 18
+ */
+export const mockPreviousWeekDataUser18 = {
+  activity: [
+    {
+      day: "2020-06-24",
+      kilogram: 71,
+      calories: 280,
+      activities: [
+        { type: "swimming", calories: 160 },
+        { type: "strength", calories: 120 },
+      ],
+    },
+    {
+      day: "2020-06-25",
+      kilogram: 71,
+      calories: 310,
+      activities: [
+        { type: "meditation", calories: 50 },
+        { type: "cycling", calories: 260 },
+      ],
+    },
+    {
+      day: "2020-06-26",
+      kilogram: 70,
+      calories: 260,
+      activities: [
+        { type: "swimming", calories: 140 },
+        { type: "strength", calories: 120 },
+      ],
+    },
+    {
+      day: "2020-06-27",
+      kilogram: 71,
+      calories: 240,
+      activities: [
+        { type: "meditation", calories: 40 },
+        { type: "cycling", calories: 200 },
+      ],
+    },
+    {
+      day: "2020-06-28",
+      kilogram: 70,
+      calories: 330,
+      activities: [
+        { type: "swimming", calories: 170 },
+        { type: "strength", calories: 160 },
+      ],
+    },
+    {
+      day: "2020-06-29",
+      kilogram: 70,
+      calories: 290,
+      activities: [
+        { type: "meditation", calories: 30 },
+        { type: "swimming", calories: 110 },
+        { type: "cycling", calories: 150 },
+      ],
+    },
+    {
+      day: "2020-06-30",
+      kilogram: 70,
+      calories: 350,
+      activities: [
+        { type: "strength", calories: 150 },
+        { type: "cycling", calories: 200 },
+      ],
+    },
+  ],
+  averageSessions: {
+    userId: 18,
+    sessions: [
+      {
+        day: 1,
+        sessionLength: 40,
+        activities: [{ type: "swimming", sessionLength: 40 }],
+      },
+      {
+        day: 2,
+        sessionLength: 30,
+        activities: [
+          { type: "meditation", sessionLength: 10 },
+          { type: "strength", sessionLength: 20 },
+        ],
+      },
+      {
+        day: 3,
+        sessionLength: 50,
+        activities: [
+          { type: "swimming", sessionLength: 25 },
+          { type: "cycling", sessionLength: 25 },
+        ],
+      },
+      {
+        day: 4,
+        sessionLength: 30,
+        activities: [{ type: "meditation", sessionLength: 30 }],
+      },
+      {
+        day: 5,
+        sessionLength: 45,
+        activities: [
+          { type: "strength", sessionLength: 20 },
+          { type: "cycling", sessionLength: 25 },
+        ],
+      },
+      {
+        day: 6,
+        sessionLength: 50,
+        activities: [{ type: "swimming", sessionLength: 50 }],
+      },
+      {
+        day: 7,
+        sessionLength: 60,
+        activities: [
+          { type: "strength", sessionLength: 30 },
+          { type: "cycling", sessionLength: 30 },
+        ],
+      },
+    ],
+  },
+  performance: {
+    userId: 18,
+    kind: mockPerformanceDataUser18.data.kind,
+    data: [
+      { value: 140, kind: 1 },
+      { value: 170, kind: 2 },
+      { value: 190, kind: 3 },
+      { value: 80, kind: 4 },
+      { value: 230, kind: 5 },
+      { value: 150, kind: 6 },
+    ],
+  },
+};
+
+/**
+ * Jeux de données mockés indexés par ID utilisateur puis par ressource
+ *
+ * @type {Object<number, InMemoryUserDataset>}
+ * @description Format attendu par createInMemoryAdapter
+ *
+ * @example
+ * console.log(mockUsers[12].user.userInfos.firstName); // "Karl"
+ */
+export const mockUsers = {
+  12: {
+    user: mockUserData.data,
+    activity: {
+      ...mockActivityData.data,
+      sessions: [
+        ...mockPreviousWeekData.activity,
+        ...mockActivityData.data.sessions,
+      ],
+    },
+    averageSessions: mockSessionsData.data,
+    performance: mockPerformanceData.data,
+    scoreHistory: mockScoreHistoryData.data,
+    previousAverageSessions: mockPreviousWeekData.averageSessions,
+    previousPerformance: mockPreviousWeekData.performance,
+  },
+  18: {
+    user: mockUserDataUser18.data,
+    activity: {
+      ...mockActivityDataUser18.data,
+      sessions: [
+        ...mockPreviousWeekDataUser18.activity,
+        ...mockActivityDataUser18.data.sessions,
+      ],
+    },
+    averageSessions: mockSessionsDataUser18.data,
+    performance: mockPerformanceDataUser18.data,
+    scoreHistory: mockScoreHistoryDataUser18.data,
+    previousAverageSessions: mockPreviousWeekDataUser18.averageSessions,
+    previousPerformance: mockPreviousWeekDataUser18.performance,
+  },
+};
+
+/**
+ * Crée l'adaptateur de données mockées
+ *
+ * Adaptateur en mémoire conforme au contrat DataSourceAdapter, enregistré
+ * par défaut dans DataService sous le nom "mock". Comme l'API, il sert les
+ * 7 derniers jours d'activité quand aucune période n'est demandée. Son canal
+ * temps réel est alimenté par une simulation d'entraînement (voir
+ * createLiveSimulation), active tant qu'un canal est ouvert.
+ *
+ * @function createMockService
+ * @param {Object} [options] - Options de l'adaptateur
+ * @param {number} [options.delay=0] - Latence simulée en millisecondes
+ * @param {number} [options.liveInterval=5000] - Délai (ms) entre deux événements simulés
+ * @returns {DataSourceAdapter} Adaptateur servant les données mockées
+ *
+ * @example
+ * // Utilisation directe (données brutes, non normalisées)
+ * const mockService = createMockService({ delay: 500 });
+ * const user = await mockService.getUser(12);
+ * const activity = await mockService.getActivity(12);
+ *
+ * @example
+ * // Enregistrement avec une latence simulée
+ * DataService.registerAdapter('mock', createMockService({ delay: 500 }));
+ */
+export const createMockService = ({ delay = 0, liveInterval = 5000 } = {}) => {
+  const adapter = createInMemoryAdapter(mockUsers, {
+    delay,
+    label: "Données mockées",
+    activityWindow: 7,
+  });
+  const simulation = createLiveSimulation(adapter, { interval: liveInterval });
+
+  return {
+    ...adapter,
+    subscribe(userId, handlers) {
+      const unsubscribe = adapter.subscribe(userId, handlers);
+      const stop = simulation.start(userId);
+      return () => {
+        stop();
+        unsubscribe();
+      };
+    },
+  };
+};
+
 /**
  * Centralisation des données mockées pour compatibilité avec UserModel
  *
@@ -312,11 +890,31 @@ const mockData = {
   "/user/12/activity": () => mockActivityData.data,
   "/user/12/average-sessions": () => mockSessionsData.data,
   "/user/12/performance": () => mockPerformanceData.data,
+  "/user/12/score-history": () => mockScoreHistoryData.data,
   // Données spécifiques pour l'utilisateur 18
   "/user/18": () => mockUserDataUser18.data,
   "/user/18/activity": () => mockActivityDataUser18.data,
   "/user/18/average-sessions": () => mockSessionsDataUser18.data,
   "/user/18/performance": () => mockPerformanceDataUser18.data,
+  "/user/18/score-history": () => mockScoreHistoryDataUser18.data,
+};
+
+/**
+ * Indique si la variable d'environnement VITE_USE_REAL_API demande l'API réelle
+ *
+ * Les variables Vite sont toujours des chaînes : seule la valeur "true"
+ * active l'API, "false" ou une variable absente conservent les mocks.
+ *
+ * @function isRealApiRequested
+ * @returns {boolean} true si VITE_USE_REAL_API vaut "true"
+ *
+ * @example
+ * // .env.local
+ * // VITE_USE_REAL_API=true
+ * isRealApiRequested(); // true
+ */
+export const isRealApiRequested = () => {
+  return String(import.meta.env.VITE_USE_REAL_API).toLowerCase() === "true";
 };
 
 /**
@@ -327,7 +925,7 @@ const mockData = {
  *
  * @example
  * // Utilisation pour le choix du service
- * const service = isDevelopmentMode() ? createMockService() : realApiService;
+ * const adapter = isDevelopmentMode() ? createMockService() : createHttpAdapter(options);
  *
  * @example
  * // Vérification dans un composant
@@ -336,7 +934,7 @@ const mockData = {
  * }
  */
 export const isDevelopmentMode = () => {
-  return import.meta.env.DEV && !import.meta.env.VITE_USE_REAL_API;
+  return import.meta.env.DEV && !isRealApiRequested();
 };
 
 /**
@@ -351,7 +949,11 @@ export const isDevelopmentMode = () => {
  * @property {Object} mockSessionsDataUser18 - Données de sessions utilisateur 18
  * @property {Object} mockPerformanceDataUser18 - Données de performance utilisateur 18
  * @property {Object} mockUserDataUser18 - Données utilisateur 18
- * @property {Function} createMockService - Générateur de service mock
+ * @property {Object} mockScoreHistoryData - Historique du score utilisateur 12
+ * @property {Object} mockScoreHistoryDataUser18 - Historique du score utilisateur 18
+ * @property {Object} mockUsers - Jeux de données indexés par utilisateur
+ * @property {Function} createMockService - Générateur de l'adaptateur mock
+ * @property {Function} isRealApiRequested - Lecture de VITE_USE_REAL_API
  * @property {Function} isDevelopmentMode - Détecteur de mode développement
  * @property {Object} mockData - Mapping centralisé des endpoints
  */
@@ -364,7 +966,13 @@ export default {
   mockSessionsDataUser18,
   mockPerformanceDataUser18,
   mockUserDataUser18,
+  mockScoreHistoryData,
+  mockScoreHistoryDataUser18,
+  mockPreviousWeekData,
+  mockPreviousWeekDataUser18,
+  mockUsers,
   createMockService,
+  isRealApiRequested,
   isDevelopmentMode,
   mockData,
 };
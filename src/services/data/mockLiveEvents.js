@@ -0,0 +1,144 @@
+/**
+ * Source d'événements temps réel simulée pour le mode mock
+ *
+ * Reproduit hors ligne le flux `/user/:id/events` du backend : tant qu'un
+ * canal est ouvert, chaque intervalle ajoute un exercice (sport et calories
+ * tirés au hasard) à la session du jour, puis passe au jour suivant au bout de
+ * `ticksPerDay` exercices. Les sessions sont émises via `push` de l'adaptateur
+ * en mémoire, qui les intègre aussi aux données servies.
+ *
+ * @module mockLiveEvents
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const adapter = createInMemoryAdapter(mockUsers);
+ * const simulation = createLiveSimulation(adapter, { interval: 2000 });
+ * const stop = simulation.start(18); // Une session toutes les 2 s
+ * // ...
+ * stop();
+ */
+
+import { DataNormalizer } from "./DataNormalizer.js";
+import { addDays } from "./dateRange.js";
+import { LIVE_EVENT_TYPES } from "./liveEvents.js";
+
+/**
+ * Tire un entier au hasard entre deux bornes (incluses)
+ *
+ * @private
+ * @param {number} min - Borne inférieure
+ * @param {number} max - Borne supérieure
+ * @returns {number} Entier tiré
+ */
+const randomInt = (min, max) =>
+  min + Math.floor(Math.random() * (max - min + 1));
+
+/**
+ * Ajoute un exercice tiré au hasard à une session brute
+ *
+ * @private
+ * @param {Object} session - Session brute ({ day, kilogram, calories, activities })
+ * @returns {Object} Nouvelle session
+ */
+const addRandomWorkout = (session) => {
+  const types = DataNormalizer.ACTIVITY_TYPES;
+  const type = types[randomInt(0, types.length - 1)];
+  const calories = randomInt(2, 6) * 10;
+  const activities = session.activities ?? [];
+  const known = activities.some((activity) => activity.type === type);
+
+  return {
+    ...session,
+    calories: session.calories + calories,
+    activities: known
+      ? activities.map((activity) =>
+          activity.type === type
+            ? { ...activity, calories: activity.calories + calories }
+            : activity
+        )
+      : [...activities, { type, calories }],
+  };
+};
+
+/**
+ * Crée la simulation d'événements d'un adaptateur en mémoire
+ *
+ * @function createLiveSimulation
+ * @param {DataSourceAdapter} adapter - Adaptateur créé par createInMemoryAdapter
+ * @param {Object} [options] - Options de la simulation
+ * @param {number} [options.interval=5000] - Délai (ms) entre deux exercices
+ * @param {number} [options.ticksPerDay=6] - Exercices par jour avant de passer au suivant
+ * @returns {{start: function(number): Function}} Démarre la simulation d'un
+ * utilisateur et retourne sa fonction d'arrêt
+ */
+export const createLiveSimulation = (
+  adapter,
+  { interval = 5000, ticksPerDay = 6 } = {}
+) => {
+  // Simulation active par utilisateur : minuteur, canaux ouverts et exercices du jour
+  const runs = new Map();
+
+  const tick = async (userId) => {
+    const run = runs.get(userId);
+    let activity;
+    try {
+      activity = await adapter.getActivity(userId);
+    } catch {
+      return; // Utilisateur sans activité : rien à simuler
+    }
+
+    const last = activity.sessions?.at(-1);
+    if (!last || runs.get(userId) !== run) {
+      return;
+    }
+
+    run.ticks += 1;
+    const newDay = run.ticks > ticksPerDay;
+    if (newDay) {
+      run.ticks = 1;
+    }
+
+    const base = newDay
+      ? {
+          day: addDays(last.day, 1),
+          kilogram: last.kilogram + randomInt(-1, 1),
+          calories: 0,
+          activities: [],
+        }
+      : last;
+
+    adapter.push(userId, {
+      type: LIVE_EVENT_TYPES.SESSION,
+      userId,
+      session: addRandomWorkout(base),
+    });
+  };
+
+  const start = (userId) => {
+    if (!runs.has(userId)) {
+      runs.set(userId, {
+        timer: setInterval(() => tick(userId), interval),
+        channels: 0,
+        ticks: 0,
+      });
+    }
+    const run = runs.get(userId);
+    run.channels += 1;
+
+    let stopped = false;
+    return () => {
+      if (stopped) return;
+      stopped = true;
+      run.channels -= 1;
+      if (run.channels === 0) {
+        clearInterval(run.timer);
+        runs.delete(userId);
+      }
+    };
+  };
+
+  return { start };
+};
+
+export default createLiveSimulation;
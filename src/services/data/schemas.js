@@ -0,0 +1,329 @@
+/**
+ * Schémas déclaratifs des réponses de l'API SportSee
+ *
+ * Décrit la forme attendue des données brutes de chaque endpoint (sans
+ * l'enveloppe `data`) et fournit un validateur minimal qui produit la liste
+ * des anomalies rencontrées, avec leur chemin dans la réponse.
+ *
+ * Règles disponibles pour un nœud de schéma :
+ * - `type` : "object", "array", "string", "number" ou "integer"
+ * - `optional` : le champ peut être absent (null ou undefined)
+ * - `min` / `max` : bornes d'un nombre
+ * - `pattern` : expression régulière d'une chaîne
+ * - `properties` : schémas des champs d'un objet
+ * - `values` : schéma commun à toutes les valeurs d'un objet (dictionnaire)
+ * - `items` : schéma des éléments d'un tableau
+ * - `oneOf` : au moins un de ces champs doit être présent dans l'objet
+ *
+ * @module schemas
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { SCHEMAS, validateSchema } from './schemas.js';
+ *
+ * const issues = validateSchema(SCHEMAS.user, { id: 18, userInfos: {} });
+ * // [{ path: 'userInfos.firstName', rule: 'required', ... }, ...]
+ */
+
+/**
+ * Anomalie détectée lors d'une validation
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - Chemin du champ (ex: "sessions[2].kilogram", "" pour la racine)
+ * @property {string} rule - Règle non respectée ("required", "type", "min", "max", "pattern", "oneOf")
+ * @property {string} expected - Valeur ou type attendu
+ * @property {string} received - Valeur ou type reçu
+ * @property {string} message - Description lisible
+ */
+
+/**
+ * Format des dates de sessions (YYYY-MM-DD)
+ * @type {RegExp}
+ * @private
+ */
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Schémas des données brutes, indexés par ressource DataService
+ * @type {Object<string, Object>}
+ * @readonly
+ */
+export const SCHEMAS = {
+  user: {
+    type: "object",
+    oneOf: ["todayScore", "score"],
+    properties: {
+      id: { type: "integer", min: 1 },
+      userInfos: {
+        type: "object",
+        properties: {
+          firstName: { type: "string", pattern: /\S/ },
+          lastName: { type: "string" },
+          age: { type: "number", min: 0 },
+        },
+      },
+      todayScore: { type: "number", min: 0, max: 1, optional: true },
+      score: { type: "number", min: 0, max: 1, optional: true },
+      keyData: {
+        type: "object",
+        properties: {
+          calorieCount: { type: "number", min: 0 },
+          proteinCount: { type: "number", min: 0 },
+          carbohydrateCount: { type: "number", min: 0 },
+          lipidCount: { type: "number", min: 0 },
+        },
+      },
+    },
+  },
+
+  activity: {
+    type: "object",
+    properties: {
+      userId: { type: "integer", min: 1 },
+      sessions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            day: { type: "string", pattern: ISO_DATE },
+            kilogram: { type: "number", min: 0 },
+            calories: { type: "number", min: 0 },
+            activities: {
+              type: "array",
+              optional: true,
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string" },
+                  calories: { type: "number", min: 0 },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  averageSessions: {
+    type: "object",
+    properties: {
+      userId: { type: "integer", min: 1 },
+      sessions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            day: { type: "integer", min: 1, max: 7 },
+            sessionLength: { type: "number", min: 0 },
+            activities: {
+              type: "array",
+              optional: true,
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string" },
+                  sessionLength: { type: "number", min: 0 },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  performance: {
+    type: "object",
+    properties: {
+      userId: { type: "integer", min: 1 },
+      kind: { type: "object", values: { type: "string" } },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            value: { type: "number", min: 0 },
+            kind: { type: "integer", min: 1 },
+          },
+        },
+      },
+    },
+  },
+
+  scoreHistory: {
+    type: "object",
+    properties: {
+      userId: { type: "integer", min: 1 },
+      scores: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            day: { type: "string", pattern: ISO_DATE },
+            score: { type: "number", min: 0, max: 1 },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Type JSON d'une valeur, pour les messages d'erreur
+ *
+ * @private
+ * @param {*} value - Valeur à décrire
+ * @returns {string} "null", "array", "object", "string", "number"...
+ */
+const describe = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Vérifie le type d'une valeur
+ *
+ * @private
+ * @param {*} value - Valeur à vérifier
+ * @param {string} type - Type attendu
+ * @returns {boolean} true si la valeur est du type attendu
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Concatène un chemin et une clé
+ *
+ * @private
+ * @param {string} path - Chemin parent
+ * @param {string|number} key - Clé d'objet ou index de tableau
+ * @returns {string} Chemin complet
+ */
+const joinPath = (path, key) => {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Valide une valeur contre un schéma déclaratif
+ *
+ * Toutes les anomalies sont collectées (la validation ne s'arrête pas à la
+ * première erreur) afin de produire un rapport complet.
+ *
+ * @function validateSchema
+ * @param {Object} schema - Nœud de schéma (voir SCHEMAS)
+ * @param {*} value - Valeur à valider
+ * @param {string} [path=""] - Chemin de la valeur (usage récursif)
+ * @returns {SchemaIssue[]} Anomalies détectées (vide si la valeur est valide)
+ *
+ * @example
+ * validateSchema({ type: 'number', min: 0 }, -1, 'age');
+ * // [{ path: 'age', rule: 'min', expected: '>= 0', received: '-1', message: '...' }]
+ */
+export const validateSchema = (schema, value, path = "") => {
+  const where = path || "racine";
+
+  if (value === undefined || value === null) {
+    return schema.optional
+      ? []
+      : [
+          {
+            path,
+            rule: "required",
+            expected: schema.type,
+            received: describe(value),
+            message: `${where} : champ obligatoire manquant`,
+          },
+        ];
+  }
+
+  if (!matchesType(value, schema.type)) {
+    return [
+      {
+        path,
+        rule: "type",
+        expected: schema.type,
+        received: describe(value),
+        message: `${where} : ${schema.type} attendu, ${describe(value)} reçu`,
+      },
+    ];
+  }
+
+  const issues = [];
+
+  if (schema.min !== undefined && value < schema.min) {
+    issues.push({
+      path,
+      rule: "min",
+      expected: `>= ${schema.min}`,
+      received: String(value),
+      message: `${where} : valeur ${value} inférieure au minimum ${schema.min}`,
+    });
+  }
+
+  if (schema.max !== undefined && value > schema.max) {
+    issues.push({
+      path,
+      rule: "max",
+      expected: `<= ${schema.max}`,
+      received: String(value),
+      message: `${where} : valeur ${value} supérieure au maximum ${schema.max}`,
+    });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    issues.push({
+      path,
+      rule: "pattern",
+      expected: String(schema.pattern),
+      received: JSON.stringify(value),
+      message: `${where} : format invalide (${JSON.stringify(value)})`,
+    });
+  }
+
+  if (schema.oneOf && schema.oneOf.every((key) => value[key] == null)) {
+    issues.push({
+      path,
+      rule: "oneOf",
+      expected: schema.oneOf.join(" | "),
+      received: "aucun",
+      message: `${where} : un des champs ${schema.oneOf.join(", ")} est requis`,
+    });
+  }
+
+  if (schema.properties) {
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      issues.push(...validateSchema(child, value[key], joinPath(path, key)));
+    });
+  }
+
+  if (schema.values) {
+    Object.entries(value).forEach(([key, child]) => {
+      issues.push(...validateSchema(schema.values, child, joinPath(path, key)));
+    });
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateSchema(schema.items, item, joinPath(path, index)));
+    });
+  }
+
+  return issues;
+};
@@ -0,0 +1,419 @@
+/**
+ * Export des graphiques en images (SVG, PNG)
+ *
+ * Reconstruit une carte de graphique sous forme de SVG autonome : le SVG
+ * Recharts est cloné avec ses styles calculés recopiés en ligne (les classes
+ * CSS de l'application ne sont pas disponibles hors de la page) et ses
+ * définitions (`<defs>`, dont les dégradés comme `sessionsGradient`). Les
+ * éléments HTML superposés au graphique sont convertis en formes SVG selon
+ * leur attribut `data-export` :
+ * - `data-export="overlay"` : rectangle reprenant le fond et l'arrondi
+ *   (overlay des sessions, pastilles de légende)
+ * - `data-export="text"` : textes de l'élément, ligne par ligne, avec leur
+ *   police et leur couleur (titres, légendes, score central)
+ *
+ * Le PNG est obtenu en dessinant ce SVG sur un canvas à l'échelle choisie.
+ * La police Roboto, chargée par la page, n'est pas embarquée : le rendu
+ * PNG utilise la police sans-serif du système.
+ *
+ * @class ChartImageExporter
+ * @author SportSee Team
+ * @since 1.1.0
+ * @example
+ * const card = document.querySelector('.performance-chart');
+ * await ChartImageExporter.exportImage(card, {
+ *   format: "png",
+ *   scale: 2,
+ *   filename: "sportsee-18-performance.png",
+ * });
+ */
+
+import { DataExporter } from "./DataExporter.js";
+
+/**
+ * Espace de noms SVG
+ * @type {string}
+ * @private
+ */
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Vérifie qu'une couleur calculée est transparente
+ *
+ * @private
+ * @param {string} color - Couleur CSS calculée (ex: "rgba(0, 0, 0, 0)")
+ * @returns {boolean} true si la couleur n'est pas visible
+ */
+const isTransparent = (color) =>
+  !color || color === "transparent" || /rgba\(.*,\s*0\)$/.test(color);
+
+export class ChartImageExporter {
+  /**
+   * Formats d'image disponibles
+   * @type {{SVG: string, PNG: string}}
+   * @static
+   * @readonly
+   */
+  static FORMATS = { SVG: "svg", PNG: "png" };
+
+  /**
+   * Échelles de rendu PNG proposées (1 = taille à l'écran)
+   * @type {number[]}
+   * @static
+   * @readonly
+   */
+  static SCALES = [1, 2, 3];
+
+  /**
+   * Échelle PNG par défaut
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static DEFAULT_SCALE = 2;
+
+  /**
+   * Types MIME des fichiers produits, par format
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static MIME_TYPES = {
+    svg: "image/svg+xml;charset=utf-8",
+    png: "image/png",
+  };
+
+  /**
+   * Propriétés de style recopiées en ligne sur chaque élément du SVG
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static STYLE_PROPERTIES = [
+    "fill",
+    "fill-opacity",
+    "stroke",
+    "stroke-width",
+    "stroke-opacity",
+    "stroke-dasharray",
+    "stroke-linecap",
+    "stroke-linejoin",
+    "opacity",
+    "visibility",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "text-anchor",
+    "dominant-baseline",
+    "transform",
+    "transform-origin",
+  ];
+
+  /**
+   * Vérifie qu'un format d'image est pris en charge
+   *
+   * @static
+   * @param {string} format - Format à vérifier
+   * @returns {boolean} true si le format est connu
+   */
+  static isValidFormat(format) {
+    return Object.values(ChartImageExporter.FORMATS).includes(format);
+  }
+
+  /**
+   * Rend une référence `url(...)` relative au document exporté
+   *
+   * Les navigateurs peuvent résoudre `url(#id)` en URL absolue de la page,
+   * qui ne pointerait plus vers les `<defs>` une fois le SVG isolé.
+   *
+   * @static
+   * @private
+   * @param {string} value - Valeur de style calculée
+   * @returns {string} Valeur avec références locales
+   */
+  static _localizeUrls(value) {
+    return value.replace(
+      /url\(\s*["']?[^#)"']*#([^)"']+)["']?\s*\)/g,
+      "url(#$1)"
+    );
+  }
+
+  /**
+   * Recopie en ligne les styles calculés d'un arbre SVG sur son clone
+   *
+   * @static
+   * @private
+   * @param {Element} source - Élément affiché dans la page
+   * @param {Element} target - Clone à styler
+   */
+  static _inlineStyles(source, target) {
+    const sources = [source, ...source.querySelectorAll("*")];
+    const targets = [target, ...target.querySelectorAll("*")];
+
+    sources.forEach((element, index) => {
+      const computed = window.getComputedStyle(element);
+      const declarations = ChartImageExporter.STYLE_PROPERTIES.map(
+        (property) => [property, computed.getPropertyValue(property)]
+      )
+        .filter(([, value]) => value && value !== "none" && value !== "normal")
+        .map(
+          ([property, value]) =>
+            `${property}:${ChartImageExporter._localizeUrls(value)}`
+        );
+
+      targets[index].setAttribute("style", declarations.join(";"));
+      targets[index].removeAttribute("class");
+    });
+  }
+
+  /**
+   * Crée un rectangle SVG reprenant le fond d'un élément HTML
+   *
+   * @static
+   * @private
+   * @param {Element} element - Élément HTML (overlay, pastille...)
+   * @param {DOMRect} origin - Cadre de la carte exportée
+   * @returns {SVGRectElement|null} Rectangle, ou null si le fond est transparent
+   */
+  static _createOverlay(element, origin) {
+    const computed = window.getComputedStyle(element);
+    const background = computed.backgroundColor;
+    const box = element.getBoundingClientRect();
+
+    if (isTransparent(background) || box.width === 0) {
+      return null;
+    }
+
+    const rect = document.createElementNS(SVG_NS, "rect");
+    rect.setAttribute("x", box.left - origin.left);
+    rect.setAttribute("y", box.top - origin.top);
+    rect.setAttribute("width", box.width);
+    rect.setAttribute("height", box.height);
+    rect.setAttribute("fill", background);
+    const radius = Math.min(
+      parseFloat(computed.borderTopLeftRadius) || 0,
+      box.width / 2,
+      box.height / 2
+    );
+    if (radius) {
+      rect.setAttribute("rx", radius);
+    }
+    return rect;
+  }
+
+  /**
+   * Crée les lignes de texte SVG d'un élément HTML
+   *
+   * Chaque nœud texte est découpé en mots dont la position à l'écran est
+   * mesurée ; les mots sont regroupés par ligne afin de conserver les
+   * retours à la ligne du titre.
+   *
+   * @static
+   * @private
+   * @param {Element} element - Élément HTML contenant du texte
+   * @param {DOMRect} origin - Cadre de la carte exportée
+   * @returns {SVGTextElement[]} Lignes de texte
+   */
+  static _createTexts(element, origin) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    const texts = [];
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const computed = window.getComputedStyle(node.parentElement);
+      const lines = new Map();
+
+      for (const match of node.textContent.matchAll(/\S+/g)) {
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        const box = range.getBoundingClientRect();
+        if (box.width === 0) continue;
+
+        const key = Math.round(box.top);
+        const line = lines.get(key);
+        if (line) {
+          line.words.push(match[0]);
+        } else {
+          lines.set(key, { box, words: [match[0]] });
+        }
+      }
+
+      lines.forEach(({ box, words }) => {
+        const text = document.createElementNS(SVG_NS, "text");
+        text.setAttribute("x", box.left - origin.left);
+        text.setAttribute("y", box.top - origin.top + box.height / 2);
+        text.setAttribute("dominant-baseline", "central");
+        text.setAttribute("fill", computed.color);
+        text.setAttribute("font-family", computed.fontFamily);
+        text.setAttribute("font-size", computed.fontSize);
+        text.setAttribute("font-weight", computed.fontWeight);
+        text.textContent = words.join(" ");
+        texts.push(text);
+      });
+    }
+
+    return texts;
+  }
+
+  /**
+   * Sérialise une carte de graphique en SVG autonome
+   *
+   * @static
+   * @param {HTMLElement} container - Carte du graphique (contient le SVG Recharts)
+   * @returns {{svg: string, width: number, height: number}} Document SVG et dimensions
+   * @throws {Error} Si la carte ne contient pas de graphique rendu
+   *
+   * @example
+   * const { svg } = ChartImageExporter.toSVG(cardRef.current);
+   */
+  static toSVG(container) {
+    const chart = container?.querySelector("svg.recharts-surface");
+    if (!chart) {
+      throw new Error("Aucun graphique à exporter");
+    }
+
+    const origin = container.getBoundingClientRect();
+    const computed = window.getComputedStyle(container);
+    const width = Math.round(origin.width);
+    const height = Math.round(origin.height);
+
+    const root = document.createElementNS(SVG_NS, "svg");
+    root.setAttribute("xmlns", SVG_NS);
+    root.setAttribute("width", width);
+    root.setAttribute("height", height);
+    root.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    // Fond et arrondi de la carte
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("width", width);
+    background.setAttribute("height", height);
+    background.setAttribute("fill", computed.backgroundColor);
+    background.setAttribute(
+      "rx",
+      parseFloat(computed.borderTopLeftRadius) || 0
+    );
+    root.appendChild(background);
+
+    // Graphique Recharts (defs, dégradés et curseur inclus) à sa position
+    const chartBox = chart.getBoundingClientRect();
+    const clone = chart.cloneNode(true);
+    ChartImageExporter._inlineStyles(chart, clone);
+    clone.setAttribute("x", chartBox.left - origin.left);
+    clone.setAttribute("y", chartBox.top - origin.top);
+    clone.setAttribute("width", chartBox.width);
+    clone.setAttribute("height", chartBox.height);
+    clone.setAttribute("overflow", "visible");
+    root.appendChild(clone);
+
+    // Éléments HTML superposés, dans l'ordre du document
+    container.querySelectorAll("[data-export]").forEach((element) => {
+      if (element.dataset.export === "overlay") {
+        const overlay = ChartImageExporter._createOverlay(element, origin);
+        if (overlay) root.appendChild(overlay);
+      } else if (element.dataset.export === "text") {
+        ChartImageExporter._createTexts(element, origin).forEach((text) =>
+          root.appendChild(text)
+        );
+      }
+    });
+
+    const svg = new XMLSerializer().serializeToString(root);
+    return {
+      svg: `<?xml version="1.0" encoding="UTF-8"?>\n${svg}`,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Rastérise un document SVG en PNG
+   *
+   * @static
+   * @async
+   * @param {string} svg - Document SVG autonome
+   * @param {number} width - Largeur (px) du SVG
+   * @param {number} height - Hauteur (px) du SVG
+   * @param {number} [scale=ChartImageExporter.DEFAULT_SCALE] - Facteur d'agrandissement
+   * @returns {Promise<Blob>} Image PNG
+   * @throws {Error} Si le navigateur ne parvient pas à dessiner l'image
+   */
+  static async toPNG(
+    svg,
+    width,
+    height,
+    scale = ChartImageExporter.DEFAULT_SCALE
+  ) {
+    const url = URL.createObjectURL(
+      new Blob([svg], { type: ChartImageExporter.MIME_TYPES.svg })
+    );
+
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const element = new Image();
+        element.onload = () => resolve(element);
+        element.onerror = () => reject(new Error("Rendu SVG impossible"));
+        element.src = url;
+      });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob(
+          (blob) =>
+            blob
+              ? resolve(blob)
+              : reject(new Error("Conversion PNG impossible")),
+          ChartImageExporter.MIME_TYPES.png
+        );
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Exporte une carte de graphique et télécharge l'image
+   *
+   * @static
+   * @async
+   * @param {HTMLElement} container - Carte du graphique
+   * @param {Object} options - Options d'export
+   * @param {string} [options.format="png"] - Format (voir ChartImageExporter.FORMATS)
+   * @param {number} [options.scale=ChartImageExporter.DEFAULT_SCALE] - Échelle du PNG
+   * @param {string} options.filename - Nom du fichier téléchargé
+   * @returns {Promise<string>} Nom du fichier téléchargé
+   * @throws {Error} Si le format est inconnu ou si le graphique n'est pas rendu
+   */
+  static async exportImage(
+    container,
+    {
+      format = ChartImageExporter.FORMATS.PNG,
+      scale = ChartImageExporter.DEFAULT_SCALE,
+      filename,
+    }
+  ) {
+    if (!ChartImageExporter.isValidFormat(format)) {
+      throw new Error(`Format d'image inconnu: ${format}`);
+    }
+
+    const { svg, width, height } = ChartImageExporter.toSVG(container);
+    const content =
+      format === ChartImageExporter.FORMATS.SVG
+        ? svg
+        : await ChartImageExporter.toPNG(svg, width, height, scale);
+
+    DataExporter.download(
+      content,
+      filename,
+      ChartImageExporter.MIME_TYPES[format]
+    );
+    return filename;
+  }
+}
+
+export default ChartImageExporter;
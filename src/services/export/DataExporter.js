@@ -0,0 +1,399 @@
+/**
+ * Export des données du tableau de bord SportSee
+ *
+ * Récupère les données normalisées via DataService (même pipeline, même cache
+ * et mêmes filtres que les graphiques) et les sérialise en CSV ou en JSON.
+ * Chaque jeu de données est d'abord aplati en lignes : les fichiers exportés
+ * contiennent donc exactement les valeurs affichées. Poids et énergie sont
+ * convertis dans les unités choisies par l'utilisateur (voir Units), que
+ * rappelle le nom de leur colonne (ex: `weight_lb`, `energy_kj`).
+ *
+ * @class DataExporter
+ * @author SportSee Team
+ * @since 1.1.0
+ * @example
+ * // Activité de juillet au format CSV
+ * await DataExporter.exportData(18, {
+ *   format: "csv",
+ *   datasets: ["activity"],
+ *   range: { from: "2020-07-01", to: "2020-07-31" },
+ * });
+ *
+ * @example
+ * // Tableau de bord complet au format JSON
+ * await DataExporter.exportData(18, { format: "json" });
+ */
+
+import { DataService } from "../api/DataService.js";
+import { isValidRange, toISODate } from "../data/dateRange.js";
+import { Units } from "../units/Units.js";
+
+export class DataExporter {
+  /**
+   * Formats d'export disponibles
+   * @type {{CSV: string, JSON: string}}
+   * @static
+   * @readonly
+   */
+  static FORMATS = { CSV: "csv", JSON: "json" };
+
+  /**
+   * Types MIME des fichiers produits, par format
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static MIME_TYPES = {
+    csv: "text/csv;charset=utf-8",
+    json: "application/json;charset=utf-8",
+  };
+
+  /**
+   * Jeux de données exportables, dans l'ordre des exports complets
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static DATASETS = [
+    "activity",
+    "averageSessions",
+    "performance",
+    "score",
+    "nutrition",
+  ];
+
+  /**
+   * Jeux de données exportables depuis leur graphique uniquement
+   * @type {string[]}
+   * @static
+   * @readonly
+   * @description Absents des exports complets : toutes les sources ne les
+   * fournissent pas (voir DataService.RESOURCES.scoreHistory)
+   */
+  static OPTIONAL_DATASETS = ["scoreHistory"];
+
+  /**
+   * Vérifie qu'un format d'export est pris en charge
+   *
+   * @static
+   * @param {string} format - Format à vérifier
+   * @returns {boolean} true si le format est connu
+   */
+  static isValidFormat(format) {
+    return Object.values(DataExporter.FORMATS).includes(format);
+  }
+
+  /**
+   * Récupère un jeu de données normalisé et l'aplatit en lignes
+   *
+   * @static
+   * @async
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} dataset - Jeu de données (voir DataExporter.DATASETS et
+   * DataExporter.OPTIONAL_DATASETS)
+   * @param {Object} [options] - Filtres appliqués comme dans les graphiques
+   * @param {string|null} [options.activityType] - Sport (activité et sessions)
+   * @param {DateRange|null} [options.range] - Période (activité et historique du score)
+   * @param {UnitPreferences} [options.units=Units.getPreferences()] - Unités du
+   * poids et de l'énergie
+   * @returns {Promise<Object[]>} Lignes du jeu de données
+   * @throws {Error} Si le jeu de données est inconnu
+   * @throws {DataServiceError} Si la source de données échoue
+   *
+   * @example
+   * const rows = await DataExporter.collect(18, "performance");
+   * // [{ kind: "cardio", value: 200 }, { kind: "energy", value: 240 }, ...]
+   *
+   * @example
+   * await DataExporter.collect(18, "activity", {
+   *   units: { system: "imperial", energy: "kj" },
+   * });
+   * // [{ date: "2020-07-01", weight_lb: 176.4, energy_kj: 1004 }, ...]
+   */
+  static async collect(
+    userId,
+    dataset,
+    { activityType = null, range = null, units = Units.getPreferences() } = {}
+  ) {
+    const weightUnit = Units.getWeightUnit(units);
+    const energyUnit = Units.getEnergyUnit(units);
+
+    switch (dataset) {
+      case "activity": {
+        const activity = await DataService.getUserActivity(userId, {
+          activityType,
+          range,
+        });
+        return (activity?.sessions ?? []).map((session) => ({
+          date: session.day,
+          [`weight_${weightUnit}`]: Units.convertWeight(
+            session.kilogram,
+            units
+          ),
+          [`energy_${energyUnit}`]: Units.convertEnergy(
+            session.calories,
+            units
+          ),
+        }));
+      }
+      case "averageSessions": {
+        const sessions = await DataService.getUserAverageSessions(userId, {
+          activityType,
+        });
+        // Durée réelle : le minimum de 1 minute ne sert qu'au rendu de la courbe
+        return (sessions?.sessions ?? []).map((session) => ({
+          day: session.day,
+          dayKey: session.dayKey,
+          sessionLength: session.sessionLengthRaw,
+        }));
+      }
+      case "performance": {
+        const performance = await DataService.getUserPerformance(userId);
+        return (performance?.data ?? []).map((item) => ({
+          kind: item.kindName,
+          value: item.value,
+        }));
+      }
+      case "score": {
+        const user = await DataService.getUserById(userId);
+        const score = user?.score ?? 0;
+        return [{ score, percentage: Math.round(score * 100) }];
+      }
+      case "scoreHistory": {
+        const history = await DataService.getUserScoreHistory(userId, {
+          range,
+        });
+        return (history?.scores ?? []).map((entry) => ({
+          day: entry.day,
+          score: entry.score,
+          percentage: Math.round(entry.score * 100),
+        }));
+      }
+      case "nutrition": {
+        const user = await DataService.getUserById(userId);
+        const { calorieCount = 0, ...keyData } = user?.keyData ?? {};
+        return [
+          {
+            [`calorieCount_${energyUnit}`]: Units.convertEnergy(
+              calorieCount,
+              units
+            ),
+            ...keyData,
+          },
+        ];
+      }
+      default:
+        throw new Error(`Jeu de données inconnu: ${dataset}`);
+    }
+  }
+
+  /**
+   * Rassemble plusieurs jeux de données avec leurs métadonnées
+   *
+   * @static
+   * @async
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} [options] - Options d'export
+   * @param {string[]} [options.datasets=DataExporter.DATASETS] - Jeux à inclure
+   * @param {string|null} [options.activityType] - Sport filtré
+   * @param {DateRange|null} [options.range] - Période de l'activité
+   * @param {UnitPreferences} [options.units=Units.getPreferences()] - Unités du
+   * poids et de l'énergie
+   * @returns {Promise<ExportPayload>} Données prêtes à sérialiser
+   *
+   * @typedef {Object} ExportPayload
+   * @property {number} userId - ID de l'utilisateur
+   * @property {string} source - Source de données active ("mock" ou "api")
+   * @property {string} exportedAt - Date d'export (ISO 8601)
+   * @property {{weight: string, energy: string}} units - Unités des valeurs exportées
+   * @property {{activityType: string|null, range: DateRange|null}} filters - Filtres appliqués
+   * @property {Object<string, Object[]>} datasets - Lignes par jeu de données
+   */
+  static async collectAll(
+    userId,
+    {
+      datasets = DataExporter.DATASETS,
+      activityType = null,
+      range = null,
+      units = Units.getPreferences(),
+    } = {}
+  ) {
+    const rows = await Promise.all(
+      datasets.map((dataset) =>
+        DataExporter.collect(userId, dataset, { activityType, range, units })
+      )
+    );
+
+    return {
+      userId,
+      source: DataService.getDataSource(),
+      exportedAt: new Date().toISOString(),
+      units: {
+        weight: Units.getWeightUnit(units),
+        energy: Units.getEnergyUnit(units),
+      },
+      filters: {
+        activityType,
+        range: isValidRange(range) ? range : null,
+      },
+      datasets: Object.fromEntries(
+        datasets.map((dataset, index) => [dataset, rows[index]])
+      ),
+    };
+  }
+
+  /**
+   * Échappe une valeur pour une cellule CSV (RFC 4180)
+   *
+   * @static
+   * @private
+   * @param {*} value - Valeur de la cellule
+   * @returns {string} Cellule échappée
+   */
+  static _escapeCell(value) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Convertit des lignes en tableau CSV avec en-tête
+   *
+   * Les colonnes sont l'union des clés des lignes, dans leur ordre d'apparition.
+   *
+   * @static
+   * @param {Object[]} rows - Lignes à convertir
+   * @returns {string} Contenu CSV (vide si aucune ligne)
+   *
+   * @example
+   * DataExporter.toCSV([{ kind: "cardio", value: 80 }]);
+   * // "kind,value\r\ncardio,80"
+   */
+  static toCSV(rows) {
+    if (!rows.length) {
+      return "";
+    }
+
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [
+      columns.join(","),
+      ...rows.map((row) =>
+        columns.map((column) => DataExporter._escapeCell(row[column])).join(",")
+      ),
+    ];
+    return lines.join("\r\n");
+  }
+
+  /**
+   * Sérialise des données rassemblées dans un format d'export
+   *
+   * En CSV, un export de plusieurs jeux de données produit une section par
+   * jeu, précédée d'une ligne `# <jeu>` et séparée de la suivante par une
+   * ligne vide.
+   *
+   * @static
+   * @param {ExportPayload} payload - Données rassemblées par collectAll
+   * @param {string} format - Format d'export (voir DataExporter.FORMATS)
+   * @returns {string} Contenu du fichier
+   * @throws {Error} Si le format est inconnu
+   */
+  static serialize(payload, format) {
+    if (format === DataExporter.FORMATS.JSON) {
+      return JSON.stringify(payload, null, 2);
+    }
+
+    if (format !== DataExporter.FORMATS.CSV) {
+      throw new Error(`Format d'export inconnu: ${format}`);
+    }
+
+    const entries = Object.entries(payload.datasets);
+    if (entries.length === 1) {
+      return DataExporter.toCSV(entries[0][1]);
+    }
+
+    return entries
+      .map(([dataset, rows]) => `# ${dataset}\r\n${DataExporter.toCSV(rows)}`)
+      .join("\r\n\r\n");
+  }
+
+  /**
+   * Construit le nom du fichier exporté
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string[]} datasets - Jeux de données exportés
+   * @param {string} format - Format d'export
+   * @returns {string} Nom de fichier (ex: "sportsee-18-activity-2020-07-31.csv")
+   */
+  static buildFilename(userId, datasets, format) {
+    const scope = datasets.length === 1 ? datasets[0] : "dashboard";
+    return `sportsee-${userId}-${scope}-${toISODate(new Date())}.${format}`;
+  }
+
+  /**
+   * Déclenche le téléchargement d'un contenu dans le navigateur
+   *
+   * @static
+   * @param {string|Blob} content - Contenu du fichier (texte ou binaire)
+   * @param {string} filename - Nom du fichier
+   * @param {string} mimeType - Type MIME
+   */
+  static download(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Révocation différée : certains navigateurs lisent l'URL après le clic
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Exporte des données normalisées et télécharge le fichier
+   *
+   * @static
+   * @async
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} [options] - Options d'export
+   * @param {string} [options.format="csv"] - Format (voir DataExporter.FORMATS)
+   * @param {string[]} [options.datasets=DataExporter.DATASETS] - Jeux à inclure
+   * @param {string|null} [options.activityType] - Sport filtré
+   * @param {DateRange|null} [options.range] - Période de l'activité
+   * @returns {Promise<string>} Nom du fichier téléchargé
+   * @throws {Error} Si le format est inconnu
+   * @throws {DataServiceError} Si la source de données échoue
+   */
+  static async exportData(
+    userId,
+    {
+      format = DataExporter.FORMATS.CSV,
+      datasets = DataExporter.DATASETS,
+      activityType = null,
+      range = null,
+    } = {}
+  ) {
+    if (!DataExporter.isValidFormat(format)) {
+      throw new Error(`Format d'export inconnu: ${format}`);
+    }
+
+    const payload = await DataExporter.collectAll(userId, {
+      datasets,
+      activityType,
+      range,
+    });
+    const filename = DataExporter.buildFilename(userId, datasets, format);
+
+    DataExporter.download(
+      DataExporter.serialize(payload, format),
+      filename,
+      DataExporter.MIME_TYPES[format]
+    );
+    return filename;
+  }
+}
+
+export default DataExporter;
@@ -0,0 +1,16 @@
+/**
+ * Module d'export des données SportSee
+ *
+ * Regroupe la collecte et la sérialisation (CSV, JSON) des données normalisées
+ * et l'export des graphiques en images (SVG, PNG).
+ *
+ * @module services/export
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+// Export du service d'export
+export { DataExporter } from "./DataExporter.js";
+
+// Export des graphiques en images (SVG, PNG)
+export { ChartImageExporter } from "./ChartImageExporter.js";
@@ -0,0 +1,404 @@
+/**
+ * Service des objectifs personnels de SportSee
+ *
+ * Conserve les objectifs de chaque utilisateur (calories brûlées par jour,
+ * minutes de sport par semaine, poids cible et apports en macronutriments),
+ * persistés dans le localStorage, et calcule leur progression à partir des
+ * données normalisées de DataService. Les objectifs sont exprimés dans les
+ * unités des données normalisées (kCal, minutes, kg, grammes) : la
+ * conversion vers les préférences de l'utilisateur se fait à l'affichage.
+ *
+ * @class Goals
+ * @author SportSee Team
+ * @since 1.1.0
+ * @example
+ * Goals.setGoals(18, { dailyCalories: 400, targetWeight: 68 });
+ * const progress = Goals.computeProgress(Goals.getGoals(18), {
+ *   activity,
+ *   sessions,
+ *   user,
+ * });
+ * Goals.summarize(progress); // { status: "some", achieved: 2, total: 5, next: "lipid" }
+ */
+
+export class Goals {
+  /**
+   * Objectifs disponibles : unité, bornes acceptées et valeur par défaut
+   * @type {Object<string, {unit: string, min: number, max: number, default: number|null}>}
+   * @static
+   * @readonly
+   * @description Une valeur null désactive l'objectif (pas de poids cible par défaut)
+   */
+  static DEFINITIONS = {
+    dailyCalories: { unit: "kcal", min: 1, max: 10000, default: 500 },
+    weeklySessionMinutes: { unit: "minutes", min: 1, max: 5000, default: 240 },
+    targetWeight: { unit: "kg", min: 20, max: 300, default: null },
+    protein: { unit: "gram", min: 1, max: 1000, default: 150 },
+    carbohydrate: { unit: "gram", min: 1, max: 2000, default: 250 },
+    lipid: { unit: "gram", min: 1, max: 1000, default: 70 },
+  };
+
+  /**
+   * Champ de `keyData` comparé à chaque objectif de macronutriment
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static MACRO_KEYS = {
+    protein: "proteinCount",
+    carbohydrate: "carbohydrateCount",
+    lipid: "lipidCount",
+  };
+
+  /**
+   * Écart relatif accepté autour d'un objectif de macronutriment (±10 %)
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static MACRO_TOLERANCE = 0.1;
+
+  /**
+   * Écart accepté autour du poids cible, en kg
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static WEIGHT_TOLERANCE = 0.5;
+
+  /**
+   * Clé localStorage des objectifs, indexés par ID utilisateur
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static STORAGE_KEY = "sportsee:goals";
+
+  /**
+   * Abonnés notifiés à chaque modification d'objectifs
+   * @type {Set<Function>}
+   * @static
+   * @private
+   */
+  static _listeners = new Set();
+
+  /**
+   * Objectifs déjà résolus, indexés par ID utilisateur
+   * @type {Map<number, UserGoals>}
+   * @static
+   * @private
+   * @description Garantit une référence stable entre deux modifications
+   */
+  static _goals = new Map();
+
+  /**
+   * Objectifs par défaut
+   *
+   * @static
+   * @returns {UserGoals} Nouvel objet d'objectifs par défaut
+   *
+   * @typedef {Object} UserGoals
+   * @property {number|null} dailyCalories - Calories brûlées par jour (kCal)
+   * @property {number|null} weeklySessionMinutes - Minutes de sport par semaine
+   * @property {number|null} targetWeight - Poids cible (kg)
+   * @property {number|null} protein - Protéines (g)
+   * @property {number|null} carbohydrate - Glucides (g)
+   * @property {number|null} lipid - Lipides (g)
+   */
+  static getDefaults() {
+    return Object.fromEntries(
+      Object.entries(Goals.DEFINITIONS).map(([id, definition]) => [
+        id,
+        definition.default,
+      ])
+    );
+  }
+
+  /**
+   * Complète et valide des objectifs partiels
+   *
+   * Une valeur null désactive l'objectif ; une valeur hors bornes ou non
+   * numérique est remplacée par celle de `base`.
+   *
+   * @static
+   * @param {Object} [candidate] - Objectifs à valider
+   * @param {UserGoals} [base=Goals.getDefaults()] - Valeurs de repli
+   * @returns {UserGoals} Objectifs complets
+   */
+  static sanitize(candidate, base = Goals.getDefaults()) {
+    return Object.fromEntries(
+      Object.entries(Goals.DEFINITIONS).map(([id, { min, max }]) => {
+        const value = candidate?.[id];
+        if (value === null) {
+          return [id, null];
+        }
+        const valid =
+          typeof value === "number" &&
+          Number.isFinite(value) &&
+          value >= min &&
+          value <= max;
+        return [id, valid ? value : (base[id] ?? null)];
+      })
+    );
+  }
+
+  /**
+   * Lit les objectifs persistés de tous les utilisateurs
+   *
+   * @static
+   * @private
+   * @returns {Object<string, Object>} Objectifs bruts indexés par ID utilisateur
+   */
+  static _readStorage() {
+    if (typeof window === "undefined") {
+      return {};
+    }
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(Goals.STORAGE_KEY));
+      return stored && typeof stored === "object" ? stored : {};
+    } catch {
+      // localStorage indisponible ou valeur corrompue
+      return {};
+    }
+  }
+
+  /**
+   * Persiste les objectifs d'un utilisateur (null pour les supprimer)
+   *
+   * @static
+   * @private
+   * @param {number} userId - ID de l'utilisateur
+   * @param {UserGoals|null} goals - Objectifs à mémoriser
+   */
+  static _writeStorage(userId, goals) {
+    if (typeof window === "undefined") {
+      return;
+    }
+    const stored = Goals._readStorage();
+    if (goals) {
+      stored[userId] = goals;
+    } else {
+      delete stored[userId];
+    }
+    try {
+      window.localStorage.setItem(Goals.STORAGE_KEY, JSON.stringify(stored));
+    } catch {
+      // Les objectifs restent valables pour la session en cours
+    }
+  }
+
+  /**
+   * Retourne les objectifs d'un utilisateur
+   *
+   * Objectifs persistés via la page Profil, sinon objectifs par défaut.
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {UserGoals} Objectifs (référence stable entre deux modifications)
+   */
+  static getGoals(userId) {
+    if (!Goals._goals.has(userId)) {
+      Goals._goals.set(userId, Goals.sanitize(Goals._readStorage()[userId]));
+    }
+    return Goals._goals.get(userId);
+  }
+
+  /**
+   * Modifie tout ou partie des objectifs d'un utilisateur et notifie les abonnés
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} changes - Objectifs à modifier (null pour désactiver)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise les objectifs dans localStorage
+   *
+   * @example
+   * Goals.setGoals(12, { weeklySessionMinutes: 300, targetWeight: null });
+   */
+  static setGoals(userId, changes, { persist = true } = {}) {
+    const current = Goals.getGoals(userId);
+    const next = Goals.sanitize({ ...current, ...changes }, current);
+
+    if (persist) {
+      Goals._writeStorage(userId, next);
+    }
+
+    if (Object.keys(next).every((id) => next[id] === current[id])) {
+      return;
+    }
+
+    Goals._goals.set(userId, next);
+    Goals._listeners.forEach((listener) => listener(userId, next));
+  }
+
+  /**
+   * Rétablit les objectifs par défaut d'un utilisateur
+   *
+   * @static
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Supprime les objectifs mémorisés
+   */
+  static resetGoals(userId, { persist = true } = {}) {
+    if (persist) {
+      Goals._writeStorage(userId, null);
+    }
+    Goals._goals.delete(userId);
+    Goals._listeners.forEach((listener) =>
+      listener(userId, Goals.getGoals(userId))
+    );
+  }
+
+  /**
+   * Abonne une fonction aux modifications d'objectifs
+   *
+   * @static
+   * @param {Function} listener - Appelée avec (userId, objectifs)
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribe(listener) {
+    Goals._listeners.add(listener);
+    return () => {
+      Goals._listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Calcule la progression de chaque objectif actif
+   *
+   * - Calories : dernière journée de l'activité (objectif atteint si dépassé)
+   * - Minutes de sport : somme des durées moyennes des sept jours
+   * - Poids cible : dernier poids, progression depuis le premier poids de la période
+   * - Macronutriments : apports de `keyData`, atteints à ±10 % de l'objectif
+   *
+   * Un objectif désactivé ou sans donnée correspondante est ignoré.
+   *
+   * @static
+   * @param {UserGoals} goals - Objectifs de l'utilisateur
+   * @param {Object} data - Données normalisées
+   * @param {Object|null} [data.activity] - Activité (DataService.getUserActivity)
+   * @param {Object|null} [data.sessions] - Sessions moyennes (DataService.getUserAverageSessions)
+   * @param {Object|null} [data.user] - Utilisateur (DataService.getUserById)
+   * @returns {GoalProgress[]} Progression, dans l'ordre de Goals.DEFINITIONS
+   *
+   * @typedef {Object} GoalProgress
+   * @property {string} id - Objectif (clé de Goals.DEFINITIONS)
+   * @property {string} unit - Unité des valeurs ("kcal", "minutes", "kg", "gram")
+   * @property {number} target - Valeur visée
+   * @property {number} value - Valeur mesurée
+   * @property {number} ratio - Avancement entre 0 et 1
+   * @property {boolean} achieved - true si l'objectif est atteint
+   * @property {string} [day] - Jour mesuré (calories, YYYY-MM-DD)
+   * @property {number} [start] - Poids de départ de la période (poids cible)
+   *
+   * @example
+   * Goals.computeProgress({ ...Goals.getDefaults(), dailyCalories: 400 }, { activity });
+   * // [{ id: "dailyCalories", unit: "kcal", target: 400, value: 390,
+   * //    ratio: 0.975, achieved: false, day: "2020-07-07" }]
+   */
+  static computeProgress(
+    goals,
+    { activity = null, sessions = null, user = null }
+  ) {
+    const progress = [];
+    // Avancement par défaut : valeur mesurée rapportée à la valeur visée
+    const measure = (id, value, { achieved, ratio, ...extra }) => {
+      const target = goals[id];
+      const advance = ratio ?? (target > 0 ? value / target : 1);
+      progress.push({
+        id,
+        unit: Goals.DEFINITIONS[id].unit,
+        target,
+        value,
+        ratio: Math.max(0, Math.min(1, advance)),
+        achieved,
+        ...extra,
+      });
+    };
+
+    const days = activity?.sessions ?? [];
+    const latest = days[days.length - 1];
+
+    if (goals.dailyCalories !== null && latest) {
+      measure("dailyCalories", latest.calories, {
+        achieved: latest.calories >= goals.dailyCalories,
+        day: latest.day,
+      });
+    }
+
+    const weekSessions = sessions?.sessions ?? [];
+    if (goals.weeklySessionMinutes !== null && weekSessions.length > 0) {
+      const minutes = weekSessions.reduce(
+        (total, session) => total + (session.sessionLengthRaw ?? 0),
+        0
+      );
+      measure("weeklySessionMinutes", minutes, {
+        achieved: minutes >= goals.weeklySessionMinutes,
+      });
+    }
+
+    if (goals.targetWeight !== null && latest) {
+      const target = goals.targetWeight;
+      const start = days[0].kilogram;
+      const current = latest.kilogram;
+      // Objectif atteint à la tolérance près, ou dépassé dans le sens visé
+      const achieved =
+        Math.abs(current - target) <= Goals.WEIGHT_TOLERANCE ||
+        (start >= target ? current <= target : current >= target);
+      // Progression mesurée depuis le poids de départ, pas depuis zéro
+      const ratio =
+        achieved || start === target
+          ? Number(achieved)
+          : (start - current) / (start - target);
+      measure("targetWeight", current, { achieved, ratio, start });
+    }
+
+    Object.entries(Goals.MACRO_KEYS).forEach(([id, key]) => {
+      const value = user?.keyData?.[key];
+      if (goals[id] !== null && typeof value === "number") {
+        measure(id, value, {
+          achieved:
+            Math.abs(value - goals[id]) <= goals[id] * Goals.MACRO_TOLERANCE,
+        });
+      }
+    });
+
+    return progress;
+  }
+
+  /**
+   * Résume la progression pour le message d'accueil du Dashboard
+   *
+   * @static
+   * @param {GoalProgress[]} progress - Progression (voir Goals.computeProgress)
+   * @returns {GoalSummary} Résumé
+   *
+   * @typedef {Object} GoalSummary
+   * @property {string} status - "empty" (aucun objectif mesurable), "all", "some" ou "none"
+   * @property {number} achieved - Nombre d'objectifs atteints
+   * @property {number} total - Nombre d'objectifs mesurés
+   * @property {string|null} next - Objectif manqué le plus proche d'être atteint
+   *
+   * @example
+   * Goals.summarize(progress);
+   * // { status: "some", achieved: 3, total: 5, next: "weeklySessionMinutes" }
+   */
+  static summarize(progress) {
+    const total = progress.length;
+    const achieved = progress.filter((item) => item.achieved).length;
+    const missed = progress.filter((item) => !item.achieved);
+    const next = missed.length
+      ? missed.reduce((best, item) => (item.ratio > best.ratio ? item : best))
+          .id
+      : null;
+
+    let status = "some";
+    if (total === 0) status = "empty";
+    else if (achieved === total) status = "all";
+    else if (achieved === 0) status = "none";
+
+    return { status, achieved, total, next };
+  }
+}
+
+export default Goals;
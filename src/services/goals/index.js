@@ -0,0 +1,12 @@
+/**
+ * Module des objectifs personnels SportSee
+ *
+ * Regroupe la persistance des objectifs et le calcul de leur progression.
+ *
+ * @module services/goals
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+// Export du service des objectifs
+export { Goals } from "./Goals.js";
@@ -27,8 +27,11 @@
  *   return <BarChart data={data.sessions} />;
  * }
  */
+import { useCallback } from "react";
 import { useChartData } from "./useApiData.js";
 import { DataService } from "../api/DataService.js";
+import { NotFoundError } from "../api/errors.js";
+import { isValidRange, shiftRange } from "../data/dateRange.js";
 import { ChartTransformers } from "../transformers/ChartTransformers.js";
 
 /**
@@ -36,17 +39,180 @@ import { ChartTransformers } from "../transformers/ChartTransformers.js";
  * @typedef {Object} ChartHookState
  * @property {*} data - Données formatées pour le graphique (null si pas chargées)
  * @property {boolean} loading - Indicateur de chargement
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle
+ * @property {Function} refetch - Relance la récupération des données
  */
 
+/**
+ * Récupère une période précédente facultative
+ *
+ * @private
+ * @param {Promise<Object>} request - Requête de la période précédente
+ * @returns {Promise<Object|null>} Données, ou null si la source ne les fournit pas
+ * @throws {DataServiceError} Toute autre erreur de la source
+ */
+const fetchPrevious = (request) =>
+  request.catch((error) => {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  });
+
+/**
+ * Récupère l'activité de la période affichée et de la période précédente
+ *
+ * Sans période choisie, la période courante est celle des sessions renvoyées
+ * (fenêtre par défaut de la source) ; la période précédente est décalée
+ * d'une semaine, d'un mois ou de sa propre durée (voir shiftRange).
+ *
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} params - Paramètres du hook ({ activityType, range })
+ * @returns {Promise<PeriodComparison>} Activités des deux périodes
+ */
+const fetchActivityComparison = async (userId, { activityType, range }) => {
+  const current = await DataService.getUserActivity(userId, {
+    activityType,
+    range,
+  });
+  const sessions = current.sessions ?? [];
+  const currentRange = isValidRange(range)
+    ? range
+    : sessions.length > 0
+      ? { from: sessions[0].day, to: sessions[sessions.length - 1].day }
+      : null;
+
+  if (!currentRange) {
+    return { current, previous: null, range: null, previousRange: null };
+  }
+
+  const previousRange = shiftRange(currentRange, -1);
+  const previous = await fetchPrevious(
+    DataService.getUserActivity(userId, { activityType, range: previousRange })
+  );
+  return { current, previous, range: currentRange, previousRange };
+};
+
+/**
+ * Récupère les sessions moyennes de la semaine courante et de la précédente
+ *
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} params - Paramètres du hook ({ activityType })
+ * @returns {Promise<PeriodComparison>} Sessions des deux semaines
+ */
+const fetchSessionsComparison = async (userId, { activityType }) => {
+  const [current, previous] = await Promise.all([
+    DataService.getUserAverageSessions(userId, { activityType }),
+    fetchPrevious(
+      DataService.getUserAverageSessions(userId, {
+        activityType,
+        period: DataService.PERIODS.PREVIOUS,
+      })
+    ),
+  ]);
+  return { current, previous };
+};
+
+/**
+ * Récupère la performance de la semaine courante et de la précédente
+ *
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<PeriodComparison>} Performances des deux semaines
+ */
+const fetchPerformanceComparison = async (userId) => {
+  const [current, previous] = await Promise.all([
+    DataService.getUserPerformance(userId),
+    fetchPrevious(
+      DataService.getUserPerformance(userId, {
+        period: DataService.PERIODS.PREVIOUS,
+      })
+    ),
+  ]);
+  return { current, previous };
+};
+
+/**
+ * Récupère le score du jour et l'historique donnant le score de J-7
+ *
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<PeriodComparison>} Utilisateur et historique du score
+ */
+const fetchScoreComparison = async (userId) => {
+  const [current, previous] = await Promise.all([
+    DataService.getUserById(userId),
+    fetchPrevious(DataService.getUserScoreHistory(userId)),
+  ]);
+  return { current, previous };
+};
+
+/**
+ * Crée la récupération d'une ressource pour plusieurs utilisateurs
+ *
+ * Chaque série est libellée par le prénom de l'utilisateur, lu dans son
+ * profil (partagé avec les autres graphiques par le cache de DataService).
+ *
+ * @private
+ * @param {Function} fetchResource - Récupération pour un utilisateur (userId, params)
+ * @returns {Function} Récupération (userIds, params) => Promise<UserSeries[]>
+ */
+const fetchForUsers = (fetchResource) => (userIds, params) =>
+  Promise.all(
+    userIds.map(async (userId) => {
+      const [user, data] = await Promise.all([
+        DataService.getUserById(userId),
+        fetchResource(userId, params),
+      ]);
+      return {
+        userId,
+        name: user?.userInfos?.firstName ?? String(userId),
+        data,
+      };
+    })
+  );
+
+/**
+ * Sessions moyennes de plusieurs utilisateurs
+ * @private
+ */
+const fetchSessionsSeries = fetchForUsers((userId, { activityType }) =>
+  DataService.getUserAverageSessions(userId, { activityType })
+);
+
+/**
+ * Performances de plusieurs utilisateurs
+ * @private
+ */
+const fetchPerformanceSeries = fetchForUsers((userId) =>
+  DataService.getUserPerformance(userId)
+);
+
+/**
+ * Profils de plusieurs utilisateurs
+ * @private
+ */
+const fetchUsersSeries = fetchForUsers((userId) =>
+  DataService.getUserById(userId)
+);
+
 /**
  * Hook spécialisé pour le graphique d'activité quotidienne
  *
  * Formate les données d'activité pour un graphique en barres combiné
- * affichant le poids et les calories brûlées par jour.
+ * affichant le poids et les calories brûlées par jour. Pendant un changement
+ * de période ou de filtre, les données précédentes restent disponibles
+ * (`loading && data`) pour garder le graphique affiché.
  *
  * @function useActivityChart
  * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options du graphique
+ * @param {string|null} [options.activityType=null] - Sport affiché (tous si null)
+ * @param {DateRange|null} [options.range=null] - Période affichée (fenêtre par défaut de la source si null)
+ * @param {boolean} [options.compare=false] - Récupère aussi la période précédente, alignée
+ * jour par jour (voir ComparisonTransformer.activity)
  * @returns {ChartHookState} État avec données formatées pour graphique d'activité
  *
  * @example
@@ -54,7 +220,7 @@ import { ChartTransformers } from "../transformers/ChartTransformers.js";
  *   const { data, loading, error } = useActivityChart(userId);
  *
  *   if (loading) return <div>Chargement du graphique...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *   if (!data?.sessions) return <div>Aucune donnée d'activité</div>;
  *
  *   return (
@@ -68,16 +234,30 @@ import { ChartTransformers } from "../transformers/ChartTransformers.js";
  * @example
  * // Structure des données retournées
  * // data.sessions = [
- * //   { day: 1, kilogram: 70, calories: 300, displayDay: "1" },
- * //   { day: 2, kilogram: 69, calories: 350, displayDay: "2" },
+ * //   { day: 1, kilogram: 70, calories: 300, displayDay: "1", originalDay: "2020-07-01" },
+ * //   { day: 2, kilogram: 69, calories: 350, displayDay: "2", originalDay: "2020-07-02" },
  * //   ...
  * // ]
+ *
+ * @example
+ * // Période affichée comparée à la précédente
+ * const { data } = useActivityChart(12, { compare: true });
+ * // data.previousRange = { from: "2020-06-24", to: "2020-06-30" }
+ * // data.sessions[0] = { originalDay: "2020-07-01", kilogram: 80, previousKilogram: 82, ... }
  */
-export const useActivityChart = (userId) => {
+export const useActivityChart = (
+  userId,
+  { activityType = null, range = null, compare = false } = {}
+) => {
   return useChartData(
-    DataService.getUserActivity,
-    ChartTransformers.Activity.format,
-    userId
+    compare ? fetchActivityComparison : DataService.getUserActivity,
+    compare
+      ? ChartTransformers.Comparison.activity
+      : ChartTransformers.Activity.format,
+    userId,
+    { activityType, range, compare },
+    // Le graphique reste affiché pendant un changement de période ou de filtre
+    { keepPreviousData: true }
   );
 };
 
@@ -88,7 +268,12 @@ export const useActivityChart = (userId) => {
  * pour améliorer le rendu visuel du graphique en ligne.
  *
  * @function useSessionsChart
- * @param {number} userId - ID de l'utilisateur
+ * @param {number|number[]} userId - ID de l'utilisateur, ou liste d'IDs : une série par
+ * utilisateur, fusionnées par jour de la semaine (voir SeriesTransformer.sessions)
+ * @param {Object} [options] - Options du graphique
+ * @param {string|null} [options.activityType=null] - Sport affiché (tous si null)
+ * @param {boolean} [options.compare=false] - Récupère aussi la semaine précédente, alignée
+ * par jour de la semaine (voir ComparisonTransformer.sessions) ; ignoré avec une liste d'IDs
  * @returns {ChartHookState} État avec données formatées incluant points fantômes
  *
  * @example
@@ -96,7 +281,7 @@ export const useActivityChart = (userId) => {
  *   const { data, loading, error } = useSessionsChart(userId);
  *
  *   if (loading) return <div>Chargement des sessions...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   const dayNames = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
  *
@@ -124,13 +309,30 @@ export const useActivityChart = (userId) => {
  * //   { day: 7, sessionLength: 70, isReal: true },                    // Dimanche
  * //   { day: 8, sessionLength: 70, isReal: false, isGhost: true }     // Point fantôme fin
  * // ]
+ *
+ * @example
+ * // Sessions de deux utilisateurs sur une même courbe
+ * const { data } = useSessionsChart([12, 18]);
+ * // data.series = [{ key: "user12", userId: 12, name: "Karl" }, ...]
+ * // data.sessions[1] = { dayIndex: 1, isReal: true, user12: 30, user18: 30 }
  */
-export const useSessionsChart = (userId) => {
-  return useChartData(
-    DataService.getUserAverageSessions,
-    ChartTransformers.Sessions.addGhostPoints,
-    userId
-  );
+export const useSessionsChart = (
+  userId,
+  { activityType = null, compare = false } = {}
+) => {
+  const [fetchFunction, transformer] = Array.isArray(userId)
+    ? [fetchSessionsSeries, ChartTransformers.Series.sessions]
+    : compare
+      ? [fetchSessionsComparison, ChartTransformers.Comparison.sessions]
+      : [
+          DataService.getUserAverageSessions,
+          ChartTransformers.Sessions.addGhostPoints,
+        ];
+
+  return useChartData(fetchFunction, transformer, userId, {
+    activityType,
+    compare,
+  });
 };
 
 /**
@@ -140,21 +342,27 @@ export const useSessionsChart = (userId) => {
  * optimisé dans un graphique radar avec traductions françaises.
  *
  * @function usePerformanceChart
- * @param {number} userId - ID de l'utilisateur
+ * @param {number|number[]} userId - ID de l'utilisateur, ou liste d'IDs : une série par
+ * utilisateur, fusionnées par catégorie (voir SeriesTransformer.performance)
+ * @param {Object} [options] - Options du graphique
+ * @param {boolean} [options.compare=false] - Récupère aussi la semaine précédente, alignée
+ * par catégorie (voir ComparisonTransformer.performance) ; ignoré avec une liste d'IDs
  * @returns {ChartHookState} État avec données formatées et réordonnées pour radar
  *
  * @example
  * function PerformanceRadar({ userId }) {
  *   const { data, loading, error } = usePerformanceChart(userId);
+ *   const { t } = useTranslation();
  *
  *   if (loading) return <div>Chargement performance...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   return (
  *     <RadarChart data={data}>
  *       <PolarGrid />
  *       <PolarAngleAxis
  *         dataKey="subject"
+ *         tickFormatter={(kind) => t(`performance.${kind}`)}
  *         tick={{ fontSize: 12, fill: '#FFFFFF' }}
  *       />
  *       <Radar
@@ -169,21 +377,32 @@ export const useSessionsChart = (userId) => {
  *
  * @example
  * // Structure des données retournées (ordre spécifique pour le radar)
+ * // (clés neutres, traduites à l'affichage via le catalogue `performance`)
  * // data = [
- * //   { subject: "Intensité", value: 160, fullMark: 250 },
- * //   { subject: "Vitesse", value: 250, fullMark: 250 },
- * //   { subject: "Force", value: 90, fullMark: 250 },
- * //   { subject: "Endurance", value: 200, fullMark: 250 },
- * //   { subject: "Énergie", value: 180, fullMark: 250 },
- * //   { subject: "Cardio", value: 150, fullMark: 250 }
+ * //   { subject: "intensity", value: 160, fullMark: 250 },
+ * //   { subject: "speed", value: 250, fullMark: 250 },
+ * //   { subject: "strength", value: 90, fullMark: 250 },
+ * //   { subject: "endurance", value: 200, fullMark: 250 },
+ * //   { subject: "energy", value: 180, fullMark: 250 },
+ * //   { subject: "cardio", value: 150, fullMark: 250 }
  * // ]
+ *
+ * @example
+ * // Radars de deux utilisateurs superposés
+ * const { data } = usePerformanceChart([12, 18]);
+ * // data.axes[0] = { subject: "intensity", fullMark: 250, user12: 90, user18: 200 }
  */
-export const usePerformanceChart = (userId) => {
-  return useChartData(
-    DataService.getUserPerformance,
-    ChartTransformers.Performance.formatForRadar,
-    userId
-  );
+export const usePerformanceChart = (userId, { compare = false } = {}) => {
+  const [fetchFunction, transformer] = Array.isArray(userId)
+    ? [fetchPerformanceSeries, ChartTransformers.Series.performance]
+    : compare
+      ? [fetchPerformanceComparison, ChartTransformers.Comparison.performance]
+      : [
+          DataService.getUserPerformance,
+          ChartTransformers.Performance.formatForRadar,
+        ];
+
+  return useChartData(fetchFunction, transformer, userId, { compare });
 };
 
 /**
@@ -194,6 +413,9 @@ export const usePerformanceChart = (userId) => {
  *
  * @function useScoreChart
  * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options du graphique
+ * @param {boolean} [options.compare=false] - Ajoute le score du même jour de la semaine
+ * précédente, lu dans l'historique (voir ComparisonTransformer.score)
  * @returns {ChartHookState} État avec pourcentage calculé pour graphique circulaire
  *
  * @example
@@ -201,7 +423,7 @@ export const usePerformanceChart = (userId) => {
  *   const { data, loading, error } = useScoreChart(userId);
  *
  *   if (loading) return <div>Chargement score...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   const scoreData = [
  *     { name: 'completed', value: data.percentage, fill: '#FF0000' },
@@ -230,14 +452,122 @@ export const usePerformanceChart = (userId) => {
  * // Structure des données retournées
  * // data = { percentage: 30 }  // Si todayScore = 0.3
  */
-export const useScoreChart = (userId) => {
+export const useScoreChart = (userId, { compare = false } = {}) => {
+  return useChartData(
+    compare ? fetchScoreComparison : DataService.getUserById,
+    compare
+      ? ChartTransformers.Comparison.score
+      : ChartTransformers.Score.calculatePercentage,
+    userId,
+    { compare }
+  );
+};
+
+/**
+ * Hook spécialisé pour la courbe de tendance du score
+ *
+ * Formate l'historique du score par jour ou par semaine, avec la moyenne
+ * glissante et la ligne d'objectif. Changer de granularité réapplique le
+ * transformateur sur l'historique en cache.
+ *
+ * @function useScoreHistoryChart
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options du graphique
+ * @param {string} [options.granularity="day"] - "day" ou "week"
+ * @param {DateRange|null} [options.range=null] - Période affichée (tout l'historique si null)
+ * @returns {ChartHookState} État avec points formatés ({ granularity, goal, points })
+ *
+ * @example
+ * const { data } = useScoreHistoryChart(12, { granularity: "week" });
+ * // data.points = [{ day: "2020-05-18", percentage: 21, average: 21 }, ...]
+ */
+export const useScoreHistoryChart = (
+  userId,
+  { granularity = "day", range = null } = {}
+) => {
+  const transform = useCallback(
+    (rawData) =>
+      ChartTransformers.ScoreHistory.format(rawData, { granularity }),
+    [granularity]
+  );
+
+  // La courbe reste affichée pendant un changement de granularité
+  return useChartData(
+    DataService.getUserScoreHistory,
+    transform,
+    userId,
+    { range, granularity },
+    { keepPreviousData: true }
+  );
+};
+
+/**
+ * Hook spécialisé pour les écarts de score affichés sous l'anneau
+ *
+ * Compare le dernier jour de l'historique à la veille et au même jour de
+ * la semaine précédente. En erreur si la source ne fournit pas l'historique.
+ *
+ * @function useScoreDeltas
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {ChartHookState} État avec les écarts en points (voir ScoreDeltas)
+ *
+ * @example
+ * const { data } = useScoreDeltas(12);
+ * // data = { day: "2020-07-07", percentage: 12, yesterday: -6, lastWeek: -3 }
+ */
+export const useScoreDeltas = (userId) => {
+  return useChartData(
+    DataService.getUserScoreHistory,
+    ChartTransformers.ScoreHistory.computeDeltas,
+    userId
+  );
+};
+
+/**
+ * Hook spécialisé pour la répartition nutritionnelle
+ *
+ * Calcule la part des calories apportée par chaque macronutriment (4, 4 et
+ * 9 kCal par gramme) et la compare aux fourchettes recommandées pour l'âge
+ * de l'utilisateur. Partage la requête utilisateur avec useScoreChart.
+ *
+ * @function useNutritionChart
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {ChartHookState} État avec la répartition (voir NutritionBreakdown)
+ *
+ * @example
+ * const { data } = useNutritionChart(12);
+ * // data.macros[0] = { key: "protein", share: 27.8, min: 10, max: 35, status: "within", ... }
+ */
+export const useNutritionChart = (userId) => {
   return useChartData(
     DataService.getUserById,
-    ChartTransformers.Score.calculatePercentage,
+    ChartTransformers.Nutrition.format,
     userId
   );
 };
 
+/**
+ * Hook spécialisé pour le tableau comparatif de plusieurs utilisateurs
+ *
+ * Résume, pour chaque utilisateur, son identité, son score du jour et ses
+ * données clés, dans l'ordre de la liste.
+ *
+ * @function useUsersComparison
+ * @param {number[]} userIds - IDs des utilisateurs comparés
+ * @returns {ChartHookState} État avec une ligne par utilisateur (voir SeriesTransformer.summary)
+ *
+ * @example
+ * const { data } = useUsersComparison([12, 18]);
+ * // data[0] = { key: "user12", userId: 12, name: "Karl", percentage: 12, keyData: {...} }
+ */
+export const useUsersComparison = (userIds) => {
+  return useChartData(
+    fetchUsersSeries,
+    ChartTransformers.Series.summary,
+    userIds
+  );
+};
+
 /**
  * Hook composite pour récupérer toutes les données de graphiques en une fois
  *
@@ -254,12 +584,17 @@ export const useScoreChart = (userId) => {
  * @property {*} performance - Données formatées du graphique de performance
  * @property {*} score - Données formatées du graphique de score
  * @property {boolean} loading - true si au moins un graphique est en cours de chargement
+ * @property {boolean} refreshing - true si au moins un graphique est mis à jour en place
  * @property {boolean} hasError - true si au moins un graphique a une erreur
  * @property {Object} errors - Détail des erreurs par graphique
- * @property {string|null} errors.activity - Erreur du graphique d'activité
- * @property {string|null} errors.sessions - Erreur du graphique de sessions
- * @property {string|null} errors.performance - Erreur du graphique de performance
- * @property {string|null} errors.score - Erreur du graphique de score
+ * @property {DataServiceError|null} errors.activity - Erreur du graphique d'activité
+ * @property {DataServiceError|null} errors.sessions - Erreur du graphique de sessions
+ * @property {DataServiceError|null} errors.performance - Erreur du graphique de performance
+ * @property {DataServiceError|null} errors.score - Erreur du graphique de score
+ * @property {DataServiceError|null} refreshError - Échec d'une actualisation
+ * d'un graphique déjà affiché (les échecs de premier chargement sont exclus)
+ * @property {Function} refetch - Recharge les quatre graphiques depuis la source (un seul
+ * DataService.refreshUser, relayé par les abonnements des graphiques)
  *
  * @example
  * function Dashboard({ userId }) {
@@ -320,12 +655,32 @@ export const useAllCharts = (userId) => {
   const hasError =
     activity.error || sessions.error || performance.error || score.error;
 
+  const refreshing =
+    activity.refreshing ||
+    sessions.refreshing ||
+    performance.refreshing ||
+    score.refreshing;
+
+  // Une actualisation en échec conserve les données précédentes du graphique
+  const refreshError =
+    [activity, sessions, performance, score].find(
+      (chart) => chart.error && chart.data
+    )?.error ?? null;
+
+  // Chaque graphique est abonné à l'utilisateur : une seule relecture suffit
+  const refetch = useCallback(() => {
+    if (userId !== null && userId !== undefined) {
+      DataService.refreshUser(userId);
+    }
+  }, [userId]);
+
   return {
     activity: activity.data,
     sessions: sessions.data,
     performance: performance.data,
     score: score.data,
     loading: globalLoading,
+    refreshing,
     error: hasError,
     errors: {
       activity: activity.error,
@@ -333,5 +688,7 @@ export const useAllCharts = (userId) => {
       performance: performance.error,
       score: score.error,
     },
+    refreshError,
+    refetch,
   };
 };
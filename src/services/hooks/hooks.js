@@ -2,10 +2,12 @@
  * Hooks React personnalisés pour la gestion des données SportSee
  *
  * Ce module fournit des hooks React pour récupérer et gérer les données utilisateur
- * de manière asynchrone avec gestion d'état (loading, error, data).
+ * de manière asynchrone avec gestion d'état (loading, error, data). Ils reposent
+ * sur le hook générique useApiData et partagent son contrat (erreurs typées,
+ * refetch, options enabled et keepPreviousData).
  *
  * @module hooks
- * @requires react
+ * @requires ./useApiData.js
  * @requires ./DataService.js
  * @author SportSee Team
  * @since 1.0.0
@@ -20,84 +22,45 @@
  *   const { data: user, loading, error } = useUser(userId);
  *
  *   if (loading) return <div>Chargement...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   return <h1>Bonjour {user.userInfos.firstName}!</h1>;
  * }
  */
-import { useState, useEffect } from "react";
 import { DataService } from "../api/DataService.js";
+import { useApiData, useUserData } from "./useApiData.js";
 
 /**
- * Type de retour standard des hooks de données
+ * Type de retour standard des hooks de données (voir ApiDataHookResult)
  * @typedef {Object} DataHookResult
  * @property {*} data - Les données récupérées (null si pas encore chargées ou en cas d'erreur)
  * @property {boolean} loading - Indicateur de chargement en cours
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle (afficher error.message)
+ * @property {Function} refetch - Relance la récupération des données
  */
 
 /**
- * Hook générique pour récupérer des données de manière asynchrone
+ * Abonnement de la liste des utilisateurs au cache : elle dépend de plusieurs
+ * entrées (/users et /user/:id)
  *
  * @private
- * @function useData
- * @param {Function} fetchFunction - Fonction asynchrone pour récupérer les données
- * @param {number} userId - ID de l'utilisateur pour lequel récupérer les données
- * @returns {DataHookResult} Objet contenant data, loading et error
- *
- * @example
- * // Utilisation interne uniquement
- * const result = useData(DataService.getUserById, 18);
+ * @param {Function} listener - Fonction appelée à chaque modification du cache
+ * @returns {Function} Fonction de désabonnement
  */
-const useData = (fetchFunction, userId) => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    if (!userId) {
-      return;
-    }
-
-    let isCancelled = false;
-
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const result = await fetchFunction(userId);
+const subscribeToUsers = (listener) => DataService.cache.subscribe(listener);
 
-        if (!isCancelled) {
-          setData(result);
-        }
-      } catch (err) {
-        if (!isCancelled) {
-          setError(err.message);
-          setData(null);
-        }
-      } finally {
-        if (!isCancelled) {
-          setLoading(false);
-        }
-      }
-    };
-
-    loadData();
-
-    return () => {
-      isCancelled = true;
-    };
-  }, [userId, fetchFunction]);
-
-  return { data, loading, error };
-};
+/**
+ * Liste des utilisateurs de la source active
+ * @private
+ */
+const fetchUsers = () => DataService.getUsers();
 
 /**
  * Hook pour récupérer les données complètes d'un utilisateur
  *
  * @function useUser
  * @param {number} userId - ID de l'utilisateur à récupérer
+ * @param {ApiDataOptions} [options] - Options de useApiData (enabled, keepPreviousData)
  * @returns {DataHookResult<UserData>} État de chargement et données utilisateur
  *
  * @example
@@ -131,8 +94,8 @@ const useData = (fetchFunction, userId) => {
  *   return loading ? <LoadingState /> : <UserContent user={user} />;
  * }
  */
-export const useUser = (userId) => {
-  return useData(DataService.getUserById, userId);
+export const useUser = (userId, options) => {
+  return useUserData(DataService.getUserById, userId, options);
 };
 
 /**
@@ -140,6 +103,7 @@ export const useUser = (userId) => {
  *
  * @function useUserActivity
  * @param {number} userId - ID de l'utilisateur
+ * @param {ApiDataOptions} [options] - Options de useApiData (enabled, keepPreviousData)
  * @returns {DataHookResult<ActivityData>} État de chargement et données d'activité
  *
  * @example
@@ -170,8 +134,8 @@ export const useUser = (userId) => {
  *   return <div>Poids moyen: {avgWeight?.toFixed(1)}kg, Total calories: {totalCalories}</div>;
  * }
  */
-export const useUserActivity = (userId) => {
-  return useData(DataService.getUserActivity, userId);
+export const useUserActivity = (userId, options) => {
+  return useUserData(DataService.getUserActivity, userId, options);
 };
 
 /**
@@ -179,6 +143,7 @@ export const useUserActivity = (userId) => {
  *
  * @function useUserSessions
  * @param {number} userId - ID de l'utilisateur
+ * @param {ApiDataOptions} [options] - Options de useApiData (enabled, keepPreviousData)
  * @returns {DataHookResult<SessionsData>} État de chargement et données de sessions
  *
  * @example
@@ -213,8 +178,8 @@ export const useUserActivity = (userId) => {
  *   return bestSession ? <p>Meilleure session: Jour {bestSession.day} ({bestSession.sessionLength}min)</p> : null;
  * }
  */
-export const useUserSessions = (userId) => {
-  return useData(DataService.getUserAverageSessions, userId);
+export const useUserSessions = (userId, options) => {
+  return useUserData(DataService.getUserAverageSessions, userId, options);
 };
 
 /**
@@ -222,6 +187,7 @@ export const useUserSessions = (userId) => {
  *
  * @function useUserPerformance
  * @param {number} userId - ID de l'utilisateur
+ * @param {ApiDataOptions} [options] - Options de useApiData (enabled, keepPreviousData)
  * @returns {DataHookResult<PerformanceData>} État de chargement et données de performance
  *
  * @example
@@ -258,6 +224,39 @@ export const useUserSessions = (userId) => {
  *   );
  * }
  */
-export const useUserPerformance = (userId) => {
-  return useData(DataService.getUserPerformance, userId);
+export const useUserPerformance = (userId, options) => {
+  return useUserData(DataService.getUserPerformance, userId, options);
+};
+
+/**
+ * Hook pour récupérer les utilisateurs disponibles dans la source active
+ *
+ * Se recharge lorsque la source de données change et se met à jour
+ * silencieusement quand le cache est revalidé ou invalidé.
+ *
+ * @function useUsers
+ * @param {ApiDataOptions} [options] - Options de useApiData (enabled, keepPreviousData)
+ * @returns {DataHookResult<UserData[]>} État de chargement et liste des utilisateurs
+ *
+ * @example
+ * function UserList() {
+ *   const { data: users, loading, error } = useUsers();
+ *
+ *   if (loading) return <Spinner />;
+ *   if (error) return <p>Erreur: {error.message}</p>;
+ *
+ *   return users.map((user) => <p key={user.id}>{user.userInfos.firstName}</p>);
+ * }
+ */
+export const useUsers = (options) => {
+  return useApiData(
+    fetchUsers,
+    null,
+    null,
+    {},
+    {
+      ...options,
+      subscribe: subscribeToUsers,
+    }
+  );
 };
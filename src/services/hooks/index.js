@@ -12,12 +12,50 @@
 // Export du hook générique
 export { useApiData, useUserData, useChartData } from "./useApiData.js";
 
+// Export du hook de sélection de la source de données
+export { useDataSource } from "./useDataSource.js";
+
+// Export du hook de traduction
+export { useTranslation } from "./useTranslation.js";
+
+// Export du hook des préférences d'unités
+export { useUnits } from "./useUnits.js";
+
+// Export des hooks d'objectifs personnels
+export { useGoals, useGoalProgress } from "./useGoals.js";
+
+// Export du hook d'export des données (CSV, JSON)
+export { useDataExport } from "./useDataExport.js";
+
+// Export du hook d'export des graphiques en images (SVG, PNG)
+export { useChartImageExport } from "./useChartImageExport.js";
+
+// Export des hooks d'actualisation automatique (polling)
+export { usePolling, useRefreshInterval } from "./usePolling.js";
+
+// Export du hook des mises à jour temps réel
+export { useLiveUpdates } from "./useLiveUpdates.js";
+
+// Export du hook de mode de validation des réponses
+export { useSchemaMode } from "./useSchemaMode.js";
+
+// Export du hook de filtre par sport (stocké dans l'URL)
+export { useActivityFilter, ACTIVITY_URL_PARAM } from "./useActivityFilter.js";
+
+// Export du hook de mode comparaison (stocké dans l'URL)
+export {
+  useComparisonMode,
+  COMPARE_URL_PARAM,
+  COMPARE_URL_VALUE,
+} from "./useComparisonMode.js";
+
 // Export des hooks utilisateur basiques
 export {
   useUser,
   useUserActivity,
   useUserSessions,
   useUserPerformance,
+  useUsers,
 } from "./hooks.js";
 
 // Export des hooks spécialisés pour graphiques
@@ -26,5 +64,8 @@ export {
   useSessionsChart,
   usePerformanceChart,
   useScoreChart,
+  useScoreHistoryChart,
+  useScoreDeltas,
+  useNutritionChart,
   useAllCharts,
 } from "./chartHooks.js";
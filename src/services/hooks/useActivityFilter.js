@@ -0,0 +1,80 @@
+/**
+ * Hook React du filtre par sport du dashboard
+ *
+ * Le sport sélectionné est stocké dans l'URL (`?sport=swimming`) : le filtre
+ * survit au rechargement de la page et peut être partagé par lien.
+ *
+ * @module useActivityFilter
+ * @requires react-router-dom
+ * @requires ../data/DataNormalizer.js
+ * @requires ./useTranslation.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Dashboard() {
+ *   const { activityType } = useActivityFilter();
+ *   return <ActivityChart userId={18} activityType={activityType} />;
+ * }
+ */
+import { useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import { DataNormalizer } from "../data/DataNormalizer.js";
+import { useTranslation } from "./useTranslation.js";
+
+/**
+ * Nom du paramètre d'URL portant le sport sélectionné
+ * @type {string}
+ * @readonly
+ */
+export const ACTIVITY_URL_PARAM = "sport";
+
+/**
+ * État retourné par useActivityFilter
+ * @typedef {Object} ActivityFilterState
+ * @property {string|null} activityType - Sport sélectionné (null = tous les sports)
+ * @property {string|null} activityLabel - Libellé du sport sélectionné, dans la langue active
+ * @property {Function} getActivitySearch - Construit la query string pour un sport donné
+ * (null pour retirer le filtre), en conservant les autres paramètres
+ */
+
+/**
+ * Hook exposant le sport sélectionné dans l'URL
+ *
+ * Une valeur inconnue dans l'URL est ignorée (aucun filtre).
+ *
+ * @function useActivityFilter
+ * @returns {ActivityFilterState} Sport actif et constructeur de query string
+ *
+ * @example
+ * const { activityType, getActivitySearch } = useActivityFilter();
+ * navigate({ pathname: '/user/18', search: getActivitySearch('cycling') });
+ */
+export const useActivityFilter = () => {
+  const [searchParams] = useSearchParams();
+  const { t } = useTranslation();
+  const value = searchParams.get(ACTIVITY_URL_PARAM);
+  const activityType = DataNormalizer.isActivityType(value) ? value : null;
+
+  const getActivitySearch = useCallback(
+    (type) => {
+      const next = new URLSearchParams(searchParams);
+      if (type) {
+        next.set(ACTIVITY_URL_PARAM, type);
+      } else {
+        next.delete(ACTIVITY_URL_PARAM);
+      }
+      const search = next.toString();
+      return search ? `?${search}` : "";
+    },
+    [searchParams]
+  );
+
+  return {
+    activityType,
+    activityLabel: activityType ? t(`activities.${activityType}`) : null,
+    getActivitySearch,
+  };
+};
+
+export default useActivityFilter;
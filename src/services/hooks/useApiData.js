@@ -24,27 +24,74 @@
  * };
  */
 
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useDataSource } from "./useDataSource.js";
+import { DataService } from "../api/DataService.js";
+import { DataServiceError, toDataServiceError } from "../api/errors.js";
 
 /**
  * Type de retour pour le hook de données API
  * @typedef {Object} ApiDataHookResult
- * @property {*} data - Les données transformées (null si pas encore chargées)
- * @property {boolean} loading - Indicateur de chargement en cours
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {*} data - Les données transformées (null si pas encore chargées, en erreur,
+ * ou pendant un rechargement sans keepPreviousData)
+ * @property {boolean} loading - Indicateur de chargement en cours (false si la requête
+ * est désactivée)
+ * @property {boolean} refreshing - Mise à jour silencieuse en cours (refetch ou cache
+ * revalidé) : les données affichées restent en place
+ * @property {DataServiceError|null} error - Erreur typée éventuelle (NotFoundError, NetworkError,
+ * TimeoutError, ServerError, SchemaError) portant endpoint, status, attempts et cause
+ * @property {Function} refetch - Recharge les données depuis la source (voir useApiData)
+ */
+
+/**
+ * Options du hook de données API
+ * @typedef {Object} ApiDataOptions
+ * @property {boolean} [enabled=true] - false : aucune requête ni abonnement au cache ;
+ * l'état courant est conservé (loading à false)
+ * @property {boolean} [keepPreviousData=false] - Conserve les données affichées pendant
+ * le rechargement (changement d'utilisateur, de paramètres, de source ou refetch) au lieu
+ * de repasser data à null : utile aux graphiques qui restent visibles pendant un changement
+ * de période
+ * @property {Function|null} [subscribe=null] - Abonnement aux mises à jour silencieuses,
+ * (listener) => unsubscribe ; par défaut DataService.subscribeUser pour chaque utilisateur.
+ * Obligatoire pour les données qui ne dépendent d'aucun utilisateur (userId null)
  */
 
 /**
  * Hook générique pour la récupération et transformation de données API
  * 
- * Gère automatiquement l'état de chargement, les erreurs et l'annulation
- * des requêtes en cours si le composant est démonté.
+ * C'est le hook sur lequel reposent tous les hooks de données (hooks.js) et
+ * de graphiques (chartHooks.js). Contrat :
+ * - fetchFunction(userId, params) est appelée au montage, puis à chaque
+ *   changement d'utilisateur, de valeur de params, de source de données
+ *   (mock/API) ou à l'appel de refetch ; une réponse arrivée après le démontage
+ *   ou un nouveau chargement est ignorée
+ * - transformer(rawData) formate la réponse ; s'il échoue, les données brutes
+ *   sont conservées
+ * - toute erreur est convertie en DataServiceError (toDataServiceError) : les
+ *   composants testent son type (instanceof NotFoundError, error.type) et
+ *   affichent error.message
+ * - quand le cache de DataService est revalidé ou invalidé, les données sont
+ *   rafraîchies sans repasser par l'état de chargement (refreshing) ; une
+ *   erreur lors de ce rafraîchissement conserve les données affichées
+ * - refetch() : si des données sont affichées, invalide les entrées en cache
+ *   de l'utilisateur (ou des utilisateurs) puis les met à jour en place, sans
+ *   état de chargement ; les autres hooks abonnés à ces utilisateurs se mettent
+ *   aussi à jour. Sans données (premier chargement en échec ou en cours), relit
+ *   la source sans état de chargement non plus : l'erreur reste affichée
+ *   jusqu'à la réponse (polling d'une page en erreur)
  * 
  * @function useApiData
  * @param {Function} fetchFunction - Fonction asynchrone pour récupérer les données
  * @param {Function|null} [transformer=null] - Fonction de transformation des données (optionnelle)
- * @param {number} userId - ID de l'utilisateur pour lequel récupérer les données
- * @returns {ApiDataHookResult} État avec données, loading et error
+ * @param {number|number[]|null} userId - ID de l'utilisateur pour lequel récupérer les données,
+ * ou liste d'IDs (graphiques multi-séries) : fetchFunction reçoit alors la liste et
+ * les données sont rafraîchies quand le cache de l'un de ces utilisateurs change.
+ * null uniquement avec options.subscribe (sinon erreur « ID utilisateur manquant »)
+ * @param {Object} [params={}] - Paramètres transmis à fetchFunction(userId, params) ;
+ * la récupération est relancée lorsque leur valeur change
+ * @param {ApiDataOptions} [options] - Activation, conservation des données et abonnement
+ * @returns {ApiDataHookResult} État avec données, loading, error et refetch
  * 
  * @example
  * // Utilisation basique sans transformation
@@ -61,69 +108,138 @@ import { useState, useEffect, useRef } from "react";
  *   ActivityTransformer.format,
  *   userId
  * );
+ *
+ * @example
+ * // Utilisation avec paramètres (filtre par sport)
+ * const { data } = useApiData(
+ *   DataService.getUserActivity,
+ *   ActivityTransformer.format,
+ *   userId,
+ *   { activityType: 'cycling' }
+ * );
+ *
+ * @example
+ * // Plusieurs utilisateurs (une série par utilisateur)
+ * const { data } = useApiData(
+ *   (userIds) => Promise.all(userIds.map(DataService.getUserById)),
+ *   null,
+ *   [12, 18]
+ * );
+ *
+ * @example
+ * // Requête conditionnelle, graphique conservé pendant un changement de période
+ * const { data, loading } = useApiData(
+ *   DataService.getUserActivity,
+ *   ActivityTransformer.format,
+ *   userId,
+ *   { range },
+ *   { enabled: userId !== null, keepPreviousData: true }
+ * );
+ *
+ * @example
+ * // Données sans utilisateur : abonnement explicite au cache
+ * const { data: users } = useApiData(() => DataService.getUsers(), null, null, {}, {
+ *   subscribe: (listener) => DataService.cache.subscribe(listener)
+ * });
  */
-export const useApiData = (fetchFunction, transformer = null, userId) => {
+export const useApiData = (
+  fetchFunction,
+  transformer = null,
+  userId,
+  params = {},
+  { enabled = true, keepPreviousData = false, subscribe = null } = {}
+) => {
   const [state, setState] = useState({
     data: null,
-    loading: true,
+    loading: enabled,
+    refreshing: false,
     error: null
   });
+  // Incrémenté par refetch pour relancer l'effet de récupération
+  const [reloadToken, setReloadToken] = useState(0);
 
   // Utilisation de useRef pour conserver les références stables
   const fetchFunctionRef = useRef(fetchFunction);
   const transformerRef = useRef(transformer);
+  const paramsRef = useRef(params);
+  const userIdRef = useRef(userId);
+  const subscribeRef = useRef(subscribe);
+  const keepPreviousDataRef = useRef(keepPreviousData);
+  const dataRef = useRef(state.data);
+  // Mise à jour silencieuse de l'effet en cours (null si aucune requête active)
+  const refreshRef = useRef(null);
 
   // Mise à jour des refs à chaque rendu
   fetchFunctionRef.current = fetchFunction;
   transformerRef.current = transformer;
+  paramsRef.current = params;
+  userIdRef.current = userId;
+  subscribeRef.current = subscribe;
+  keepPreviousDataRef.current = keepPreviousData;
+  dataRef.current = state.data;
+
+  // Clés stables : un objet params ou une liste d'IDs recréés à chaque rendu
+  // ne relancent pas l'effet
+  const paramsKey = JSON.stringify(params);
+  const userKey = Array.isArray(userId) ? userId.join(',') : userId ?? null;
+
+  // Un changement de source (mock/API) relance la récupération
+  const { dataSource } = useDataSource();
 
   useEffect(() => {
+    if (!enabled) {
+      setState(prev => (prev.loading ? { ...prev, loading: false } : prev));
+      return;
+    }
+
+    const requestedUserId = userIdRef.current;
+    const customSubscribe = subscribeRef.current;
+
     // Validation des paramètres
-    if (!userId || !fetchFunctionRef.current) {
-      setState(prev => ({
-        ...prev,
+    if ((!userKey && !customSubscribe) || !fetchFunctionRef.current) {
+      setState({
+        data: null,
         loading: false,
-        error: userId ? 'Fonction de récupération manquante' : 'ID utilisateur manquant'
-      }));
+        refreshing: false,
+        error: new DataServiceError(
+          fetchFunctionRef.current ? 'ID utilisateur manquant' : 'Fonction de récupération manquante'
+        )
+      });
       return;
     }
 
     let isCancelled = false;
 
-    const loadData = async () => {
+    // Récupère puis transforme les données (données brutes si la transformation échoue)
+    const fetchData = async () => {
+      const rawData = await fetchFunctionRef.current(requestedUserId, paramsRef.current);
+      if (!transformerRef.current) {
+        return rawData;
+      }
       try {
-        // Démarrer le chargement
-        setState(prev => ({ 
-          ...prev, 
-          loading: true, 
-          error: null 
-        }));
+        return transformerRef.current(rawData);
+      } catch (transformError) {
+        console.warn('Erreur de transformation des données:', transformError);
+        return rawData;
+      }
+    };
 
-        // Récupérer les données
-        const rawData = await fetchFunctionRef.current(userId);
+    const loadData = async () => {
+      // Démarrer le chargement
+      setState(prev => ({
+        data: keepPreviousDataRef.current ? prev.data : null,
+        loading: true,
+        refreshing: false,
+        error: null
+      }));
+
+      try {
+        const data = await fetchData();
 
         // Vérifier si le composant n'a pas été démonté
         if (isCancelled) return;
 
-        // Appliquer la transformation si fournie
-        let transformedData = rawData;
-        if (transformerRef.current && typeof transformerRef.current === 'function') {
-          try {
-            transformedData = transformerRef.current(rawData);
-          } catch (transformError) {
-            console.warn('Erreur de transformation des données:', transformError);
-            // En cas d'erreur de transformation, utiliser les données brutes
-            transformedData = rawData;
-          }
-        }
-
-        // Mettre à jour l'état avec succès
-        setState({
-          data: transformedData,
-          loading: false,
-          error: null
-        });
-
+        setState({ data, loading: false, refreshing: false, error: null });
       } catch (error) {
         // Gestion d'erreur seulement si le composant est toujours monté
         if (!isCancelled) {
@@ -131,7 +247,8 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
           setState({
             data: null,
             loading: false,
-            error: error.message || 'Erreur de récupération des données'
+            refreshing: false,
+            error: toDataServiceError(error)
           });
         }
       }
@@ -139,13 +256,83 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
 
     loadData();
 
+    // Mise à jour silencieuse (sans repasser par l'état de chargement)
+    // quand le cache DataService est revalidé ou invalidé pour cet utilisateur
+    // (ou l'un des utilisateurs de la liste)
+    const refreshOnce = async () => {
+      setState(prev => (prev.refreshing ? prev : { ...prev, refreshing: true }));
+      try {
+        const data = await fetchData();
+        if (!isCancelled) {
+          setState({ data, loading: false, refreshing: false, error: null });
+        }
+      } catch (error) {
+        if (!isCancelled) {
+          setState(prev => ({
+            ...prev,
+            refreshing: false,
+            error: toDataServiceError(error)
+          }));
+        }
+      }
+    };
+
+    // Une invalidation notifie chaque clé de façon synchrone : la relecture
+    // démarre au microtask suivant pour regrouper ces notifications, et celles
+    // reçues pendant une relecture n'en déclenchent qu'une de plus
+    let pendingRefresh = null;
+    let refreshAgain = false;
+    const refreshSilently = () => {
+      if (pendingRefresh) {
+        refreshAgain = true;
+        return pendingRefresh;
+      }
+      pendingRefresh = (async () => {
+        await Promise.resolve();
+        do {
+          refreshAgain = false;
+          await refreshOnce();
+        } while (refreshAgain && !isCancelled);
+        pendingRefresh = null;
+      })();
+      return pendingRefresh;
+    };
+    refreshRef.current = refreshSilently;
+
+    const unsubscribes = customSubscribe
+      ? [customSubscribe(refreshSilently)]
+      : [].concat(requestedUserId).map((id) =>
+        DataService.subscribeUser(id, refreshSilently)
+      );
+
     // Fonction de nettoyage pour annuler la requête
     return () => {
       isCancelled = true;
+      refreshRef.current = null;
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
     };
-  }, [userId]); // Seulement userId comme dépendance
+  }, [enabled, userKey, paramsKey, dataSource, reloadToken]); // activation, utilisateur(s), paramètres, source de données et refetch comme dépendances
+
+  const refetch = useCallback(() => {
+    // Aucune requête active (hook désactivé ou paramètres invalides)
+    if (!refreshRef.current) {
+      setReloadToken((token) => token + 1);
+      return;
+    }
+
+    // Sans données (premier chargement en échec) ou abonnement personnalisé :
+    // relecture directe, sans repasser par l'état de chargement
+    if (dataRef.current === null || subscribeRef.current) {
+      refreshRef.current();
+      return;
+    }
+
+    // Contourne le cache : l'abonnement de ce hook (subscribeUser) relit les
+    // données depuis la source, comme les autres hooks de l'utilisateur
+    [].concat(userIdRef.current).forEach((id) => DataService.refreshUser(id));
+  }, []);
 
-  return state;
+  return { ...state, refetch };
 };
 
 /**
@@ -153,7 +340,8 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
  * 
  * @function useUserData
  * @param {Function} fetchFunction - Fonction de récupération des données utilisateur
- * @param {number} userId - ID de l'utilisateur
+ * @param {number|null} userId - ID de l'utilisateur
+ * @param {ApiDataOptions} [options] - Options transmises à useApiData
  * @returns {ApiDataHookResult} État avec données utilisateur
  * 
  * @example
@@ -162,8 +350,8 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
  *   userId
  * );
  */
-export const useUserData = (fetchFunction, userId) => {
-  return useApiData(fetchFunction, null, userId);
+export const useUserData = (fetchFunction, userId, options) => {
+  return useApiData(fetchFunction, null, userId, {}, options);
 };
 
 /**
@@ -172,7 +360,9 @@ export const useUserData = (fetchFunction, userId) => {
  * @function useChartData
  * @param {Function} fetchFunction - Fonction de récupération des données
  * @param {Function} transformer - Fonction de transformation pour le graphique
- * @param {number} userId - ID de l'utilisateur
+ * @param {number|number[]} userId - ID de l'utilisateur, ou liste d'IDs (multi-séries)
+ * @param {Object} [params={}] - Paramètres transmis à fetchFunction
+ * @param {ApiDataOptions} [options] - Options transmises à useApiData
  * @returns {ApiDataHookResult} État avec données transformées pour graphique
  * 
  * @example
@@ -182,8 +372,8 @@ export const useUserData = (fetchFunction, userId) => {
  *   userId
  * );
  */
-export const useChartData = (fetchFunction, transformer, userId) => {
-  return useApiData(fetchFunction, transformer, userId);
+export const useChartData = (fetchFunction, transformer, userId, params = {}, options) => {
+  return useApiData(fetchFunction, transformer, userId, params, options);
 };
 
 /**
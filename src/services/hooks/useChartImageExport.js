@@ -0,0 +1,88 @@
+/**
+ * Hook React d'export d'un graphique en image (SVG, PNG)
+ *
+ * Lie l'export à la carte du graphique référencée par `targetRef` et
+ * construit le nom du fichier à partir de l'utilisateur et du graphique.
+ *
+ * @module useChartImageExport
+ * @requires react
+ * @requires ../export/ChartImageExporter.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Card({ userId }) {
+ *   const cardRef = useRef(null);
+ *   const { exportImage } = useChartImageExport(cardRef, {
+ *     userId,
+ *     chart: 'performance',
+ *   });
+ *   return (
+ *     <div ref={cardRef}>
+ *       <button onClick={() => exportImage('png', 2)}>PNG</button>
+ *     </div>
+ *   );
+ * }
+ */
+import { useState, useCallback, useRef, useEffect } from "react";
+import { ChartImageExporter } from "../export/ChartImageExporter.js";
+import { DataExporter } from "../export/DataExporter.js";
+
+/**
+ * État retourné par useChartImageExport
+ * @typedef {Object} ChartImageExportState
+ * @property {boolean} exporting - true pendant la génération de l'image
+ * @property {Error|null} error - Erreur du dernier export
+ * @property {Function} exportImage - Exporte au format ("svg" ou "png") et à l'échelle donnés
+ */
+
+/**
+ * Hook d'export d'une carte de graphique en image
+ *
+ * @function useChartImageExport
+ * @param {{current: HTMLElement|null}} targetRef - Référence vers la carte du graphique
+ * @param {Object} options - Options d'export
+ * @param {number} options.userId - ID de l'utilisateur (nom du fichier)
+ * @param {string} options.chart - Graphique exporté (nom du fichier, ex: "activity")
+ * @returns {ChartImageExportState} État et fonction d'export
+ */
+export const useChartImageExport = (targetRef, { userId, chart }) => {
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const exportImage = useCallback(
+    async (format, scale = ChartImageExporter.DEFAULT_SCALE) => {
+      setExporting(true);
+      setError(null);
+      try {
+        await ChartImageExporter.exportImage(targetRef.current, {
+          format,
+          scale,
+          filename: DataExporter.buildFilename(userId, [chart], format),
+        });
+      } catch (exportError) {
+        console.error("useChartImageExport:", exportError);
+        if (mountedRef.current) {
+          setError(exportError);
+        }
+      } finally {
+        if (mountedRef.current) {
+          setExporting(false);
+        }
+      }
+    },
+    [targetRef, userId, chart]
+  );
+
+  return { exporting, error, exportImage };
+};
+
+export default useChartImageExport;
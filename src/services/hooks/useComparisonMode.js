@@ -0,0 +1,81 @@
+/**
+ * Hook React du mode comparaison du dashboard
+ *
+ * Le mode est stocké dans l'URL (`?compare=previous`) : la comparaison avec
+ * la période précédente survit au rechargement de la page et peut être
+ * partagée par lien, comme le filtre par sport.
+ *
+ * @module useComparisonMode
+ * @requires react-router-dom
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Dashboard() {
+ *   const { compare } = useComparisonMode();
+ *   return <SessionsChart userId={18} compare={compare} />;
+ * }
+ */
+import { useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * Nom du paramètre d'URL portant le mode comparaison
+ * @type {string}
+ * @readonly
+ */
+export const COMPARE_URL_PARAM = "compare";
+
+/**
+ * Valeur du paramètre d'URL activant la comparaison
+ * @type {string}
+ * @readonly
+ */
+export const COMPARE_URL_VALUE = "previous";
+
+/**
+ * État retourné par useComparisonMode
+ * @typedef {Object} ComparisonModeState
+ * @property {boolean} compare - true si les graphiques comparent à la période précédente
+ * @property {Function} setCompare - Active ou désactive la comparaison, en conservant
+ * les autres paramètres de l'URL
+ */
+
+/**
+ * Hook exposant le mode comparaison stocké dans l'URL
+ *
+ * Une valeur inconnue dans l'URL est ignorée (comparaison désactivée).
+ *
+ * @function useComparisonMode
+ * @returns {ComparisonModeState} Mode actif et modificateur
+ *
+ * @example
+ * const { compare, setCompare } = useComparisonMode();
+ * <button onClick={() => setCompare(!compare)}>Comparer</button>
+ */
+export const useComparisonMode = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const compare = searchParams.get(COMPARE_URL_PARAM) === COMPARE_URL_VALUE;
+
+  const setCompare = useCallback(
+    (enabled) => {
+      setSearchParams(
+        (current) => {
+          const next = new URLSearchParams(current);
+          if (enabled) {
+            next.set(COMPARE_URL_PARAM, COMPARE_URL_VALUE);
+          } else {
+            next.delete(COMPARE_URL_PARAM);
+          }
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  return { compare, setCompare };
+};
+
+export default useComparisonMode;
@@ -0,0 +1,98 @@
+/**
+ * Hook React d'export des données normalisées (CSV, JSON)
+ *
+ * Expose une fonction d'export liée à un utilisateur et aux filtres du
+ * graphique (sport, période), ainsi que l'état de l'export en cours.
+ *
+ * @module useDataExport
+ * @requires react
+ * @requires ../export/DataExporter.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function ExportButton({ userId }) {
+ *   const { exportData, exporting } = useDataExport(userId);
+ *   return (
+ *     <button disabled={exporting} onClick={() => exportData('csv')}>
+ *       CSV
+ *     </button>
+ *   );
+ * }
+ */
+import { useState, useCallback, useRef, useEffect } from "react";
+import { DataExporter } from "../export/DataExporter.js";
+
+/**
+ * État retourné par useDataExport
+ * @typedef {Object} DataExportState
+ * @property {boolean} exporting - true pendant la collecte des données
+ * @property {DataServiceError|Error|null} error - Erreur du dernier export
+ * @property {Function} exportData - Exporte dans le format donné ("csv" ou "json")
+ */
+
+/**
+ * Hook d'export des données d'un utilisateur
+ *
+ * @function useDataExport
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options d'export
+ * @param {string[]} [options.datasets] - Jeux de données (tous si absent)
+ * @param {string|null} [options.activityType=null] - Sport filtré
+ * @param {DateRange|null} [options.range=null] - Période de l'activité
+ * @returns {DataExportState} État et fonction d'export
+ *
+ * @example
+ * const { exportData } = useDataExport(18, {
+ *   datasets: ['activity'],
+ *   activityType: 'swimming',
+ * });
+ * exportData('json');
+ */
+export const useDataExport = (
+  userId,
+  { datasets = DataExporter.DATASETS, activityType = null, range = null } = {}
+) => {
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Clé stable : les tableaux littéraux changent de référence à chaque rendu
+  const datasetsKey = datasets.join(",");
+
+  const exportData = useCallback(
+    async (format) => {
+      setExporting(true);
+      setError(null);
+      try {
+        await DataExporter.exportData(userId, {
+          format,
+          datasets: datasetsKey.split(","),
+          activityType,
+          range,
+        });
+      } catch (exportError) {
+        console.error("useDataExport:", exportError);
+        if (mountedRef.current) {
+          setError(exportError);
+        }
+      } finally {
+        if (mountedRef.current) {
+          setExporting(false);
+        }
+      }
+    },
+    [userId, datasetsKey, activityType, range]
+  );
+
+  return { exporting, error, exportData };
+};
+
+export default useDataExport;
@@ -0,0 +1,57 @@
+/**
+ * Hook React d'accès à la source de données active (mock ou API)
+ *
+ * S'abonne aux changements effectués via DataService.setDataSource afin que
+ * les composants et les hooks de données se mettent à jour sans rechargement.
+ *
+ * @module useDataSource
+ * @requires react
+ * @requires ../api/DataService.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function ModeLabel() {
+ *   const { dataSource, isMock } = useDataSource();
+ *   return <p>Mode: {isMock ? 'MOCK' : 'API'}</p>;
+ * }
+ */
+import { useSyncExternalStore, useCallback } from "react";
+import { DataService } from "../api/DataService.js";
+
+/**
+ * État retourné par useDataSource
+ * @typedef {Object} DataSourceState
+ * @property {string} dataSource - Source active ("mock" ou "api")
+ * @property {boolean} isMock - true si les données mockées sont utilisées
+ * @property {Function} setDataSource - Change (et persiste) la source active
+ */
+
+/**
+ * Hook exposant la source de données active et son setter
+ *
+ * @function useDataSource
+ * @returns {DataSourceState} Source active et fonction de changement
+ *
+ * @example
+ * const { dataSource, setDataSource } = useDataSource();
+ * setDataSource(dataSource === 'mock' ? 'api' : 'mock');
+ */
+export const useDataSource = () => {
+  const dataSource = useSyncExternalStore(
+    DataService.subscribeDataSource,
+    DataService.getDataSource
+  );
+
+  const setDataSource = useCallback((source) => {
+    DataService.setDataSource(source);
+  }, []);
+
+  return {
+    dataSource,
+    isMock: dataSource === DataService.DATA_SOURCES.MOCK,
+    setDataSource,
+  };
+};
+
+export default useDataSource;
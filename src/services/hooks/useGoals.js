@@ -0,0 +1,111 @@
+/**
+ * Hooks React des objectifs personnels
+ *
+ * useGoals s'abonne aux objectifs d'un utilisateur (Goals.setGoals) ;
+ * useGoalProgress y ajoute la progression calculée depuis l'activité, les
+ * sessions moyennes et les données clés de l'utilisateur.
+ *
+ * @module useGoals
+ * @requires react
+ * @requires ../goals/Goals.js
+ * @requires ./hooks.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Subtitle({ userId }) {
+ *   const { summary } = useGoalProgress(userId);
+ *   return <p>{summary.achieved} / {summary.total}</p>;
+ * }
+ */
+import { useCallback, useMemo, useSyncExternalStore } from "react";
+import { Goals } from "../goals/Goals.js";
+import { useUser, useUserActivity, useUserSessions } from "./hooks.js";
+
+/**
+ * État retourné par useGoals
+ * @typedef {Object} GoalsState
+ * @property {UserGoals} goals - Objectifs de l'utilisateur
+ * @property {Function} setGoals - Modifie (et persiste) tout ou partie des objectifs
+ * @property {Function} resetGoals - Rétablit les objectifs par défaut
+ */
+
+/**
+ * Hook exposant les objectifs d'un utilisateur
+ *
+ * @function useGoals
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {GoalsState} Objectifs et fonctions de modification
+ *
+ * @example
+ * const { goals, setGoals } = useGoals(18);
+ * setGoals({ dailyCalories: goals.dailyCalories + 50 });
+ */
+export const useGoals = (userId) => {
+  const getSnapshot = useCallback(() => Goals.getGoals(userId), [userId]);
+  const goals = useSyncExternalStore(Goals.subscribe, getSnapshot);
+
+  return useMemo(
+    () => ({
+      goals,
+      setGoals: (changes) => Goals.setGoals(userId, changes),
+      resetGoals: () => Goals.resetGoals(userId),
+    }),
+    [goals, userId]
+  );
+};
+
+/**
+ * État retourné par useGoalProgress
+ * @typedef {Object} GoalProgressState
+ * @property {UserGoals} goals - Objectifs de l'utilisateur
+ * @property {Function} setGoals - Modifie (et persiste) tout ou partie des objectifs
+ * @property {Function} resetGoals - Rétablit les objectifs par défaut
+ * @property {GoalProgress[]} progress - Progression des objectifs mesurables
+ * @property {GoalSummary} summary - Résumé (message d'accueil)
+ * @property {boolean} loading - true tant qu'une des données est en cours de chargement
+ * @property {DataServiceError|null} error - Première erreur rencontrée
+ */
+
+/**
+ * Hook calculant la progression des objectifs d'un utilisateur
+ *
+ * Les requêtes sont partagées avec les graphiques via le cache de DataService.
+ *
+ * @function useGoalProgress
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {GoalProgressState} Objectifs, progression et résumé
+ *
+ * @example
+ * const { progress } = useGoalProgress(12);
+ * // [{ id: "dailyCalories", target: 500, value: 390, ratio: 0.78, achieved: false, ... }]
+ */
+export const useGoalProgress = (userId) => {
+  const { goals, setGoals, resetGoals } = useGoals(userId);
+  const user = useUser(userId);
+  const activity = useUserActivity(userId);
+  const sessions = useUserSessions(userId);
+
+  const progress = useMemo(
+    () =>
+      Goals.computeProgress(goals, {
+        activity: activity.data,
+        sessions: sessions.data,
+        user: user.data,
+      }),
+    [goals, activity.data, sessions.data, user.data]
+  );
+  const summary = useMemo(() => Goals.summarize(progress), [progress]);
+
+  return {
+    goals,
+    setGoals,
+    resetGoals,
+    progress,
+    summary,
+    loading: user.loading || activity.loading || sessions.loading,
+    error: user.error || activity.error || sessions.error || null,
+  };
+};
+
+export default useGoals;
@@ -0,0 +1,77 @@
+/**
+ * Hook React des mises à jour temps réel d'un utilisateur
+ *
+ * Tant que le temps réel est activé (DataService.setLiveUpdates), ouvre le
+ * canal de l'utilisateur sur la source active : les événements reçus modifient
+ * les données en cache et les graphiques abonnés se mettent à jour en place.
+ * Le canal suit les changements de source et se reconnecte automatiquement.
+ *
+ * @module useLiveUpdates
+ * @requires react
+ * @requires ../api/DataService.js
+ * @requires ./useDataSource.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function LiveBadge({ userId }) {
+ *   const { enabled, status } = useLiveUpdates(userId);
+ *   return enabled ? <span>{status}</span> : null;
+ * }
+ */
+import { useCallback, useEffect, useState, useSyncExternalStore } from "react";
+import { DataService } from "../api/DataService.js";
+import { LIVE_STATUSES } from "../api/LiveChannel.js";
+import { useDataSource } from "./useDataSource.js";
+
+/**
+ * État retourné par useLiveUpdates
+ * @typedef {Object} LiveUpdatesState
+ * @property {boolean} enabled - Temps réel activé par l'utilisateur
+ * @property {boolean} available - La source active fournit un canal temps réel
+ * @property {string} status - État du canal (LIVE_STATUSES), "closed" si inactif
+ * @property {Function} setEnabled - Active ou désactive (et persiste) le temps réel
+ */
+
+/**
+ * Hook ouvrant le canal temps réel d'un utilisateur
+ *
+ * @function useLiveUpdates
+ * @param {number|null} userId - ID de l'utilisateur (aucun canal si null)
+ * @returns {LiveUpdatesState} Activation et état du canal
+ *
+ * @example
+ * const { enabled, setEnabled } = useLiveUpdates(18);
+ * setEnabled(!enabled);
+ */
+export const useLiveUpdates = (userId) => {
+  const enabled = useSyncExternalStore(
+    DataService.subscribeLiveUpdates,
+    DataService.isLiveUpdatesEnabled
+  );
+  const { dataSource } = useDataSource();
+  const available = DataService.supportsLiveUpdates(dataSource);
+  const active =
+    enabled && available && userId !== null && userId !== undefined;
+  const [status, setStatus] = useState(LIVE_STATUSES.CLOSED);
+
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+    return DataService.subscribeLive(userId, setStatus);
+  }, [active, userId, dataSource]);
+
+  const setEnabled = useCallback((value) => {
+    DataService.setLiveUpdates(value);
+  }, []);
+
+  return {
+    enabled,
+    available,
+    status: active ? status : LIVE_STATUSES.CLOSED,
+    setEnabled,
+  };
+};
+
+export default useLiveUpdates;
@@ -0,0 +1,141 @@
+/**
+ * Hooks React d'actualisation automatique des données
+ *
+ * usePolling appelle une fonction à intervalle régulier tant que l'onglet est
+ * visible : le minuteur est suspendu quand l'onglet est masqué et reprend au
+ * retour sur l'onglet (ou au focus de la fenêtre), avec un appel immédiat si
+ * l'échéance est dépassée. useRefreshInterval expose l'intervalle choisi par
+ * l'utilisateur (DataService.setRefreshInterval).
+ *
+ * @module usePolling
+ * @requires react
+ * @requires ../api/DataService.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Header({ userId }) {
+ *   const { refetch } = useUser(userId);
+ *   const { refreshInterval } = useRefreshInterval();
+ *   usePolling(refetch, refreshInterval);
+ *   return <button onClick={refetch}>Actualiser</button>;
+ * }
+ */
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+import { DataService } from "../api/DataService.js";
+
+/**
+ * Indique si l'onglet est actuellement visible
+ *
+ * @private
+ * @returns {boolean} true si la page est affichée (ou hors navigateur)
+ */
+const isPageVisible = () =>
+  typeof document === "undefined" || document.visibilityState !== "hidden";
+
+/**
+ * Appelle une fonction à intervalle régulier, uniquement onglet visible
+ *
+ * @function usePolling
+ * @param {Function} callback - Fonction appelée à chaque échéance (la dernière
+ * version reçue est toujours utilisée)
+ * @param {number} interval - Intervalle en ms ; 0 ou moins désactive le polling
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.enabled=true] - false pour suspendre le polling
+ *
+ * @example
+ * usePolling(refetch, 60000);                      // Toutes les minutes
+ * usePolling(refetch, 30000, { enabled: !error }); // Suspendu en cas d'erreur
+ */
+export const usePolling = (callback, interval, { enabled = true } = {}) => {
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!enabled || !(interval > 0)) {
+      return undefined;
+    }
+
+    let timerId = null;
+    let lastRun = Date.now();
+
+    const tick = () => {
+      lastRun = Date.now();
+      callbackRef.current();
+    };
+
+    const stop = () => {
+      clearInterval(timerId);
+      timerId = null;
+    };
+
+    const start = () => {
+      if (timerId !== null || !isPageVisible()) {
+        return;
+      }
+      // Échéance dépassée pendant que l'onglet était masqué
+      if (Date.now() - lastRun >= interval) {
+        tick();
+      }
+      timerId = setInterval(tick, interval);
+    };
+
+    const handleVisibilityChange = () => {
+      if (isPageVisible()) {
+        start();
+      } else {
+        stop();
+      }
+    };
+
+    start();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("focus", start);
+
+    return () => {
+      stop();
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("focus", start);
+    };
+  }, [interval, enabled]);
+};
+
+/**
+ * État retourné par useRefreshInterval
+ * @typedef {Object} RefreshIntervalState
+ * @property {number} refreshInterval - Intervalle actif (ms), 0 si désactivée
+ * @property {number[]} intervals - Intervalles proposés (DataService.REFRESH_INTERVALS)
+ * @property {Function} setRefreshInterval - Change (et persiste) l'intervalle
+ */
+
+/**
+ * Hook exposant l'intervalle d'actualisation automatique et son setter
+ *
+ * @function useRefreshInterval
+ * @returns {RefreshIntervalState} Intervalle actif et fonction de changement
+ *
+ * @example
+ * const { refreshInterval, setRefreshInterval } = useRefreshInterval();
+ * setRefreshInterval(refreshInterval ? 0 : 60000);
+ */
+export const useRefreshInterval = () => {
+  const refreshInterval = useSyncExternalStore(
+    DataService.subscribeRefreshInterval,
+    DataService.getRefreshInterval
+  );
+
+  const setRefreshInterval = useCallback((interval) => {
+    DataService.setRefreshInterval(interval);
+  }, []);
+
+  return {
+    refreshInterval,
+    intervals: DataService.REFRESH_INTERVALS,
+    setRefreshInterval,
+  };
+};
+
+export default usePolling;
@@ -0,0 +1,64 @@
+/**
+ * Hook React d'accès au mode de validation des réponses brutes
+ *
+ * S'abonne aux changements effectués via DataService.setSchemaMode ainsi
+ * qu'aux rapports de validation, afin d'afficher les réponses non conformes
+ * reçues de la source de données.
+ *
+ * @module useSchemaMode
+ * @requires react
+ * @requires ../api/DataService.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function SchemaBadge() {
+ *   const { isStrict, reports } = useSchemaMode();
+ *   return <p>{isStrict ? 'Strict' : 'Souple'} - {reports.length} anomalie(s)</p>;
+ * }
+ */
+import { useSyncExternalStore, useCallback } from "react";
+import { DataService } from "../api/DataService.js";
+
+/**
+ * État retourné par useSchemaMode
+ * @typedef {Object} SchemaModeState
+ * @property {string} schemaMode - Mode actif ("strict" ou "lenient")
+ * @property {boolean} isStrict - true si les réponses non conformes sont rejetées
+ * @property {ValidationReport[]} reports - Derniers rapports de validation non conformes
+ * @property {Function} setSchemaMode - Change (et persiste) le mode de validation
+ */
+
+/**
+ * Hook exposant le mode de validation, ses rapports et son setter
+ *
+ * @function useSchemaMode
+ * @returns {SchemaModeState} Mode actif, rapports et fonction de changement
+ *
+ * @example
+ * const { isStrict, setSchemaMode } = useSchemaMode();
+ * setSchemaMode(isStrict ? 'lenient' : 'strict');
+ */
+export const useSchemaMode = () => {
+  const schemaMode = useSyncExternalStore(
+    DataService.subscribeSchema,
+    DataService.getSchemaMode
+  );
+  const reports = useSyncExternalStore(
+    DataService.subscribeSchema,
+    DataService.getValidationReports
+  );
+
+  const setSchemaMode = useCallback((mode) => {
+    DataService.setSchemaMode(mode);
+  }, []);
+
+  return {
+    schemaMode,
+    isStrict: schemaMode === DataService.SCHEMA_MODES.STRICT,
+    reports,
+    setSchemaMode,
+  };
+};
+
+export default useSchemaMode;
@@ -0,0 +1,63 @@
+/**
+ * Hook React de traduction de l'interface SportSee
+ *
+ * S'abonne aux changements de langue effectués via I18n.setLocale afin que
+ * tous les composants se retraduisent sans rechargement.
+ *
+ * @module useTranslation
+ * @requires react
+ * @requires ../i18n/I18n.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function Title() {
+ *   const { t } = useTranslation();
+ *   return <h3>{t('charts.activity.title')}</h3>;
+ * }
+ */
+import { useSyncExternalStore, useMemo } from "react";
+import { I18n } from "../i18n/I18n.js";
+
+/**
+ * État retourné par useTranslation
+ * @typedef {Object} TranslationState
+ * @property {string} locale - Langue active ("fr" ou "en")
+ * @property {string} intlLocale - Locale Intl correspondante ("fr-FR", "en-US")
+ * @property {Function} setLocale - Change (et persiste) la langue active
+ * @property {Function} t - Traduit une clé : t(key, params?)
+ * @property {Function} formatNumber - Formate un nombre : formatNumber(value, options?)
+ * @property {Function} formatUnit - Formate une valeur et son unité : formatUnit(unit, value)
+ * @property {Function} formatIssue - Traduit une anomalie de schéma : formatIssue(issue)
+ */
+
+/**
+ * Hook exposant la langue active et les fonctions de traduction liées
+ *
+ * @function useTranslation
+ * @returns {TranslationState} Langue active et traducteurs
+ *
+ * @example
+ * const { t, formatUnit } = useTranslation();
+ * t('common.years', { count: 34 }); // "34 ans"
+ * formatUnit('kcal', 1930);          // "1 930kCal"
+ */
+export const useTranslation = () => {
+  const locale = useSyncExternalStore(I18n.subscribe, I18n.getLocale);
+
+  return useMemo(
+    () => ({
+      locale,
+      intlLocale: I18n.getIntlLocale(locale),
+      setLocale: (next) => I18n.setLocale(next),
+      t: (key, params) => I18n.translate(key, params, locale),
+      formatNumber: (value, options) =>
+        I18n.formatNumber(value, options, locale),
+      formatUnit: (unit, value) => I18n.formatUnit(unit, value, locale),
+      formatIssue: (issue) => I18n.translateIssue(issue, locale),
+    }),
+    [locale]
+  );
+};
+
+export default useTranslation;
@@ -0,0 +1,85 @@
+/**
+ * Hook React d'accès aux préférences d'unités (poids et énergie)
+ *
+ * S'abonne aux changements effectués via Units.setPreferences et fournit des
+ * fonctions de conversion et de formatage liées aux préférences et à la
+ * langue actives. Les valeurs en entrée sont toujours en kg et kCal, les
+ * unités des données normalisées.
+ *
+ * @module useUnits
+ * @requires react
+ * @requires ../units/Units.js
+ * @requires ./useTranslation.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function WeightLabel({ kilogram }) {
+ *   const { formatWeight } = useUnits();
+ *   return <span>{formatWeight(kilogram)}</span>; // "154,3lbs"
+ * }
+ */
+import { useSyncExternalStore, useMemo } from "react";
+import { Units } from "../units/Units.js";
+import { useTranslation } from "./useTranslation.js";
+
+/**
+ * État retourné par useUnits
+ * @typedef {Object} UnitsState
+ * @property {UnitPreferences} preferences - Préférences actives
+ * @property {string} weightUnit - Unité de poids ("kg" ou "lb")
+ * @property {string} energyUnit - Unité d'énergie ("kcal" ou "kj")
+ * @property {string} weightSymbol - Symbole affiché du poids ("kg", "lbs")
+ * @property {string} energySymbol - Symbole affiché de l'énergie ("kCal", "kJ")
+ * @property {Function} setPreferences - Modifie (et persiste) les préférences
+ * @property {Function} convertWeight - Convertit un poids en kg
+ * @property {Function} convertEnergy - Convertit une énergie en kCal
+ * @property {Function} formatWeight - Convertit et formate un poids en kg
+ * @property {Function} formatEnergy - Convertit et formate une énergie en kCal
+ */
+
+/**
+ * Hook exposant les préférences d'unités et les conversions liées
+ *
+ * @function useUnits
+ * @returns {UnitsState} Préférences, conversions et formats
+ *
+ * @example
+ * const { formatEnergy, setPreferences } = useUnits();
+ * formatEnergy(1930);                 // "1 930kCal"
+ * setPreferences({ energy: 'kj' });
+ * formatEnergy(1930);                 // "8 075kJ"
+ */
+export const useUnits = () => {
+  const preferences = useSyncExternalStore(
+    Units.subscribe,
+    Units.getPreferences
+  );
+  const { t, formatUnit } = useTranslation();
+
+  return useMemo(() => {
+    const weightUnit = Units.getWeightUnit(preferences);
+    const energyUnit = Units.getEnergyUnit(preferences);
+    const convertWeight = (kilograms) =>
+      Units.convertWeight(kilograms, preferences);
+    const convertEnergy = (kilocalories) =>
+      Units.convertEnergy(kilocalories, preferences);
+
+    return {
+      preferences,
+      weightUnit,
+      energyUnit,
+      weightSymbol: t(`units.symbols.${weightUnit}`),
+      energySymbol: t(`units.symbols.${energyUnit}`),
+      setPreferences: (changes) => Units.setPreferences(changes),
+      convertWeight,
+      convertEnergy,
+      formatWeight: (kilograms) =>
+        formatUnit(weightUnit, convertWeight(kilograms)),
+      formatEnergy: (kilocalories) =>
+        formatUnit(energyUnit, convertEnergy(kilocalories)),
+    };
+  }, [preferences, t, formatUnit]);
+};
+
+export default useUnits;
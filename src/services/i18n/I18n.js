@@ -0,0 +1,317 @@
+/**
+ * Service d'internationalisation de SportSee
+ *
+ * Conserve la langue active (persistée dans le localStorage), résout les
+ * clés des catalogues de traductions et formate nombres et dates selon la
+ * langue. Les données normalisées ne contiennent que des clés neutres
+ * (ex: "monday", "cardio", "swimming") : les libellés sont résolus au rendu.
+ *
+ * @class I18n
+ * @author SportSee Team
+ * @since 1.1.0
+ * @example
+ * I18n.setLocale('en');
+ * I18n.translate('days.long.monday');                // "Monday"
+ * I18n.translate('common.years', { count: 34 });     // "34 years old"
+ * I18n.formatUnit('kcal', 1930);                     // "1,930kCal"
+ */
+
+import fr from "./locales/fr.js";
+import en from "./locales/en.js";
+
+export class I18n {
+  /**
+   * Langues disponibles
+   * @type {{FR: string, EN: string}}
+   * @static
+   * @readonly
+   */
+  static LOCALES = { FR: "fr", EN: "en" };
+
+  /**
+   * Langue de référence, utilisée pour les clés absentes d'un catalogue
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static DEFAULT_LOCALE = "fr";
+
+  /**
+   * Clé localStorage utilisée pour persister la langue choisie
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static STORAGE_KEY = "sportsee:locale";
+
+  /**
+   * Catalogues de traductions, indexés par langue
+   * @type {Object<string, Object>}
+   * @static
+   * @readonly
+   */
+  static CATALOGS = { fr, en };
+
+  /**
+   * Locales Intl utilisées pour formater nombres et dates
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static INTL_LOCALES = { fr: "fr-FR", en: "en-US" };
+
+  /**
+   * Abonnés notifiés à chaque changement de langue
+   * @type {Set<Function>}
+   * @static
+   * @private
+   */
+  static _listeners = new Set();
+
+  /**
+   * Langue active, résolue au chargement du module
+   * @type {string}
+   * @static
+   * @private
+   * @see I18n.resolveLocale
+   */
+  static _locale = I18n.resolveLocale();
+
+  /**
+   * Vérifie qu'une valeur correspond à une langue disponible
+   *
+   * @static
+   * @param {*} locale - Valeur à vérifier
+   * @returns {boolean} true si un catalogue existe pour cette langue
+   */
+  static isValidLocale(locale) {
+    return Object.prototype.hasOwnProperty.call(I18n.CATALOGS, locale);
+  }
+
+  /**
+   * Détermine la langue à utiliser au démarrage
+   *
+   * Ordre de priorité :
+   * 1. Choix persisté via le sélecteur de langue (localStorage)
+   * 2. Langue du navigateur (`navigator.language`, ex: "en-GB" → "en")
+   * 3. Français par défaut
+   *
+   * @static
+   * @returns {string} Langue résolue ("fr" ou "en")
+   */
+  static resolveLocale() {
+    if (typeof window !== "undefined") {
+      try {
+        const stored = window.localStorage.getItem(I18n.STORAGE_KEY);
+        if (I18n.isValidLocale(stored)) {
+          return stored;
+        }
+      } catch {
+        // localStorage indisponible
+      }
+
+      const fromBrowser = window.navigator?.language?.slice(0, 2).toLowerCase();
+      if (I18n.isValidLocale(fromBrowser)) {
+        return fromBrowser;
+      }
+    }
+
+    return I18n.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Retourne la langue active
+   *
+   * @static
+   * @returns {string} "fr" ou "en"
+   */
+  static getLocale() {
+    return I18n._locale;
+  }
+
+  /**
+   * Change la langue active et notifie les abonnés
+   *
+   * Met aussi à jour l'attribut `lang` du document.
+   *
+   * @static
+   * @param {string} locale - Nouvelle langue ("fr" ou "en")
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   * @throws {Error} Si la langue n'est pas disponible
+   *
+   * @example
+   * I18n.setLocale("en");
+   */
+  static setLocale(locale, { persist = true } = {}) {
+    if (!I18n.isValidLocale(locale)) {
+      throw new Error(`Langue non disponible: ${locale}`);
+    }
+
+    if (persist && typeof window !== "undefined") {
+      try {
+        window.localStorage.setItem(I18n.STORAGE_KEY, locale);
+      } catch {
+        // Le choix reste valable pour la session en cours
+      }
+    }
+
+    if (locale === I18n._locale) {
+      return;
+    }
+
+    I18n._locale = locale;
+    I18n.applyDocumentLocale();
+    I18n._listeners.forEach((listener) => listener(locale));
+  }
+
+  /**
+   * Reporte la langue active sur l'attribut `lang` du document
+   *
+   * @static
+   */
+  static applyDocumentLocale() {
+    if (typeof document !== "undefined") {
+      document.documentElement.lang = I18n._locale;
+    }
+  }
+
+  /**
+   * Abonne une fonction aux changements de langue
+   *
+   * @static
+   * @param {Function} listener - Appelée avec la nouvelle langue
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribe(listener) {
+    I18n._listeners.add(listener);
+    return () => {
+      I18n._listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Retourne la locale Intl d'une langue
+   *
+   * @static
+   * @param {string} [locale=I18n.getLocale()] - Langue
+   * @returns {string} Locale Intl (ex: "fr-FR")
+   */
+  static getIntlLocale(locale = I18n.getLocale()) {
+    return I18n.INTL_LOCALES[locale] ?? I18n.INTL_LOCALES[I18n.DEFAULT_LOCALE];
+  }
+
+  /**
+   * Recherche une clé pointée ("charts.activity.title") dans un catalogue
+   *
+   * @static
+   * @private
+   * @param {string} locale - Langue du catalogue
+   * @param {string} key - Clé pointée
+   * @returns {string|undefined} Traduction, ou undefined si absente
+   */
+  static _lookup(locale, key) {
+    const value = key
+      .split(".")
+      .reduce((node, part) => node?.[part], I18n.CATALOGS[locale]);
+    return typeof value === "string" ? value : undefined;
+  }
+
+  /**
+   * Traduit une clé dans la langue active
+   *
+   * Avec un paramètre numérique `count`, la variante plurielle
+   * (`cle_one`, `cle_other`) est choisie selon les règles de la langue.
+   * Une clé absente est recherchée dans le catalogue français, puis
+   * retournée telle quelle.
+   *
+   * @static
+   * @param {string} key - Clé pointée (ex: "charts.activity.title")
+   * @param {Object} [params={}] - Valeurs des paramètres `{nom}`
+   * @param {string} [locale=I18n.getLocale()] - Langue
+   * @returns {string} Texte traduit
+   *
+   * @example
+   * I18n.translate('notFound.unknownUser', { id: 42 });
+   * // "Aucun utilisateur ne correspond à l'identifiant 42."
+   */
+  static translate(key, params = {}, locale = I18n.getLocale()) {
+    const keys =
+      typeof params.count === "number"
+        ? [
+            `${key}_${new Intl.PluralRules(I18n.getIntlLocale(locale)).select(params.count)}`,
+            `${key}_other`,
+            key,
+          ]
+        : [key];
+
+    let template;
+    for (const candidate of keys) {
+      template =
+        I18n._lookup(locale, candidate) ??
+        I18n._lookup(I18n.DEFAULT_LOCALE, candidate);
+      if (template !== undefined) break;
+    }
+
+    if (template === undefined) {
+      return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name])
+    );
+  }
+
+  /**
+   * Formate un nombre selon la langue
+   *
+   * @static
+   * @param {number} value - Nombre à formater
+   * @param {Intl.NumberFormatOptions} [options] - Options Intl
+   * @param {string} [locale=I18n.getLocale()] - Langue
+   * @returns {string} Nombre formaté (ex: "1 930" en français, "1,930" en anglais)
+   */
+  static formatNumber(value, options, locale = I18n.getLocale()) {
+    return new Intl.NumberFormat(I18n.getIntlLocale(locale), options).format(
+      value
+    );
+  }
+
+  /**
+   * Formate une valeur suivie de son unité (clé du catalogue `units`)
+   *
+   * @static
+   * @param {string} unit - Unité ("kcal", "gram", "kg", "minutes", "percent")
+   * @param {number} value - Valeur
+   * @param {string} [locale=I18n.getLocale()] - Langue
+   * @returns {string} Valeur formatée (ex: "1 930kCal", "155g")
+   */
+  static formatUnit(unit, value, locale = I18n.getLocale()) {
+    return I18n.translate(
+      `units.${unit}`,
+      { value: I18n.formatNumber(value, undefined, locale) },
+      locale
+    );
+  }
+
+  /**
+   * Traduit une anomalie de validation de schéma
+   *
+   * @static
+   * @param {SchemaIssue} issue - Anomalie produite par validateSchema
+   * @param {string} [locale=I18n.getLocale()] - Langue
+   * @returns {string} Description de l'anomalie
+   */
+  static translateIssue(issue, locale = I18n.getLocale()) {
+    return I18n.translate(
+      `schema.${issue.rule}`,
+      {
+        ...issue,
+        path: issue.path || I18n.translate("schema.root", {}, locale),
+      },
+      locale
+    );
+  }
+}
+
+export default I18n;
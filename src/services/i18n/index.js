@@ -0,0 +1,16 @@
+/**
+ * Module d'internationalisation SportSee
+ *
+ * Regroupe le service de traduction et les catalogues de langues.
+ *
+ * @module services/i18n
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+// Export du service de traduction
+export { I18n } from "./I18n.js";
+
+// Export des catalogues
+export { default as fr } from "./locales/fr.js";
+export { default as en } from "./locales/en.js";
@@ -0,0 +1,453 @@
+/**
+ * Catalogue de traductions anglaises de SportSee
+ *
+ * Même structure que le catalogue français (locales/fr.js), vers lequel
+ * se replient les clés absentes.
+ *
+ * @module locales/en
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+/**
+ * Traductions anglaises
+ * @type {Object}
+ * @readonly
+ */
+const en = {
+  common: {
+    loading: "Loading...",
+    noData: "No data",
+    noDataAvailable: "No data available",
+    loadError: "Loading error",
+    error: "Error: {message}",
+    empty: "---",
+    retry: "Retry",
+    useDemoData: "Use demo data",
+    years_one: "{count} year old",
+    years_other: "{count} years old",
+    user: "User",
+    userWithId: "User {id}",
+  },
+
+  locale: {
+    label: "Language",
+    names: {
+      fr: "Français",
+      en: "English",
+    },
+  },
+
+  units: {
+    kcal: "{value}kCal",
+    kj: "{value}kJ",
+    gram: "{value}g",
+    kg: "{value}kg",
+    lb: "{value}lbs",
+    minutes: "{value} min",
+    percent: "{value}%",
+    symbols: {
+      kg: "kg",
+      lb: "lbs",
+      kcal: "kCal",
+      kj: "kJ",
+      gram: "g",
+      minutes: "min",
+    },
+  },
+
+  days: {
+    short: {
+      monday: "M",
+      tuesday: "T",
+      wednesday: "W",
+      thursday: "T",
+      friday: "F",
+      saturday: "S",
+      sunday: "S",
+    },
+    long: {
+      monday: "Monday",
+      tuesday: "Tuesday",
+      wednesday: "Wednesday",
+      thursday: "Thursday",
+      friday: "Friday",
+      saturday: "Saturday",
+      sunday: "Sunday",
+    },
+  },
+
+  activities: {
+    meditation: "Meditation",
+    swimming: "Swimming",
+    strength: "Strength training",
+    cycling: "Cycling",
+  },
+
+  performance: {
+    name: "Performance",
+    cardio: "Cardio",
+    energy: "Energy",
+    endurance: "Endurance",
+    strength: "Strength",
+    speed: "Speed",
+    intensity: "Intensity",
+    unknown: "Unknown",
+  },
+
+  keyData: {
+    calorieCount: "Calories",
+    proteinCount: "Proteins",
+    carbohydrateCount: "Carbs",
+    lipidCount: "Fats",
+  },
+
+  header: {
+    logoAlt: "SportSee logo",
+    home: "Home",
+    profile: "Profile",
+    settings: "Settings",
+    community: "Community",
+  },
+
+  sidebar: {
+    filterOnly: "Show only: {label}",
+    filterRemove: "{label}: remove filter",
+    copyright: "Copyright, SportSee 2020",
+  },
+
+  userSwitcher: {
+    label: "Profile",
+    placeholder: "Choose a profile",
+  },
+
+  dataSource: {
+    mode: "Mode:",
+    toApi: "Switch to API",
+    toMock: "Switch to mocks",
+  },
+
+  charts: {
+    filterEmpty: " · no session",
+    activity: {
+      title: "Daily activity",
+      weight: "Weight ({unit})",
+      calories: "Calories burned ({unit})",
+      emptyRange: "No activity in this period",
+      analytics: {
+        toggle: "Weight trend",
+        movingAverage: "Moving average",
+        trend: "Trend",
+        summary: "Weight analysis",
+        insufficient: "Not enough weigh-ins to show a trend",
+        netChange_one: "Net change: {change} over {count} day",
+        netChange_other: "Net change: {change} over {count} days",
+        rate: "Trend: {rate} per week",
+        noTarget: "Set a target weight in your profile to get a projection",
+        projection: {
+          reached: "Target weight ({target}) reached",
+          projected: "Target weight ({target}) reached around {date} at the current pace",
+          diverging: "The trend is moving away from the target weight ({target})",
+          flat: "Stable trend: target weight ({target}) cannot be projected",
+          distant: "Target weight ({target}) more than a year away at the current pace",
+        },
+      },
+    },
+    sessions: {
+      title: "Average session duration",
+    },
+    score: {
+      title: "Score",
+      rest: "Remaining",
+      of: "of your",
+      goal: "goal",
+      deltas: "Score trend",
+      vsYesterday: "{delta} pts vs yesterday",
+      vsLastWeek: "{delta} pts vs last week",
+    },
+    scoreTrend: {
+      title: "Score trend",
+      granularity: "Group by",
+      day: "Day",
+      week: "Week",
+      score: "Score",
+      average: "Rolling average",
+      scoreValue: "Score: {value}",
+      averageValue: "Average: {value}",
+      goal: "Goal",
+      weekOf: "Week of {date}",
+      empty: "No score history",
+    },
+    nutrition: {
+      title: "Macronutrient breakdown",
+      fromMacros: "from macros",
+      comparison: "Comparison with recommendations",
+      amount: "{grams} · {energy}",
+      range: "Recommended: {min}–{max}%",
+      status: {
+        below: "Too low",
+        within: "Within range",
+        above: "Too high",
+      },
+      empty: "No macronutrient intake",
+      ageGroup: "Recommendations for {group}",
+      groups: {
+        toddler: "children aged 1 to 3",
+        child: "young people aged 4 to 18",
+        adult: "adults aged 19 and over",
+      },
+    },
+    range: {
+      label: "Displayed period",
+      latest: "Latest days",
+      week: "Week",
+      month: "Month",
+      custom: "Custom",
+      previous: "Previous period",
+      next: "Next period",
+      from: "Start date",
+      to: "End date",
+    },
+    comparison: {
+      toggle: "Compare with previous period",
+      previous: "Previous period",
+      previousWeek: "Previous week",
+      versus: "Compared with: {range}",
+      previousValue: "Prev.: {value}",
+      unavailable: "Previous period unavailable",
+      lastWeekScore: "{value} last week",
+    },
+    series: {
+      value: "{name}: {value}",
+    },
+    errors: {
+      "not-found": "No data for this user",
+      network: "SportSee server unreachable",
+      timeout: "The server is taking too long to respond",
+      server: "The server encountered an error",
+      schema: "Invalid data received",
+      unknown: "Unknown error",
+      attempts: "Failed after {count} attempts",
+      otherProfile: "See another profile",
+      showAnyway: "Show anyway",
+      moreIssues_one: " (+{count} more)",
+      moreIssues_other: " (+{count} more)",
+    },
+  },
+
+  export: {
+    label: "Export",
+    title: "Download the data as {format}",
+    error: "Export failed",
+    imageLabel: "Export image",
+    imageTitle: "Download the chart as {format}",
+    scale: "PNG scale",
+    scaleOption: "×{scale}",
+  },
+
+  schema: {
+    root: "root",
+    required: "{path}: required field missing",
+    type: "{path}: expected {expected}, received {received}",
+    min: "{path}: value {received} below the minimum ({expected})",
+    max: "{path}: value {received} above the maximum ({expected})",
+    pattern: "{path}: invalid format ({received})",
+    oneOf: "{path}: one of the fields {expected} is required",
+  },
+
+  dashboard: {
+    hello: "Hello",
+    loadErrorText: "Unable to fetch user data: {message}",
+    statDetail: "View details: {label}",
+    refresh: "Refresh",
+    refreshing: "Refreshing…",
+    refreshError: "Refresh failed: {message}",
+    refreshInterval: "Auto-refresh",
+    refreshIntervals: {
+      0: "Off",
+      30000: "Every 30 s",
+      60000: "Every minute",
+      300000: "Every 5 min",
+    },
+    live: {
+      toggle: "Live",
+      unavailable: "Live updates are not available for this source",
+      connecting: "Connecting…",
+      open: "Connected",
+      reconnecting: "Reconnecting…",
+      closed: "Disconnected",
+    },
+  },
+
+  report: {
+    title: "Weekly report",
+    open: "Printable report",
+    actions: "Report actions",
+    back: "Back to dashboard",
+    print: "Print / PDF",
+    period: "Period: {period}",
+    highlights: "Highlights",
+    bestCalorieDay: "Best calorie day",
+    bestCalorieDayValue: "{date} · {value}",
+    longestSession: "Longest session",
+    longestSessionValue: "{day} · {value}",
+    strongestAxis: "Strongest axis",
+    strongestAxisValue: "{kind} ({value})",
+    keyData: "Key data",
+  },
+
+  nutrition: {
+    title: "Nutrition",
+    back: "Back to dashboard",
+    tabs: "Key data",
+    choose: "Choose a key data item to see its details.",
+    declared: "Declared intake",
+    fromMacros: "Calories from macros",
+    difference: "Difference",
+    calories: "Calories provided",
+    share: "Share of calories",
+    recommended: "Recommended for {group}",
+    rangeValue: "{min}–{max}%",
+    status: "Status",
+    goal: "Personal goal",
+  },
+
+  userSelect: {
+    title: "Choose a profile",
+    loading: "Loading profiles...",
+    empty: "No profile available.",
+    score: "of today's goal",
+    compare: "Compare profiles",
+  },
+
+  compare: {
+    title: "Profile comparison",
+    back: "Back to profiles",
+    tableCaption: "Key data and today's score",
+    profile: "Profile",
+    age: "Age",
+    score: "Today's score",
+    invalid: "Choose at least two profiles to compare (e.g. ?users=12,18).",
+  },
+
+  goals: {
+    title: "Goals",
+    edit: "Edit",
+    save: "Save",
+    cancel: "Cancel",
+    reset: "Reset to defaults",
+    notSet: "Not set",
+    emptyHint: "Leave a field empty to disable the goal",
+    achieved: "Reached",
+    progress: "{value} / {target}",
+    weightProgress: "{value} (start: {start}) / {target}",
+    field: "{label} ({unit})",
+    labels: {
+      dailyCalories: "Calories burned per day",
+      weeklySessionMinutes: "Training minutes per week",
+      targetWeight: "Target weight",
+      protein: "Protein",
+      carbohydrate: "Carbs",
+      lipid: "Fat",
+    },
+    names: {
+      dailyCalories: "calories burned",
+      weeklySessionMinutes: "weekly training time",
+      targetWeight: "target weight",
+      protein: "protein",
+      carbohydrate: "carbs",
+      lipid: "fat",
+    },
+    summary: {
+      empty: "Set yourself some goals to track your progress 🎯",
+      all_one: "Congratulations! You reached your goal 👏",
+      all_other: "Congratulations! You reached all {count} of your goals 👏",
+      some_one: "Well done, {count} of {total} goals reached! Next up: {next} 💪",
+      some_other: "Well done, {count} of {total} goals reached! Next up: {next} 💪",
+      none: "No goal reached yet, keep going! Closest: {next} 💪",
+    },
+  },
+
+  profile: {
+    loadErrorText: "Unable to fetch the profile: {message}",
+    personalInfo: "Personal information",
+    firstName: "First name",
+    lastName: "Last name",
+    age: "Age",
+    todayScore: "Today's score",
+    scoreValue: "{value}% of the goal",
+    keyData: "Key data",
+  },
+
+  settings: {
+    title: "Settings",
+    language: {
+      title: "Language",
+      text: "Language of the interface, dates and numbers.",
+    },
+    units: {
+      title: "Units",
+      text: "Display units for weight and energy. Data is still stored in kg and kCal.",
+      weight: "Weight",
+      energy: "Energy",
+      systems: {
+        metric: "Metric (kg)",
+        imperial: "Imperial (lbs)",
+      },
+      energyUnits: {
+        kcal: "Kilocalories (kCal)",
+        kj: "Kilojoules (kJ)",
+      },
+    },
+    dataSource: {
+      title: "Data source",
+      text: "Mock data works without a backend; API mode queries the SportSee server ({url}).",
+    },
+    validation: {
+      title: "Data validation",
+      text: "Every response is checked against its expected format before being displayed. In strict mode, a non-conforming response is rejected; in lenient mode, it is reported then displayed as well as possible.",
+      mode: "Mode:",
+      strict: "Strict",
+      lenient: "Lenient",
+      toStrict: "Switch to strict mode",
+      toLenient: "Switch to lenient mode",
+      noReport: "No non-conforming response.",
+      issues_one: "{count} issue",
+      issues_other: "{count} issues",
+    },
+  },
+
+  community: {
+    title: "Community",
+    loading: "Loading members...",
+    empty: "No other member yet.",
+    score: "of their daily goal",
+    viewDashboard: "View dashboard",
+  },
+
+  notFound: {
+    userTitle: "User not found",
+    pageTitle: "Page not found",
+    pageText: "The requested page does not exist.",
+    invalidId: "“{id}” is not a valid user ID.",
+    unknownUser: "No user matches the ID {id}.",
+    choose: "Choose one of the available profiles:",
+    allProfiles: "All profiles",
+  },
+
+  serverError: {
+    title: "Service unavailable",
+    network:
+      "The SportSee server ({url}) is unreachable. Check that it is running.",
+    timeout: "The SportSee server is taking too long to respond.",
+    server: "The SportSee server encountered an internal error.",
+    schema: "The SportSee server returned data in an unexpected format.",
+    unknown: "An unexpected error occurred.",
+    attempts: " (failed after {count} attempts)",
+    moreIssues_one: "… and {count} more issue",
+    moreIssues_other: "… and {count} more issues",
+    toLenient: "Switch to lenient validation",
+  },
+};
+
+export default en;
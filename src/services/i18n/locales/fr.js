@@ -0,0 +1,458 @@
+/**
+ * Catalogue de traductions françaises de SportSee
+ *
+ * Catalogue de référence : toute clé absente d'une autre langue y est
+ * recherchée. Les valeurs peuvent contenir des paramètres `{nom}` ; les
+ * clés suffixées `_one` / `_other` sont choisies selon le paramètre `count`.
+ *
+ * @module locales/fr
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+/**
+ * Traductions françaises
+ * @type {Object}
+ * @readonly
+ */
+const fr = {
+  common: {
+    loading: "Chargement...",
+    noData: "Aucune donnée",
+    noDataAvailable: "Aucune donnée disponible",
+    loadError: "Erreur de chargement",
+    error: "Erreur : {message}",
+    empty: "---",
+    retry: "Réessayer",
+    useDemoData: "Utiliser les données de démonstration",
+    years_one: "{count} an",
+    years_other: "{count} ans",
+    user: "Utilisateur",
+    userWithId: "Utilisateur {id}",
+  },
+
+  locale: {
+    label: "Langue",
+    names: {
+      fr: "Français",
+      en: "English",
+    },
+  },
+
+  units: {
+    kcal: "{value}kCal",
+    kj: "{value}kJ",
+    gram: "{value}g",
+    kg: "{value}kg",
+    lb: "{value}lbs",
+    minutes: "{value} min",
+    percent: "{value}%",
+    symbols: {
+      kg: "kg",
+      lb: "lbs",
+      kcal: "kCal",
+      kj: "kJ",
+      gram: "g",
+      minutes: "min",
+    },
+  },
+
+  days: {
+    short: {
+      monday: "L",
+      tuesday: "M",
+      wednesday: "M",
+      thursday: "J",
+      friday: "V",
+      saturday: "S",
+      sunday: "D",
+    },
+    long: {
+      monday: "Lundi",
+      tuesday: "Mardi",
+      wednesday: "Mercredi",
+      thursday: "Jeudi",
+      friday: "Vendredi",
+      saturday: "Samedi",
+      sunday: "Dimanche",
+    },
+  },
+
+  activities: {
+    meditation: "Méditation",
+    swimming: "Natation",
+    strength: "Musculation",
+    cycling: "Cyclisme",
+  },
+
+  performance: {
+    name: "Performance",
+    cardio: "Cardio",
+    energy: "Énergie",
+    endurance: "Endurance",
+    strength: "Force",
+    speed: "Vitesse",
+    intensity: "Intensité",
+    unknown: "Inconnu",
+  },
+
+  keyData: {
+    calorieCount: "Calories",
+    proteinCount: "Protéines",
+    carbohydrateCount: "Glucides",
+    lipidCount: "Lipides",
+  },
+
+  header: {
+    logoAlt: "Logo SportSee",
+    home: "Accueil",
+    profile: "Profil",
+    settings: "Réglage",
+    community: "Communauté",
+  },
+
+  sidebar: {
+    filterOnly: "Afficher uniquement : {label}",
+    filterRemove: "{label} : retirer le filtre",
+    copyright: "Copyright, SportSee 2020",
+  },
+
+  userSwitcher: {
+    label: "Profil",
+    placeholder: "Choisir un profil",
+  },
+
+  dataSource: {
+    mode: "Mode :",
+    toApi: "Passer à l'API",
+    toMock: "Passer aux mocks",
+  },
+
+  charts: {
+    filterEmpty: " · aucune séance",
+    activity: {
+      title: "Activité quotidienne",
+      weight: "Poids ({unit})",
+      calories: "Calories brûlées ({unit})",
+      emptyRange: "Aucune activité sur cette période",
+      analytics: {
+        toggle: "Tendance du poids",
+        movingAverage: "Moyenne glissante",
+        trend: "Tendance",
+        summary: "Analyse du poids",
+        insufficient: "Pas assez de pesées pour dégager une tendance",
+        netChange_one: "Variation nette : {change} en {count} jour",
+        netChange_other: "Variation nette : {change} en {count} jours",
+        rate: "Tendance : {rate} par semaine",
+        noTarget: "Définissez un poids cible dans votre profil pour obtenir une projection",
+        projection: {
+          reached: "Poids cible ({target}) atteint",
+          projected: "Poids cible ({target}) atteint vers le {date} au rythme actuel",
+          diverging: "La tendance s'éloigne du poids cible ({target})",
+          flat: "Tendance stable : poids cible ({target}) non projetable",
+          distant: "Poids cible ({target}) à plus d'un an au rythme actuel",
+        },
+      },
+    },
+    sessions: {
+      title: "Durée moyenne des sessions",
+    },
+    score: {
+      title: "Score",
+      rest: "Reste",
+      of: "de votre",
+      goal: "objectif",
+      deltas: "Évolution du score",
+      vsYesterday: "{delta} pts vs hier",
+      vsLastWeek: "{delta} pts vs semaine dernière",
+    },
+    scoreTrend: {
+      title: "Évolution du score",
+      granularity: "Regroupement",
+      day: "Jour",
+      week: "Semaine",
+      score: "Score",
+      average: "Moyenne glissante",
+      scoreValue: "Score : {value}",
+      averageValue: "Moyenne : {value}",
+      goal: "Objectif",
+      weekOf: "Semaine du {date}",
+      empty: "Aucun historique de score",
+    },
+    nutrition: {
+      title: "Répartition des macronutriments",
+      fromMacros: "apportées",
+      comparison: "Comparaison aux recommandations",
+      amount: "{grams} · {energy}",
+      range: "Recommandé : {min} à {max} %",
+      status: {
+        below: "Insuffisant",
+        within: "Dans la fourchette",
+        above: "Excessif",
+      },
+      empty: "Aucun apport en macronutriments",
+      ageGroup: "Recommandations pour les {group}",
+      groups: {
+        toddler: "enfants de 1 à 3 ans",
+        child: "jeunes de 4 à 18 ans",
+        adult: "adultes de 19 ans et plus",
+      },
+    },
+    range: {
+      label: "Période affichée",
+      latest: "Derniers jours",
+      week: "Semaine",
+      month: "Mois",
+      custom: "Personnalisée",
+      previous: "Période précédente",
+      next: "Période suivante",
+      from: "Date de début",
+      to: "Date de fin",
+    },
+    comparison: {
+      toggle: "Comparer à la période précédente",
+      previous: "Période précédente",
+      previousWeek: "Semaine précédente",
+      versus: "Comparée à : {range}",
+      previousValue: "Préc. : {value}",
+      unavailable: "Période précédente indisponible",
+      lastWeekScore: "{value} la semaine dernière",
+    },
+    series: {
+      value: "{name} : {value}",
+    },
+    errors: {
+      "not-found": "Aucune donnée pour cet utilisateur",
+      network: "Serveur SportSee injoignable",
+      timeout: "Le serveur met trop de temps à répondre",
+      server: "Le serveur a rencontré une erreur",
+      schema: "Données reçues invalides",
+      unknown: "Erreur inconnue",
+      attempts: "Échec après {count} tentatives",
+      otherProfile: "Voir un autre profil",
+      showAnyway: "Afficher malgré tout",
+      moreIssues_one: " (+{count} autre)",
+      moreIssues_other: " (+{count} autres)",
+    },
+  },
+
+  export: {
+    label: "Exporter",
+    title: "Télécharger les données au format {format}",
+    error: "Échec de l'export",
+    imageLabel: "Exporter l'image",
+    imageTitle: "Télécharger le graphique au format {format}",
+    scale: "Échelle du PNG",
+    scaleOption: "×{scale}",
+  },
+
+  schema: {
+    root: "racine",
+    required: "{path} : champ obligatoire manquant",
+    type: "{path} : {expected} attendu, {received} reçu",
+    min: "{path} : valeur {received} inférieure au minimum ({expected})",
+    max: "{path} : valeur {received} supérieure au maximum ({expected})",
+    pattern: "{path} : format invalide ({received})",
+    oneOf: "{path} : un des champs {expected} est requis",
+  },
+
+  dashboard: {
+    hello: "Bonjour",
+    loadErrorText:
+      "Impossible de récupérer les données utilisateur : {message}",
+    statDetail: "Voir le détail : {label}",
+    refresh: "Actualiser",
+    refreshing: "Actualisation…",
+    refreshError: "Échec de l'actualisation : {message}",
+    refreshInterval: "Actualisation automatique",
+    refreshIntervals: {
+      0: "Désactivée",
+      30000: "Toutes les 30 s",
+      60000: "Toutes les minutes",
+      300000: "Toutes les 5 min",
+    },
+    live: {
+      toggle: "En direct",
+      unavailable: "Mises à jour en direct non disponibles pour cette source",
+      connecting: "Connexion…",
+      open: "Connecté",
+      reconnecting: "Reconnexion…",
+      closed: "Déconnecté",
+    },
+  },
+
+  report: {
+    title: "Rapport hebdomadaire",
+    open: "Rapport imprimable",
+    actions: "Actions du rapport",
+    back: "Retour au tableau de bord",
+    print: "Imprimer / PDF",
+    period: "Période : {period}",
+    highlights: "Temps forts",
+    bestCalorieDay: "Meilleure journée de calories",
+    bestCalorieDayValue: "{date} · {value}",
+    longestSession: "Session la plus longue",
+    longestSessionValue: "{day} · {value}",
+    strongestAxis: "Point fort",
+    strongestAxisValue: "{kind} ({value})",
+    keyData: "Données clés",
+  },
+
+  nutrition: {
+    title: "Nutrition",
+    back: "Retour au tableau de bord",
+    tabs: "Données clés",
+    choose: "Choisissez une donnée clé pour afficher son détail.",
+    declared: "Apport déclaré",
+    fromMacros: "Calories des macronutriments",
+    difference: "Écart",
+    calories: "Calories apportées",
+    share: "Part des calories",
+    recommended: "Recommandé pour les {group}",
+    rangeValue: "{min} à {max} %",
+    status: "Statut",
+    goal: "Objectif personnel",
+  },
+
+  userSelect: {
+    title: "Choisissez un profil",
+    loading: "Chargement des profils...",
+    empty: "Aucun profil disponible.",
+    score: "de l'objectif du jour",
+    compare: "Comparer les profils",
+  },
+
+  compare: {
+    title: "Comparaison des profils",
+    back: "Retour aux profils",
+    tableCaption: "Données clés et score du jour",
+    profile: "Profil",
+    age: "Âge",
+    score: "Score du jour",
+    invalid: "Choisissez au moins deux profils à comparer (ex : ?users=12,18).",
+  },
+
+  goals: {
+    title: "Objectifs",
+    edit: "Modifier",
+    save: "Enregistrer",
+    cancel: "Annuler",
+    reset: "Valeurs par défaut",
+    notSet: "Non défini",
+    emptyHint: "Laissez un champ vide pour désactiver l'objectif",
+    achieved: "Atteint",
+    progress: "{value} / {target}",
+    weightProgress: "{value} (départ : {start}) / {target}",
+    field: "{label} ({unit})",
+    labels: {
+      dailyCalories: "Calories brûlées par jour",
+      weeklySessionMinutes: "Minutes de sport par semaine",
+      targetWeight: "Poids cible",
+      protein: "Protéines",
+      carbohydrate: "Glucides",
+      lipid: "Lipides",
+    },
+    names: {
+      dailyCalories: "les calories brûlées",
+      weeklySessionMinutes: "le temps de sport hebdomadaire",
+      targetWeight: "le poids cible",
+      protein: "les protéines",
+      carbohydrate: "les glucides",
+      lipid: "les lipides",
+    },
+    summary: {
+      empty: "Fixez-vous des objectifs pour suivre vos progrès 🎯",
+      all_one: "Félicitations ! Vous avez atteint votre objectif 👏",
+      all_other: "Félicitations ! Vous avez atteint vos {count} objectifs 👏",
+      some_one:
+        "Bravo, {count} objectif sur {total} atteint ! Prochaine étape : {next} 💪",
+      some_other:
+        "Bravo, {count} objectifs sur {total} atteints ! Prochaine étape : {next} 💪",
+      none: "Aucun objectif atteint pour l'instant, courage ! Le plus proche : {next} 💪",
+    },
+  },
+
+  profile: {
+    loadErrorText: "Impossible de récupérer le profil : {message}",
+    personalInfo: "Informations personnelles",
+    firstName: "Prénom",
+    lastName: "Nom",
+    age: "Âge",
+    todayScore: "Score du jour",
+    scoreValue: "{value}% de l'objectif",
+    keyData: "Données clés",
+  },
+
+  settings: {
+    title: "Réglages",
+    language: {
+      title: "Langue",
+      text: "Langue de l'interface, des dates et des nombres.",
+    },
+    units: {
+      title: "Unités",
+      text: "Unités d'affichage du poids et de l'énergie. Les données restent enregistrées en kg et kCal.",
+      weight: "Poids",
+      energy: "Énergie",
+      systems: {
+        metric: "Métrique (kg)",
+        imperial: "Impérial (lbs)",
+      },
+      energyUnits: {
+        kcal: "Kilocalories (kCal)",
+        kj: "Kilojoules (kJ)",
+      },
+    },
+    dataSource: {
+      title: "Source de données",
+      text: "Les données mockées fonctionnent sans backend ; le mode API interroge le serveur SportSee ({url}).",
+    },
+    validation: {
+      title: "Validation des données",
+      text: "Chaque réponse est comparée au format attendu avant d'être affichée. En mode strict, une réponse non conforme est rejetée ; en mode souple, elle est signalée puis affichée au mieux.",
+      mode: "Mode :",
+      strict: "Strict",
+      lenient: "Souple",
+      toStrict: "Passer en mode strict",
+      toLenient: "Passer en mode souple",
+      noReport: "Aucune réponse non conforme.",
+      issues_one: "{count} anomalie",
+      issues_other: "{count} anomalies",
+    },
+  },
+
+  community: {
+    title: "Communauté",
+    loading: "Chargement des membres...",
+    empty: "Aucun autre membre pour le moment.",
+    score: "de son objectif du jour",
+    viewDashboard: "Voir le dashboard",
+  },
+
+  notFound: {
+    userTitle: "Utilisateur introuvable",
+    pageTitle: "Page introuvable",
+    pageText: "La page demandée n'existe pas.",
+    invalidId: "« {id} » n'est pas un identifiant d'utilisateur valide.",
+    unknownUser: "Aucun utilisateur ne correspond à l'identifiant {id}.",
+    choose: "Choisissez un des profils disponibles :",
+    allProfiles: "Tous les profils",
+  },
+
+  serverError: {
+    title: "Service indisponible",
+    network:
+      "Le serveur SportSee ({url}) est injoignable. Vérifiez qu'il est démarré.",
+    timeout: "Le serveur SportSee met trop de temps à répondre.",
+    server: "Le serveur SportSee a rencontré une erreur interne.",
+    schema:
+      "Le serveur SportSee a renvoyé des données dans un format inattendu.",
+    unknown: "Une erreur inattendue est survenue.",
+    attempts: " (échec après {count} tentatives)",
+    moreIssues_one: "… et {count} autre anomalie",
+    moreIssues_other: "… et {count} autres anomalies",
+    toLenient: "Passer en validation souple",
+  },
+};
+
+export default fr;
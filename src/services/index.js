@@ -24,12 +24,28 @@
 
 // Services API - import direct
 export { DataService } from "./api/DataService.js";
+export * from "./api/adapters/index.js";
+export * from "./api/errors.js";
+export { LiveChannel, LIVE_STATUSES } from "./api/LiveChannel.js";
 
 // Services de données - via index (multiple exports)
 export * from "./data/index.js";
 
+// Internationalisation - via index (service et catalogues)
+export * from "./i18n/index.js";
+
+// Unités de mesure - via index
+export * from "./units/index.js";
+
+// Objectifs personnels - via index
+export * from "./goals/index.js";
+
+// Export des données (CSV, JSON) - via index
+export * from "./export/index.js";
+
 // Transformateurs - import direct
 export * from "./transformers/ChartTransformers.js";
+export * from "./transformers/WeightAnalytics.js";
 
 // Hooks - via index (multiple fichiers)
 export * from "./hooks/index.js";
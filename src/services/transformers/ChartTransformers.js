@@ -15,6 +15,8 @@
  * const sessionsWithGhosts = SessionsTransformer.addGhostPoints(rawSessionsData);
  */
 
+import { addDays, getPresetRange, getRangeLength } from '../data/dateRange.js';
+
 /**
  * Transformateur pour les données d'activité quotidienne
  * Formate les données pour un graphique en barres combiné
@@ -36,23 +38,31 @@ export const ActivityTransformer = {
    * 
    * const formatted = ActivityTransformer.format(rawData);
    * // {
+   * //   activityType: null,
+   * //   range: null,
    * //   sessions: [
-   * //     { day: 1, kilogram: 80, calories: 240, displayDay: "1" },
-   * //     { day: 2, kilogram: 79, calories: 220, displayDay: "2" }
+   * //     { day: 1, kilogram: 80, calories: 240, displayDay: "1", originalDay: "2020-07-01" },
+   * //     { day: 2, kilogram: 79, calories: 220, displayDay: "2", originalDay: "2020-07-02" }
    * //   ]
    * // }
+   *
+   * @description `displayDay` est le jour du mois réel (`dayFormatted` calculé par
+   * DataNormalizer) : l'axe reste correct pour une période quelconque.
    */
   format(rawData) {
     if (!rawData?.sessions) {
-      return { sessions: [] };
+      return { activityType: null, range: null, sessions: [] };
     }
 
     return {
+      // Sport et période filtrés par DataService (null = aucun filtre)
+      activityType: rawData.activityType ?? null,
+      range: rawData.range ?? null,
       sessions: rawData.sessions.map((session, index) => ({
         day: index + 1,
         kilogram: session.kilogram || 0,
         calories: session.calories || 0,
-        displayDay: `${index + 1}`,
+        displayDay: `${session.dayFormatted || index + 1}`,
         // Conserver les données originales si nécessaire
         originalDay: session.day,
         dayFormatted: session.dayFormatted
@@ -82,6 +92,7 @@ export const SessionsTransformer = {
    * 
    * const withGhosts = SessionsTransformer.addGhostPoints(rawData);
    * // {
+   * //   activityType: null,
    * //   sessions: [
    * //     { day: 0, sessionLength: 30, isReal: false, isGhost: true },  // Point fantôme
    * //     { day: 1, sessionLength: 30, isReal: true },                  // Données réelles
@@ -92,7 +103,7 @@ export const SessionsTransformer = {
    */
   addGhostPoints(rawData) {
     if (!rawData?.sessions || rawData.sessions.length === 0) {
-      return { sessions: [] };
+      return { activityType: rawData?.activityType ?? null, sessions: [] };
     }
 
     // Préparer les sessions réelles
@@ -102,8 +113,7 @@ export const SessionsTransformer = {
       sessionLength: session.sessionLength || 0,
       isReal: true,
       // Conserver les données normalisées du DataNormalizer
-      dayName: session.dayName,
-      dayNameFull: session.dayNameFull,
+      dayKey: session.dayKey,
       sessionLengthRaw: session.sessionLengthRaw
     }));
 
@@ -128,6 +138,7 @@ export const SessionsTransformer = {
     };
 
     return {
+      activityType: rawData.activityType ?? null,
       sessions: [ghostStart, ...realSessions, ghostEnd]
     };
   }
@@ -135,35 +146,22 @@ export const SessionsTransformer = {
 
 /**
  * Transformateur pour les données de performance radar
- * Transforme et réordonne les données avec traductions françaises
+ * Réordonne les catégories pour le radar ; les libellés sont résolus à
+ * l'affichage à partir des clés (catalogue i18n `performance`)
  */
 export const PerformanceTransformer = {
   /**
-   * Mapping des traductions anglais vers français
-   * @type {Object<string, string>}
-   * @readonly
-   */
-  TRANSLATIONS: {
-    cardio: "Cardio",
-    energy: "Énergie", 
-    endurance: "Endurance",
-    strength: "Force",
-    speed: "Vitesse",
-    intensity: "Intensité"
-  },
-
-  /**
-   * Ordre d'affichage spécifique pour le radar
+   * Ordre d'affichage spécifique pour le radar (clés des catégories)
    * @type {string[]}
    * @readonly
    */
   RADAR_ORDER: [
-    "Intensité",
-    "Vitesse", 
-    "Force",
-    "Endurance",
-    "Énergie",
-    "Cardio"
+    "intensity",
+    "speed",
+    "strength",
+    "endurance",
+    "energy",
+    "cardio"
   ],
 
   /**
@@ -183,8 +181,10 @@ export const PerformanceTransformer = {
    * 
    * const transformed = PerformanceTransformer.formatForRadar(rawData);
    * // [
-   * //   { subject: "Cardio", value: 80, fullMark: 250 },
-   * //   { subject: "Énergie", value: 120, fullMark: 250 }
+   * //   { subject: "intensity", value: 0, fullMark: 250 },
+   * //   ...
+   * //   { subject: "energy", value: 120, fullMark: 250 },
+   * //   { subject: "cardio", value: 80, fullMark: 250 }
    * // ]
    */
   formatForRadar(rawData) {
@@ -193,18 +193,18 @@ export const PerformanceTransformer = {
     }
 
     // Utiliser kindName du DataNormalizer si disponible, sinon fallback sur kind mapping
-    return PerformanceTransformer.RADAR_ORDER.map((frenchName) => {
+    return PerformanceTransformer.RADAR_ORDER.map((kindName) => {
       const item = rawData.data.find((d) => {
         // Priorité au kindName normalisé
         if (d.kindName) {
-          return PerformanceTransformer.TRANSLATIONS[d.kindName] === frenchName;
+          return d.kindName === kindName;
         }
         // Fallback sur l'ancien système
-        return rawData.kind && PerformanceTransformer.TRANSLATIONS[rawData.kind[d.kind]] === frenchName;
+        return rawData.kind && rawData.kind[d.kind] === kindName;
       });
 
       return {
-        subject: frenchName,
+        subject: kindName,
         value: item ? item.value : 0,
         fullMark: 250
       };
@@ -244,6 +244,629 @@ export const ScoreTransformer = {
   }
 };
 
+/**
+ * Transformateur pour l'historique du score quotidien
+ * Prépare la courbe de tendance et les écarts affichés sous l'anneau de score
+ */
+export const ScoreHistoryTransformer = {
+  /**
+   * Granularités disponibles pour la courbe de tendance
+   * @type {string[]}
+   */
+  GRANULARITIES: ['day', 'week'],
+
+  /**
+   * Nombre de points de la moyenne glissante selon la granularité
+   * @type {Object<string, number>}
+   */
+  ROLLING_WINDOWS: { day: 7, week: 4 },
+
+  /**
+   * Objectif du jour en pourcentage : le score mesure la part de l'objectif atteinte
+   * @type {number}
+   */
+  GOAL: 100,
+
+  /**
+   * Convertit un score (0 à 1) en pourcentage entier borné
+   *
+   * @param {number} score - Score entre 0 et 1
+   * @returns {number} Pourcentage entre 0 et 100
+   */
+  toPercentage(score) {
+    return Math.max(0, Math.min(100, Math.round((score ?? 0) * 100)));
+  },
+
+  /**
+   * Formate l'historique pour la courbe de tendance
+   *
+   * En granularité "week", les jours sont regroupés par semaine (lundi →
+   * dimanche) et chaque point porte la moyenne de la semaine. La moyenne
+   * glissante porte sur les points précédents disponibles (fenêtre
+   * ROLLING_WINDOWS), point courant inclus.
+   *
+   * @param {Object} rawData - Historique normalisé ({ userId, scores: [{ day, score }] })
+   * @param {Object} [options] - Options de formatage
+   * @param {string} [options.granularity='day'] - "day" ou "week"
+   * @returns {Object} Données formatées pour le graphique
+   *
+   * @example
+   * const formatted = ScoreHistoryTransformer.format(history, { granularity: 'week' });
+   * // {
+   * //   granularity: 'week',
+   * //   goal: 100,
+   * //   points: [{ day: '2020-05-18', percentage: 21, average: 21 }, ...]
+   * // }
+   */
+  format(rawData, { granularity = 'day' } = {}) {
+    const mode = ScoreHistoryTransformer.GRANULARITIES.includes(granularity) ? granularity : 'day';
+    const scores = rawData?.scores ?? [];
+
+    let points = scores.map((entry) => ({
+      day: entry.day,
+      percentage: ScoreHistoryTransformer.toPercentage(entry.score)
+    }));
+
+    if (mode === 'week') {
+      const weeks = new Map();
+      scores.forEach((entry) => {
+        const monday = getPresetRange('week', entry.day).from;
+        weeks.set(monday, [...(weeks.get(monday) ?? []), entry.score]);
+      });
+      points = [...weeks].map(([day, values]) => ({
+        day,
+        percentage: ScoreHistoryTransformer.toPercentage(
+          values.reduce((sum, value) => sum + value, 0) / values.length
+        )
+      }));
+    }
+
+    const windowSize = ScoreHistoryTransformer.ROLLING_WINDOWS[mode];
+
+    return {
+      granularity: mode,
+      goal: ScoreHistoryTransformer.GOAL,
+      points: points.map((point, index) => {
+        const window = points.slice(Math.max(0, index - windowSize + 1), index + 1);
+        const sum = window.reduce((total, item) => total + item.percentage, 0);
+        return { ...point, average: Math.round((sum / window.length) * 10) / 10 };
+      })
+    };
+  },
+
+  /**
+   * Calcule l'écart du dernier jour de l'historique avec la veille et avec
+   * le même jour de la semaine précédente
+   *
+   * @param {Object} rawData - Historique normalisé ({ userId, scores: [{ day, score }] })
+   * @returns {ScoreDeltas|null} Écarts en points de pourcentage (null sans historique)
+   *
+   * @typedef {Object} ScoreDeltas
+   * @property {string} day - Dernier jour de l'historique (YYYY-MM-DD)
+   * @property {number} percentage - Score de ce jour en pourcentage
+   * @property {number|null} yesterday - Écart avec la veille (null si la veille manque)
+   * @property {number|null} lastWeek - Écart avec J-7 (null si ce jour manque)
+   *
+   * @example
+   * ScoreHistoryTransformer.computeDeltas(history);
+   * // { day: '2020-07-07', percentage: 12, yesterday: -6, lastWeek: -3 }
+   */
+  computeDeltas(rawData) {
+    const scores = rawData?.scores ?? [];
+    if (scores.length === 0) {
+      return null;
+    }
+
+    const last = scores[scores.length - 1];
+    const percentage = ScoreHistoryTransformer.toPercentage(last.score);
+    const deltaFrom = (offset) => {
+      const day = addDays(last.day, offset);
+      const previous = scores.find((entry) => entry.day === day);
+      return previous ? percentage - ScoreHistoryTransformer.toPercentage(previous.score) : null;
+    };
+
+    return {
+      day: last.day,
+      percentage,
+      yesterday: deltaFrom(-1),
+      lastWeek: deltaFrom(-7)
+    };
+  }
+};
+
+/**
+ * Transformateur pour la répartition nutritionnelle des données clés
+ * Calcule la part de chaque macronutriment dans les calories apportées et
+ * la compare aux fourchettes recommandées pour l'âge de l'utilisateur
+ */
+export const NutritionTransformer = {
+  /**
+   * Champ de `keyData` de chaque macronutriment, dans l'ordre d'affichage
+   * @type {Object<string, string>}
+   * @readonly
+   */
+  MACRO_FIELDS: {
+    protein: 'proteinCount',
+    carbohydrate: 'carbohydrateCount',
+    lipid: 'lipidCount'
+  },
+
+  /**
+   * Calories apportées par gramme de chaque macronutriment (facteurs d'Atwater)
+   * @type {Object<string, number>}
+   * @readonly
+   */
+  KCAL_PER_GRAM: {
+    protein: 4,
+    carbohydrate: 4,
+    lipid: 9
+  },
+
+  /**
+   * Fourchettes recommandées (en % des calories) par tranche d'âge, d'après
+   * les apports acceptables de l'Institute of Medicine (AMDR)
+   * @type {Array<{group: string, maxAge: number, ranges: Object<string, number[]>}>}
+   * @readonly
+   */
+  RECOMMENDED_RANGES: [
+    {
+      group: 'toddler',
+      maxAge: 3,
+      ranges: { protein: [5, 20], carbohydrate: [45, 65], lipid: [30, 40] }
+    },
+    {
+      group: 'child',
+      maxAge: 18,
+      ranges: { protein: [10, 30], carbohydrate: [45, 65], lipid: [25, 35] }
+    },
+    {
+      group: 'adult',
+      maxAge: Infinity,
+      ranges: { protein: [10, 35], carbohydrate: [45, 65], lipid: [20, 35] }
+    }
+  ],
+
+  /**
+   * Tranche d'âge applicable ; un âge inconnu est traité comme adulte
+   *
+   * @param {number|null|undefined} age - Âge de l'utilisateur
+   * @returns {{group: string, maxAge: number, ranges: Object<string, number[]>}} Tranche d'âge
+   *
+   * @example
+   * NutritionTransformer.getRecommendedRanges(12).group; // 'child'
+   */
+  getRecommendedRanges(age) {
+    const { RECOMMENDED_RANGES } = NutritionTransformer;
+    if (!(age > 0)) {
+      return RECOMMENDED_RANGES[RECOMMENDED_RANGES.length - 1];
+    }
+    return RECOMMENDED_RANGES.find((entry) => age <= entry.maxAge);
+  },
+
+  /**
+   * Calcule la répartition des macronutriments depuis les données utilisateur
+   *
+   * Les parts sont arrondies au dixième ; sans aucun apport en macronutriments,
+   * elles valent 0 et aucun statut n'est calculé.
+   *
+   * @param {Object} rawData - Données utilisateur normalisées
+   * @returns {NutritionBreakdown} Répartition et comparaison aux recommandations
+   *
+   * @typedef {Object} NutritionBreakdown
+   * @property {number} calorieCount - Calories déclarées (keyData.calorieCount)
+   * @property {number} macroCalories - Calories apportées par les macronutriments
+   * @property {string} ageGroup - Tranche d'âge ('toddler', 'child' ou 'adult')
+   * @property {Array<MacroShare>} macros - Un élément par macronutriment
+   *
+   * @typedef {Object} MacroShare
+   * @property {string} key - Macronutriment ('protein', 'carbohydrate', 'lipid')
+   * @property {string} field - Champ de keyData correspondant
+   * @property {number} grams - Apport en grammes
+   * @property {number} calories - Calories apportées
+   * @property {number} share - Part des calories (en %)
+   * @property {number} min - Part minimale recommandée (en %)
+   * @property {number} max - Part maximale recommandée (en %)
+   * @property {string|null} status - 'below', 'within', 'above' (null sans apport)
+   *
+   * @example
+   * const rawData = {
+   *   userInfos: { age: 31 },
+   *   keyData: { calorieCount: 1930, proteinCount: 155, carbohydrateCount: 290, lipidCount: 50 }
+   * };
+   *
+   * const breakdown = NutritionTransformer.format(rawData);
+   * // {
+   * //   calorieCount: 1930,
+   * //   macroCalories: 2230,
+   * //   ageGroup: 'adult',
+   * //   macros: [
+   * //     { key: 'protein', field: 'proteinCount', grams: 155, calories: 620,
+   * //       share: 27.8, min: 10, max: 35, status: 'within' },
+   * //     ...
+   * //   ]
+   * // }
+   */
+  format(rawData) {
+    const { MACRO_FIELDS, KCAL_PER_GRAM } = NutritionTransformer;
+    const keyData = rawData?.keyData ?? {};
+    const { group, ranges } = NutritionTransformer.getRecommendedRanges(
+      rawData?.userInfos?.age
+    );
+
+    const macros = Object.entries(MACRO_FIELDS).map(([key, field]) => {
+      const grams = Math.max(0, keyData[field] ?? 0);
+      return { key, field, grams, calories: grams * KCAL_PER_GRAM[key] };
+    });
+    const macroCalories = macros.reduce((sum, macro) => sum + macro.calories, 0);
+
+    return {
+      calorieCount: keyData.calorieCount ?? 0,
+      macroCalories,
+      ageGroup: group,
+      macros: macros.map((macro) => {
+        const [min, max] = ranges[macro.key];
+        const share = macroCalories
+          ? Math.round((macro.calories / macroCalories) * 1000) / 10
+          : 0;
+        let status = null;
+        if (macroCalories) {
+          if (share < min) status = 'below';
+          else if (share > max) status = 'above';
+          else status = 'within';
+        }
+        return { ...macro, share, min, max, status };
+      })
+    };
+  }
+};
+
+/**
+ * Transformateur pour les temps forts du rapport hebdomadaire
+ * Extrait les valeurs remarquables des données déjà formatées pour les graphiques
+ */
+export const ReportTransformer = {
+  /**
+   * Calcule les temps forts de la période affichée
+   *
+   * Les points fantômes des sessions sont ignorés ; en cas d'égalité, le
+   * premier jour (ou la première catégorie du radar) l'emporte.
+   *
+   * @param {Object} charts - Données formatées (voir useAllCharts)
+   * @param {Object|null} charts.activity - Activité formatée (ActivityTransformer.format)
+   * @param {Object|null} charts.sessions - Sessions avec points fantômes
+   * @param {Array|null} charts.performance - Radar formaté (PerformanceTransformer.formatForRadar)
+   * @returns {ReportHighlights} Temps forts (null si la donnée est absente)
+   *
+   * @typedef {Object} ReportHighlights
+   * @property {{day: string, calories: number}|null} bestCalorieDay - Jour le plus dépensier
+   * @property {{dayKey: string, sessionLength: number}|null} longestSession - Session la plus longue
+   * @property {{kind: string, value: number}|null} strongestAxis - Catégorie la plus forte
+   *
+   * @example
+   * const highlights = ReportTransformer.computeHighlights({ activity, sessions, performance });
+   * // {
+   * //   bestCalorieDay: { day: '2020-07-06', calories: 500 },
+   * //   longestSession: { dayKey: 'sunday', sessionLength: 60 },
+   * //   strongestAxis: { kind: 'intensity', value: 250 }
+   * // }
+   */
+  computeHighlights({ activity, sessions, performance }) {
+    const pickMax = (items, getValue) =>
+      items.reduce((best, item) => (getValue(item) > getValue(best) ? item : best), items[0]);
+
+    const activitySessions = activity?.sessions ?? [];
+    const realSessions = (sessions?.sessions ?? []).filter(
+      (session) => session.isReal && session.sessionLengthRaw > 0
+    );
+    const axes = performance ?? [];
+
+    const bestDay = activitySessions.length
+      ? pickMax(activitySessions, (session) => session.calories)
+      : null;
+    const longest = realSessions.length
+      ? pickMax(realSessions, (session) => session.sessionLengthRaw)
+      : null;
+    const strongest = axes.length ? pickMax(axes, (axis) => axis.value) : null;
+
+    return {
+      bestCalorieDay: bestDay?.calories > 0
+        ? { day: bestDay.originalDay, calories: bestDay.calories }
+        : null,
+      longestSession: longest
+        ? { dayKey: longest.dayKey, sessionLength: longest.sessionLengthRaw }
+        : null,
+      strongestAxis: strongest?.value > 0
+        ? { kind: strongest.subject, value: strongest.value }
+        : null
+    };
+  }
+};
+
+/**
+ * Transformateur du mode comparaison (période courante / période précédente)
+ * Aligne les deux périodes point par point pour les superposer sur un même graphique
+ *
+ * @typedef {Object} PeriodComparison
+ * @property {Object} current - Données normalisées de la période courante
+ * @property {Object|null} previous - Données de la période précédente (null si indisponibles)
+ * @property {DateRange|null} [range] - Période courante (activité uniquement)
+ * @property {DateRange|null} [previousRange] - Période précédente (activité uniquement)
+ */
+export const ComparisonTransformer = {
+  /**
+   * Aligne l'activité des deux périodes par rang du jour dans la période
+   *
+   * Le premier jour de la période courante fait face au premier jour de la
+   * période précédente, et ainsi de suite ; un jour sans session laisse les
+   * valeurs précédentes à null.
+   *
+   * @param {PeriodComparison} comparison - Activités normalisées et périodes
+   * @returns {Object} Activité formatée (ActivityTransformer.format) dont chaque
+   * session porte `previousKilogram`, `previousCalories` et `previousDay`
+   *
+   * @example
+   * ComparisonTransformer.activity({ current, previous, range, previousRange });
+   * // {
+   * //   ...,
+   * //   previousRange: { from: '2020-06-24', to: '2020-06-30' },
+   * //   sessions: [{ originalDay: '2020-07-01', kilogram: 80, previousKilogram: 82, ... }]
+   * // }
+   */
+  activity({ current, previous, range = null, previousRange = null }) {
+    const formatted = ActivityTransformer.format(current);
+    const dayIndex = (day, from) => getRangeLength({ from, to: day }) - 1;
+    const previousByIndex = new Map(
+      previous && previousRange
+        ? ActivityTransformer.format(previous).sessions.map((session) => [
+          dayIndex(session.originalDay, previousRange.from),
+          session
+        ])
+        : []
+    );
+
+    return {
+      ...formatted,
+      previousRange: previous ? previousRange : null,
+      sessions: formatted.sessions.map((session) => {
+        const match = range ? previousByIndex.get(dayIndex(session.originalDay, range.from)) : null;
+        return {
+          ...session,
+          previousKilogram: match?.kilogram ?? null,
+          previousCalories: match?.calories ?? null,
+          previousDay: match?.originalDay ?? null
+        };
+      })
+    };
+  },
+
+  /**
+   * Aligne les sessions moyennes des deux semaines par jour de la semaine
+   *
+   * @param {PeriodComparison} comparison - Sessions normalisées des deux semaines
+   * @returns {Object} Sessions avec points fantômes (SessionsTransformer.addGhostPoints)
+   * dont chaque point porte `previousSessionLength` (null sans semaine précédente)
+   *
+   * @example
+   * ComparisonTransformer.sessions({ current, previous });
+   * // { activityType: null, sessions: [{ dayIndex: 1, sessionLength: 30, previousSessionLength: 20 }, ...] }
+   */
+  sessions({ current, previous }) {
+    const formatted = SessionsTransformer.addGhostPoints(current);
+    const previousSessions = previous ? SessionsTransformer.addGhostPoints(previous).sessions : [];
+
+    return {
+      ...formatted,
+      sessions: formatted.sessions.map((session) => ({
+        ...session,
+        previousSessionLength:
+          previousSessions.find((item) => item.dayIndex === session.dayIndex)?.sessionLength ?? null
+      }))
+    };
+  },
+
+  /**
+   * Aligne la performance des deux semaines par catégorie du radar
+   *
+   * @param {PeriodComparison} comparison - Performances normalisées des deux semaines
+   * @returns {Array} Radar formaté (PerformanceTransformer.formatForRadar) dont chaque
+   * catégorie porte `previousValue` (null sans semaine précédente)
+   *
+   * @example
+   * ComparisonTransformer.performance({ current, previous });
+   * // [{ subject: 'intensity', value: 90, previousValue: 80, fullMark: 250 }, ...]
+   */
+  performance({ current, previous }) {
+    const previousAxes = previous ? PerformanceTransformer.formatForRadar(previous) : [];
+
+    return PerformanceTransformer.formatForRadar(current).map((axis) => ({
+      ...axis,
+      previousValue: previousAxes.find((item) => item.subject === axis.subject)?.value ?? null
+    }));
+  },
+
+  /**
+   * Associe le score du jour au score du même jour de la semaine précédente
+   *
+   * Le jour de référence est le dernier jour de l'historique.
+   *
+   * @param {Object} comparison - Données normalisées
+   * @param {Object} comparison.current - Données utilisateur (todayScore ou score)
+   * @param {Object|null} comparison.previous - Historique du score (null si indisponible)
+   * @returns {{percentage: number, previousPercentage: number|null, previousDay: string|null}}
+   * Pourcentages du jour et de J-7
+   *
+   * @example
+   * ComparisonTransformer.score({ current: user, previous: history });
+   * // { percentage: 12, previousPercentage: 15, previousDay: '2020-06-30' }
+   */
+  score({ current, previous }) {
+    const { percentage } = ScoreTransformer.calculatePercentage(current);
+    const scores = previous?.scores ?? [];
+    const previousDay = scores.length ? addDays(scores[scores.length - 1].day, -7) : null;
+    const match = scores.find((entry) => entry.day === previousDay);
+
+    return {
+      percentage,
+      previousPercentage: match ? ScoreHistoryTransformer.toPercentage(match.score) : null,
+      previousDay: match ? previousDay : null
+    };
+  }
+};
+
+/**
+ * Transformateur des graphiques multi-séries (comparaison d'utilisateurs)
+ * Fusionne les données de plusieurs utilisateurs point par point : la valeur
+ * de chaque utilisateur est rangée sous la clé de sa série (voir seriesKey)
+ *
+ * @typedef {Object} UserSeries
+ * @property {number} userId - ID de l'utilisateur
+ * @property {string} name - Libellé de la série (prénom de l'utilisateur)
+ * @property {Object} data - Données normalisées de l'utilisateur
+ *
+ * @typedef {Object} SeriesDescriptor
+ * @property {string} key - Clé de la série dans les points fusionnés
+ * @property {number} userId - ID de l'utilisateur
+ * @property {string} name - Libellé de la série
+ */
+export const SeriesTransformer = {
+  /**
+   * Clé de la série d'un utilisateur dans les points fusionnés
+   *
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {string} Clé de la série
+   *
+   * @example
+   * SeriesTransformer.seriesKey(12); // 'user12'
+   */
+  seriesKey(userId) {
+    return `user${userId}`;
+  },
+
+  /**
+   * Décrit les séries dans l'ordre des utilisateurs demandés
+   *
+   * @param {UserSeries[]} entries - Données par utilisateur
+   * @returns {SeriesDescriptor[]} Clé, ID et libellé de chaque série
+   */
+  describe(entries) {
+    return entries.map(({ userId, name }) => ({
+      key: SeriesTransformer.seriesKey(userId),
+      userId,
+      name
+    }));
+  },
+
+  /**
+   * Fusionne les sessions moyennes par jour de la semaine
+   *
+   * Chaque utilisateur garde ses points fantômes (SessionsTransformer.addGhostPoints) ;
+   * un jour absent pour un utilisateur vaut null dans sa série.
+   *
+   * @param {UserSeries[]} entries - Sessions normalisées par utilisateur
+   * @returns {{activityType: string|null, series: SeriesDescriptor[], sessions: Array}}
+   * Sport filtré, séries et points fusionnés
+   *
+   * @example
+   * SeriesTransformer.sessions([
+   *   { userId: 12, name: 'Karl', data: sessions12 },
+   *   { userId: 18, name: 'Cecilia', data: sessions18 }
+   * ]);
+   * // {
+   * //   activityType: null,
+   * //   series: [{ key: 'user12', userId: 12, name: 'Karl' }, ...],
+   * //   sessions: [{ dayIndex: 1, isReal: true, user12: 30, user18: 30 }, ...]
+   * // }
+   */
+  sessions(entries) {
+    const formatted = entries.map(({ userId, data }) => ({
+      key: SeriesTransformer.seriesKey(userId),
+      sessions: SessionsTransformer.addGhostPoints(data).sessions
+    }));
+    const dayIndexes = [
+      ...new Set(formatted.flatMap(({ sessions }) => sessions.map(({ dayIndex }) => dayIndex)))
+    ].sort((a, b) => a - b);
+
+    return {
+      activityType: entries[0]?.data?.activityType ?? null,
+      series: SeriesTransformer.describe(entries),
+      sessions: dayIndexes.map((dayIndex) => {
+        const isGhost = dayIndex === 0 || dayIndex === 8;
+        return {
+          day: dayIndex,
+          dayIndex,
+          isReal: !isGhost,
+          ...(isGhost ? { isGhost } : {}),
+          ...Object.fromEntries(
+            formatted.map(({ key, sessions }) => [
+              key,
+              sessions.find((session) => session.dayIndex === dayIndex)?.sessionLength ?? null
+            ])
+          )
+        };
+      })
+    };
+  },
+
+  /**
+   * Fusionne la performance par catégorie du radar
+   *
+   * @param {UserSeries[]} entries - Performances normalisées par utilisateur
+   * @returns {{series: SeriesDescriptor[], axes: Array}} Séries et catégories fusionnées,
+   * dans l'ordre de PerformanceTransformer.RADAR_ORDER
+   *
+   * @example
+   * SeriesTransformer.performance(entries);
+   * // {
+   * //   series: [...],
+   * //   axes: [{ subject: 'intensity', fullMark: 250, user12: 90, user18: 200 }, ...]
+   * // }
+   */
+  performance(entries) {
+    const formatted = entries.map(({ userId, data }) => ({
+      key: SeriesTransformer.seriesKey(userId),
+      axes: PerformanceTransformer.formatForRadar(data)
+    }));
+
+    return {
+      series: SeriesTransformer.describe(entries),
+      axes: PerformanceTransformer.RADAR_ORDER.map((subject) => ({
+        subject,
+        fullMark: 250,
+        ...Object.fromEntries(
+          formatted.map(({ key, axes }) => [
+            key,
+            axes.find((axis) => axis.subject === subject)?.value ?? 0
+          ])
+        )
+      }))
+    };
+  },
+
+  /**
+   * Résume chaque utilisateur pour le tableau comparatif
+   *
+   * @param {UserSeries[]} entries - Données utilisateur normalisées
+   * @returns {Array<{key: string, userId: number, name: string, lastName: string,
+   * age: number|null, percentage: number, keyData: Object}>} Une ligne par utilisateur
+   *
+   * @example
+   * SeriesTransformer.summary([{ userId: 12, name: 'Karl', data: user12 }]);
+   * // [{ key: 'user12', userId: 12, name: 'Karl', lastName: 'Dovineau', age: 31,
+   * //    percentage: 12, keyData: { calorieCount: 1930, ... } }]
+   */
+  summary(entries) {
+    return entries.map(({ userId, name, data }) => ({
+      key: SeriesTransformer.seriesKey(userId),
+      userId,
+      name,
+      lastName: data?.userInfos?.lastName ?? '',
+      age: data?.userInfos?.age ?? null,
+      percentage: ScoreTransformer.calculatePercentage(data).percentage,
+      keyData: data?.keyData ?? {}
+    }));
+  }
+};
+
 /**
  * Export d'un objet consolidé pour faciliter l'import
  */
@@ -251,7 +874,12 @@ export const ChartTransformers = {
   Activity: ActivityTransformer,
   Sessions: SessionsTransformer, 
   Performance: PerformanceTransformer,
-  Score: ScoreTransformer
+  Score: ScoreTransformer,
+  ScoreHistory: ScoreHistoryTransformer,
+  Nutrition: NutritionTransformer,
+  Report: ReportTransformer,
+  Comparison: ComparisonTransformer,
+  Series: SeriesTransformer
 };
 
 /**
@@ -0,0 +1,263 @@
+import { describe, expect, it } from "vitest";
+import {
+  ComparisonTransformer,
+  SeriesTransformer,
+} from "./ChartTransformers.js";
+
+/**
+ * Activité normalisée à partir de [jour, poids, calories]
+ */
+const activityOf = (entries) => ({
+  userId: 18,
+  sessions: entries.map(([day, kilogram, calories]) => ({
+    day,
+    kilogram,
+    calories,
+    dayFormatted: Number(day.slice(-2)),
+  })),
+});
+
+/**
+ * Sessions moyennes normalisées à partir de [jour de la semaine, durée]
+ */
+const sessionsOf = (entries) => ({
+  userId: 18,
+  sessions: entries.map(([day, sessionLength]) => ({
+    day,
+    sessionLength,
+    sessionLengthRaw: sessionLength,
+  })),
+});
+
+const performanceOf = (values) => ({
+  userId: 18,
+  data: Object.entries(values).map(([kindName, value]) => ({
+    kindName,
+    value,
+  })),
+});
+
+describe("ComparisonTransformer", () => {
+  it("aligne l'activité des deux périodes par rang du jour", () => {
+    const comparison = ComparisonTransformer.activity({
+      current: activityOf([
+        ["2020-07-01", 80, 240],
+        ["2020-07-03", 79, 220],
+      ]),
+      previous: activityOf([
+        ["2020-06-24", 82, 300],
+        ["2020-06-25", 81, 310],
+      ]),
+      range: { from: "2020-07-01", to: "2020-07-07" },
+      previousRange: { from: "2020-06-24", to: "2020-06-30" },
+    });
+
+    expect(comparison.previousRange).toEqual({
+      from: "2020-06-24",
+      to: "2020-06-30",
+    });
+    expect(
+      comparison.sessions.map(
+        ({ originalDay, previousDay, previousKilogram, previousCalories }) => [
+          originalDay,
+          previousDay,
+          previousKilogram,
+          previousCalories,
+        ]
+      )
+    ).toEqual([
+      ["2020-07-01", "2020-06-24", 82, 300],
+      ["2020-07-03", null, null, null],
+    ]);
+  });
+
+  it("laisse les valeurs précédentes à null sans période précédente", () => {
+    const comparison = ComparisonTransformer.activity({
+      current: activityOf([["2020-07-01", 80, 240]]),
+      previous: null,
+      range: { from: "2020-07-01", to: "2020-07-07" },
+      previousRange: { from: "2020-06-24", to: "2020-06-30" },
+    });
+
+    expect(comparison.previousRange).toBeNull();
+    expect(comparison.sessions[0]).toMatchObject({
+      kilogram: 80,
+      previousKilogram: null,
+      previousDay: null,
+    });
+  });
+
+  it("aligne les sessions par jour de la semaine, points fantômes compris", () => {
+    const comparison = ComparisonTransformer.sessions({
+      current: sessionsOf([
+        [1, 30],
+        [2, 40],
+      ]),
+      previous: sessionsOf([[1, 20]]),
+    });
+
+    expect(
+      comparison.sessions.map(({ dayIndex, previousSessionLength }) => [
+        dayIndex,
+        previousSessionLength,
+      ])
+    ).toEqual([
+      [0, 20],
+      [1, 20],
+      [2, null],
+      [8, 20],
+    ]);
+  });
+
+  it("aligne la performance par catégorie du radar", () => {
+    const axes = ComparisonTransformer.performance({
+      current: performanceOf({ intensity: 90, cardio: 120 }),
+      previous: performanceOf({ intensity: 80 }),
+    });
+
+    expect(axes[0]).toEqual({
+      subject: "intensity",
+      value: 90,
+      previousValue: 80,
+      fullMark: 250,
+    });
+    expect(axes[5]).toMatchObject({
+      subject: "cardio",
+      value: 120,
+      previousValue: 0,
+    });
+    expect(
+      ComparisonTransformer.performance({
+        current: performanceOf({ intensity: 90 }),
+        previous: null,
+      })[0].previousValue
+    ).toBeNull();
+  });
+
+  it("compare le score du jour à celui du même jour la semaine précédente", () => {
+    const history = {
+      scores: [
+        { day: "2020-06-30", score: 0.15 },
+        { day: "2020-07-06", score: 0.1 },
+        { day: "2020-07-07", score: 0.12 },
+      ],
+    };
+
+    expect(
+      ComparisonTransformer.score({
+        current: { score: 0.12 },
+        previous: history,
+      })
+    ).toEqual({
+      percentage: 12,
+      previousPercentage: 15,
+      previousDay: "2020-06-30",
+    });
+    expect(
+      ComparisonTransformer.score({
+        current: { todayScore: 0.12 },
+        previous: { scores: history.scores.slice(1) },
+      })
+    ).toEqual({ percentage: 12, previousPercentage: null, previousDay: null });
+  });
+});
+
+describe("SeriesTransformer", () => {
+  it("range la valeur de chaque utilisateur sous la clé de sa série", () => {
+    const merged = SeriesTransformer.sessions([
+      { userId: 12, name: "Karl", data: sessionsOf([[1, 30]]) },
+      {
+        userId: 18,
+        name: "Cecilia",
+        data: sessionsOf([
+          [1, 20],
+          [2, 40],
+        ]),
+      },
+    ]);
+
+    expect(merged.series).toEqual([
+      { key: "user12", userId: 12, name: "Karl" },
+      { key: "user18", userId: 18, name: "Cecilia" },
+    ]);
+    expect(merged.sessions).toEqual([
+      {
+        day: 0,
+        dayIndex: 0,
+        isReal: false,
+        isGhost: true,
+        user12: 30,
+        user18: 20,
+      },
+      { day: 1, dayIndex: 1, isReal: true, user12: 30, user18: 20 },
+      { day: 2, dayIndex: 2, isReal: true, user12: null, user18: 40 },
+      {
+        day: 8,
+        dayIndex: 8,
+        isReal: false,
+        isGhost: true,
+        user12: 30,
+        user18: 40,
+      },
+    ]);
+  });
+
+  it("fusionne la performance dans l'ordre du radar", () => {
+    const { axes } = SeriesTransformer.performance([
+      { userId: 12, name: "Karl", data: performanceOf({ cardio: 80 }) },
+      { userId: 18, name: "Cecilia", data: performanceOf({ intensity: 200 }) },
+    ]);
+
+    expect(axes.map(({ subject }) => subject)).toEqual([
+      "intensity",
+      "speed",
+      "strength",
+      "endurance",
+      "energy",
+      "cardio",
+    ]);
+    expect(axes[0]).toEqual({
+      subject: "intensity",
+      fullMark: 250,
+      user12: 0,
+      user18: 200,
+    });
+    expect(axes[5]).toMatchObject({ user12: 80, user18: 0 });
+  });
+
+  it("résume chaque utilisateur pour le tableau comparatif", () => {
+    expect(
+      SeriesTransformer.summary([
+        {
+          userId: 12,
+          name: "Karl",
+          data: {
+            userInfos: { firstName: "Karl", lastName: "Dovineau", age: 31 },
+            todayScore: 0.12,
+            keyData: { calorieCount: 1930 },
+          },
+        },
+        { userId: 18, name: "Cecilia", data: null },
+      ])
+    ).toEqual([
+      {
+        key: "user12",
+        userId: 12,
+        name: "Karl",
+        lastName: "Dovineau",
+        age: 31,
+        percentage: 12,
+        keyData: { calorieCount: 1930 },
+      },
+      {
+        key: "user18",
+        userId: 18,
+        name: "Cecilia",
+        lastName: "",
+        age: null,
+        percentage: 0,
+        keyData: {},
+      },
+    ]);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Analyse de la tendance du poids pour le graphique d'activité SportSee
+ *
+ * Calcule, à partir des sessions formatées par ActivityTransformer, des séries
+ * superposables aux barres de poids (moyenne glissante, droite de régression)
+ * et les indicateurs affichés sous le graphique : variation nette sur la
+ * période, rythme de la tendance et projection vers un poids cible.
+ * Logique pure, indépendante de React ; les poids restent en kilogrammes.
+ *
+ * @module WeightAnalytics
+ * @requires ../data/dateRange.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { WeightAnalytics } from './WeightAnalytics.js';
+ *
+ * const analytics = WeightAnalytics.analyze(activity.sessions, { target: 75 });
+ * analytics.netChange.change;   // -4
+ * analytics.projection.status;  // 'projected'
+ */
+
+import { addDays, getRangeLength } from '../data/dateRange.js';
+
+/**
+ * Arrondit une valeur au dixième
+ *
+ * @private
+ * @param {number} value - Valeur à arrondir
+ * @returns {number} Valeur arrondie
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+export const WeightAnalytics = {
+  /**
+   * Nombre de jours de la moyenne glissante
+   * @type {number}
+   */
+  DEFAULT_WINDOW: 3,
+
+  /**
+   * Écart (en kg) sous lequel le poids cible est considéré comme atteint,
+   * identique à Goals.WEIGHT_TOLERANCE
+   * @type {number}
+   */
+  TARGET_TOLERANCE: 0.5,
+
+  /**
+   * Horizon maximal (en jours) d'une projection vers le poids cible
+   * @type {number}
+   */
+  MAX_PROJECTION_DAYS: 365,
+
+  /**
+   * Moyenne glissante (fenêtre « arrière ») d'une série de valeurs
+   *
+   * Les premiers points sont moyennés sur les valeurs disponibles.
+   *
+   * @param {number[]} values - Valeurs dans l'ordre chronologique
+   * @param {number} [window=WeightAnalytics.DEFAULT_WINDOW] - Taille de la fenêtre
+   * @returns {number[]} Moyennes arrondies au dixième
+   *
+   * @example
+   * WeightAnalytics.movingAverage([80, 81, 79, 78], 3);
+   * // [80, 80.5, 80, 79.3]
+   */
+  movingAverage(values, window = WeightAnalytics.DEFAULT_WINDOW) {
+    return values.map((_, index) => {
+      const slice = values.slice(Math.max(0, index - window + 1), index + 1);
+      return round(slice.reduce((sum, value) => sum + value, 0) / slice.length);
+    });
+  },
+
+  /**
+   * Régression linéaire (moindres carrés) d'une série de points
+   *
+   * @param {Array<{x: number, y: number}>} points - Points (x en jours)
+   * @returns {{slope: number, intercept: number}|null} Droite y = slope × x + intercept,
+   * ou null avec moins de deux abscisses distinctes
+   *
+   * @example
+   * WeightAnalytics.linearRegression([{ x: 0, y: 80 }, { x: 2, y: 79 }]);
+   * // { slope: -0.5, intercept: 80 }
+   */
+  linearRegression(points) {
+    const count = points.length;
+    if (count < 2) {
+      return null;
+    }
+
+    const meanX = points.reduce((sum, { x }) => sum + x, 0) / count;
+    const meanY = points.reduce((sum, { y }) => sum + y, 0) / count;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(({ x, y }) => {
+      covariance += (x - meanX) * (y - meanY);
+      variance += (x - meanX) ** 2;
+    });
+
+    if (variance === 0) {
+      return null;
+    }
+
+    const slope = covariance / variance;
+    return { slope, intercept: meanY - slope * meanX };
+  },
+
+  /**
+   * Projette la date à laquelle la tendance atteint le poids cible
+   *
+   * @param {Object} options - Paramètres de la projection
+   * @param {{slope: number, intercept: number}|null} options.regression - Tendance (kg par jour)
+   * @param {number} options.current - Dernier poids mesuré
+   * @param {number} options.lastX - Abscisse (en jours) de la dernière mesure
+   * @param {string} options.lastDay - Date ISO de la dernière mesure
+   * @param {number} options.target - Poids cible
+   * @returns {WeightProjection} Projection vers le poids cible
+   *
+   * @typedef {Object} WeightProjection
+   * @property {number} target - Poids cible (kg)
+   * @property {string} status - 'reached' (atteint), 'projected' (date estimée),
+   * 'diverging' (la tendance s'en éloigne), 'flat' (tendance nulle) ou
+   * 'distant' (au-delà de MAX_PROJECTION_DAYS)
+   * @property {number|null} days - Jours restants après la dernière mesure
+   * @property {string|null} day - Date ISO estimée
+   */
+  projectToTarget({ regression, current, lastX, lastDay, target }) {
+    const projection = { target, status: 'flat', days: null, day: null };
+
+    if (Math.abs(current - target) <= WeightAnalytics.TARGET_TOLERANCE) {
+      return { ...projection, status: 'reached' };
+    }
+    if (!regression || Math.abs(regression.slope) < 1e-6) {
+      return projection;
+    }
+    if (Math.sign(regression.slope) !== Math.sign(target - current)) {
+      return { ...projection, status: 'diverging' };
+    }
+
+    // Jours restants depuis la valeur de la tendance au dernier jour mesuré
+    const trendNow = regression.intercept + regression.slope * lastX;
+    const days = Math.max(1, Math.ceil((target - trendNow) / regression.slope));
+    if (days > WeightAnalytics.MAX_PROJECTION_DAYS) {
+      return { ...projection, status: 'distant' };
+    }
+
+    return { ...projection, status: 'projected', days, day: addDays(lastDay, days) };
+  },
+
+  /**
+   * Analyse la tendance du poids sur les sessions affichées
+   *
+   * Les jours sans poids (0) sont ignorés ; l'abscisse de la régression est
+   * le nombre de jours depuis la première mesure, ce qui tient compte des
+   * jours manquants.
+   *
+   * @param {Array} sessions - Sessions formatées (ActivityTransformer.format)
+   * @param {Object} [options] - Options de l'analyse
+   * @param {number|null} [options.target=null] - Poids cible (kg), sans projection si null
+   * @param {number} [options.window=WeightAnalytics.DEFAULT_WINDOW] - Fenêtre de la moyenne glissante
+   * @returns {WeightAnalysis} Séries et indicateurs
+   *
+   * @typedef {Object} WeightAnalysis
+   * @property {Array<{day: string, movingAverage: number|null, trend: number|null}>} series -
+   * Une entrée par session, dans le même ordre (null sans mesure ou sans tendance)
+   * @property {Object|null} netChange - Variation nette sur la période
+   * @property {number} netChange.start - Premier poids mesuré
+   * @property {number} netChange.end - Dernier poids mesuré
+   * @property {number} netChange.change - Variation (kg)
+   * @property {number} netChange.days - Jours entre les deux mesures
+   * @property {number|null} weeklyRate - Pente de la tendance (kg par semaine)
+   * @property {WeightProjection|null} projection - Projection vers le poids cible
+   *
+   * @example
+   * const sessions = [
+   *   { originalDay: '2020-07-01', kilogram: 80 },
+   *   { originalDay: '2020-07-02', kilogram: 79 },
+   *   { originalDay: '2020-07-03', kilogram: 79 }
+   * ];
+   *
+   * WeightAnalytics.analyze(sessions, { target: 77 });
+   * // {
+   * //   series: [{ day: '2020-07-01', movingAverage: 80, trend: 79.8 }, ...],
+   * //   netChange: { start: 80, end: 79, change: -1, days: 2 },
+   * //   weeklyRate: -3.5,
+   * //   projection: { target: 77, status: 'projected', days: 4, day: '2020-07-07' }
+   * // }
+   */
+  analyze(sessions, { target = null, window = WeightAnalytics.DEFAULT_WINDOW } = {}) {
+    const measured = sessions.filter((session) => session.kilogram > 0 && session.originalDay);
+    if (measured.length === 0) {
+      return {
+        series: sessions.map((session) => ({
+          day: session.originalDay,
+          movingAverage: null,
+          trend: null
+        })),
+        netChange: null,
+        weeklyRate: null,
+        projection: null
+      };
+    }
+
+    const firstDay = measured[0].originalDay;
+    const toX = (day) => getRangeLength({ from: firstDay, to: day }) - 1;
+    const points = measured.map((session) => ({
+      day: session.originalDay,
+      x: toX(session.originalDay),
+      y: session.kilogram
+    }));
+    const averages = WeightAnalytics.movingAverage(points.map(({ y }) => y), window);
+    const averageByDay = new Map(points.map(({ day }, index) => [day, averages[index]]));
+    const regression = WeightAnalytics.linearRegression(points);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      series: sessions.map((session) => ({
+        day: session.originalDay,
+        movingAverage: averageByDay.get(session.originalDay) ?? null,
+        trend:
+          regression && session.originalDay
+            ? round(regression.intercept + regression.slope * toX(session.originalDay))
+            : null
+      })),
+      netChange: {
+        start: first.y,
+        end: last.y,
+        change: round(last.y - first.y),
+        days: last.x
+      },
+      weeklyRate: regression ? round(regression.slope * 7) : null,
+      projection:
+        target === null
+          ? null
+          : WeightAnalytics.projectToTarget({
+            regression,
+            current: last.y,
+            lastX: last.x,
+            lastDay: last.day,
+            target
+          })
+    };
+  }
+};
+
+export default WeightAnalytics;
@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { WeightAnalytics } from "./WeightAnalytics.js";
+
+/**
+ * Sessions formatées (ActivityTransformer.format) à partir de [jour, poids]
+ */
+const sessionsOf = (entries) =>
+  entries.map(([originalDay, kilogram]) => ({ originalDay, kilogram }));
+
+describe("WeightAnalytics.movingAverage", () => {
+  it("moyenne les derniers jours, puis les valeurs disponibles au début", () => {
+    expect(WeightAnalytics.movingAverage([80, 81, 79, 78], 3)).toEqual([
+      80, 80.5, 80, 79.3,
+    ]);
+  });
+});
+
+describe("WeightAnalytics.linearRegression", () => {
+  it("calcule la droite des moindres carrés", () => {
+    expect(
+      WeightAnalytics.linearRegression([
+        { x: 0, y: 80 },
+        { x: 2, y: 79 },
+      ])
+    ).toEqual({ slope: -0.5, intercept: 80 });
+  });
+
+  it("retourne null sans deux abscisses distinctes", () => {
+    expect(WeightAnalytics.linearRegression([{ x: 0, y: 80 }])).toBeNull();
+    expect(
+      WeightAnalytics.linearRegression([
+        { x: 1, y: 80 },
+        { x: 1, y: 79 },
+      ])
+    ).toBeNull();
+  });
+});
+
+describe("WeightAnalytics.analyze", () => {
+  const sessions = sessionsOf([
+    ["2020-07-01", 80],
+    ["2020-07-02", 79],
+    ["2020-07-03", 79],
+  ]);
+
+  it("calcule la tendance, la variation et la projection", () => {
+    const analytics = WeightAnalytics.analyze(sessions, { target: 77 });
+
+    expect(analytics.series[0]).toEqual({
+      day: "2020-07-01",
+      movingAverage: 80,
+      trend: 79.8,
+    });
+    expect(analytics.netChange).toEqual({
+      start: 80,
+      end: 79,
+      change: -1,
+      days: 2,
+    });
+    expect(analytics.weeklyRate).toBe(-3.5);
+    expect(analytics.projection).toEqual({
+      target: 77,
+      status: "projected",
+      days: 4,
+      day: "2020-07-07",
+    });
+  });
+
+  it("place les mesures selon les jours écoulés et ignore les poids nuls", () => {
+    const analytics = WeightAnalytics.analyze(
+      sessionsOf([
+        ["2020-07-01", 80],
+        ["2020-07-02", 0],
+        ["2020-07-05", 78],
+      ])
+    );
+
+    expect(analytics.netChange.days).toBe(4);
+    expect(analytics.weeklyRate).toBe(-3.5);
+    expect(analytics.series[1]).toEqual({
+      day: "2020-07-02",
+      movingAverage: null,
+      trend: 79.5,
+    });
+    expect(analytics.projection).toBeNull();
+  });
+
+  it("ne projette rien sans mesure", () => {
+    expect(
+      WeightAnalytics.analyze(sessionsOf([["2020-07-01", 0]]), { target: 70 })
+    ).toEqual({
+      series: [{ day: "2020-07-01", movingAverage: null, trend: null }],
+      netChange: null,
+      weeklyRate: null,
+      projection: null,
+    });
+  });
+
+  it.each([
+    ["reached", 79.4],
+    ["diverging", 82],
+  ])("indique une cible %s", (status, target) => {
+    expect(WeightAnalytics.analyze(sessions, { target }).projection).toEqual({
+      target,
+      status,
+      days: null,
+      day: null,
+    });
+  });
+
+  it("indique une tendance plate ou une cible trop lointaine", () => {
+    const flat = sessionsOf([
+      ["2020-07-01", 80],
+      ["2020-07-02", 80],
+    ]);
+    const slow = sessionsOf([
+      ["2020-07-01", 80],
+      ["2020-07-31", 79.9],
+    ]);
+
+    expect(
+      WeightAnalytics.analyze(flat, { target: 75 }).projection.status
+    ).toBe("flat");
+    expect(
+      WeightAnalytics.analyze(slow, { target: 60 }).projection.status
+    ).toBe("distant");
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Service des unités de mesure de SportSee
+ *
+ * Conserve la préférence d'unités de l'utilisateur (système métrique ou
+ * impérial pour le poids, kilocalories ou kilojoules pour l'énergie),
+ * persistée dans le localStorage, et fournit les fonctions de conversion.
+ * Les données normalisées restent toujours en kg et kCal : la conversion
+ * est appliquée uniquement à l'affichage.
+ *
+ * @class Units
+ * @author SportSee Team
+ * @since 1.1.0
+ * @example
+ * Units.setPreferences({ system: 'imperial', energy: 'kj' });
+ * Units.getWeightUnit();        // "lb"
+ * Units.convertWeight(70);      // 154.3
+ * Units.convertEnergy(240);     // 1004
+ */
+
+export class Units {
+  /**
+   * Systèmes de mesure disponibles pour le poids
+   * @type {{METRIC: string, IMPERIAL: string}}
+   * @static
+   * @readonly
+   */
+  static SYSTEMS = { METRIC: "metric", IMPERIAL: "imperial" };
+
+  /**
+   * Unités d'énergie disponibles
+   * @type {{KCAL: string, KJ: string}}
+   * @static
+   * @readonly
+   */
+  static ENERGY_UNITS = { KCAL: "kcal", KJ: "kj" };
+
+  /**
+   * Unité de poids de chaque système
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static WEIGHT_UNITS = { metric: "kg", imperial: "lb" };
+
+  /**
+   * Facteurs de conversion depuis les unités des données normalisées (kg, kCal)
+   * @type {Object<string, number>}
+   * @static
+   * @readonly
+   */
+  static FACTORS = { kg: 1, lb: 2.20462262, kcal: 1, kj: 4.184 };
+
+  /**
+   * Décimales conservées après conversion, par unité
+   * @type {Object<string, number>}
+   * @static
+   * @readonly
+   */
+  static PRECISION = { kg: 1, lb: 1, kcal: 0, kj: 0 };
+
+  /**
+   * Préférences par défaut (unités de l'API)
+   * @type {UnitPreferences}
+   * @static
+   * @readonly
+   */
+  static DEFAULT_PREFERENCES = { system: "metric", energy: "kcal" };
+
+  /**
+   * Clé localStorage utilisée pour persister les préférences
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static STORAGE_KEY = "sportsee:units";
+
+  /**
+   * Abonnés notifiés à chaque changement de préférences
+   * @type {Set<Function>}
+   * @static
+   * @private
+   */
+  static _listeners = new Set();
+
+  /**
+   * Préférences actives, résolues au chargement du module
+   * @type {UnitPreferences}
+   * @static
+   * @private
+   * @see Units.resolvePreferences
+   */
+  static _preferences = Units.resolvePreferences();
+
+  /**
+   * Complète et valide des préférences partielles
+   *
+   * Les valeurs inconnues sont remplacées par celles de `base`.
+   *
+   * @static
+   * @param {Object} [candidate] - Préférences à valider
+   * @param {UnitPreferences} [base=Units.DEFAULT_PREFERENCES] - Valeurs de repli
+   * @returns {UnitPreferences} Préférences complètes
+   *
+   * @typedef {Object} UnitPreferences
+   * @property {string} system - Système du poids ("metric" ou "imperial")
+   * @property {string} energy - Unité d'énergie ("kcal" ou "kj")
+   */
+  static sanitize(candidate, base = Units.DEFAULT_PREFERENCES) {
+    const system = Object.values(Units.SYSTEMS).includes(candidate?.system)
+      ? candidate.system
+      : base.system;
+    const energy = Object.values(Units.ENERGY_UNITS).includes(candidate?.energy)
+      ? candidate.energy
+      : base.energy;
+    return { system, energy };
+  }
+
+  /**
+   * Détermine les préférences à utiliser au démarrage
+   *
+   * Choix persisté via la page Réglages (localStorage), sinon unités de l'API.
+   *
+   * @static
+   * @returns {UnitPreferences} Préférences résolues
+   */
+  static resolvePreferences() {
+    if (typeof window !== "undefined") {
+      try {
+        const stored = window.localStorage.getItem(Units.STORAGE_KEY);
+        if (stored) {
+          return Units.sanitize(JSON.parse(stored));
+        }
+      } catch {
+        // localStorage indisponible ou valeur corrompue
+      }
+    }
+
+    return { ...Units.DEFAULT_PREFERENCES };
+  }
+
+  /**
+   * Retourne les préférences actives
+   *
+   * @static
+   * @returns {UnitPreferences} Préférences (référence stable entre deux modifications)
+   */
+  static getPreferences() {
+    return Units._preferences;
+  }
+
+  /**
+   * Modifie tout ou partie des préférences et notifie les abonnés
+   *
+   * @static
+   * @param {Object} changes - Préférences à modifier ({ system?, energy? })
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.persist=true] - Mémorise le choix dans localStorage
+   *
+   * @example
+   * Units.setPreferences({ system: Units.SYSTEMS.IMPERIAL });
+   */
+  static setPreferences(changes, { persist = true } = {}) {
+    const next = Units.sanitize({ ...Units._preferences, ...changes });
+
+    if (persist && typeof window !== "undefined") {
+      try {
+        window.localStorage.setItem(Units.STORAGE_KEY, JSON.stringify(next));
+      } catch {
+        // Le choix reste valable pour la session en cours
+      }
+    }
+
+    if (
+      next.system === Units._preferences.system &&
+      next.energy === Units._preferences.energy
+    ) {
+      return;
+    }
+
+    Units._preferences = next;
+    Units._listeners.forEach((listener) => listener(next));
+  }
+
+  /**
+   * Abonne une fonction aux changements de préférences
+   *
+   * @static
+   * @param {Function} listener - Appelée avec les nouvelles préférences
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribe(listener) {
+    Units._listeners.add(listener);
+    return () => {
+      Units._listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Unité de poids des préférences
+   *
+   * @static
+   * @param {UnitPreferences} [preferences=Units.getPreferences()] - Préférences
+   * @returns {string} "kg" ou "lb"
+   */
+  static getWeightUnit(preferences = Units.getPreferences()) {
+    return Units.WEIGHT_UNITS[preferences.system];
+  }
+
+  /**
+   * Unité d'énergie des préférences
+   *
+   * @static
+   * @param {UnitPreferences} [preferences=Units.getPreferences()] - Préférences
+   * @returns {string} "kcal" ou "kj"
+   */
+  static getEnergyUnit(preferences = Units.getPreferences()) {
+    return preferences.energy;
+  }
+
+  /**
+   * Convertit une valeur depuis l'unité de base (kg ou kCal) vers `unit`
+   *
+   * @static
+   * @param {number} value - Valeur en kg ou kCal
+   * @param {string} unit - Unité cible ("kg", "lb", "kcal" ou "kj")
+   * @returns {number} Valeur convertie, arrondie selon Units.PRECISION
+   * @throws {Error} Si l'unité est inconnue
+   *
+   * @example
+   * Units.convert(70, 'lb');   // 154.3
+   * Units.convert(240, 'kj');  // 1004
+   */
+  static convert(value, unit) {
+    const factor = Units.FACTORS[unit];
+
+    if (factor === undefined) {
+      throw new Error(`Unité inconnue: ${unit}`);
+    }
+
+    const precision = 10 ** Units.PRECISION[unit];
+    return Math.round(value * factor * precision) / precision;
+  }
+
+  /**
+   * Convertit une valeur exprimée en `unit` vers l'unité de base (kg ou kCal)
+   *
+   * Opération inverse de Units.convert, utilisée pour les saisies de
+   * l'utilisateur (objectifs).
+   *
+   * @static
+   * @param {number} value - Valeur en "kg", "lb", "kcal" ou "kj"
+   * @param {string} unit - Unité de la valeur
+   * @returns {number} Valeur en kg ou kCal, arrondie au dixième
+   * @throws {Error} Si l'unité est inconnue
+   *
+   * @example
+   * Units.toBase(154.3, 'lb');  // 70
+   * Units.toBase(2092, 'kj');   // 500
+   */
+  static toBase(value, unit) {
+    const factor = Units.FACTORS[unit];
+
+    if (factor === undefined) {
+      throw new Error(`Unité inconnue: ${unit}`);
+    }
+
+    return Math.round((value / factor) * 10) / 10;
+  }
+
+  /**
+   * Convertit un poids en kg vers l'unité des préférences
+   *
+   * @static
+   * @param {number} kilograms - Poids en kg
+   * @param {UnitPreferences} [preferences=Units.getPreferences()] - Préférences
+   * @returns {number} Poids converti
+   */
+  static convertWeight(kilograms, preferences = Units.getPreferences()) {
+    return Units.convert(kilograms, Units.getWeightUnit(preferences));
+  }
+
+  /**
+   * Convertit une énergie en kCal vers l'unité des préférences
+   *
+   * @static
+   * @param {number} kilocalories - Énergie en kCal
+   * @param {UnitPreferences} [preferences=Units.getPreferences()] - Préférences
+   * @returns {number} Énergie convertie
+   */
+  static convertEnergy(kilocalories, preferences = Units.getPreferences()) {
+    return Units.convert(kilocalories, Units.getEnergyUnit(preferences));
+  }
+}
+
+export default Units;
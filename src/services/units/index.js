@@ -0,0 +1,12 @@
+/**
+ * Module des unités de mesure SportSee
+ *
+ * Regroupe les préférences d'unités et les fonctions de conversion.
+ *
+ * @module services/units
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+// Export du service des unités
+export { Units } from "./Units.js";
@@ -46,6 +46,7 @@
  * @typedef {Object} ActivityData
  * @property {number} userId - ID de l'utilisateur
  * @property {ActivitySession[]} sessions - Sessions d'activité par jour
+ * @property {string|null} [activityType] - Sport filtré (voir DataNormalizer.ACTIVITY_TYPES)
  */
 
 /**
@@ -54,6 +55,15 @@
  * @property {string} day - Date de la session (format YYYY-MM-DD)
  * @property {number} kilogram - Poids de l'utilisateur en kilogrammes
  * @property {number} calories - Calories brûlées pendant la session
+ * @property {ActivityBreakdown[]} [activities] - Répartition des calories par sport
+ */
+
+/**
+ * Part d'une session attribuée à un sport
+ * @typedef {Object} ActivityBreakdown
+ * @property {string} type - Sport ("meditation", "swimming", "strength", "cycling")
+ * @property {number} [calories] - Calories brûlées pour ce sport (activité quotidienne)
+ * @property {number} [sessionLength] - Durée en minutes pour ce sport (sessions moyennes)
  */
 
 /**
@@ -61,6 +71,7 @@
  * @typedef {Object} SessionsData
  * @property {number} userId - ID de l'utilisateur
  * @property {SessionLength[]} sessions - Durées des sessions par jour de la semaine
+ * @property {string|null} [activityType] - Sport filtré (voir DataNormalizer.ACTIVITY_TYPES)
  */
 
 /**
@@ -68,6 +79,7 @@
  * @typedef {Object} SessionLength
  * @property {number} day - Jour de la semaine (1=Lundi, 7=Dimanche)
  * @property {number} sessionLength - Durée de la session en minutes
+ * @property {ActivityBreakdown[]} [activities] - Répartition de la durée par sport
  */
 
 /**
@@ -100,7 +112,8 @@
  * @template T
  * @property {T|null} data - Données formatées pour le graphique (null si pas chargées)
  * @property {boolean} loading - Indicateur de chargement
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle
+ * @property {Function} refetch - Relance la récupération des données
  */
 
 /**
@@ -118,19 +131,21 @@
 /**
  * Erreurs spécifiques par type de graphique
  * @typedef {Object} ChartErrors
- * @property {string|null} activity - Erreur du graphique d'activité
- * @property {string|null} sessions - Erreur du graphique de sessions
- * @property {string|null} performance - Erreur du graphique de performance
- * @property {string|null} score - Erreur du graphique de score
+ * @property {DataServiceError|null} activity - Erreur du graphique d'activité
+ * @property {DataServiceError|null} sessions - Erreur du graphique de sessions
+ * @property {DataServiceError|null} performance - Erreur du graphique de performance
+ * @property {DataServiceError|null} score - Erreur du graphique de score
  */
 
 /**
  * Session d'activité formatée pour graphique
  * @typedef {Object} FormattedActivitySession
- * @property {number} day - Numéro du jour (1-7)
+ * @property {number} day - Position de la session dans la période (1, 2, ...)
  * @property {number} kilogram - Poids en kilogrammes
  * @property {number} calories - Calories brûlées
- * @property {string} displayDay - Jour formaté pour affichage ("1", "2", etc.)
+ * @property {string} displayDay - Jour du mois réel pour l'axe ("1", "2", etc.)
+ * @property {string} originalDay - Date de la session (YYYY-MM-DD)
+ * @property {number} dayFormatted - Jour du mois calculé par DataNormalizer
  */
 
 /**
@@ -140,13 +155,15 @@
  * @property {number} dayIndex - Index du jour
  * @property {number} sessionLength - Durée en minutes
  * @property {boolean} isReal - true pour les vraies sessions, false pour les points fantômes
+ * @property {string} [dayKey] - Clé du jour ("monday"...), absente des points fantômes
  * @property {boolean} [isGhost] - true pour les points fantômes uniquement
  */
 
 /**
  * Donnée de performance formatée pour radar
  * @typedef {Object} FormattedPerformanceData
- * @property {string} subject - Nom du type de performance en français
+ * @property {string} subject - Clé du type de performance ("cardio", "energy"...),
+ * traduite à l'affichage
  * @property {number} value - Valeur de la performance
  * @property {number} fullMark - Valeur maximale pour le graphique (généralement 250)
  */